@@ -0,0 +1,128 @@
+/**
+ * Utility Script: Contest Bundle Export/Import
+ *
+ * Exports a contest's incremental dataset (contest metadata, problems, standings state,
+ * base and delta snapshots, optionally submissions) to a versioned NDJSON bundle, or
+ * imports such a bundle into this database. Files ending in .gz are (de)compressed.
+ *
+ * Usage:
+ *   node scripts/contestBundle.js export <contestId> <file> [--with-submissions] [--file-mode]
+ *   node scripts/contestBundle.js import <file> [--overwrite] [--file-mode]
+ *
+ * Example:
+ *   node scripts/contestBundle.js export 1234 contest-1234.ndjson.gz --with-submissions
+ *   node scripts/contestBundle.js import contest-1234.ndjson.gz --overwrite
+ */
+
+import fs from 'fs';
+import zlib from 'zlib';
+import { once } from 'events';
+import mongoose from 'mongoose';
+import { contestBundleService } from '../src/services/contestBundleService.js';
+import { environmentVariablesConfig } from '../src/config/appConfig.js';
+
+const [command, ...args] = process.argv.slice(2);
+const flags = new Set(args.filter(arg => arg.startsWith('--')));
+const positional = args.filter(arg => !arg.startsWith('--'));
+const fileMode = flags.has('--file-mode');
+
+const usage = 'Usage:\n' +
+	'  node scripts/contestBundle.js export <contestId> <file> [--with-submissions] [--file-mode]\n' +
+	'  node scripts/contestBundle.js import <file> [--overwrite] [--file-mode]';
+
+const contestId = command === 'export' ? parseInt(positional[0]) : null;
+const file = command === 'export' ? positional[1] : positional[0];
+
+if ((command !== 'export' && command !== 'import') || !file || (command === 'export' && !contestId)) {
+	console.error(usage);
+	process.exit(1);
+}
+
+async function exportBundle () {
+	const fileStream = fs.createWriteStream(file);
+	const gzip = file.endsWith('.gz') ? zlib.createGzip() : null;
+	const output = gzip || fileStream;
+	if (gzip) {
+		gzip.pipe(fileStream);
+	}
+
+	console.log(`Exporting contest ${contestId} to ${file}...`);
+	const startTime = Date.now();
+	const counts = await contestBundleService.exportContest(contestId, output, {
+		includeSubmissions: flags.has('--with-submissions'),
+		fileMode
+	});
+
+	output.end();
+	await once(fileStream, 'close');
+
+	if (!counts) {
+		fs.unlinkSync(file);
+		throw new Error(`Contest ${contestId} not found`);
+	}
+
+	console.log(`\n✓ Bundle exported in ${Date.now() - startTime}ms`);
+	for (const [type, count] of Object.entries(counts)) {
+		console.log(`  ${type}: ${count}`);
+	}
+}
+
+async function importBundle () {
+	const fileStream = fs.createReadStream(file);
+	const input = file.endsWith('.gz') ? fileStream.pipe(zlib.createGunzip()) : fileStream;
+
+	console.log(`Importing ${file}...`);
+	const startTime = Date.now();
+	const result = await contestBundleService.importBundle(input, {
+		overwrite: flags.has('--overwrite'),
+		fileMode
+	});
+
+	if (!result.imported) {
+		throw new Error(result.error);
+	}
+
+	console.log(`\n✓ Contest ${result.contestId} imported in ${Date.now() - startTime}ms (bundle schema version ${result.schemaVersion})`);
+	for (const [type, count] of Object.entries(result.counts)) {
+		console.log(`  ${type}: ${count}`);
+	}
+}
+
+async function run () {
+	try {
+		// Connect to MongoDB
+		console.log('Connecting to MongoDB...');
+		mongoose.set('strictQuery', true);
+
+		let mongoUri;
+		if (environmentVariablesConfig.formatConnection === 'DNSseedlist' && environmentVariablesConfig.mongoDNSseedlist !== '') {
+			mongoUri = environmentVariablesConfig.mongoDNSseedlist;
+		} else {
+			if (environmentVariablesConfig.mongoUser !== '' && environmentVariablesConfig.mongoPass !== '') {
+				mongoUri = `mongodb://${environmentVariablesConfig.mongoUser}:${environmentVariablesConfig.mongoPass}@${environmentVariablesConfig.dbHost}:${environmentVariablesConfig.dbPort}/${environmentVariablesConfig.database}`;
+			} else {
+				mongoUri = `mongodb://${environmentVariablesConfig.dbHost}:${environmentVariablesConfig.dbPort}/${environmentVariablesConfig.database}`;
+			}
+		}
+
+		await mongoose.connect(mongoUri, {
+			useNewUrlParser: true,
+			useUnifiedTopology: true
+		});
+		console.log(`Connected to MongoDB: ${environmentVariablesConfig.database}\n`);
+
+		if (command === 'export') {
+			await exportBundle();
+		} else {
+			await importBundle();
+		}
+	} catch (error) {
+		console.error('\n✗ Error:', error.message);
+		process.exitCode = 1;
+	} finally {
+		await mongoose.connection.close();
+		console.log('\nMongoDB connection closed');
+	}
+}
+
+run();
@@ -17,6 +17,7 @@ import { ENVIRONMENT } from './environment.js';
  */
 
 const serverPortByDefault = 4000;
+const standingsCacheMaxParticipantsByDefault = 200000;
 const limitOfUsersRegistered = 0; /* Set the value to 0 to not use the limit. Remember put the same value on the environment variables */
 
 /**
@@ -32,6 +33,9 @@ const limitOfUsersRegistered = 0; /* Set the value to 0 to not use the limit. Re
  * @property {string} mongoPass - Password of MongoDB
  * @property {string} environment - Application execution environment
  * @property {number} port - The port for running this application
+ * @property {boolean} snapshotSchedulerAutoStart - Start a snapshot scheduler for upcoming and running contests when the contest list is stored
+ * @property {number} snapshotWorkers - Worker threads used to build base snapshots (0 or 1: build on the main thread)
+ * @property {number} standingsCacheMaxParticipants - Participant states kept by the reconstructed standings state cache
  */
 export const environmentVariablesConfig = Object.freeze({
 	formatConnection: process.env.MONGO_FORMAT_CONNECTION || 'standard',
@@ -42,7 +46,10 @@ export const environmentVariablesConfig = Object.freeze({
 	mongoUser: process.env.MONGO_USER || '',
 	mongoPass: process.env.MONGO_PASS || '',
 	environment: (process.env.ENVIRONMENT === ENVIRONMENT.DEVELOPMENT) ? ENVIRONMENT.DEVELOPMENT : ENVIRONMENT.PRODUCTION,
-	port: Number(process.env.PORT) || serverPortByDefault
+	port: Number(process.env.PORT) || serverPortByDefault,
+	snapshotSchedulerAutoStart: process.env.SNAPSHOT_SCHEDULER_AUTO_START === 'true',
+	snapshotWorkers: Number(process.env.SNAPSHOT_WORKERS) || 0,
+	standingsCacheMaxParticipants: Number(process.env.STANDINGS_CACHE_MAX_PARTICIPANTS) || standingsCacheMaxParticipantsByDefault
 });
 
 /**
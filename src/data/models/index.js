@@ -11,7 +11,12 @@ import {
 	ContestsSchema,
 	StandingsStateSchema,
 	BaseSnapshotSchema,
-	DeltaSnapshotSchema
+	DeltaSnapshotSchema,
+	RejudgesSchema,
+	SnapshotScheduleSchema,
+	JobSchema,
+	ParticipantProfileSchema,
+	ContestEventSchema
 } from './schemas/index.js';
 
 export const models = {
@@ -25,5 +30,10 @@ export const models = {
 	Contests: mongoose.model('contests', ContestsSchema),
 	StandingsState: mongoose.model('standingsState', StandingsStateSchema),
 	BaseSnapshots: mongoose.model('baseSnapshots', BaseSnapshotSchema),
-	DeltaSnapshots: mongoose.model('deltaSnapshots', DeltaSnapshotSchema)
+	DeltaSnapshots: mongoose.model('deltaSnapshots', DeltaSnapshotSchema),
+	Rejudges: mongoose.model('rejudges', RejudgesSchema),
+	SnapshotSchedules: mongoose.model('snapshotSchedules', SnapshotScheduleSchema),
+	Jobs: mongoose.model('jobs', JobSchema),
+	ParticipantProfiles: mongoose.model('participantProfiles', ParticipantProfileSchema),
+	ContestEvents: mongoose.model('contestEvents', ContestEventSchema)
 };
@@ -8,9 +8,14 @@ const Schema = mongoose.Schema;
 const SnapshotProblemStateSchema = new Schema({
 	solved: Boolean,
 	points: Number,
+	penalty: Number,
 	rejectCount: Number,
 	solveTime: Number,
-	firstAttemptTime: Number
+	firstAttemptTime: Number,
+	bestPassedTestCount: Number, // Partial scoring (IOI)
+	subtaskScores: [Number],
+	bestScoreTime: Number,
+	pendingSystemTestCount: Number // Accepted on pretests, waiting for system tests
 }, { _id: false });
 
 /**
@@ -18,7 +23,11 @@ const SnapshotProblemStateSchema = new Schema({
  * Note: problems is stored as a Map-like object (keyed by problemIndex)
  */
 const ParticipantStateSchema = new Schema({
-	handle: String,
+	participantKey: String, // Stable key (team id or sorted member handles + participant type)
+	handle: String, // First member handle
+	handles: [String],
+	teamId: Number,
+	teamName: String,
 	participantType: String,
 	ghost: Boolean,
 	isUnofficial: Boolean,
@@ -67,6 +76,12 @@ const BaseSnapshotSchema = new Schema({
 		default: 0
 	},
 	
+	// SHA-256 of the full state (see stateHash.js), checked by snapshot verification
+	stateHash: {
+		type: String,
+		default: null
+	},
+	
 	createdAt: {
 		type: Date,
 		default: Date.now
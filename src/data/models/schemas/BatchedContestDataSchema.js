@@ -12,6 +12,8 @@ const SubmissionItemSchema = new Schema({
 	problemPoints: Number,
 	handle: String,
 	handles: [String],
+	teamId: Number,
+	teamName: String,
 	participantType: String,
 	creationTimeSeconds: Number,
 	relativeTimeSeconds: Number,
@@ -19,6 +21,7 @@ const SubmissionItemSchema = new Schema({
 	verdict: String,
 	testset: String,
 	passedTestCount: Number,
+	points: Number, // Submission score (partial scoring contests only)
 	timeConsumedMillis: Number,
 	memoryConsumedBytes: Number,
 	lastFetchedAt: Date
@@ -56,9 +59,13 @@ const HackItemSchema = new Schema({
 	problemName: String,
 	hackerHandle: String,
 	hackerHandles: [String],
+	hackerTeamId: Number,
+	hackerTeamName: String,
 	hackerParticipantType: String,
 	defenderHandle: String,
 	defenderHandles: [String],
+	defenderTeamId: Number,
+	defenderTeamName: String,
 	defenderParticipantType: String,
 	creationTimeSeconds: Number,
 	verdict: String,
@@ -0,0 +1,85 @@
+import mongoose from 'mongoose';
+
+/**
+ * Contest Event Schema
+ * One notable event of a contest (first solve, lead change, top N entry or exit,
+ * all problems solved, successful hack), detected when a snapshot is created.
+ * Events are replaced per window of detecting snapshots, so recreating a snapshot
+ * does not duplicate them.
+ */
+const ContestEventSchema = new mongoose.Schema({
+	contestId: {
+		type: Number,
+		required: true
+	},
+	type: {
+		type: String,
+		required: true,
+		enum: ['FIRST_SOLVE', 'LEAD_CHANGE', 'TOP_N_ENTRY', 'TOP_N_EXIT', 'ALL_SOLVED', 'SUCCESSFUL_HACK']
+	},
+	timestampSeconds: {
+		type: Number,
+		required: true // Contest time of the event (relative to contest start)
+	},
+	snapshotTimestamp: {
+		type: Number,
+		required: true // Snapshot that detected the event
+	},
+	sequence: {
+		type: Number,
+		default: 0 // Order among the events of the same snapshot
+	},
+	participantKey: {
+		type: String,
+		default: null // Solver, participant moving in the ranks, sole leader or hacker
+	},
+	handles: {
+		type: [String],
+		default: []
+	},
+	problemIndex: {
+		type: String,
+		default: null
+	},
+	rank: {
+		type: Number,
+		default: null
+	},
+	previousRank: {
+		type: Number,
+		default: null
+	},
+	leaders: {
+		type: [String],
+		default: []
+	},
+	previousLeaders: {
+		type: [String],
+		default: []
+	},
+	defenderKey: {
+		type: String,
+		default: null
+	},
+	defenderHandles: {
+		type: [String],
+		default: []
+	},
+	hackId: {
+		type: Number,
+		default: null
+	},
+	createdAt: {
+		type: Date,
+		default: Date.now
+	}
+}, {
+	timestamps: false
+});
+
+// Event feed of a contest, in order
+ContestEventSchema.index({ contestId: 1, timestampSeconds: 1, snapshotTimestamp: 1, sequence: 1 });
+// Replacement of the events detected by a window of snapshots
+ContestEventSchema.index({ contestId: 1, snapshotTimestamp: 1 });
+
+export { ContestEventSchema };
@@ -27,6 +27,23 @@ const ContestsSchema = new mongoose.Schema({
 		type: Boolean,
 		default: false
 	},
+	freezeTimeSeconds: {
+		type: Number, // Public scoreboard freeze, relative to contest start (null: final hour if frozen)
+		default: null
+	},
+	verdictMode: {
+		type: String, // Replay as seen live (pretests) or as finalized (system tests) (null: live until the contest is finished)
+		enum: ['live', 'final'],
+		default: null
+	},
+	retentionPolicy: {
+		type: mongoose.Schema.Types.Mixed, // Snapshot retention policy { rules: [{ afterDays, deltaIntervalSeconds }], foldDeltaRunLength } (null: default policy)
+		default: null
+	},
+	pendingRebuild: {
+		type: mongoose.Schema.Types.Mixed, // Unfinished snapshot rebuild { fromTimestampSeconds, schedule: [{ timestampSeconds, type }], fileMode, startedAt, lastError } (null: none)
+		default: null
+	},
 	durationSeconds: {
 		type: Number,
 		default: 0
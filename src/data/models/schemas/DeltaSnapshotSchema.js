@@ -6,21 +6,40 @@ const Schema = mongoose.Schema;
  * Delta change sub-schema
  */
 const DeltaChangeSchema = new Schema({
+	// Stable participant key (team id or sorted member handles + participant type)
+	participantKey: String,
 	handle: {
 		type: String,
-		required: true
+		default: null // First member handle (null for a team without member handles)
 	},
 	op: {
 		type: String,
 		required: true,
-		enum: ['UPDATE', 'INSERT']
+		enum: ['UPDATE', 'INSERT', 'REMOVE']
 	},
+	// INSERT: full state. UPDATE: only changed fields, changed problem entries (problems)
+	// and indexes of problem entries that no longer exist (removedProblems)
 	state: {
-		type: Schema.Types.Mixed,  // Partial state - only changed fields
-		required: true
+		type: Schema.Types.Mixed,
+		required: function () {
+			return this.op !== 'REMOVE'; // Removed participants carry no state
+		}
 	}
 }, { _id: false });
 
+/**
+ * Verdict correction sub-schema
+ * Rejudged or removed submissions whose retraction a delta snapshot carries
+ */
+const DeltaCorrectionSchema = new Schema({
+	submissionId: Number,
+	participantKey: String,
+	problemIndex: String,
+	relativeTimeSeconds: Number,
+	oldVerdict: String,
+	newVerdict: String
+}, { _id: false });
+
 /**
  * Delta Snapshot Schema
  * Stores only participants whose state changed since last snapshot
@@ -45,6 +64,10 @@ const DeltaSnapshotSchema = new Schema({
 		type: Number,
 		required: true  // Reference to base snapshot timestamp
 	},
+	previousSnapshotTimestamp: {
+		type: Number,
+		default: null // Snapshot (base or delta) the changes are computed from
+	},
 	
 	// Only changed participants
 	changes: {
@@ -57,6 +80,18 @@ const DeltaSnapshotSchema = new Schema({
 		default: 0
 	},
 	
+	// SHA-256 of the full state after applying this delta (see stateHash.js)
+	stateHash: {
+		type: String,
+		default: null
+	},
+	
+	// Verdict corrections applied by this delta (set when snapshots are rebuilt after a rejudge)
+	corrections: {
+		type: [DeltaCorrectionSchema],
+		default: []
+	},
+	
 	createdAt: {
 		type: Date,
 		default: Date.now
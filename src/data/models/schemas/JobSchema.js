@@ -0,0 +1,86 @@
+import mongoose from 'mongoose';
+
+/**
+ * Job Schema
+ * A long-running background task (bulk snapshot creation, contest list ingestion)
+ * with its progress, log and outcome, so clients can poll it and jobs that were
+ * running when the server stopped can be resumed or marked failed
+ */
+const JobSchema = new mongoose.Schema({
+	type: {
+		type: String,
+		required: true
+	},
+	status: {
+		type: String,
+		required: true,
+		enum: ['QUEUED', 'RUNNING', 'SUCCEEDED', 'FAILED', 'CANCELLED'],
+		default: 'QUEUED'
+	},
+	contestId: {
+		type: Number,
+		default: null // Contest the job works on, if any
+	},
+	params: {
+		type: mongoose.Schema.Types.Mixed,
+		default: {}
+	},
+	progress: {
+		type: Number,
+		default: 0 // Percentage, 0-100
+	},
+	progressMessage: {
+		type: String,
+		default: null
+	},
+	progressDetails: {
+		type: mongoose.Schema.Types.Mixed,
+		default: null // What the handler worked out before its result (e.g. the adaptive snapshot plan)
+	},
+	logs: [{
+		_id: false,
+		at: {
+			type: Date,
+			default: Date.now
+		},
+		level: {
+			type: String,
+			enum: ['info', 'warn', 'error'],
+			default: 'info'
+		},
+		message: String
+	}],
+	result: {
+		type: mongoose.Schema.Types.Mixed,
+		default: null
+	},
+	error: {
+		type: String,
+		default: null
+	},
+	attempts: {
+		type: Number,
+		default: 0 // Number of times the job was started (runs, resumes and retries)
+	},
+	cancelRequested: {
+		type: Boolean,
+		default: false
+	},
+	startedAt: {
+		type: Date,
+		default: null // Start of the current attempt
+	},
+	finishedAt: {
+		type: Date,
+		default: null
+	}
+}, {
+	timestamps: true,
+	minimize: false
+});
+
+JobSchema.index({ status: 1, createdAt: 1 });
+JobSchema.index({ type: 1, createdAt: -1 });
+JobSchema.index({ contestId: 1, createdAt: -1 });
+
+export { JobSchema };
@@ -0,0 +1,50 @@
+import mongoose from 'mongoose';
+
+/**
+ * Participant Profile Schema
+ * Metadata of a participant handle that standings can be filtered by (country,
+ * organization), shared by all contests
+ */
+const ParticipantProfileSchema = new mongoose.Schema({
+	handle: {
+		type: String,
+		required: true
+	},
+	handleKey: {
+		type: String,
+		required: true,
+		unique: true // Lowercase handle: Codeforces handles are case-insensitive
+	},
+	country: {
+		type: String,
+		default: null
+	},
+	countryKey: {
+		type: String,
+		default: null // Lowercase country, matched by the standings filter
+	},
+	organization: {
+		type: String,
+		default: null
+	},
+	organizationKey: {
+		type: String,
+		default: null // Lowercase organization, matched by the standings filter
+	},
+	city: {
+		type: String,
+		default: null
+	},
+	updatedAt: {
+		type: Date,
+		default: Date.now
+	}
+}, {
+	timestamps: false
+});
+
+// Profile filters of the standings
+ParticipantProfileSchema.index({ countryKey: 1 });
+ParticipantProfileSchema.index({ organizationKey: 1 });
+
+export { ParticipantProfileSchema };
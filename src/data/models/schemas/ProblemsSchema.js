@@ -38,6 +38,15 @@ const ProblemsSchema = new Schema({
 	points: {
 		type: Number
 	},
+	// Subtasks in test order, for partial scoring (not provided by the Codeforces API)
+	subtasks: {
+		type: [{
+			_id: false,
+			testCount: Number,
+			points: Number
+		}],
+		default: undefined
+	},
 	rating: {
 		type: Number,
 		index: true
@@ -0,0 +1,65 @@
+import mongoose from 'mongoose';
+
+/**
+ * Rejudges Schema
+ * One verdict correction per document: a stored submission whose verdict or test
+ * results changed on re-ingest (rejudge, skipped cheaters), or that disappeared.
+ * Corrections stay pending until the affected snapshots are rebuilt.
+ */
+const RejudgesSchema = new mongoose.Schema({
+	contestId: {
+		type: Number,
+		required: true,
+		index: true
+	},
+	submissionId: {
+		type: Number,
+		required: true
+	},
+	participantKey: {
+		type: String,
+		required: true
+	},
+	handle: String,
+	problemIndex: String,
+	relativeTimeSeconds: {
+		type: Number,
+		default: 0
+	},
+	type: {
+		type: String,
+		required: true,
+		enum: ['VERDICT', 'REMOVED']
+	},
+	oldVerdict: {
+		type: String,
+		default: null
+	},
+	newVerdict: {
+		type: String,
+		default: null // null when the submission was removed
+	},
+	oldTestset: {
+		type: String,
+		default: null
+	},
+	newTestset: {
+		type: String,
+		default: null
+	},
+	detectedAt: {
+		type: Date,
+		default: Date.now
+	},
+	appliedAt: {
+		type: Date,
+		default: null // Set when the affected snapshots have been rebuilt
+	}
+}, {
+	timestamps: false
+});
+
+// Pending corrections of a contest
+RejudgesSchema.index({ contestId: 1, appliedAt: 1, relativeTimeSeconds: 1 });
+
+export { RejudgesSchema };
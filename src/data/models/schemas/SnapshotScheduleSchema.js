@@ -0,0 +1,66 @@
+import mongoose from 'mongoose';
+
+/**
+ * Snapshot Schedule Schema
+ * Persisted state of the automatic snapshot scheduler of a contest, so running
+ * schedules can be resumed after a server restart
+ */
+const SnapshotScheduleSchema = new mongoose.Schema({
+	contestId: {
+		type: Number,
+		required: true
+	},
+	status: {
+		type: String,
+		required: true,
+		enum: ['WAITING', 'RUNNING', 'STOPPED', 'FINISHED'],
+		default: 'WAITING'
+	},
+	baseIntervalSeconds: {
+		type: Number,
+		default: 120
+	},
+	deltaIntervalSeconds: {
+		type: Number,
+		default: 10
+	},
+	fileMode: {
+		type: Boolean,
+		default: false
+	},
+	lastBaseTimestamp: {
+		type: Number,
+		default: null // Contest-relative time of the last base snapshot
+	},
+	lastSnapshotTimestamp: {
+		type: Number,
+		default: null // Contest-relative time of the last base or delta snapshot
+	},
+	lastEventCount: {
+		type: Number,
+		default: null // Stored submissions + hacks when the last snapshot was taken
+	},
+	baseSnapshotsCreated: {
+		type: Number,
+		default: 0
+	},
+	deltaSnapshotsCreated: {
+		type: Number,
+		default: 0
+	},
+	lastRunAt: {
+		type: Date,
+		default: null
+	},
+	lastError: {
+		type: String,
+		default: null
+	}
+}, {
+	timestamps: true
+});
+
+SnapshotScheduleSchema.index({ contestId: 1 }, { unique: true });
+SnapshotScheduleSchema.index({ status: 1 });
+
+export { SnapshotScheduleSchema };
@@ -15,6 +15,10 @@ const ProblemStateSchema = new Schema({
 		type: Number,
 		default: 0
 	},
+	penalty: {
+		type: Number,
+		default: 0 // In minutes, as computed by the contest scoring rule
+	},
 	rejectCount: {
 		type: Number,
 		default: 0
@@ -26,6 +30,23 @@ const ProblemStateSchema = new Schema({
 	firstAttemptTime: {
 		type: Number,
 		default: null
+	},
+	// Partial scoring (IOI): points above is the best score reached so far
+	bestPassedTestCount: {
+		type: Number,
+		default: 0
+	},
+	subtaskScores: {
+		type: [Number],
+		default: undefined // Best score per subtask, only when subtasks are configured
+	},
+	bestScoreTime: {
+		type: Number,
+		default: null // Time of the submission that reached the best score
+	},
+	pendingSystemTestCount: {
+		type: Number,
+		default: undefined // Submissions accepted on pretests and waiting for system tests (final verdict mode)
 	}
 }, { _id: false });
 
@@ -40,10 +61,27 @@ const StandingsStateSchema = new Schema({
 		required: true,
 		index: true
 	},
-	handle: {
+	// Stable participant key: team id, or sorted member handles, plus participant type
+	participantKey: {
 		type: String,
 		required: true
 	},
+	handle: {
+		type: String,
+		default: null // First member handle (null for a team without member handles)
+	},
+	handles: {
+		type: [String],
+		default: []
+	},
+	teamId: {
+		type: Number,
+		default: null
+	},
+	teamName: {
+		type: String,
+		default: null
+	},
 	participantType: {
 		type: String,
 		default: 'CONTESTANT'
@@ -114,8 +152,8 @@ const StandingsStateSchema = new Schema({
 	timestamps: false  // We manage updatedAt manually
 });
 
-// Compound unique index: contestId + handle
-StandingsStateSchema.index({ contestId: 1, handle: 1 }, { unique: true });
+// Compound unique index: contestId + participantKey
+StandingsStateSchema.index({ contestId: 1, participantKey: 1 }, { unique: true });
 
 // Ranking query index
 StandingsStateSchema.index({ contestId: 1, totalPoints: -1, totalPenalty: 1 });
@@ -9,6 +9,11 @@ import { ContestsSchema } from './ContestsSchema.js';
 import { StandingsStateSchema } from './StandingsStateSchema.js';
 import { BaseSnapshotSchema } from './BaseSnapshotSchema.js';
 import { DeltaSnapshotSchema } from './DeltaSnapshotSchema.js';
+import { RejudgesSchema } from './RejudgesSchema.js';
+import { SnapshotScheduleSchema } from './SnapshotScheduleSchema.js';
+import { JobSchema } from './JobSchema.js';
+import { ParticipantProfileSchema } from './ParticipantProfileSchema.js';
+import { ContestEventSchema } from './ContestEventSchema.js';
 
 export {
 	ProblemsSchema,
@@ -21,5 +26,10 @@ export {
 	ContestsSchema,
 	StandingsStateSchema,
 	BaseSnapshotSchema,
-	DeltaSnapshotSchema
+	DeltaSnapshotSchema,
+	RejudgesSchema,
+	SnapshotScheduleSchema,
+	JobSchema,
+	ParticipantProfileSchema,
+	ContestEventSchema
 };
\ No newline at end of file
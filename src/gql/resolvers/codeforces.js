@@ -1,7 +1,10 @@
 import { UserInputError } from 'apollo-server-errors';
 import { codeforcesDataService } from '../../services/codeforcesDataService.js';
 import { simulationService } from '../../services/simulationService.js';
-import { incrementalSimulationService } from '../../services/incrementalSimulationService.js';
+import { incrementalSimulationService, STANDINGS_VIEW } from '../../services/incrementalSimulationService.js';
+import { MOVEMENT_SORT } from '../../services/rankMovement.js';
+import { validateStandingsFilter, RANK_SCOPE } from '../../services/standingsFilter.js';
+import { contestEventService, CONTEST_EVENT_TYPE, DEFAULT_EVENT_LIMIT, MAX_EVENT_LIMIT } from '../../services/contestEventService.js';
 import { logger } from '../../helpers/logger.js';
 
 export default {
@@ -230,7 +233,15 @@ export default {
 		 */
 		async incrementalStandings(parent, args) {
 			try {
-				const { contestId, timestampSeconds, rankFrom, rankTo, showUnofficial, fileMode } = args;
+				const { contestId, timestampSeconds, rankFrom, rankTo, showUnofficial, fileMode, view } = args;
+				const filter = {
+					handleContains: args.handleContains || null,
+					participantTypes: args.participantTypes || null,
+					handles: args.handles || null,
+					country: args.country || null,
+					organization: args.organization || null,
+					rankScope: args.rankScope || RANK_SCOPE.GLOBAL
+				};
 				
 				if (!contestId || contestId <= 0) {
 					throw new UserInputError('Invalid contest ID');
@@ -248,13 +259,23 @@ export default {
 					throw new UserInputError('rankTo must be >= rankFrom');
 				}
 
+				if (view !== undefined && !Object.values(STANDINGS_VIEW).includes(view)) {
+					throw new UserInputError(`view must be one of: ${Object.values(STANDINGS_VIEW).join(', ')}`);
+				}
+
+				const filterError = validateStandingsFilter(filter);
+				if (filterError) {
+					throw new UserInputError(filterError);
+				}
+
 				const standings = await incrementalSimulationService.getStandingsAtTime(
 					contestId,
 					timestampSeconds,
 					rankFrom || 1,
 					rankTo || null,
 					showUnofficial || false,
-					fileMode || false
+					fileMode || false,
+					{ view: view || STANDINGS_VIEW.JURY, filter }
 				);
 
 				return standings;
@@ -265,6 +286,162 @@ export default {
 				}
 				throw new UserInputError(`Failed to get incremental standings: ${error.message}`);
 			}
+		},
+
+		/**
+		 * Get the rank and score of a participant over a contest
+		 */
+		async participantTimeline (parent, args) {
+			try {
+				const { contestId, handle, stepSeconds, fromTimestamp, toTimestamp, showUnofficial, fileMode } = args;
+
+				if (!contestId || contestId <= 0) {
+					throw new UserInputError('Invalid contest ID');
+				}
+
+				if (stepSeconds !== undefined && stepSeconds !== null && stepSeconds <= 0) {
+					throw new UserInputError('stepSeconds must be > 0');
+				}
+
+				if ((fromTimestamp ?? 0) < 0 || (toTimestamp !== undefined && toTimestamp !== null && toTimestamp < (fromTimestamp ?? 0))) {
+					throw new UserInputError('fromTimestamp must be >= 0 and toTimestamp must be >= fromTimestamp');
+				}
+
+				const timeline = await incrementalSimulationService.getParticipantTimeline(contestId, handle, {
+					fromTimestamp: fromTimestamp ?? 0,
+					toTimestamp: toTimestamp ?? null,
+					stepSeconds: stepSeconds || null,
+					showUnofficial: showUnofficial || false,
+					fileMode: fileMode || false
+				});
+
+				return timeline;
+			} catch (error) {
+				logger.error(`Error getting timeline of ${args.handle} in contest ${args.contestId}: ${error.message}`);
+				if (error instanceof UserInputError) {
+					throw error;
+				}
+				throw new UserInputError(`Failed to get participant timeline: ${error.message}`);
+			}
+		},
+
+		/**
+		 * Get the rank and points movement of participants between two timestamps
+		 */
+		async rankMovement (parent, args) {
+			try {
+				const { contestId, fromTimestamp, toTimestamp, sortBy, topN, limit, showUnofficial, fileMode } = args;
+
+				if (!contestId || contestId <= 0) {
+					throw new UserInputError('Invalid contest ID');
+				}
+
+				if (fromTimestamp < 0 || toTimestamp <= fromTimestamp) {
+					throw new UserInputError('fromTimestamp must be >= 0 and toTimestamp must be > fromTimestamp');
+				}
+
+				if (sortBy !== undefined && sortBy !== null && !Object.values(MOVEMENT_SORT).includes(sortBy)) {
+					throw new UserInputError(`sortBy must be one of: ${Object.values(MOVEMENT_SORT).join(', ')}`);
+				}
+
+				if ((topN !== undefined && topN !== null && topN < 1) || (limit !== undefined && limit !== null && limit < 1)) {
+					throw new UserInputError('topN and limit must be >= 1');
+				}
+
+				const report = await incrementalSimulationService.getRankMovement(contestId, fromTimestamp, toTimestamp, {
+					sortBy: sortBy || MOVEMENT_SORT.CLIMB,
+					topN: topN ?? null,
+					limit: limit ?? undefined,
+					showUnofficial: showUnofficial || false,
+					fileMode: fileMode || false
+				});
+
+				return report;
+			} catch (error) {
+				logger.error(`Error getting rank movement for contest ${args.contestId}: ${error.message}`);
+				if (error instanceof UserInputError) {
+					throw error;
+				}
+				throw new UserInputError(`Failed to get rank movement: ${error.message}`);
+			}
+		},
+
+		/**
+		 * Get a page of the notable events of a contest
+		 */
+		async contestEvents (parent, args) {
+			try {
+				const { contestId, fromTimestamp, toTimestamp, types, limit, skip } = args;
+
+				if (!contestId || contestId <= 0) {
+					throw new UserInputError('Invalid contest ID');
+				}
+
+				if ((fromTimestamp !== undefined && fromTimestamp !== null && fromTimestamp < 0) ||
+					(toTimestamp !== undefined && toTimestamp !== null && toTimestamp < (fromTimestamp ?? 0))) {
+					throw new UserInputError('fromTimestamp must be >= 0 and toTimestamp >= fromTimestamp');
+				}
+
+				const invalidType = (types || []).find(type => !Object.values(CONTEST_EVENT_TYPE).includes(type));
+				if (invalidType) {
+					throw new UserInputError(`types must be among: ${Object.values(CONTEST_EVENT_TYPE).join(', ')} (got ${invalidType})`);
+				}
+
+				if ((limit !== undefined && limit !== null && (limit < 1 || limit > MAX_EVENT_LIMIT)) || (skip !== undefined && skip !== null && skip < 0)) {
+					throw new UserInputError(`limit must be between 1 and ${MAX_EVENT_LIMIT} and skip >= 0`);
+				}
+
+				const page = await contestEventService.getEvents(contestId, {
+					fromTimestamp: fromTimestamp ?? null,
+					toTimestamp: toTimestamp ?? null,
+					types: types || null,
+					limit: limit ?? DEFAULT_EVENT_LIMIT,
+					skip: skip ?? 0
+				});
+
+				return page;
+			} catch (error) {
+				logger.error(`Error getting events for contest ${args.contestId}: ${error.message}`);
+				if (error instanceof UserInputError) {
+					throw error;
+				}
+				throw new UserInputError(`Failed to get contest events: ${error.message}`);
+			}
+		},
+
+		/**
+		 * Get per-problem statistics at a specific timestamp
+		 */
+		async problemStatsAt (parent, args) {
+			try {
+				const { contestId, timestampSeconds, bucketSeconds, showUnofficial, fileMode } = args;
+
+				if (!contestId || contestId <= 0) {
+					throw new UserInputError('Invalid contest ID');
+				}
+
+				if (timestampSeconds < 0) {
+					throw new UserInputError('timestampSeconds must be >= 0');
+				}
+
+				if (bucketSeconds !== undefined && bucketSeconds !== null && bucketSeconds < 1) {
+					throw new UserInputError('bucketSeconds must be >= 1');
+				}
+
+				const report = await incrementalSimulationService.getProblemStatsAt(contestId, timestampSeconds, {
+					bucketSeconds: bucketSeconds ?? null,
+					showUnofficial: showUnofficial || false,
+					fileMode: fileMode || false
+				});
+
+				return report;
+			} catch (error) {
+				logger.error(`Error getting problem stats for contest ${args.contestId}: ${error.message}`);
+				if (error instanceof UserInputError) {
+					throw error;
+				}
+				throw new UserInputError(`Failed to get problem stats: ${error.message}`);
+			}
 		}
 	}
 };
@@ -27,7 +27,19 @@ export default /* GraphQL */ gql`
 		simulationState(contestId: Int!, currentTimestamp: Int!, speedMultiplier: Float): SimulationState!
 		
 		""" Get incremental standings at a specific timestamp """
-		incrementalStandings(contestId: Int!, timestampSeconds: Int!, rankFrom: Int, rankTo: Int, showUnofficial: Boolean, fileMode: Boolean): ContestStandings!
+		incrementalStandings(contestId: Int!, timestampSeconds: Int!, rankFrom: Int, rankTo: Int, showUnofficial: Boolean, fileMode: Boolean, view: String, handleContains: String, participantTypes: [String!], handles: [String!], country: String, organization: String, rankScope: String): ContestStandings!
+		
+		""" Get the rank and score of a participant over a contest, with the moments they changed """
+		participantTimeline(contestId: Int!, handle: String!, stepSeconds: Int, fromTimestamp: Int, toTimestamp: Int, showUnofficial: Boolean, fileMode: Boolean): ParticipantTimeline
+		
+		""" Get the rank and points movement of participants between two timestamps """
+		rankMovement(contestId: Int!, fromTimestamp: Int!, toTimestamp: Int!, sortBy: String, topN: Int, limit: Int, showUnofficial: Boolean, fileMode: Boolean): RankMovementReport
+		
+		""" Get the notable events of a contest (first solves, lead changes, top 10 moves, all solved, successful hacks) """
+		contestEvents(contestId: Int!, fromTimestamp: Int, toTimestamp: Int, types: [String!], limit: Int, skip: Int): ContestEventPage!
+		
+		""" Get live problem statistics (solves, attempts, first solve, solve curve) at a specific timestamp """
+		problemStatsAt(contestId: Int!, timestampSeconds: Int!, bucketSeconds: Int, showUnofficial: Boolean, fileMode: Boolean): ProblemStatsReport
 	}
 
 	type Contest {
@@ -36,6 +48,8 @@ export default /* GraphQL */ gql`
 		type: String!
 		phase: String!
 		frozen: Boolean!
+		freezeTimeSeconds: Int
+		verdictMode: String
 		durationSeconds: Int!
 		startTimeSeconds: Int
 		relativeTimeSeconds: Int
@@ -68,6 +82,9 @@ export default /* GraphQL */ gql`
 	type Party {
 		contestId: Int
 		members: [Member!]!
+		teamId: Int
+		teamName: String
+		participantKey: String
 		participantType: String!
 		ghost: Boolean!
 		room: Int
@@ -79,11 +96,18 @@ export default /* GraphQL */ gql`
 		rejectedAttemptCount: Int!
 		type: String!
 		bestSubmissionTimeSeconds: Int
+		passedTestCount: Int
+		subtaskScores: [Float!]
+		pendingCount: Int
+		pendingSystemTestCount: Int
 	}
 
 	type StandingsRow {
 		party: Party!
 		rank: Int!
+		rankRange: String
+		globalRank: Int
+		globalRankRange: String
 		points: Float!
 		penalty: Int!
 		successfulHackCount: Int!
@@ -95,6 +119,9 @@ export default /* GraphQL */ gql`
 		contest: Contest!
 		problems: [Problem!]!
 		rows: [StandingsRow!]!
+		view: String
+		frozen: Boolean
+		freezeTimeSeconds: Int
 	}
 
 	type Submission {
@@ -107,7 +134,8 @@ export default /* GraphQL */ gql`
 		programmingLanguage: String!
 		verdict: String
 		testset: String!
-		passedTestCount: Int!
+		passedTestCount: Int
+		points: Float
 		timeConsumedMillis: Int!
 		memoryConsumedBytes: Int!
 	}
@@ -116,6 +144,135 @@ export default /* GraphQL */ gql`
 		submissions: [Submission!]!
 	}
 
+	type TimelinePoint {
+		timestampSeconds: Int!
+		rank: Int
+		rankRange: String
+		points: Float!
+		penalty: Int!
+		solvedCount: Int!
+		participantCount: Int
+	}
+
+	type TimelineMoment {
+		timeSeconds: Int!
+		type: String!
+		problemIndex: String!
+		points: Float
+		submissionId: Int
+		hackId: Int
+		successful: Boolean
+	}
+
+	type ParticipantTimeline {
+		contestId: Int!
+		handle: String!
+		participantKey: String!
+		fromTimestamp: Int!
+		toTimestamp: Int!
+		stepSeconds: Int
+		points: [TimelinePoint!]!
+		moments: [TimelineMoment!]!
+	}
+
+	type RankMovementRow {
+		participantKey: String!
+		handles: [String!]!
+		rankBefore: Int
+		rankAfter: Int
+		rankRangeBefore: String
+		rankRangeAfter: String
+		rankChange: Int
+		pointsBefore: Float!
+		pointsAfter: Float!
+		pointsChange: Float!
+		solvedCountBefore: Int!
+		solvedCountAfter: Int!
+	}
+
+	type LeadChange {
+		timestampSeconds: Int!
+		leaders: [String!]!
+		previousLeaders: [String!]!
+	}
+
+	type RankMovementReport {
+		contestId: Int!
+		fromTimestamp: Int!
+		toTimestamp: Int!
+		sortBy: String!
+		topN: Int
+		participantCountBefore: Int!
+		participantCountAfter: Int!
+		leadersBefore: [String!]!
+		leadersAfter: [String!]!
+		leadChanges: [LeadChange!]!
+		rows: [RankMovementRow!]!
+	}
+
+	type ContestEvent {
+		type: String!
+		timestampSeconds: Int!
+		snapshotTimestamp: Int!
+		participantKey: String
+		handles: [String!]!
+		problemIndex: String
+		rank: Int
+		previousRank: Int
+		leaders: [String!]!
+		previousLeaders: [String!]!
+		defenderKey: String
+		defenderHandles: [String!]!
+		hackId: Int
+	}
+
+	type EventPagination {
+		total: Int!
+		limit: Int!
+		skip: Int!
+		hasMore: Boolean!
+	}
+
+	type ContestEventPage {
+		contestId: Int!
+		events: [ContestEvent!]!
+		pagination: EventPagination!
+	}
+
+	type FirstSolver {
+		participantKey: String!
+		handles: [String!]!
+	}
+
+	type SolveCurvePoint {
+		timestampSeconds: Int!
+		solveCount: Int!
+		cumulativeSolveCount: Int!
+	}
+
+	type ProblemStats {
+		problemIndex: String!
+		name: String
+		points: Float
+		solveCount: Int!
+		triedCount: Int!
+		attemptCount: Int!
+		acceptanceRate: Float
+		firstSolveTimeSeconds: Int
+		firstSolvers: [FirstSolver!]!
+		averageSolveTimeSeconds: Float
+		series: [SolveCurvePoint!]!
+	}
+
+	type ProblemStatsReport {
+		contestId: Int!
+		timestampSeconds: Int!
+		snapshotTimestamp: Int
+		bucketSeconds: Int!
+		participantCount: Int!
+		problems: [ProblemStats!]!
+	}
+
 	type SimulationState {
 		contestId: Int!
 		startTime: Int!
@@ -489,6 +489,9 @@ class CodeforcesAPI {
 			problems: standings.problems,
 			standings: standings.rows,
 			submissions,
+			// Every page of every handle, so stored submissions of these participant types missing here were removed
+			submissionsComplete: true,
+			submissionsParticipantTypes: contestantsOnly ? ['CONTESTANT'] : null,
 			ratingChanges,
 			hacks
 		};
@@ -0,0 +1,48 @@
+/**
+ * Build a stable participant key
+ * Teams are keyed by team id; individual participants (and parties without a team id)
+ * by their sorted member handles. The participant type is part of the key, so a
+ * virtual participation never collides with the official one.
+ * @param {Object} participant - Participant identity
+ * @param {number|null} participant.teamId - Team ID (team contests)
+ * @param {Array<string>} participant.handles - Member handles
+ * @param {string} participant.participantType - Participant type (default: CONTESTANT)
+ * @returns {string} Participant key, e.g. "CONTESTANT:team:123" or "CONTESTANT:alice,bob"
+ */
+export const getParticipantKey = ({ teamId = null, handles = [], participantType = 'CONTESTANT' }) => {
+	const type = participantType || 'CONTESTANT';
+	if (teamId !== null && teamId !== undefined) {
+		return `${type}:team:${teamId}`;
+	}
+	return `${type}:${[...handles].filter(Boolean).sort().join(',')}`;
+};
+
+/**
+ * Build the participant key of a Codeforces party (submission author, hacker, standings row party)
+ * @param {Object} party - Party ({ teamId, members: [{ handle }], participantType })
+ * @returns {string|null} Participant key, or null if the party has no members
+ */
+export const getPartyKey = (party) => {
+	const handles = (party?.members || []).map(member => member.handle).filter(Boolean);
+	if (handles.length === 0 && (party?.teamId === null || party?.teamId === undefined)) {
+		return null;
+	}
+	return getParticipantKey({
+		teamId: party.teamId ?? null,
+		handles,
+		participantType: party.participantType
+	});
+};
+
+/**
+ * Get the participant key of a stored participant state
+ * States stored before participant keys were introduced hold one state per (first
+ * member) handle; they get the key of that handle, so a chain mixing them with
+ * current states keeps one state per participant.
+ * @param {Object} state - Participant state (snapshot participant or delta change)
+ * @returns {string} Participant key
+ */
+export const getStateKey = (state) => state.participantKey || getParticipantKey({
+	handles: [state.handle],
+	participantType: state.participantType || state.state?.participantType
+});
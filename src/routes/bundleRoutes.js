@@ -0,0 +1,117 @@
+import { Router } from 'express';
+import { contestBundleService } from '../services/contestBundleService.js';
+import { models } from '../data/models/index.js';
+import { logger } from '../helpers/logger.js';
+
+// Mounted under /api/incremental-standings
+const router = Router();
+
+/**
+ * Import Contest Bundle
+ * POST /api/incremental-standings/bundles/import
+ *
+ * Body: NDJSON bundle as produced by GET /:contestId/bundle
+ * (Content-Type: application/x-ndjson)
+ *
+ * Query Parameters:
+ * - overwrite: boolean (optional, default: false) - Replace the contest if it already exists
+ * - fileMode: boolean (optional, default: false) - Write snapshots and standings state to file storage
+ *
+ * The whole bundle is validated (header, records and footer counts) before anything is written,
+ * so an invalid or truncated bundle leaves an existing contest untouched, even with overwrite.
+ */
+router.post('/bundles/import', async (req, res) => {
+	try {
+		const overwrite = req.query.overwrite === 'true';
+		const fileMode = req.query.fileMode === 'true';
+
+		if (req.is('application/json') || req.is('application/x-www-form-urlencoded')) {
+			return res.status(400).json({
+				success: false,
+				error: 'Bundle must be sent as application/x-ndjson'
+			});
+		}
+
+		logger.info(`[API BUNDLE IMPORT] POST /api/incremental-standings/bundles/import (overwrite=${overwrite}, fileMode=${fileMode})`);
+
+		const startTime = Date.now();
+		const result = await contestBundleService.importBundle(req, { overwrite, fileMode });
+
+		if (!result.imported) {
+			return res.status(400).json({
+				success: false,
+				error: result.error
+			});
+		}
+
+		res.status(200).json({
+			success: true,
+			data: {
+				...result,
+				fileMode,
+				importTimeMs: Date.now() - startTime
+			}
+		});
+	} catch (error) {
+		logger.error(`API: Error importing contest bundle: ${error.message}`);
+		res.status(500).json({
+			success: false,
+			error: error.message
+		});
+	}
+});
+
+/**
+ * Export Contest Bundle
+ * GET /api/incremental-standings/:contestId/bundle
+ *
+ * Query Parameters:
+ * - includeSubmissions: boolean (optional, default: false) - Include submissions, hacks and rating changes
+ * - fileMode: boolean (optional, default: false) - Read snapshots and standings state from file storage
+ *
+ * Streams the contest metadata, problems, standings state and base/delta snapshots
+ * as a versioned NDJSON bundle (one JSON record per line).
+ */
+router.get('/:contestId/bundle', async (req, res) => {
+	const contestId = parseInt(req.params.contestId);
+	try {
+		const includeSubmissions = req.query.includeSubmissions === 'true';
+		const fileMode = req.query.fileMode === 'true';
+
+		if (!contestId || contestId <= 0) {
+			return res.status(400).json({
+				success: false,
+				error: 'Invalid contest ID'
+			});
+		}
+
+		const contestCount = await models.Contests.countDocuments({ contestId });
+		if (contestCount === 0) {
+			return res.status(404).json({
+				success: false,
+				error: `Contest ${contestId} not found`
+			});
+		}
+
+		logger.info(`[API BUNDLE EXPORT] GET /api/incremental-standings/${contestId}/bundle (includeSubmissions=${includeSubmissions}, fileMode=${fileMode})`);
+
+		res.status(200);
+		res.setHeader('Content-Type', 'application/x-ndjson');
+		res.setHeader('Content-Disposition', `attachment; filename="contest-${contestId}.ndjson"`);
+		await contestBundleService.exportContest(contestId, res, { includeSubmissions, fileMode });
+		res.end();
+	} catch (error) {
+		logger.error(`API: Error exporting bundle for contest ${contestId}: ${error.message}`);
+		if (res.headersSent) {
+			// The bundle is already partly sent: abort so the client sees a truncated download
+			res.destroy(error);
+			return;
+		}
+		res.status(500).json({
+			success: false,
+			error: error.message
+		});
+	}
+});
+
+export default router;
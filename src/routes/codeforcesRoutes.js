@@ -2,10 +2,14 @@ import { Router } from 'express';
 import { codeforcesAPI } from '../helpers/codeforcesAPI.js';
 import { codeforcesDataService } from '../services/codeforcesDataService.js';
 import { models } from '../data/models/index.js';
+import { jobService, JOB_TYPE } from '../services/jobService.js';
 import { logger } from '../helpers/logger.js';
 
 const router = Router();
 
+// Profiles accepted by one PUT /profiles request
+const MAX_PROFILES_PER_REQUEST = 10000;
+
 /**
  * Store complete contest data
  * POST /api/codeforces/contests/:contestId/store
@@ -137,6 +141,9 @@ router.post('/contests/:contestId/store', async (req, res) => {
  * Fetches all contests from Codeforces API and stores in MongoDB.
  * Contest list is always updated (not one-time write), but individual contest data
  * follows one-time write rules when stored via /contests/:contestId/store
+ * 
+ * Runs as a background job: the response is 202 with a jobId, and GET /api/jobs/:jobId
+ * returns the stored contest counts once the job has finished.
  */
 router.post('/contests/store-list', async (req, res) => {
 	try {
@@ -146,43 +153,17 @@ router.post('/contests/store-list', async (req, res) => {
 
 		logger.info(`API: Storing contest list (includeGym=${includeGym}, force=${force})`);
 
-		const startTime = Date.now();
-
-		// Fetch contest list from Codeforces API
-		const contests = await codeforcesAPI.getContestList(includeGym);
-
-		const fetchTime = Date.now() - startTime;
-
-		// Store contest list in MongoDB
-		// Contest list is always stored/updated (not one-time write)
-		const storeStartTime = Date.now();
-		await codeforcesDataService.storeContestList(contests);
-		const storeTime = Date.now() - storeStartTime;
+		// The list is fetched and stored by a background job; the client polls /api/jobs/:jobId
+		const job = await jobService.enqueue(JOB_TYPE.STORE_CONTEST_LIST, { includeGym, force });
 
-		const totalTime = Date.now() - startTime;
-
-		// Get count of already fetched contests from the list
-		const contestIds = contests.map(c => c.id);
-		const fetchedCount = await models.FetchedContests.countDocuments({
-			contestId: { $in: contestIds }
-		});
-
-		logger.info(`API: Stored contest list - Fetch: ${fetchTime}ms, Store: ${storeTime}ms, Total: ${totalTime}ms`);
-
-		res.status(200).json({
+		res.status(202).json({
 			success: true,
-			message: 'Contest list stored successfully',
+			message: 'Contest list storage queued',
 			data: {
-				contestsCount: contests.length,
-				includeGym,
-				fetchedContestsCount: fetchedCount,
-				unfetchedContestsCount: contests.length - fetchedCount,
-				performance: {
-					fetchTimeMs: fetchTime,
-					storeTimeMs: storeTime,
-					totalTimeMs: totalTime
-				},
-				note: 'Contest list is always updated. Individual contest data follows one-time write rules.'
+				jobId: job.jobId,
+				status: job.status,
+				statusUrl: `/api/jobs/${job.jobId}`,
+				includeGym
 			}
 		});
 	} catch (error) {
@@ -361,5 +342,78 @@ router.get('/contests/:contestId/submissions', async (req, res) => {
 	}
 });
 
-export default router;
+/**
+ * Store participant profiles
+ * PUT /api/codeforces/profiles
+ * 
+ * Body Parameters:
+ * - profiles: Array (required) - [{ handle, country, organization, city }], at most 10000 per request
+ * 
+ * Stores the metadata the incremental standings can be filtered by (country, organization).
+ * A profile replaces the stored profile of the same handle (case-insensitive).
+ */
+router.put('/profiles', async (req, res) => {
+	try {
+		const profiles = req.body?.profiles;
+
+		if (!Array.isArray(profiles) || profiles.length === 0 || profiles.length > MAX_PROFILES_PER_REQUEST) {
+			return res.status(400).json({
+				success: false,
+				error: `profiles must be a non-empty array of at most ${MAX_PROFILES_PER_REQUEST} profiles`
+			});
+		}
+
+		if (profiles.some(profile => typeof profile?.handle !== 'string' || !profile.handle.trim())) {
+			return res.status(400).json({
+				success: false,
+				error: 'Every profile needs a handle'
+			});
+		}
+
+		logger.info(`API: Storing ${profiles.length} participant profile(s)`);
+		const stored = await codeforcesDataService.upsertParticipantProfiles(profiles);
+
+		res.status(200).json({
+			success: true,
+			data: {
+				stored
+			}
+		});
+	} catch (error) {
+		logger.error(`API Error storing participant profiles: ${error.message}`);
+		res.status(500).json({
+			success: false,
+			error: error.message || 'Failed to store participant profiles'
+		});
+	}
+});
+
+/**
+ * Get participant profiles
+ * GET /api/codeforces/profiles
+ * 
+ * Query Parameters:
+ * - handles: string (optional) - Comma-separated handles (default: all profiles)
+ */
+router.get('/profiles', async (req, res) => {
+	try {
+		const handles = req.query.handles ? req.query.handles.split(',').map(handle => handle.trim()).filter(Boolean) : null;
+		const profiles = await codeforcesDataService.getParticipantProfiles(handles);
 
+		res.status(200).json({
+			success: true,
+			data: {
+				count: profiles.length,
+				profiles
+			}
+		});
+	} catch (error) {
+		logger.error(`API Error getting participant profiles: ${error.message}`);
+		res.status(500).json({
+			success: false,
+			error: error.message || 'Failed to get participant profiles'
+		});
+	}
+});
+
+export default router;
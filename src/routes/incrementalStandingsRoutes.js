@@ -1,10 +1,21 @@
 import { Router } from 'express';
-import { incrementalSimulationService } from '../services/incrementalSimulationService.js';
+import { incrementalSimulationService, STANDINGS_VIEW } from '../services/incrementalSimulationService.js';
 import { snapshotService } from '../services/snapshotService.js';
 import { simulationService } from '../services/simulationService.js';
+import { isValidVerdictMode, VERDICT_MODE } from '../services/verdictPolicy.js';
+import { snapshotCompactionService } from '../services/snapshotCompactionService.js';
+import { snapshotIntegrityService } from '../services/snapshotIntegrityService.js';
+import { validateRetentionPolicy } from '../services/snapshotCompaction.js';
+import { validatePlannerOptions, planFixedSnapshots } from '../services/snapshotPlanner.js';
+import { jobService, JOB_TYPE } from '../services/jobService.js';
+import { MOVEMENT_SORT } from '../services/rankMovement.js';
+import { validateStandingsFilter, RANK_SCOPE } from '../services/standingsFilter.js';
+import { contestEventService, CONTEST_EVENT_TYPE, DEFAULT_EVENT_LIMIT, MAX_EVENT_LIMIT } from '../services/contestEventService.js';
+import { standingsStateCache } from '../services/standingsStateCache.js';
 import { models } from '../data/models/index.js';
 import { getModels } from '../services/modelProvider.js';
 import { logger } from '../helpers/logger.js';
+import { getPartyKey } from '../helpers/participantKey.js';
 
 const router = Router();
 
@@ -111,6 +122,7 @@ router.get('/:contestId/state/info', async (req, res) => {
 				fileMode,
 				storageMode: fileMode ? 'file' : 'MongoDB',
 				sampleParticipant: sampleParticipant ? {
+					participantKey: sampleParticipant.participantKey,
 					handle: sampleParticipant.handle,
 					totalPoints: sampleParticipant.totalPoints,
 					totalPenalty: sampleParticipant.totalPenalty,
@@ -398,8 +410,21 @@ router.post('/:contestId/snapshots', async (req, res) => {
  * - rankTo: number (optional, default: null) - Ending rank (1-indexed, inclusive)
  * - showUnofficial: boolean (optional, default: false) - Include unofficial participants
  * - fileMode: boolean (optional, default: false) - Use file storage instead of MongoDB
+ * - view: string (optional, default: 'jury') - 'jury' for true results, 'public' for the frozen scoreboard
+ * - handleContains: string (optional) - Handle (or team name) substring, case-insensitive
+ * - participantTypes: string (optional) - Comma-separated: CONTESTANT, VIRTUAL, OUT_OF_COMPETITION, PRACTICE
+ * - handles: string (optional) - Comma-separated handles (case-insensitive)
+ * - country: string (optional) - Country of the participant profile
+ * - organization: string (optional) - Organization of the participant profile
+ * - rankScope: string (optional, default: 'global') - 'global' ranks among all participants,
+ *   'filtered' among the selected ones; rows always carry globalRank/globalRankRange
  * 
  * Returns standings at the specified timestamp using snapshot replay.
+ * In the public view, after the contest freeze time results are those at the freeze,
+ * and later attempts are reported as `pendingCount` in problemResults.
+ * Tied participants share a rank: each row has `rank` (first place of the tie group)
+ * and `rankRange` ("3-5", or "3" when not tied). Tie groups crossing rankFrom/rankTo
+ * are returned whole.
  */
 router.get('/:contestId/standings', async (req, res) => {
 	try {
@@ -409,6 +434,16 @@ router.get('/:contestId/standings', async (req, res) => {
 		const rankTo = req.query.rankTo ? parseInt(req.query.rankTo) : null;
 		const showUnofficial = req.query.showUnofficial === 'true';
 		const fileMode = req.query.fileMode === 'true';
+		const view = req.query.view || STANDINGS_VIEW.JURY;
+		const parseList = value => (value ? value.split(',').map(item => item.trim()).filter(Boolean) : null);
+		const filter = {
+			handleContains: req.query.handleContains || null,
+			participantTypes: parseList(req.query.participantTypes),
+			handles: parseList(req.query.handles),
+			country: req.query.country || null,
+			organization: req.query.organization || null,
+			rankScope: req.query.rankScope || RANK_SCOPE.GLOBAL
+		};
 
 		if (!contestId || contestId <= 0) {
 			return res.status(400).json({
@@ -424,6 +459,13 @@ router.get('/:contestId/standings', async (req, res) => {
 			});
 		}
 
+		if (!Object.values(STANDINGS_VIEW).includes(view)) {
+			return res.status(400).json({
+				success: false,
+				error: `view must be one of: ${Object.values(STANDINGS_VIEW).join(', ')}`
+			});
+		}
+
 		if (rankFrom < 1) {
 			return res.status(400).json({
 				success: false,
@@ -438,10 +480,18 @@ router.get('/:contestId/standings', async (req, res) => {
 			});
 		}
 
+		const filterError = validateStandingsFilter(filter);
+		if (filterError) {
+			return res.status(400).json({
+				success: false,
+				error: filterError
+			});
+		}
+
 		const storageMode = fileMode ? 'file' : 'MongoDB';
 		logger.info(`[API GET STANDINGS] ========================================`);
 		logger.info(`[API GET STANDINGS] GET /api/incremental-standings/${contestId}/standings`);
-		logger.info(`[API GET STANDINGS] Parameters: timestampSeconds=${timestampSeconds}, rankFrom=${rankFrom}, rankTo=${rankTo || 'end'}, showUnofficial=${showUnofficial}, fileMode=${fileMode}, storageMode=${storageMode}`);
+		logger.info(`[API GET STANDINGS] Parameters: timestampSeconds=${timestampSeconds}, rankFrom=${rankFrom}, rankTo=${rankTo || 'end'}, showUnofficial=${showUnofficial}, view=${view}, fileMode=${fileMode}, storageMode=${storageMode}, filter=${JSON.stringify(filter)}`);
 		logger.info(`[API GET STANDINGS] ========================================`);
 
 		const startTime = Date.now();
@@ -455,7 +505,8 @@ router.get('/:contestId/standings', async (req, res) => {
 			rankFrom,
 			rankTo,
 			showUnofficial,
-			fileMode
+			fileMode,
+			{ view, filter }
 		);
 		
 		const elapsed = Date.now() - startTime;
@@ -477,6 +528,10 @@ router.get('/:contestId/standings', async (req, res) => {
 				rankFrom,
 				rankTo,
 				showUnofficial,
+				filter,
+				view: result.view,
+				frozen: result.frozen,
+				freezeTimeSeconds: result.freezeTimeSeconds,
 				queryTimeMs: elapsed,
 				fileMode,
 				storageMode,
@@ -496,29 +551,22 @@ router.get('/:contestId/standings', async (req, res) => {
 });
 
 /**
- * Create Snapshots at Intervals (Bulk Creation)
- * POST /api/incremental-standings/:contestId/snapshots/bulk
- * 
- * Body Parameters:
- * - baseInterval: number (optional, default: 120) - Interval for base snapshots in seconds
- * - deltaInterval: number (optional, default: 10) - Interval for delta snapshots in seconds
- * - endTimestamp: number (optional) - End timestamp (relative to contest start). If not provided, uses contest duration
- * - startTimestamp: number (optional, default: 0) - Start timestamp (relative to contest start)
- * 
- * Query Parameters:
- * - fileMode: boolean (optional, default: false) - Use file storage instead of MongoDB
+ * Set Scoreboard Freeze Time
+ * PUT /api/incremental-standings/:contestId/freeze
  * 
- * Creates base snapshots at baseInterval intervals and delta snapshots at deltaInterval intervals,
- * starting from startTimestamp (default 0) up to endTimestamp (or contest duration).
+ * Body:
+ * {
+ *   "freezeTimeSeconds": number|null  // Relative to contest start, null to clear
+ * }
  * 
- * Note: Delta snapshots are NOT created at base snapshot timestamps.
+ * Sets the time after which the public standings view is frozen.
+ * Contests flagged as frozen without a freeze time freeze for the final hour.
  */
-router.post('/:contestId/snapshots/bulk', async (req, res) => {
+router.put('/:contestId/freeze', async (req, res) => {
 	try {
 		const contestId = parseInt(req.params.contestId);
-		const { baseInterval = 120, deltaInterval = 10, endTimestamp = null, startTimestamp = 0 } = req.body;
-		const fileMode = req.query.fileMode === 'true';
-		
+		const { freezeTimeSeconds = null } = req.body;
+
 		if (!contestId || contestId <= 0) {
 			return res.status(400).json({
 				success: false,
@@ -526,157 +574,940 @@ router.post('/:contestId/snapshots/bulk', async (req, res) => {
 			});
 		}
 
-		if (baseInterval <= 0 || deltaInterval <= 0) {
+		if (freezeTimeSeconds !== null && (typeof freezeTimeSeconds !== 'number' || freezeTimeSeconds < 0)) {
 			return res.status(400).json({
 				success: false,
-				error: 'baseInterval and deltaInterval must be > 0'
+				error: 'freezeTimeSeconds must be a number >= 0 or null'
 			});
 		}
 
-		if (startTimestamp < 0) {
+		logger.info(`[API FREEZE] PUT /api/incremental-standings/${contestId}/freeze (freezeTimeSeconds=${freezeTimeSeconds})`);
+
+		const { codeforcesDataService } = await import('../services/codeforcesDataService.js');
+		const contest = await codeforcesDataService.setContestFreezeTime(contestId, freezeTimeSeconds);
+
+		if (!contest) {
+			return res.status(404).json({
+				success: false,
+				error: `Contest ${contestId} not found`
+			});
+		}
+
+		res.status(200).json({
+			success: true,
+			data: {
+				contestId,
+				freezeTimeSeconds: contest.freezeTimeSeconds,
+				effectiveFreezeTimeSeconds: incrementalSimulationService.getFreezeTimeSeconds(contest)
+			}
+		});
+	} catch (error) {
+		logger.error(`API: Error setting freeze time for contest ${req.params.contestId}: ${error.message}`);
+		res.status(500).json({
+			success: false,
+			error: error.message
+		});
+	}
+});
+
+/**
+ * Set Verdict Mode
+ * PUT /api/incremental-standings/:contestId/verdict-mode
+ * 
+ * Body:
+ * {
+ *   "verdictMode": "live"|"final"|null  // As seen during the round (pretests), as finalized (system tests), or live until the contest is finished
+ * }
+ * 
+ * Sets how submission verdicts are replayed. Compile errors and skipped submissions
+ * never count. Snapshots and standings state are built with the mode at creation time,
+ * so recreate them after changing it.
+ */
+router.put('/:contestId/verdict-mode', async (req, res) => {
+	try {
+		const contestId = parseInt(req.params.contestId);
+		const { verdictMode } = req.body;
+
+		if (!contestId || contestId <= 0) {
 			return res.status(400).json({
 				success: false,
-				error: 'startTimestamp must be >= 0'
+				error: 'Invalid contest ID'
 			});
 		}
 
-		if (endTimestamp !== null && endTimestamp <= startTimestamp) {
+		if (verdictMode !== null && !isValidVerdictMode(verdictMode)) {
 			return res.status(400).json({
 				success: false,
-				error: 'endTimestamp must be > startTimestamp'
+				error: `verdictMode must be one of: ${Object.values(VERDICT_MODE).join(', ')} or null`
 			});
 		}
 
-		// Get contest to determine duration if endTimestamp not provided
+		logger.info(`[API VERDICT MODE] PUT /api/incremental-standings/${contestId}/verdict-mode (verdictMode=${verdictMode})`);
+
 		const { codeforcesDataService } = await import('../services/codeforcesDataService.js');
-		const contest = await codeforcesDataService.getContestFromDB(contestId);
-		
+		const contest = await codeforcesDataService.setContestVerdictMode(contestId, verdictMode);
+
 		if (!contest) {
 			return res.status(404).json({
 				success: false,
-				error: `Contest ${contestId} not found in database. Please fetch contest data first.`
+				error: `Contest ${contestId} not found`
 			});
 		}
 
-		const finalEndTimestamp = endTimestamp !== null ? endTimestamp : (contest.durationSeconds || 7200);
-		const storageMode = fileMode ? 'file' : 'MongoDB';
-		
-		logger.info(`[API BULK SNAPSHOTS] ========================================`);
-		logger.info(`[API BULK SNAPSHOTS] POST /api/incremental-standings/${contestId}/snapshots/bulk`);
-		logger.info(`[API BULK SNAPSHOTS] Parameters: baseInterval=${baseInterval}s, deltaInterval=${deltaInterval}s, startTimestamp=${startTimestamp}, endTimestamp=${finalEndTimestamp}, fileMode=${fileMode}, storageMode=${storageMode}`);
-		logger.info(`[API BULK SNAPSHOTS] Contest: ${contest.name} (Duration: ${contest.durationSeconds || 'unknown'}s)`);
-		logger.info(`[API BULK SNAPSHOTS] ========================================`);
+		res.status(200).json({
+			success: true,
+			data: {
+				contestId,
+				verdictMode: contest.verdictMode
+			}
+		});
+	} catch (error) {
+		logger.error(`API: Error setting verdict mode for contest ${req.params.contestId}: ${error.message}`);
+		res.status(500).json({
+			success: false,
+			error: error.message
+		});
+	}
+});
+
+/**
+ * Get Participant Timeline
+ * GET /api/incremental-standings/:contestId/participants/:handle/timeline
+ * 
+ * Query Parameters:
+ * - stepSeconds: number (optional) - Point interval; without it there is one point per snapshot
+ * - fromTimestamp: number (optional, default: 0) - Start of the timeline (relative seconds)
+ * - toTimestamp: number (optional, default: contest duration) - End of the timeline (relative seconds)
+ * - showUnofficial: boolean (optional, default: false) - Rank among unofficial participants too
+ * - fileMode: boolean (optional, default: false) - Use file storage instead of MongoDB
+ * 
+ * Returns the participant's rank, points, penalty and solved count at every point (jury view),
+ * plus the exact moments of each solve, rejection and hack. Points are read from the snapshot
+ * chain in one pass; a step is raised if the timeline would have more than MAX_TIMELINE_POINTS points.
+ */
+router.get('/:contestId/participants/:handle/timeline', async (req, res) => {
+	try {
+		const contestId = parseInt(req.params.contestId);
+		const handle = req.params.handle;
+		const stepSeconds = req.query.stepSeconds ? parseInt(req.query.stepSeconds) : null;
+		const fromTimestamp = req.query.fromTimestamp ? parseInt(req.query.fromTimestamp) : 0;
+		const toTimestamp = req.query.toTimestamp ? parseInt(req.query.toTimestamp) : null;
+		const showUnofficial = req.query.showUnofficial === 'true';
+		const fileMode = req.query.fileMode === 'true';
+
+		if (!contestId || contestId <= 0) {
+			return res.status(400).json({
+				success: false,
+				error: 'Invalid contest ID'
+			});
+		}
+
+		if (stepSeconds !== null && !(stepSeconds > 0)) {
+			return res.status(400).json({
+				success: false,
+				error: 'stepSeconds must be > 0'
+			});
+		}
+
+		if (!(fromTimestamp >= 0) || (toTimestamp !== null && !(toTimestamp >= fromTimestamp))) {
+			return res.status(400).json({
+				success: false,
+				error: 'fromTimestamp must be >= 0 and toTimestamp must be >= fromTimestamp'
+			});
+		}
+
+		logger.info(`[API PARTICIPANT TIMELINE] GET /api/incremental-standings/${contestId}/participants/${handle}/timeline (step=${stepSeconds ?? 'snapshots'}, from=${fromTimestamp}, to=${toTimestamp ?? 'end'}, showUnofficial=${showUnofficial}, fileMode=${fileMode})`);
 
 		const startTime = Date.now();
-		
-		// Calculate all snapshot timestamps
-		const baseTimestamps = [];
-		const deltaTimestamps = [];
-		
-		// Calculate base snapshot timestamps
-		// Always start from 0 if startTimestamp is 0, otherwise from first multiple >= startTimestamp
-		const firstBaseTimestamp = startTimestamp === 0 ? 0 : Math.ceil(startTimestamp / baseInterval) * baseInterval;
-		for (let t = firstBaseTimestamp; t <= finalEndTimestamp; t += baseInterval) {
-			baseTimestamps.push(t);
+		const timeline = await incrementalSimulationService.getParticipantTimeline(contestId, handle, {
+			fromTimestamp,
+			toTimestamp,
+			stepSeconds,
+			showUnofficial,
+			fileMode
+		});
+
+		if (!timeline) {
+			return res.status(404).json({
+				success: false,
+				error: `No contest ${contestId} or no submissions of ${handle} in it`
+			});
 		}
-		
-		// Calculate delta snapshot timestamps (every deltaInterval, but not at base intervals)
-		// Always start from 0 if startTimestamp is 0, otherwise from first multiple >= startTimestamp
-		const firstDeltaTimestamp = startTimestamp === 0 ? 0 : Math.ceil(startTimestamp / deltaInterval) * deltaInterval;
-		for (let t = firstDeltaTimestamp; t <= finalEndTimestamp; t += deltaInterval) {
-			// Only add if not at a base snapshot interval
-			if (t % baseInterval !== 0) {
-				deltaTimestamps.push(t);
+
+		const elapsed = Date.now() - startTime;
+		logger.info(`[API PARTICIPANT TIMELINE] ✓ Returned ${timeline.points.length} point(s) and ${timeline.moments.length} moment(s) (took ${elapsed}ms)`);
+
+		res.status(200).json({
+			success: true,
+			data: {
+				...timeline,
+				showUnofficial,
+				queryTimeMs: elapsed,
+				fileMode
 			}
+		});
+	} catch (error) {
+		logger.error(`API: Error getting timeline of ${req.params.handle} in contest ${req.params.contestId}: ${error.message}`);
+		res.status(500).json({
+			success: false,
+			error: error.message
+		});
+	}
+});
+
+/**
+ * Get Rank Movement
+ * GET /api/incremental-standings/:contestId/movement
+ * 
+ * Query Parameters:
+ * - fromTimestamp: number (required) - Start time relative to contest start (seconds)
+ * - toTimestamp: number (required) - End time relative to contest start (seconds)
+ * - sortBy: string (optional, default: 'climb') - climb, fall, change, rank or points
+ * - topN: number (optional) - Only participants ranked within the top N at toTimestamp
+ * - limit: number (optional, default: 100) - Maximum number of rows
+ * - showUnofficial: boolean (optional, default: false) - Rank unofficial participants too
+ * - fileMode: boolean (optional, default: false) - Use file storage instead of MongoDB
+ * 
+ * Returns, per participant, the rank and points at both timestamps and the change between them
+ * (rankChange > 0 is a climb), the leaders at both ends and every lead change in between.
+ * Both states are rebuilt in one walk over the snapshot chain.
+ */
+router.get('/:contestId/movement', async (req, res) => {
+	try {
+		const contestId = parseInt(req.params.contestId);
+		const fromTimestamp = req.query.fromTimestamp ? parseInt(req.query.fromTimestamp) : null;
+		const toTimestamp = req.query.toTimestamp ? parseInt(req.query.toTimestamp) : null;
+		const sortBy = req.query.sortBy || MOVEMENT_SORT.CLIMB;
+		const topN = req.query.topN ? parseInt(req.query.topN) : null;
+		const limit = req.query.limit ? parseInt(req.query.limit) : undefined;
+		const showUnofficial = req.query.showUnofficial === 'true';
+		const fileMode = req.query.fileMode === 'true';
+
+		if (!contestId || contestId <= 0) {
+			return res.status(400).json({
+				success: false,
+				error: 'Invalid contest ID'
+			});
 		}
-		
-		logger.info(`[API BULK SNAPSHOTS] Will create ${baseTimestamps.length} base snapshot(s) at timestamps: [${baseTimestamps.join(', ')}]`);
-		logger.info(`[API BULK SNAPSHOTS] Will create ${deltaTimestamps.length} delta snapshot(s) at timestamps: [${deltaTimestamps.slice(0, 10).join(', ')}${deltaTimestamps.length > 10 ? `, ... (${deltaTimestamps.length} total)` : ''}]`);
-		
-		// Create snapshots
-		const createdSnapshots = {
-			base: [],
-			delta: [],
-			errors: []
-		};
-		
-		// Create base snapshots
-		for (const timestamp of baseTimestamps) {
-			try {
-				logger.info(`[API BULK SNAPSHOTS] Creating base snapshot at timestamp ${timestamp} (${baseTimestamps.indexOf(timestamp) + 1}/${baseTimestamps.length})`);
-				const snapshot = await snapshotService.createBaseSnapshot(contestId, timestamp, fileMode);
-				createdSnapshots.base.push({
-					timestampSeconds: timestamp,
-					snapshotId: snapshot._id,
-					participantCount: snapshot.participantCount,
-					createdAt: snapshot.createdAt
-				});
-			} catch (error) {
-				logger.error(`[API BULK SNAPSHOTS] Error creating base snapshot at timestamp ${timestamp}: ${error.message}`);
-				createdSnapshots.errors.push({
-					timestampSeconds: timestamp,
-					type: 'BASE',
-					error: error.message
-				});
-			}
+
+		if (!(fromTimestamp >= 0) || !(toTimestamp > fromTimestamp)) {
+			return res.status(400).json({
+				success: false,
+				error: 'fromTimestamp (>= 0) and toTimestamp (> fromTimestamp) query parameters are required'
+			});
 		}
-		
-		// Create delta snapshots
-		for (const timestamp of deltaTimestamps) {
-			try {
-				const progress = deltaTimestamps.indexOf(timestamp) + 1;
-				if (progress % 10 === 0 || progress === deltaTimestamps.length) {
-					logger.info(`[API BULK SNAPSHOTS] Creating delta snapshot at timestamp ${timestamp} (${progress}/${deltaTimestamps.length})`);
-				}
-				const snapshot = await snapshotService.createDeltaSnapshot(contestId, timestamp, fileMode);
-				createdSnapshots.delta.push({
-					timestampSeconds: timestamp,
-					snapshotId: snapshot._id,
-					changeCount: snapshot.changeCount,
-					baseSnapshotTimestamp: snapshot.baseSnapshotTimestamp,
-					createdAt: snapshot.createdAt
-				});
-			} catch (error) {
-				logger.error(`[API BULK SNAPSHOTS] Error creating delta snapshot at timestamp ${timestamp}: ${error.message}`);
-				createdSnapshots.errors.push({
-					timestampSeconds: timestamp,
-					type: 'DELTA',
-					error: error.message
-				});
-			}
+
+		if (!Object.values(MOVEMENT_SORT).includes(sortBy)) {
+			return res.status(400).json({
+				success: false,
+				error: `sortBy must be one of: ${Object.values(MOVEMENT_SORT).join(', ')}`
+			});
 		}
-		
+
+		if ((topN !== null && !(topN >= 1)) || (limit !== undefined && !(limit >= 1))) {
+			return res.status(400).json({
+				success: false,
+				error: 'topN and limit must be >= 1'
+			});
+		}
+
+		logger.info(`[API RANK MOVEMENT] GET /api/incremental-standings/${contestId}/movement (from=${fromTimestamp}, to=${toTimestamp}, sortBy=${sortBy}, topN=${topN ?? 'all'}, limit=${limit ?? 'default'}, showUnofficial=${showUnofficial}, fileMode=${fileMode})`);
+
+		const startTime = Date.now();
+		const report = await incrementalSimulationService.getRankMovement(contestId, fromTimestamp, toTimestamp, {
+			sortBy,
+			topN,
+			limit,
+			showUnofficial,
+			fileMode
+		});
+
+		if (!report) {
+			return res.status(404).json({
+				success: false,
+				error: `Contest ${contestId} not found`
+			});
+		}
+
 		const elapsed = Date.now() - startTime;
-		
-		logger.info(`[API BULK SNAPSHOTS] ========================================`);
-		logger.info(`[API BULK SNAPSHOTS] ✓ Bulk snapshot creation completed`);
-		logger.info(`[API BULK SNAPSHOTS]   - Contest ID: ${contestId}`);
-		logger.info(`[API BULK SNAPSHOTS]   - Base snapshots created: ${createdSnapshots.base.length}/${baseTimestamps.length}`);
-		logger.info(`[API BULK SNAPSHOTS]   - Delta snapshots created: ${createdSnapshots.delta.length}/${deltaTimestamps.length}`);
-		logger.info(`[API BULK SNAPSHOTS]   - Errors: ${createdSnapshots.errors.length}`);
-		logger.info(`[API BULK SNAPSHOTS]   - Total time: ${elapsed}ms`);
-		logger.info(`[API BULK SNAPSHOTS] ========================================`);
+		logger.info(`[API RANK MOVEMENT] ✓ Returned ${report.rows.length} row(s) and ${report.leadChanges.length} lead change(s) (took ${elapsed}ms)`);
 
-		res.status(201).json({
+		res.status(200).json({
 			success: true,
-			message: `Bulk snapshot creation completed for contest ${contestId}`,
 			data: {
-				contestId,
-				contestName: contest.name,
-				baseInterval,
-				deltaInterval,
-				startTimestamp,
-				endTimestamp: finalEndTimestamp,
-				contestDuration: contest.durationSeconds,
-				createdSnapshots: {
-					baseCount: createdSnapshots.base.length,
-					deltaCount: createdSnapshots.delta.length,
-					totalCount: createdSnapshots.base.length + createdSnapshots.delta.length,
-					baseSnapshots: createdSnapshots.base,
-					deltaSnapshots: createdSnapshots.delta
-				},
-				errors: createdSnapshots.errors.length > 0 ? createdSnapshots.errors : undefined,
-				creationTimeMs: elapsed,
+				...report,
+				showUnofficial,
+				rowCount: report.rows.length,
+				queryTimeMs: elapsed,
+				fileMode
+			}
+		});
+	} catch (error) {
+		logger.error(`API: Error getting rank movement for contest ${req.params.contestId}: ${error.message}`);
+		res.status(500).json({
+			success: false,
+			error: error.message
+		});
+	}
+});
+
+/**
+ * Get Contest Events
+ * GET /api/incremental-standings/:contestId/events
+ * 
+ * Query Parameters:
+ * - fromTimestamp: number (optional) - Earliest event time relative to contest start (seconds, inclusive)
+ * - toTimestamp: number (optional) - Latest event time relative to contest start (seconds, inclusive)
+ * - types: string (optional) - Comma-separated: FIRST_SOLVE, LEAD_CHANGE, TOP_N_ENTRY, TOP_N_EXIT, ALL_SOLVED, SUCCESSFUL_HACK
+ * - limit: number (optional, default: 100, max: 1000) - Number of events to return
+ * - skip: number (optional, default: 0) - Number of events to skip
+ * 
+ * Returns the notable events recorded while the snapshots of the contest were created,
+ * in chronological order.
+ */
+router.get('/:contestId/events', async (req, res) => {
+	try {
+		const contestId = parseInt(req.params.contestId);
+		const fromTimestamp = req.query.fromTimestamp ? parseInt(req.query.fromTimestamp) : null;
+		const toTimestamp = req.query.toTimestamp ? parseInt(req.query.toTimestamp) : null;
+		const types = req.query.types ? req.query.types.split(',').map(type => type.trim()).filter(Boolean) : null;
+		const limit = req.query.limit ? parseInt(req.query.limit) : DEFAULT_EVENT_LIMIT;
+		const skip = req.query.skip ? parseInt(req.query.skip) : 0;
+
+		if (!contestId || contestId <= 0) {
+			return res.status(400).json({
+				success: false,
+				error: 'Invalid contest ID'
+			});
+		}
+
+		if ((fromTimestamp !== null && !(fromTimestamp >= 0)) || (toTimestamp !== null && !(toTimestamp >= (fromTimestamp ?? 0)))) {
+			return res.status(400).json({
+				success: false,
+				error: 'fromTimestamp must be >= 0 and toTimestamp >= fromTimestamp'
+			});
+		}
+
+		const invalidType = (types || []).find(type => !Object.values(CONTEST_EVENT_TYPE).includes(type));
+		if (invalidType) {
+			return res.status(400).json({
+				success: false,
+				error: `types must be among: ${Object.values(CONTEST_EVENT_TYPE).join(', ')} (got ${invalidType})`
+			});
+		}
+
+		if (!(limit >= 1 && limit <= MAX_EVENT_LIMIT) || !(skip >= 0)) {
+			return res.status(400).json({
+				success: false,
+				error: `limit must be between 1 and ${MAX_EVENT_LIMIT} and skip >= 0`
+			});
+		}
+
+		logger.info(`[API CONTEST EVENTS] GET /api/incremental-standings/${contestId}/events (from=${fromTimestamp ?? 'start'}, to=${toTimestamp ?? 'end'}, types=${types ? types.join(',') : 'all'}, limit=${limit}, skip=${skip})`);
+
+		const result = await contestEventService.getEvents(contestId, { fromTimestamp, toTimestamp, types, limit, skip });
+
+		logger.info(`[API CONTEST EVENTS] ✓ Returned ${result.events.length} of ${result.pagination.total} event(s)`);
+
+		res.status(200).json({
+			success: true,
+			data: result
+		});
+	} catch (error) {
+		logger.error(`API: Error getting events for contest ${req.params.contestId}: ${error.message}`);
+		res.status(500).json({
+			success: false,
+			error: error.message
+		});
+	}
+});
+
+/**
+ * Get Problem Stats at Time
+ * GET /api/incremental-standings/:contestId/problems/stats
+ * 
+ * Query Parameters:
+ * - timestampSeconds: number (required) - Timestamp relative to contest start (seconds)
+ * - bucketSeconds: number (optional, default: 300) - Solve curve bucket; raised to keep at most 1000 buckets
+ * - showUnofficial: boolean (optional, default: false) - Count unofficial participants too
+ * - fileMode: boolean (optional, default: false) - Use file storage instead of MongoDB
+ * 
+ * Returns, per problem, the solve, tried and attempt counts, acceptance rate, first solve
+ * (time and solvers), average solve time and the solves per bucket up to the timestamp,
+ * from the state at the last snapshot at or before it.
+ */
+router.get('/:contestId/problems/stats', async (req, res) => {
+	try {
+		const contestId = parseInt(req.params.contestId);
+		const timestampSeconds = req.query.timestampSeconds ? parseInt(req.query.timestampSeconds) : null;
+		const bucketSeconds = req.query.bucketSeconds ? parseInt(req.query.bucketSeconds) : null;
+		const showUnofficial = req.query.showUnofficial === 'true';
+		const fileMode = req.query.fileMode === 'true';
+
+		if (!contestId || contestId <= 0) {
+			return res.status(400).json({
+				success: false,
+				error: 'Invalid contest ID'
+			});
+		}
+
+		if (timestampSeconds === null || !(timestampSeconds >= 0)) {
+			return res.status(400).json({
+				success: false,
+				error: 'timestampSeconds query parameter is required and must be >= 0'
+			});
+		}
+
+		if (bucketSeconds !== null && !(bucketSeconds >= 1)) {
+			return res.status(400).json({
+				success: false,
+				error: 'bucketSeconds must be >= 1'
+			});
+		}
+
+		logger.info(`[API PROBLEM STATS] GET /api/incremental-standings/${contestId}/problems/stats (timestampSeconds=${timestampSeconds}, bucketSeconds=${bucketSeconds ?? 'default'}, showUnofficial=${showUnofficial}, fileMode=${fileMode})`);
+
+		const startTime = Date.now();
+		const report = await incrementalSimulationService.getProblemStatsAt(contestId, timestampSeconds, {
+			bucketSeconds,
+			showUnofficial,
+			fileMode
+		});
+
+		if (!report) {
+			return res.status(404).json({
+				success: false,
+				error: `Contest ${contestId} not found`
+			});
+		}
+
+		const elapsed = Date.now() - startTime;
+		logger.info(`[API PROBLEM STATS] ✓ Returned stats of ${report.problems.length} problem(s) (took ${elapsed}ms)`);
+
+		res.status(200).json({
+			success: true,
+			data: {
+				...report,
+				showUnofficial,
+				queryTimeMs: elapsed,
+				fileMode
+			}
+		});
+	} catch (error) {
+		logger.error(`API: Error getting problem stats for contest ${req.params.contestId}: ${error.message}`);
+		res.status(500).json({
+			success: false,
+			error: error.message
+		});
+	}
+});
+
+/**
+ * Get Verdict Corrections
+ * GET /api/incremental-standings/:contestId/rejudges
+ * 
+ * Query Parameters:
+ * - pending: boolean (optional, default: false) - Only corrections whose snapshots were not rebuilt yet
+ * 
+ * Lists submissions whose verdict changed (or that disappeared) when the contest was re-ingested.
+ */
+router.get('/:contestId/rejudges', async (req, res) => {
+	try {
+		const contestId = parseInt(req.params.contestId);
+		const pending = req.query.pending === 'true';
+
+		if (!contestId || contestId <= 0) {
+			return res.status(400).json({
+				success: false,
+				error: 'Invalid contest ID'
+			});
+		}
+
+		logger.info(`[API REJUDGES] GET /api/incremental-standings/${contestId}/rejudges (pending=${pending})`);
+
+		const { codeforcesDataService } = await import('../services/codeforcesDataService.js');
+		const corrections = await codeforcesDataService.getVerdictCorrections(contestId, pending);
+
+		res.status(200).json({
+			success: true,
+			data: {
+				contestId,
+				pending,
+				count: corrections.length,
+				corrections
+			}
+		});
+	} catch (error) {
+		logger.error(`API: Error getting verdict corrections for contest ${req.params.contestId}: ${error.message}`);
+		res.status(500).json({
+			success: false,
+			error: error.message
+		});
+	}
+});
+
+/**
+ * Rebuild Snapshots After a Rejudge
+ * POST /api/incremental-standings/:contestId/snapshots/rebuild
+ * 
+ * Body Parameters:
+ * - fromTimestampSeconds: number (optional) - First timestamp to rebuild (default: earliest pending correction)
+ * 
+ * Query Parameters:
+ * - fileMode: boolean (optional, default: false) - Use file storage instead of MongoDB
+ * 
+ * Re-applies changed submissions: base and delta snapshots at or after fromTimestampSeconds are
+ * recreated at the same timestamps, earlier ones are kept. Rejudged participants whose changed
+ * submissions lie before fromTimestampSeconds are updated (or removed) by the first rebuilt delta.
+ * Pending corrections are marked as applied once the rebuild completes. A rebuild that fails
+ * stays recorded on the contest and is resumed by the next call (or by the snapshot scheduler).
+ */
+router.post('/:contestId/snapshots/rebuild', async (req, res) => {
+	try {
+		const contestId = parseInt(req.params.contestId);
+		const { fromTimestampSeconds = null } = req.body;
+		const fileMode = req.query.fileMode === 'true';
+
+		if (!contestId || contestId <= 0) {
+			return res.status(400).json({
+				success: false,
+				error: 'Invalid contest ID'
+			});
+		}
+
+		if (fromTimestampSeconds !== null && (typeof fromTimestampSeconds !== 'number' || fromTimestampSeconds < 0)) {
+			return res.status(400).json({
+				success: false,
+				error: 'fromTimestampSeconds must be a number >= 0'
+			});
+		}
+
+		logger.info(`[API REBUILD SNAPSHOTS] POST /api/incremental-standings/${contestId}/snapshots/rebuild (fromTimestampSeconds=${fromTimestampSeconds}, fileMode=${fileMode})`);
+
+		const startTime = Date.now();
+		const result = await snapshotService.rebuildSnapshotsFrom(contestId, fromTimestampSeconds, fileMode);
+
+		res.status(200).json({
+			success: true,
+			data: {
+				...result,
+				fileMode,
+				rebuildTimeMs: Date.now() - startTime
+			}
+		});
+	} catch (error) {
+		logger.error(`API: Error rebuilding snapshots for contest ${req.params.contestId}: ${error.message}`);
+		res.status(500).json({
+			success: false,
+			error: error.message
+		});
+	}
+});
+
+/**
+ * Verify Snapshots
+ * POST /api/incremental-standings/:contestId/snapshots/verify
+ * 
+ * Body:
+ * {
+ *   "repair": boolean  // Optional, default: false - regenerate the broken segments
+ * }
+ * 
+ * Query Parameters:
+ * - fileMode: boolean (optional, default: false) - Use file storage instead of MongoDB
+ * 
+ * Walks the base/delta chain in time order and compares the hash of each reconstructed
+ * state with the hash stored at creation and with a replay of the stored submissions.
+ * Reports gaps (missing base or previous snapshot), corrupt snapshots and divergences,
+ * grouped into segments of consecutive broken snapshots. With repair, only those
+ * segments are regenerated and the chain is verified again.
+ */
+router.post('/:contestId/snapshots/verify', async (req, res) => {
+	try {
+		const contestId = parseInt(req.params.contestId);
+		const { repair = false } = req.body;
+		const fileMode = req.query.fileMode === 'true';
+
+		if (!contestId || contestId <= 0) {
+			return res.status(400).json({
+				success: false,
+				error: 'Invalid contest ID'
+			});
+		}
+
+		if (typeof repair !== 'boolean') {
+			return res.status(400).json({
+				success: false,
+				error: 'repair must be a boolean'
+			});
+		}
+
+		logger.info(`[API VERIFY SNAPSHOTS] POST /api/incremental-standings/${contestId}/snapshots/verify (repair=${repair}, fileMode=${fileMode})`);
+
+		const startTime = Date.now();
+		const report = repair
+			? await snapshotIntegrityService.repairSnapshots(contestId, fileMode)
+			: await snapshotIntegrityService.verifySnapshots(contestId, fileMode);
+
+		if (report.checked === 0) {
+			return res.status(404).json({
+				success: false,
+				error: `No snapshots found for contest ${contestId}`
+			});
+		}
+
+		res.status(200).json({
+			success: true,
+			data: {
+				...report,
+				fileMode,
+				verificationTimeMs: Date.now() - startTime
+			}
+		});
+	} catch (error) {
+		logger.error(`API: Error verifying snapshots for contest ${req.params.contestId}: ${error.message}`);
+		res.status(500).json({
+			success: false,
+			error: error.message
+		});
+	}
+});
+
+/**
+ * Set Snapshot Retention Policy
+ * PUT /api/incremental-standings/:contestId/retention-policy
+ * 
+ * Body:
+ * {
+ *   "retentionPolicy": {
+ *     "rules": [{ "afterDays": 7, "deltaIntervalSeconds": 60 }],  // Thin deltas to 60s a week after the contest
+ *     "foldDeltaRunLength": 30                                     // Optional, fold every 30th delta into a base
+ *   }
+ * }
+ * 
+ * Set retentionPolicy to null to use the default policy.
+ */
+router.put('/:contestId/retention-policy', async (req, res) => {
+	try {
+		const contestId = parseInt(req.params.contestId);
+		const { retentionPolicy = null } = req.body;
+
+		if (!contestId || contestId <= 0) {
+			return res.status(400).json({
+				success: false,
+				error: 'Invalid contest ID'
+			});
+		}
+
+		const policyError = retentionPolicy === null ? null : validateRetentionPolicy(retentionPolicy);
+		if (policyError) {
+			return res.status(400).json({
+				success: false,
+				error: `Invalid retentionPolicy: ${policyError}`
+			});
+		}
+
+		logger.info(`[API RETENTION POLICY] PUT /api/incremental-standings/${contestId}/retention-policy (retentionPolicy=${JSON.stringify(retentionPolicy)})`);
+
+		const { codeforcesDataService } = await import('../services/codeforcesDataService.js');
+		const contest = await codeforcesDataService.setContestRetentionPolicy(contestId, retentionPolicy);
+
+		if (!contest) {
+			return res.status(404).json({
+				success: false,
+				error: `Contest ${contestId} not found`
+			});
+		}
+
+		res.status(200).json({
+			success: true,
+			data: {
+				contestId,
+				retentionPolicy: snapshotCompactionService.getRetentionPolicy(contest),
+				isDefault: contest.retentionPolicy === null
+			}
+		});
+	} catch (error) {
+		logger.error(`API: Error setting retention policy for contest ${req.params.contestId}: ${error.message}`);
+		res.status(500).json({
+			success: false,
+			error: error.message
+		});
+	}
+});
+
+/**
+ * Compact Snapshots
+ * POST /api/incremental-standings/:contestId/snapshots/compact
+ * 
+ * Body:
+ * {
+ *   "dryRun": boolean,        // Optional, default: true - only report what would change
+ *   "retentionPolicy": object // Optional, use this policy instead of the contest policy
+ * }
+ * 
+ * Query Parameters:
+ * - fileMode: boolean (optional, default: false) - Use file storage instead of MongoDB
+ * 
+ * Applies the retention policy to a finished contest: thins delta snapshots to the
+ * interval of the rule that applies (by time since the contest finished) and folds
+ * long runs of deltas into new base snapshots. Reports snapshot counts and sizes
+ * before and after, and the bytes reclaimed.
+ */
+router.post('/:contestId/snapshots/compact', async (req, res) => {
+	try {
+		const contestId = parseInt(req.params.contestId);
+		const { dryRun = true, retentionPolicy = null } = req.body;
+		const fileMode = req.query.fileMode === 'true';
+
+		if (!contestId || contestId <= 0) {
+			return res.status(400).json({
+				success: false,
+				error: 'Invalid contest ID'
+			});
+		}
+
+		if (typeof dryRun !== 'boolean') {
+			return res.status(400).json({
+				success: false,
+				error: 'dryRun must be a boolean'
+			});
+		}
+
+		const policyError = retentionPolicy === null ? null : validateRetentionPolicy(retentionPolicy);
+		if (policyError) {
+			return res.status(400).json({
+				success: false,
+				error: `Invalid retentionPolicy: ${policyError}`
+			});
+		}
+
+		logger.info(`[API COMPACT SNAPSHOTS] POST /api/incremental-standings/${contestId}/snapshots/compact (dryRun=${dryRun}, fileMode=${fileMode})`);
+
+		const startTime = Date.now();
+		const report = await snapshotCompactionService.compactContest(contestId, {
+			dryRun,
+			policy: retentionPolicy,
+			fileMode
+		});
+
+		if (!report) {
+			return res.status(404).json({
+				success: false,
+				error: `Contest ${contestId} not found`
+			});
+		}
+
+		if (!report.eligible) {
+			return res.status(400).json({
+				success: false,
+				error: report.reason
+			});
+		}
+
+		res.status(200).json({
+			success: true,
+			data: {
+				...report,
+				fileMode,
+				compactionTimeMs: Date.now() - startTime
+			}
+		});
+	} catch (error) {
+		logger.error(`API: Error compacting snapshots for contest ${req.params.contestId}: ${error.message}`);
+		res.status(500).json({
+			success: false,
+			error: error.message
+		});
+	}
+});
+
+/**
+ * Create Snapshots at Intervals (Bulk Creation)
+ * POST /api/incremental-standings/:contestId/snapshots/bulk
+ * 
+ * Body Parameters:
+ * - baseInterval: number (optional, default: 120) - Interval for base snapshots in seconds
+ * - deltaInterval: number (optional, default: 10) - Interval for delta snapshots in seconds
+ * - endTimestamp: number (optional) - End timestamp (relative to contest start). If not provided, uses contest duration
+ * - startTimestamp: number (optional, default: 0) - Start timestamp (relative to contest start)
+ * - mode: string (optional, default: "fixed") - "fixed" intervals or "adaptive" to follow the submission timeline
+ * - minDeltaInterval, maxDeltaInterval, targetChangesPerDelta, maxReplayChanges: number (optional) - Adaptive mode options
+ * - dryRun: boolean (optional, default: false) - Only return the planned timestamps, create nothing
+ * 
+ * Query Parameters:
+ * - fileMode: boolean (optional, default: false) - Use file storage instead of MongoDB
+ * 
+ * Creates base snapshots at baseInterval intervals and delta snapshots at deltaInterval intervals,
+ * starting from startTimestamp (default 0) up to endTimestamp (or contest duration).
+ * The submissions are streamed once, in time order, and every snapshot is emitted
+ * during that pass instead of reloading the submissions for each snapshot.
+ * 
+ * The snapshots are created by a background job: the response is 202 with a jobId,
+ * and GET /api/jobs/:jobId reports progress and, once finished, the created snapshots.
+ * 
+ * In adaptive mode, baseInterval and deltaInterval are ignored: deltas are placed densely
+ * during submission bursts and sparsely in quiet stretches, and bases are placed so that a
+ * query replays at most maxReplayChanges changes. The job reports the plan in progressDetails
+ * as soon as it is computed and in its result, or,
+ * with dryRun, returned at once (200) instead of creating the snapshots.
+ * 
+ * Note: Delta snapshots are NOT created at base snapshot timestamps.
+ */
+router.post('/:contestId/snapshots/bulk', async (req, res) => {
+	try {
+		const contestId = parseInt(req.params.contestId);
+		const {
+			baseInterval = 120,
+			deltaInterval = 10,
+			endTimestamp = null,
+			startTimestamp = 0,
+			mode = 'fixed',
+			dryRun = false,
+			minDeltaInterval,
+			maxDeltaInterval,
+			targetChangesPerDelta,
+			maxReplayChanges
+		} = req.body;
+		const fileMode = req.query.fileMode === 'true';
+		
+		if (!contestId || contestId <= 0) {
+			return res.status(400).json({
+				success: false,
+				error: 'Invalid contest ID'
+			});
+		}
+
+		if (mode !== 'fixed' && mode !== 'adaptive') {
+			return res.status(400).json({
+				success: false,
+				error: 'mode must be "fixed" or "adaptive"'
+			});
+		}
+
+		const plannerOptions = { minDeltaInterval, maxDeltaInterval, targetChangesPerDelta, maxReplayChanges };
+		const plannerError = mode === 'adaptive' ? validatePlannerOptions(plannerOptions) : null;
+		if (plannerError) {
+			return res.status(400).json({
+				success: false,
+				error: plannerError
+			});
+		}
+
+		if (typeof dryRun !== 'boolean') {
+			return res.status(400).json({
+				success: false,
+				error: 'dryRun must be a boolean'
+			});
+		}
+
+		if (baseInterval <= 0 || deltaInterval <= 0) {
+			return res.status(400).json({
+				success: false,
+				error: 'baseInterval and deltaInterval must be > 0'
+			});
+		}
+
+		if (startTimestamp < 0) {
+			return res.status(400).json({
+				success: false,
+				error: 'startTimestamp must be >= 0'
+			});
+		}
+
+		if (endTimestamp !== null && endTimestamp <= startTimestamp) {
+			return res.status(400).json({
+				success: false,
+				error: 'endTimestamp must be > startTimestamp'
+			});
+		}
+
+		// Get contest to determine duration if endTimestamp not provided
+		const { codeforcesDataService } = await import('../services/codeforcesDataService.js');
+		const contest = await codeforcesDataService.getContestFromDB(contestId);
+		
+		if (!contest) {
+			return res.status(404).json({
+				success: false,
+				error: `Contest ${contestId} not found in database. Please fetch contest data first.`
+			});
+		}
+
+		const finalEndTimestamp = endTimestamp !== null ? endTimestamp : (contest.durationSeconds || 7200);
+		const storageMode = fileMode ? 'file' : 'MongoDB';
+		
+		logger.info(`[API BULK SNAPSHOTS] ========================================`);
+		logger.info(`[API BULK SNAPSHOTS] POST /api/incremental-standings/${contestId}/snapshots/bulk`);
+		logger.info(`[API BULK SNAPSHOTS] Parameters: mode=${mode}, dryRun=${dryRun}, baseInterval=${baseInterval}s, deltaInterval=${deltaInterval}s, startTimestamp=${startTimestamp}, endTimestamp=${finalEndTimestamp}, fileMode=${fileMode}, storageMode=${storageMode}`);
+		logger.info(`[API BULK SNAPSHOTS] Contest: ${contest.name} (Duration: ${contest.durationSeconds || 'unknown'}s)`);
+		logger.info(`[API BULK SNAPSHOTS] ========================================`);
+
+		const jobParams = {
+			contestId,
+			mode,
+			baseInterval,
+			deltaInterval,
+			startTimestamp,
+			endTimestamp: finalEndTimestamp,
+			plannerOptions,
+			fileMode
+		};
+		
+		if (!dryRun) {
+			// Snapshots are created by a background job; the client polls /api/jobs/:jobId
+			const job = await jobService.enqueue(JOB_TYPE.BULK_SNAPSHOTS, jobParams, { contestId });
+			logger.info(`[API BULK SNAPSHOTS] Queued bulk snapshot job ${job.jobId}`);
+			
+			return res.status(202).json({
+				success: true,
+				message: `Bulk snapshot creation queued for contest ${contestId}`,
+				data: {
+					jobId: job.jobId,
+					status: job.status,
+					statusUrl: `/api/jobs/${job.jobId}`,
+					contestId,
+					contestName: contest.name,
+					mode,
+					startTimestamp,
+					endTimestamp: finalEndTimestamp,
+					fileMode,
+					storageMode
+				}
+			});
+		}
+		
+		// Dry run: calculate all snapshot timestamps, create nothing
+		let baseTimestamps;
+		let deltaTimestamps;
+		let plan = null;
+		
+		if (mode === 'adaptive') {
+			plan = await snapshotService.planAdaptiveSnapshots(contestId, startTimestamp, finalEndTimestamp, plannerOptions);
+			baseTimestamps = plan.baseTimestamps;
+			deltaTimestamps = plan.deltaTimestamps;
+			for (const burst of plan.bursts) {
+				logger.info(`[API BULK SNAPSHOTS] Burst: t=${burst.fromTimestampSeconds}..${burst.toTimestampSeconds} (${burst.snapshotCount} snapshots)`);
+			}
+		} else {
+			({ baseTimestamps, deltaTimestamps } = planFixedSnapshots(startTimestamp, finalEndTimestamp, baseInterval, deltaInterval));
+		}
+		
+		logger.info(`[API BULK SNAPSHOTS] Would create ${baseTimestamps.length} base snapshot(s) at timestamps: [${baseTimestamps.join(', ')}]`);
+		logger.info(`[API BULK SNAPSHOTS] Would create ${deltaTimestamps.length} delta snapshot(s) at timestamps: [${deltaTimestamps.slice(0, 10).join(', ')}${deltaTimestamps.length > 10 ? `, ... (${deltaTimestamps.length} total)` : ''}]`);
+		
+		res.status(200).json({
+			success: true,
+			message: `Snapshot plan for contest ${contestId} (dry run, nothing created)`,
+			data: {
+				contestId,
+				contestName: contest.name,
+				mode,
+				dryRun,
+				startTimestamp,
+				endTimestamp: finalEndTimestamp,
+				baseTimestamps,
+				deltaTimestamps,
+				plan: plan || undefined,
 				fileMode,
 				storageMode
 			}
@@ -768,11 +1599,12 @@ router.get('/:contestId/validate', async (req, res) => {
 		const incrementalMap = new Map();
 		const batchMap = new Map();
 
-		// Index incremental standings by handle
+		// Index incremental standings by participant key
 		for (const row of incrementalStandings.rows) {
-			const handle = row.party?.members?.[0]?.handle;
-			if (handle) {
-				incrementalMap.set(handle, {
+			const participantKey = getPartyKey(row.party);
+			if (participantKey) {
+				incrementalMap.set(participantKey, {
+					handle: row.party.members?.[0]?.handle || null,
 					rank: row.rank,
 					points: row.points,
 					penalty: row.penalty,
@@ -782,11 +1614,12 @@ router.get('/:contestId/validate', async (req, res) => {
 			}
 		}
 
-		// Index batch standings by handle
+		// Index batch standings by participant key
 		for (const row of batchStandings.rows) {
-			const handle = row.party?.members?.[0]?.handle;
-			if (handle) {
-				batchMap.set(handle, {
+			const participantKey = getPartyKey(row.party);
+			if (participantKey) {
+				batchMap.set(participantKey, {
+					handle: row.party.members?.[0]?.handle || null,
 					rank: row.rank,
 					points: row.points,
 					penalty: row.penalty,
@@ -803,26 +1636,27 @@ router.get('/:contestId/validate', async (req, res) => {
 		const rankMismatches = [];
 
 		// Check participants in incremental but not in batch
-		for (const [handle, incData] of incrementalMap.entries()) {
-			if (!batchMap.has(handle)) {
-				missingInBatch.push({ handle, ...incData });
+		for (const [participantKey, incData] of incrementalMap.entries()) {
+			if (!batchMap.has(participantKey)) {
+				missingInBatch.push({ participantKey, ...incData });
 			}
 		}
 
 		// Check participants in batch but not in incremental
-		for (const [handle, batchData] of batchMap.entries()) {
-			if (!incrementalMap.has(handle)) {
-				missingInIncremental.push({ handle, ...batchData });
+		for (const [participantKey, batchData] of batchMap.entries()) {
+			if (!incrementalMap.has(participantKey)) {
+				missingInIncremental.push({ participantKey, ...batchData });
 			}
 		}
 
 		// Check for score and rank mismatches
-		for (const [handle, batchData] of batchMap.entries()) {
-			const incData = incrementalMap.get(handle);
+		for (const [participantKey, batchData] of batchMap.entries()) {
+			const incData = incrementalMap.get(participantKey);
 			if (incData) {
 				if (Math.abs(incData.points - batchData.points) > 0.001) {
 					scoreMismatches.push({
-						handle,
+						participantKey,
+						handle: batchData.handle,
 						incremental: incData.points,
 						batch: batchData.points,
 						difference: incData.points - batchData.points
@@ -830,7 +1664,8 @@ router.get('/:contestId/validate', async (req, res) => {
 				}
 				if (incData.penalty !== batchData.penalty) {
 					scoreMismatches.push({
-						handle,
+						participantKey,
+						handle: batchData.handle,
 						field: 'penalty',
 						incremental: incData.penalty,
 						batch: batchData.penalty,
@@ -839,7 +1674,8 @@ router.get('/:contestId/validate', async (req, res) => {
 				}
 				if (incData.rank !== batchData.rank) {
 					rankMismatches.push({
-						handle,
+						participantKey,
+						handle: batchData.handle,
 						incremental: incData.rank,
 						batch: batchData.rank,
 						difference: incData.rank - batchData.rank
@@ -894,7 +1730,9 @@ router.get('/:contestId/validate', async (req, res) => {
  * Query Parameters:
  * - fileMode: boolean (optional, default: false) - Use file storage instead of MongoDB
  * 
- * Returns information about snapshots for a contest.
+ * Returns information about snapshots for a contest, and the statistics of the
+ * reconstructed state cache (hits, misses, roll-forwards, evictions; cached snapshot
+ * timestamps of the contest).
  */
 router.get('/:contestId/snapshots/info', async (req, res) => {
 	try {
@@ -956,7 +1794,8 @@ router.get('/:contestId/snapshots/info', async (req, res) => {
 					last: lastDelta,
 					sample: deltaSnapshots
 				},
-				totalSnapshots: baseCount + deltaCount
+				totalSnapshots: baseCount + deltaCount,
+				cache: standingsStateCache.getStats(contestId)
 			}
 		});
 	} catch (error) {
@@ -0,0 +1,178 @@
+import { Router } from 'express';
+import { jobService, JOB_STATUS, JOB_TYPE, DEFAULT_JOB_LIST_LIMIT } from '../services/jobService.js';
+import { logger } from '../helpers/logger.js';
+
+// Mounted under /api/jobs
+const router = Router();
+
+const MAX_JOB_LIST_LIMIT = 500;
+
+/**
+ * List Jobs
+ * GET /api/jobs
+ *
+ * Query Parameters:
+ * - status: string (optional) - QUEUED, RUNNING, SUCCEEDED, FAILED or CANCELLED
+ * - type: string (optional) - BULK_SNAPSHOTS or STORE_CONTEST_LIST
+ * - contestId: number (optional) - Only jobs of this contest
+ * - limit: number (optional, default: 50, max: 500)
+ *
+ * Returns jobs most recent first, without their logs.
+ */
+router.get('/', async (req, res) => {
+	try {
+		const { status, type } = req.query;
+		const contestId = req.query.contestId !== undefined ? parseInt(req.query.contestId) : null;
+		const limit = req.query.limit !== undefined ? parseInt(req.query.limit) : DEFAULT_JOB_LIST_LIMIT;
+
+		logger.info(`[API JOBS] GET /api/jobs (status=${status || 'any'}, type=${type || 'any'}, contestId=${contestId ?? 'any'}, limit=${limit})`);
+
+		if (status !== undefined && !Object.values(JOB_STATUS).includes(status)) {
+			return res.status(400).json({
+				success: false,
+				error: `status must be one of: ${Object.values(JOB_STATUS).join(', ')}`
+			});
+		}
+
+		if (type !== undefined && !Object.values(JOB_TYPE).includes(type)) {
+			return res.status(400).json({
+				success: false,
+				error: `type must be one of: ${Object.values(JOB_TYPE).join(', ')}`
+			});
+		}
+
+		if (contestId !== null && (!contestId || contestId <= 0)) {
+			return res.status(400).json({
+				success: false,
+				error: 'Invalid contest ID'
+			});
+		}
+
+		if (!limit || limit <= 0 || limit > MAX_JOB_LIST_LIMIT) {
+			return res.status(400).json({
+				success: false,
+				error: `limit must be between 1 and ${MAX_JOB_LIST_LIMIT}`
+			});
+		}
+
+		const jobs = await jobService.listJobs({ status, type, contestId, limit });
+		res.status(200).json({
+			success: true,
+			data: {
+				count: jobs.length,
+				jobs
+			}
+		});
+	} catch (error) {
+		logger.error(`API: Error listing jobs: ${error.message}`);
+		res.status(500).json({
+			success: false,
+			error: error.message
+		});
+	}
+});
+
+/**
+ * Get Job
+ * GET /api/jobs/:jobId
+ *
+ * Returns the status, progress, log and (once finished) result or error of a job.
+ */
+router.get('/:jobId', async (req, res) => {
+	try {
+		const job = await jobService.getJob(req.params.jobId);
+		if (!job) {
+			return res.status(404).json({
+				success: false,
+				error: `Job ${req.params.jobId} not found`
+			});
+		}
+
+		res.status(200).json({
+			success: true,
+			data: job
+		});
+	} catch (error) {
+		logger.error(`API: Error getting job ${req.params.jobId}: ${error.message}`);
+		res.status(500).json({
+			success: false,
+			error: error.message
+		});
+	}
+});
+
+/**
+ * Cancel Job
+ * POST /api/jobs/:jobId/cancel
+ *
+ * A queued job is cancelled at once. A running job stops at its next step (for bulk
+ * snapshots: before the next snapshot); the snapshots already created are kept.
+ * Cancelling a finished job has no effect.
+ */
+router.post('/:jobId/cancel', async (req, res) => {
+	try {
+		logger.info(`[API JOBS] POST /api/jobs/${req.params.jobId}/cancel`);
+
+		const job = await jobService.cancel(req.params.jobId);
+		if (!job) {
+			return res.status(404).json({
+				success: false,
+				error: `Job ${req.params.jobId} not found`
+			});
+		}
+
+		res.status(200).json({
+			success: true,
+			data: job
+		});
+	} catch (error) {
+		logger.error(`API: Error cancelling job ${req.params.jobId}: ${error.message}`);
+		res.status(500).json({
+			success: false,
+			error: error.message
+		});
+	}
+});
+
+/**
+ * Retry Job
+ * POST /api/jobs/:jobId/retry
+ *
+ * Queues a failed or cancelled job again with the same parameters. A bulk snapshot
+ * job continues after the last snapshot stored by its earlier attempts.
+ */
+router.post('/:jobId/retry', async (req, res) => {
+	try {
+		logger.info(`[API JOBS] POST /api/jobs/${req.params.jobId}/retry`);
+
+		const job = await jobService.getJob(req.params.jobId);
+		if (!job) {
+			return res.status(404).json({
+				success: false,
+				error: `Job ${req.params.jobId} not found`
+			});
+		}
+
+		if (job.status !== JOB_STATUS.FAILED && job.status !== JOB_STATUS.CANCELLED) {
+			return res.status(400).json({
+				success: false,
+				error: `Only failed or cancelled jobs can be retried (job is ${job.status})`
+			});
+		}
+
+		const retried = await jobService.retry(req.params.jobId);
+		res.status(202).json({
+			success: true,
+			message: `Job ${req.params.jobId} queued again`,
+			data: retried
+		});
+	} catch (error) {
+		logger.error(`API: Error retrying job ${req.params.jobId}: ${error.message}`);
+		res.status(500).json({
+			success: false,
+			error: error.message
+		});
+	}
+});
+
+export default router;
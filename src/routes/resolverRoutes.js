@@ -0,0 +1,287 @@
+import { Router } from 'express';
+import { resolverService } from '../services/resolverService.js';
+import { incrementalSimulationService } from '../services/incrementalSimulationService.js';
+import { codeforcesDataService } from '../services/codeforcesDataService.js';
+import { logger } from '../helpers/logger.js';
+
+// Mounted under /api/incremental-standings/:contestId/resolver
+const router = Router({ mergeParams: true });
+
+/**
+ * Look up the resolver session of a request, or send a 404
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @returns {Object|null} Session, or null if a response was sent
+ */
+function findSession (req, res) {
+	const contestId = parseInt(req.params.contestId);
+	const session = resolverService.getSession(req.params.sessionId, contestId);
+	if (!session) {
+		res.status(404).json({
+			success: false,
+			error: `Resolver session ${req.params.sessionId} not found`
+		});
+		return null;
+	}
+	return session;
+}
+
+/**
+ * Create Resolver Session
+ * POST /api/incremental-standings/:contestId/resolver
+ *
+ * Body:
+ * {
+ *   "timestampSeconds": number,  // Optional, default: contest end. Must be after the freeze time
+ *   "showUnofficial": boolean,   // Optional, default: false
+ *   "fileMode": boolean          // Optional, default: false
+ * }
+ *
+ * Starts from the frozen (public) standings and computes every reveal step:
+ * the lowest-ranked participant with pending problems reveals its first pending
+ * problem, then the board is re-ranked. Requires base/delta snapshots and a
+ * contest freeze time.
+ */
+router.post('/', async (req, res) => {
+	try {
+		const contestId = parseInt(req.params.contestId);
+		const { timestampSeconds = null, showUnofficial = false, fileMode = false } = req.body;
+
+		if (!contestId || contestId <= 0) {
+			return res.status(400).json({
+				success: false,
+				error: 'Invalid contest ID'
+			});
+		}
+
+		const contest = await codeforcesDataService.getContestFromDB(contestId);
+		if (!contest) {
+			return res.status(404).json({
+				success: false,
+				error: `Contest ${contestId} not found`
+			});
+		}
+
+		const freezeTimeSeconds = incrementalSimulationService.getFreezeTimeSeconds(contest);
+		if (freezeTimeSeconds === null) {
+			return res.status(400).json({
+				success: false,
+				error: `Contest ${contestId} has no freeze time. Set it with PUT /api/incremental-standings/${contestId}/freeze`
+			});
+		}
+
+		const finalTimestamp = timestampSeconds ?? contest.durationSeconds;
+		if (typeof finalTimestamp !== 'number' || finalTimestamp <= freezeTimeSeconds) {
+			return res.status(400).json({
+				success: false,
+				error: `timestampSeconds must be a number after the freeze time (${freezeTimeSeconds})`
+			});
+		}
+
+		logger.info(`[API RESOLVER] POST /api/incremental-standings/${contestId}/resolver (timestampSeconds=${finalTimestamp}, showUnofficial=${showUnofficial}, fileMode=${fileMode})`);
+
+		const startTime = Date.now();
+		const session = await resolverService.createSession(contest, {
+			freezeTimeSeconds,
+			timestampSeconds: finalTimestamp,
+			showUnofficial,
+			fileMode
+		});
+
+		if (!session) {
+			return res.status(404).json({
+				success: false,
+				error: `No snapshots found for contest ${contestId} at timestamp ${finalTimestamp}`
+			});
+		}
+
+		res.status(201).json({
+			success: true,
+			data: {
+				...session,
+				queryTimeMs: Date.now() - startTime
+			}
+		});
+	} catch (error) {
+		logger.error(`API: Error creating resolver session for contest ${req.params.contestId}: ${error.message}`);
+		res.status(500).json({
+			success: false,
+			error: error.message
+		});
+	}
+});
+
+/**
+ * Get Resolver Session
+ * GET /api/incremental-standings/:contestId/resolver/:sessionId
+ *
+ * Returns the session and the standings at its current step.
+ */
+router.get('/:sessionId', (req, res) => {
+	try {
+		const session = findSession(req, res);
+		if (!session) {
+			return;
+		}
+
+		res.status(200).json({
+			success: true,
+			data: resolverService.getStandingsAtStep(session, session.currentStep)
+		});
+	} catch (error) {
+		logger.error(`API: Error getting resolver session ${req.params.sessionId}: ${error.message}`);
+		res.status(500).json({
+			success: false,
+			error: error.message
+		});
+	}
+});
+
+/**
+ * Get Resolver Steps
+ * GET /api/incremental-standings/:contestId/resolver/:sessionId/steps
+ *
+ * Returns the ordered list of reveal steps.
+ */
+router.get('/:sessionId/steps', (req, res) => {
+	try {
+		const session = findSession(req, res);
+		if (!session) {
+			return;
+		}
+
+		const steps = resolverService.getSteps(session);
+		res.status(200).json({
+			success: true,
+			data: {
+				...resolverService.getSessionSummary(session),
+				steps
+			}
+		});
+	} catch (error) {
+		logger.error(`API: Error getting resolver steps for session ${req.params.sessionId}: ${error.message}`);
+		res.status(500).json({
+			success: false,
+			error: error.message
+		});
+	}
+});
+
+/**
+ * Get Standings After a Step
+ * GET /api/incremental-standings/:contestId/resolver/:sessionId/steps/:step
+ *
+ * Returns the standings after the given step (0 = frozen board).
+ * Does not move the session cursor.
+ */
+router.get('/:sessionId/steps/:step', (req, res) => {
+	try {
+		const session = findSession(req, res);
+		if (!session) {
+			return;
+		}
+
+		const step = Number(req.params.step);
+		if (!Number.isInteger(step) || step < 0 || step > session.steps.length) {
+			return res.status(400).json({
+				success: false,
+				error: `step must be an integer between 0 and ${session.steps.length}`
+			});
+		}
+
+		res.status(200).json({
+			success: true,
+			data: resolverService.getStandingsAtStep(session, step)
+		});
+	} catch (error) {
+		logger.error(`API: Error getting resolver step ${req.params.step} for session ${req.params.sessionId}: ${error.message}`);
+		res.status(500).json({
+			success: false,
+			error: error.message
+		});
+	}
+});
+
+/**
+ * Step Forward
+ * POST /api/incremental-standings/:contestId/resolver/:sessionId/next
+ *
+ * Reveals the next step and returns the standings after it.
+ * At the last step the cursor does not move.
+ */
+router.post('/:sessionId/next', (req, res) => {
+	try {
+		const session = findSession(req, res);
+		if (!session) {
+			return;
+		}
+
+		res.status(200).json({
+			success: true,
+			data: resolverService.move(session, 1)
+		});
+	} catch (error) {
+		logger.error(`API: Error moving resolver session ${req.params.sessionId} forward: ${error.message}`);
+		res.status(500).json({
+			success: false,
+			error: error.message
+		});
+	}
+});
+
+/**
+ * Step Back
+ * POST /api/incremental-standings/:contestId/resolver/:sessionId/prev
+ *
+ * Undoes the last step and returns the standings before it.
+ * At step 0 the cursor does not move.
+ */
+router.post('/:sessionId/prev', (req, res) => {
+	try {
+		const session = findSession(req, res);
+		if (!session) {
+			return;
+		}
+
+		res.status(200).json({
+			success: true,
+			data: resolverService.move(session, -1)
+		});
+	} catch (error) {
+		logger.error(`API: Error moving resolver session ${req.params.sessionId} back: ${error.message}`);
+		res.status(500).json({
+			success: false,
+			error: error.message
+		});
+	}
+});
+
+/**
+ * Delete Resolver Session
+ * DELETE /api/incremental-standings/:contestId/resolver/:sessionId
+ */
+router.delete('/:sessionId', (req, res) => {
+	try {
+		const session = findSession(req, res);
+		if (!session) {
+			return;
+		}
+
+		resolverService.deleteSession(session.sessionId);
+		res.status(200).json({
+			success: true,
+			data: {
+				sessionId: session.sessionId,
+				deleted: true
+			}
+		});
+	} catch (error) {
+		logger.error(`API: Error deleting resolver session ${req.params.sessionId}: ${error.message}`);
+		res.status(500).json({
+			success: false,
+			error: error.message
+		});
+	}
+});
+
+export default router;
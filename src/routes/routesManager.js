@@ -3,6 +3,10 @@ import mediaRoutes from './mediaRoutes.js';
 import streamRoutes from './streamRoutes.js';
 import codeforcesRoutes from './codeforcesRoutes.js';
 import incrementalStandingsRoutes from './incrementalStandingsRoutes.js';
+import resolverRoutes from './resolverRoutes.js';
+import schedulerRoutes from './schedulerRoutes.js';
+import bundleRoutes from './bundleRoutes.js';
+import jobRoutes from './jobRoutes.js';
 
 const routesManager = Router();
 
@@ -34,4 +38,24 @@ routesManager.use('/api/codeforces', codeforcesRoutes);
  */
 routesManager.use('/api/incremental-standings', incrementalStandingsRoutes);
 
+/**
+ * Scoreboard resolver (unfreeze) routes
+ */
+routesManager.use('/api/incremental-standings/:contestId/resolver', resolverRoutes);
+
+/**
+ * Automatic snapshot scheduler routes
+ */
+routesManager.use('/api/incremental-standings', schedulerRoutes);
+
+/**
+ * Contest bundle export/import routes
+ */
+routesManager.use('/api/incremental-standings', bundleRoutes);
+
+/**
+ * Background job routes
+ */
+routesManager.use('/api/jobs', jobRoutes);
+
 export default routesManager;
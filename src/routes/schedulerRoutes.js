@@ -0,0 +1,181 @@
+import { Router } from 'express';
+import { snapshotSchedulerService } from '../services/snapshotSchedulerService.js';
+import { logger } from '../helpers/logger.js';
+
+// Mounted under /api/incremental-standings
+const router = Router();
+
+/**
+ * Check that an interval is a positive whole number of seconds
+ * @param {*} value - Interval from the request body
+ * @returns {boolean} True if valid (or not provided)
+ */
+function isValidInterval (value) {
+	return value === undefined || (Number.isInteger(value) && value > 0);
+}
+
+/**
+ * List Snapshot Schedulers
+ * GET /api/incremental-standings/schedulers
+ */
+router.get('/schedulers', async (req, res) => {
+	try {
+		logger.info('[API SCHEDULER] GET /api/incremental-standings/schedulers');
+
+		const schedules = await snapshotSchedulerService.listSchedules();
+		res.status(200).json({
+			success: true,
+			data: {
+				count: schedules.length,
+				schedules
+			}
+		});
+	} catch (error) {
+		logger.error(`API: Error listing snapshot schedulers: ${error.message}`);
+		res.status(500).json({
+			success: false,
+			error: error.message
+		});
+	}
+});
+
+/**
+ * Get Snapshot Scheduler Status
+ * GET /api/incremental-standings/:contestId/scheduler
+ */
+router.get('/:contestId/scheduler', async (req, res) => {
+	try {
+		const contestId = parseInt(req.params.contestId);
+
+		if (!contestId || contestId <= 0) {
+			return res.status(400).json({
+				success: false,
+				error: 'Invalid contest ID'
+			});
+		}
+
+		const status = await snapshotSchedulerService.getStatus(contestId);
+		if (!status) {
+			return res.status(404).json({
+				success: false,
+				error: `No snapshot scheduler for contest ${contestId}`
+			});
+		}
+
+		res.status(200).json({
+			success: true,
+			data: status
+		});
+	} catch (error) {
+		logger.error(`API: Error getting snapshot scheduler for contest ${req.params.contestId}: ${error.message}`);
+		res.status(500).json({
+			success: false,
+			error: error.message
+		});
+	}
+});
+
+/**
+ * Start Snapshot Scheduler
+ * POST /api/incremental-standings/:contestId/scheduler/start
+ *
+ * Body:
+ * {
+ *   "baseIntervalSeconds": number,  // Optional, default: 120
+ *   "deltaIntervalSeconds": number, // Optional, default: 10
+ *   "fileMode": boolean             // Optional, default: false
+ * }
+ *
+ * Waits for the contest to start, then creates a base snapshot every baseIntervalSeconds
+ * and a delta snapshot every deltaIntervalSeconds while new submissions arrive.
+ * Finishes with a base snapshot at the end of the contest. Starting a running
+ * scheduler again applies the new options.
+ */
+router.post('/:contestId/scheduler/start', async (req, res) => {
+	try {
+		const contestId = parseInt(req.params.contestId);
+		const { baseIntervalSeconds, deltaIntervalSeconds, fileMode = false } = req.body;
+
+		if (!contestId || contestId <= 0) {
+			return res.status(400).json({
+				success: false,
+				error: 'Invalid contest ID'
+			});
+		}
+
+		if (!isValidInterval(baseIntervalSeconds) || !isValidInterval(deltaIntervalSeconds)) {
+			return res.status(400).json({
+				success: false,
+				error: 'baseIntervalSeconds and deltaIntervalSeconds must be positive integers'
+			});
+		}
+
+		logger.info(`[API SCHEDULER] POST /api/incremental-standings/${contestId}/scheduler/start (baseIntervalSeconds=${baseIntervalSeconds ?? 'default'}, deltaIntervalSeconds=${deltaIntervalSeconds ?? 'default'}, fileMode=${fileMode})`);
+
+		const status = await snapshotSchedulerService.start(contestId, {
+			baseIntervalSeconds,
+			deltaIntervalSeconds,
+			fileMode
+		});
+
+		if (!status) {
+			return res.status(404).json({
+				success: false,
+				error: `Contest ${contestId} not found`
+			});
+		}
+
+		res.status(200).json({
+			success: true,
+			data: status
+		});
+	} catch (error) {
+		logger.error(`API: Error starting snapshot scheduler for contest ${req.params.contestId}: ${error.message}`);
+		res.status(500).json({
+			success: false,
+			error: error.message
+		});
+	}
+});
+
+/**
+ * Stop Snapshot Scheduler
+ * POST /api/incremental-standings/:contestId/scheduler/stop
+ *
+ * Snapshots created so far are kept; starting the scheduler again resumes after the last one.
+ */
+router.post('/:contestId/scheduler/stop', async (req, res) => {
+	try {
+		const contestId = parseInt(req.params.contestId);
+
+		if (!contestId || contestId <= 0) {
+			return res.status(400).json({
+				success: false,
+				error: 'Invalid contest ID'
+			});
+		}
+
+		logger.info(`[API SCHEDULER] POST /api/incremental-standings/${contestId}/scheduler/stop`);
+
+		const status = await snapshotSchedulerService.stop(contestId);
+		if (!status) {
+			return res.status(404).json({
+				success: false,
+				error: `No snapshot scheduler for contest ${contestId}`
+			});
+		}
+
+		res.status(200).json({
+			success: true,
+			data: status
+		});
+	} catch (error) {
+		logger.error(`API: Error stopping snapshot scheduler for contest ${req.params.contestId}: ${error.message}`);
+		res.status(500).json({
+			success: false,
+			error: error.message
+		});
+	}
+});
+
+export default router;
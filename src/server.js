@@ -18,6 +18,9 @@ import { initTypeDefinition } from './gql/types/index.js';
 import { resolvers } from './gql/resolvers/index.js';
 import { getListOfIPV4Address } from './helpers/getListOfIPV4Address.js';
 import routesManager from './routes/routesManager.js';
+import { snapshotSchedulerService } from './services/snapshotSchedulerService.js';
+import { jobService } from './services/jobService.js';
+import { incrementalSimulationService } from './services/incrementalSimulationService.js';
 
 
 mongoose.set('strictQuery', true);
@@ -49,6 +52,37 @@ db.once('open', () => {
 	}
 
 	initApplication();
+
+	// Key standings states and snapshots stored before participant keys, and move to the current index
+	incrementalSimulationService.migrateParticipantKeys()
+		.catch(error => logger.error(`[MIGRATION] Error migrating standings state participant keys: ${error.message}`));
+
+	// Continue snapshot schedulers of live contests after a restart
+	snapshotSchedulerService.resumeAll()
+		.then(count => {
+			if (count > 0) {
+				logger.info(`[SCHEDULER] Resumed ${count} snapshot scheduler(s)`);
+			}
+		})
+		.catch(error => logger.error(`[SCHEDULER] Error resuming snapshot schedulers: ${error.message}`));
+
+	// Finish snapshot rebuilds that were interrupted when the server stopped
+	snapshotSchedulerService.resumeRebuilds()
+		.then(({ resumed, failed }) => {
+			if (resumed > 0 || failed > 0) {
+				logger.info(`[SCHEDULER] Resumed ${resumed} snapshot rebuild(s), ${failed} failed again`);
+			}
+		})
+		.catch(error => logger.error(`[SCHEDULER] Error resuming snapshot rebuilds: ${error.message}`));
+
+	// Continue background jobs that were queued or running when the server stopped
+	jobService.resumeAll()
+		.then(({ resumed, failed }) => {
+			if (resumed > 0 || failed > 0) {
+				logger.info(`[JOBS] Queued ${resumed} job(s) again, marked ${failed} interrupted job(s) as failed`);
+			}
+		})
+		.catch(error => logger.error(`[JOBS] Error resuming jobs: ${error.message}`));
 });
 
 const initApplication = async () => {
@@ -1,5 +1,91 @@
 import { models } from '../data/models/index.js';
 import { logger } from '../helpers/logger.js';
+import { getPartyKey } from '../helpers/participantKey.js';
+import { findVerdictCorrections } from './verdictCorrections.js';
+
+/**
+ * Convert a stored submission item to GraphQL format
+ * @param {Object} sub - Submission item of a BatchedContestData document
+ * @param {number} contestId - Contest ID
+ * @returns {Object} Submission
+ */
+function toSubmission (sub, contestId) {
+	return {
+		id: sub.submissionId,
+		contestId: contestId,
+		creationTimeSeconds: sub.creationTimeSeconds,
+		relativeTimeSeconds: sub.relativeTimeSeconds || 0,
+		problem: {
+			contestId: contestId,
+			index: sub.problemIndex || '',
+			name: sub.problemName || '',
+			type: 'PROGRAMMING',
+			points: sub.problemPoints || null,
+			rating: null,
+			tags: []
+		},
+		author: {
+			contestId: contestId,
+			members: (sub.handles || [sub.handle]).map(h => ({
+				handle: h,
+				name: null
+			})),
+			teamId: sub.teamId ?? null,
+			teamName: sub.teamName || null,
+			participantType: sub.participantType || 'CONTESTANT',
+			ghost: false,
+			room: null,
+			startTimeSeconds: null
+		},
+		programmingLanguage: sub.programmingLanguage || '',
+		verdict: sub.verdict || null,
+		testset: sub.testset || 'TESTS',
+		passedTestCount: sub.passedTestCount ?? null,
+		points: sub.points ?? null,
+		timeConsumedMillis: sub.timeConsumedMillis || 0,
+		memoryConsumedBytes: sub.memoryConsumedBytes || 0
+	};
+}
+
+/**
+ * Convert a stored hack item to GraphQL format
+ * @param {Object} hack - Hack item of a BatchedContestData document
+ * @param {number} contestId - Contest ID
+ * @returns {Object} Hack
+ */
+function toHack (hack, contestId) {
+	return {
+		id: hack.hackId,
+		contestId: contestId,
+		creationTimeSeconds: hack.creationTimeSeconds || 0,
+		problem: {
+			contestId: contestId,
+			index: hack.problemIndex || '',
+			name: hack.problemName || ''
+		},
+		hacker: {
+			contestId: contestId,
+			members: (hack.hackerHandles?.length ? hack.hackerHandles : [hack.hackerHandle]).map(h => ({
+				handle: h,
+				name: null
+			})),
+			teamId: hack.hackerTeamId ?? null,
+			teamName: hack.hackerTeamName || null,
+			participantType: hack.hackerParticipantType || 'CONTESTANT'
+		},
+		defender: {
+			contestId: contestId,
+			members: (hack.defenderHandles?.length ? hack.defenderHandles : [hack.defenderHandle]).map(h => ({
+				handle: h,
+				name: null
+			})),
+			teamId: hack.defenderTeamId ?? null,
+			teamName: hack.defenderTeamName || null,
+			participantType: hack.defenderParticipantType || 'CONTESTANT'
+		},
+		verdict: hack.verdict || null
+	};
+}
 
 /**
  * MongoDB Data Service for Codeforces Contest Data
@@ -16,7 +102,7 @@ class CodeforcesDataService {
 		try {
 			// First try to get from Contests collection
 			const contest = await models.Contests.findOne({ contestId })
-				.select('contestId name type phase frozen durationSeconds startTimeSeconds relativeTimeSeconds preparedBy websiteUrl description difficulty kind icpcRegion country city season')
+				.select('contestId name type phase frozen freezeTimeSeconds verdictMode retentionPolicy pendingRebuild durationSeconds startTimeSeconds relativeTimeSeconds preparedBy websiteUrl description difficulty kind icpcRegion country city season')
 				.lean();
 
 			if (contest) {
@@ -26,6 +112,10 @@ class CodeforcesDataService {
 					type: contest.type || 'CF',
 					phase: contest.phase || 'FINISHED',
 					frozen: contest.frozen || false,
+					freezeTimeSeconds: contest.freezeTimeSeconds ?? null,
+					verdictMode: contest.verdictMode || null,
+					retentionPolicy: contest.retentionPolicy || null,
+					pendingRebuild: contest.pendingRebuild || null,
 					durationSeconds: contest.durationSeconds || 0,
 					startTimeSeconds: contest.startTimeSeconds || null,
 					relativeTimeSeconds: contest.relativeTimeSeconds || null,
@@ -60,6 +150,10 @@ class CodeforcesDataService {
 				type: 'CF', // Default
 				phase: firstStanding.contestPhase || 'FINISHED',
 				frozen: false,
+				freezeTimeSeconds: null,
+				verdictMode: null,
+				retentionPolicy: null,
+				pendingRebuild: null,
 				durationSeconds: 0,
 				startTimeSeconds: firstStanding.startTimeSeconds || null,
 				relativeTimeSeconds: null,
@@ -90,7 +184,7 @@ class CodeforcesDataService {
 			// Use projection to only fetch needed fields (covered query optimization)
 			// Uses compound index: { contestId: 1, index: 1 }
 			const problems = await models.Problems.find({ contestId })
-				.select('contestId index name type points rating tags')
+				.select('contestId index name type points subtasks rating tags')
 				.sort({ index: 1 })
 				.lean();
 
@@ -100,6 +194,7 @@ class CodeforcesDataService {
 				name: p.name,
 				type: p.type || 'PROGRAMMING',
 				points: p.points || null,
+				subtasks: p.subtasks || [],
 				rating: p.rating || null,
 				tags: p.tags || []
 			}));
@@ -193,6 +288,8 @@ class CodeforcesDataService {
 						handle: handle,
 						name: null
 					})),
+					teamId: standing.teamId ?? null,
+					teamName: standing.teamName || null,
 					participantType: standing.participantType || 'CONTESTANT',
 					ghost: standing.ghost || false,
 					room: standing.room || null,
@@ -267,44 +364,134 @@ class CodeforcesDataService {
 			}
 
 			// Transform to GraphQL format
-			return allSubmissions.map(sub => ({
-				id: sub.submissionId,
-				contestId: contestId,
-				creationTimeSeconds: sub.creationTimeSeconds,
-				relativeTimeSeconds: sub.relativeTimeSeconds || 0,
-				problem: {
-					contestId: contestId,
-					index: sub.problemIndex || '',
-					name: sub.problemName || '',
-					type: 'PROGRAMMING',
-					points: sub.problemPoints || null,
-					rating: null,
-					tags: []
-				},
-				author: {
-					contestId: contestId,
-					members: (sub.handles || [sub.handle]).map(h => ({
-						handle: h,
-						name: null
-					})),
-					participantType: sub.participantType || 'CONTESTANT',
-					ghost: false,
-					room: null,
-					startTimeSeconds: null
-				},
-				programmingLanguage: sub.programmingLanguage || '',
-				verdict: sub.verdict || null,
-				testset: sub.testset || 'TESTS',
-				passedTestCount: sub.passedTestCount || 0,
-				timeConsumedMillis: sub.timeConsumedMillis || 0,
-				memoryConsumedBytes: sub.memoryConsumedBytes || 0
-			}));
+			return allSubmissions.map(sub => toSubmission(sub, contestId));
 		} catch (error) {
 			logger.error(`Error fetching submissions for contest ${contestId} from DB: ${error.message}`);
 			throw error;
 		}
 	}
 
+	/**
+	 * Get hacks from MongoDB
+	 * @param {number} contestId - Contest ID
+	 * @returns {Promise<Array>} List of hacks (oldest first)
+	 */
+	async getHacksFromDB (contestId) {
+		try {
+			// Uses compound index: { contestId: 1, batchIndex: 1 }
+			const batches = await models.BatchedContestData.find({ contestId })
+				.select('hacks')
+				.sort({ batchIndex: 1 })
+				.lean();
+
+			const allHacks = [];
+			for (const batch of batches) {
+				if (batch.hacks && batch.hacks.length > 0) {
+					allHacks.push(...batch.hacks);
+				}
+			}
+
+			// Sort by creation time (oldest first)
+			allHacks.sort((a, b) => a.creationTimeSeconds - b.creationTimeSeconds);
+
+			// Transform to GraphQL format
+			return allHacks.map(hack => toHack(hack, contestId));
+		} catch (error) {
+			logger.error(`Error fetching hacks for contest ${contestId} from DB: ${error.message}`);
+			throw error;
+		}
+	}
+
+	/**
+	 * Stream the submissions of a contest in a time window, oldest first
+	 * Only the submissions inside the window leave the database; batches without any
+	 * are skipped. Order matches the event stream: relative time, then creation time,
+	 * then storage order.
+	 * @param {number} contestId - Contest ID
+	 * @param {number|null} fromExclusive - Start of window (relative seconds, exclusive), null for contest start
+	 * @param {number|null} toInclusive - End of window (relative seconds, inclusive), null for no limit
+	 * @param {number} batchSize - Submissions fetched per round trip (default: 1000)
+	 * @returns {AsyncGenerator<Object>} Submissions in GraphQL format
+	 */
+	async * iterateSubmissions (contestId, fromExclusive = null, toInclusive = null, batchSize = 1000) {
+		for await (const sub of this.iterateStoredSubmissions(contestId, fromExclusive, toInclusive, batchSize)) {
+			yield toSubmission(sub, contestId);
+		}
+	}
+
+	/**
+	 * Stream the stored submission items of a contest in a time window, in the order of iterateSubmissions
+	 * @param {number} contestId - Contest ID
+	 * @param {number|null} fromExclusive - Start of window (relative seconds, exclusive), null for contest start
+	 * @param {number|null} toInclusive - End of window (relative seconds, inclusive), null for no limit
+	 * @param {number} batchSize - Submissions fetched per round trip (default: 1000)
+	 * @returns {AsyncGenerator<Object>} Submission items of the BatchedContestData documents
+	 */
+	async * iterateStoredSubmissions (contestId, fromExclusive = null, toInclusive = null, batchSize = 1000) {
+		const timeRange = {};
+		if (fromExclusive !== null) {
+			timeRange.$gt = fromExclusive;
+		}
+		if (toInclusive !== null) {
+			timeRange.$lte = toInclusive;
+		}
+
+		// A submission without relativeTimeSeconds counts as t=0, so batches can only be
+		// skipped by time when the window starts after the contest start
+		const batchMatch = { contestId };
+		if (fromExclusive !== null && fromExclusive >= 0) {
+			batchMatch.submissions = { $elemMatch: { relativeTimeSeconds: timeRange } };
+		}
+
+		const cursor = models.BatchedContestData.aggregate([
+			{ $match: batchMatch },
+			{ $project: { batchIndex: 1, submissions: 1 } },
+			{ $unwind: { path: '$submissions', includeArrayIndex: 'itemIndex' } },
+			{ $addFields: { time: { $ifNull: ['$submissions.relativeTimeSeconds', 0] } } },
+			...(Object.keys(timeRange).length > 0 ? [{ $match: { time: timeRange } }] : []),
+			{ $sort: { time: 1, 'submissions.creationTimeSeconds': 1, batchIndex: 1, itemIndex: 1 } },
+			{ $replaceRoot: { newRoot: '$submissions' } }
+		])
+			.allowDiskUse(true)
+			.cursor({ batchSize });
+
+		yield * cursor;
+	}
+
+	/**
+	 * Get the hacks of a contest created in a time window, oldest first
+	 * @param {number} contestId - Contest ID
+	 * @param {number|null} fromExclusive - Start of window (unix seconds, exclusive), null for no limit
+	 * @param {number|null} toInclusive - End of window (unix seconds, inclusive), null for no limit
+	 * @returns {Promise<Array>} Hacks in GraphQL format
+	 */
+	async getHacksInWindow (contestId, fromExclusive = null, toInclusive = null) {
+		try {
+			const timeRange = {};
+			if (fromExclusive !== null) {
+				timeRange.$gt = fromExclusive;
+			}
+			if (toInclusive !== null) {
+				timeRange.$lte = toInclusive;
+			}
+
+			const hacks = await models.BatchedContestData.aggregate([
+				{ $match: { contestId, 'hacks.0': { $exists: true } } },
+				{ $project: { batchIndex: 1, hacks: 1 } },
+				{ $unwind: { path: '$hacks', includeArrayIndex: 'itemIndex' } },
+				{ $addFields: { time: { $ifNull: ['$hacks.creationTimeSeconds', 0] } } },
+				...(Object.keys(timeRange).length > 0 ? [{ $match: { time: timeRange } }] : []),
+				{ $sort: { time: 1, batchIndex: 1, itemIndex: 1 } },
+				{ $replaceRoot: { newRoot: '$hacks' } }
+			]);
+
+			return hacks.map(hack => toHack(hack, contestId));
+		} catch (error) {
+			logger.error(`Error fetching hacks for contest ${contestId} from DB: ${error.message}`);
+			throw error;
+		}
+	}
+
 	/**
 	 * Check if contest has already been fetched and stored
 	 * @param {number} contestId - Contest ID
@@ -486,13 +673,13 @@ class CodeforcesDataService {
 						const handles = members.map(m => m.handle);
 
 						return {
-							participantKey: `${contestId}:${primaryHandle}`,
+							participantKey: getPartyKey(row.party),
 							contestName: contestData.contest?.name || '',
 							contestPhase: contestData.contest?.phase || '',
 							handle: primaryHandle,
 							handles: handles,
-							teamId: null,
-							teamName: null,
+							teamId: row.party?.teamId ?? null,
+							teamName: row.party?.teamName || null,
 							participantType: row.party?.participantType || 'CONTESTANT',
 							ghost: row.party?.ghost || false,
 							room: row.party?.room || null,
@@ -571,13 +758,16 @@ class CodeforcesDataService {
 							problemPoints: sub.problem?.points || null,
 							handle: primaryHandle,
 							handles: handles,
+							teamId: sub.author?.teamId ?? null,
+							teamName: sub.author?.teamName || null,
 							participantType: sub.author?.participantType || 'CONTESTANT',
 							creationTimeSeconds: sub.creationTimeSeconds || 0,
 							relativeTimeSeconds: sub.relativeTimeSeconds || 0,
 							programmingLanguage: sub.programmingLanguage || '',
 							verdict: sub.verdict || null,
 							testset: sub.testset || 'TESTS',
-							passedTestCount: sub.passedTestCount || 0,
+							passedTestCount: sub.passedTestCount ?? null,
+							points: sub.points ?? null,
 							timeConsumedMillis: sub.timeConsumedMillis || 0,
 							memoryConsumedBytes: sub.memoryConsumedBytes || 0,
 							lastFetchedAt: now
@@ -659,9 +849,13 @@ class CodeforcesDataService {
 							problemName: hack.problem?.name || '',
 							hackerHandle: hackerHandle,
 							hackerHandles: hackerMembers.map(m => m.handle),
+							hackerTeamId: hack.hacker?.teamId ?? null,
+							hackerTeamName: hack.hacker?.teamName || null,
 							hackerParticipantType: hack.hacker?.participantType || 'CONTESTANT',
 							defenderHandle: defenderHandle,
 							defenderHandles: defenderMembers.map(m => m.handle),
+							defenderTeamId: hack.defender?.teamId ?? null,
+							defenderTeamName: hack.defender?.teamName || null,
 							defenderParticipantType: hack.defender?.participantType || 'CONTESTANT',
 							creationTimeSeconds: hack.creationTimeSeconds || 0,
 							verdict: hack.verdict || null,
@@ -695,6 +889,16 @@ class CodeforcesDataService {
 				}
 			}
 
+			// Record rejudged and removed submissions before the stored ones are replaced
+			if (contestData.submissions && contestData.submissions.length > 0) {
+				await this.recordVerdictCorrections(
+					contestId,
+					contestDataBatches.flatMap(batch => batch.submissions || []),
+					now,
+					{ complete: contestData.submissionsComplete === true, participantTypes: contestData.submissionsParticipantTypes ?? null }
+				);
+			}
+
 			// Bulk upsert contest data batches
 			if (contestDataBatches.length > 0) {
 				// Log batch summary before storing
@@ -862,6 +1066,225 @@ class CodeforcesDataService {
 		}
 	}
 
+	/**
+	 * Compare re-ingested submissions with the stored ones and record verdict corrections
+	 * @param {number} contestId - Contest ID
+	 * @param {Array} submissions - Transformed submissions about to be stored
+	 * @param {Date} now - Ingest time
+	 * @param {Object} options - Optional settings
+	 * @param {boolean} options.complete - The submissions are every submission of the contest, so missing ones were removed (default: false)
+	 * @param {Array|null} options.participantTypes - Participant types the complete submissions cover, null for every type (default: null)
+	 * @returns {Promise<number>} Number of corrections recorded
+	 */
+	async recordVerdictCorrections (contestId, submissions, now = new Date(), options = {}) {
+		const corrections = await findVerdictCorrections(this.iterateStoredSubmissions(contestId), submissions, {
+			complete: options.complete === true,
+			participantTypes: options.participantTypes ?? null
+		});
+		if (corrections.length > 0) {
+			await models.Rejudges.insertMany(corrections.map(correction => ({
+				contestId,
+				...correction,
+				detectedAt: now,
+				appliedAt: null
+			})));
+			logger.info(`Recorded ${corrections.length} verdict correction(s) for contest ${contestId} (earliest at t=${corrections[0].relativeTimeSeconds})`);
+		}
+		return corrections.length;
+	}
+
+	/**
+	 * Get the verdict corrections of a contest
+	 * @param {number} contestId - Contest ID
+	 * @param {boolean} pendingOnly - Only corrections whose snapshots were not rebuilt yet
+	 * @returns {Promise<Array>} Corrections ordered by submission time
+	 */
+	async getVerdictCorrections (contestId, pendingOnly = false) {
+		const query = pendingOnly ? { contestId, appliedAt: null } : { contestId };
+		return models.Rejudges.find(query)
+			.sort({ relativeTimeSeconds: 1, submissionId: 1 })
+			.lean();
+	}
+
+	/**
+	 * Mark the pending verdict corrections of a contest as applied
+	 * @param {number} contestId - Contest ID
+	 * @returns {Promise<number>} Number of corrections marked
+	 */
+	async markVerdictCorrectionsApplied (contestId) {
+		const result = await models.Rejudges.updateMany(
+			{ contestId, appliedAt: null },
+			{ $set: { appliedAt: new Date() } }
+		);
+		return result.modifiedCount || 0;
+	}
+
+	/**
+	 * Record (or clear) the unfinished snapshot rebuild of a contest
+	 * @param {number} contestId - Contest ID
+	 * @param {Object|null} pendingRebuild - Rebuild { fromTimestampSeconds, schedule, fileMode, startedAt, lastError }, null when done
+	 * @returns {Promise<boolean>} False if the contest is not in the Contests collection
+	 */
+	async setPendingRebuild (contestId, pendingRebuild) {
+		const result = await models.Contests.updateOne(
+			{ contestId },
+			{ $set: { pendingRebuild, updatedAt: new Date() } }
+		);
+		return result.matchedCount > 0;
+	}
+
+	/**
+	 * Get the contests with an unfinished snapshot rebuild
+	 * @returns {Promise<Array>} [{ contestId, pendingRebuild }]
+	 */
+	async getPendingRebuilds () {
+		return models.Contests.find({ pendingRebuild: { $ne: null } })
+			.select('contestId pendingRebuild')
+			.lean();
+	}
+
+	/**
+	 * Set the public scoreboard freeze time of a contest
+	 * @param {number} contestId - Contest ID
+	 * @param {number|null} freezeTimeSeconds - Freeze time relative to contest start (seconds), null to clear
+	 * @returns {Promise<object|null>} Updated contest info or null if not found
+	 */
+	async setContestFreezeTime (contestId, freezeTimeSeconds) {
+		try {
+			const result = await models.Contests.updateOne(
+				{ contestId },
+				{ $set: { freezeTimeSeconds, updatedAt: new Date() } }
+			);
+			if (result.matchedCount === 0) {
+				return null;
+			}
+			logger.info(`Set freeze time of contest ${contestId} to ${freezeTimeSeconds === null ? 'none' : freezeTimeSeconds}`);
+			return await this.getContestFromDB(contestId);
+		} catch (error) {
+			logger.error(`Error setting freeze time for contest ${contestId}: ${error.message}`);
+			throw error;
+		}
+	}
+
+	/**
+	 * Set the verdict mode a contest is replayed with
+	 * @param {number} contestId - Contest ID
+	 * @param {string|null} verdictMode - "live" (as seen during the round), "final" (after system testing) or null (live until the contest is finished)
+	 * @returns {Promise<object|null>} Updated contest info or null if not found
+	 */
+	async setContestVerdictMode (contestId, verdictMode) {
+		try {
+			const result = await models.Contests.updateOne(
+				{ contestId },
+				{ $set: { verdictMode, updatedAt: new Date() } }
+			);
+			if (result.matchedCount === 0) {
+				return null;
+			}
+			logger.info(`Set verdict mode of contest ${contestId} to ${verdictMode}`);
+			return await this.getContestFromDB(contestId);
+		} catch (error) {
+			logger.error(`Error setting verdict mode for contest ${contestId}: ${error.message}`);
+			throw error;
+		}
+	}
+
+	/**
+	 * Set the snapshot retention policy of a contest
+	 * @param {number} contestId - Contest ID
+	 * @param {Object|null} retentionPolicy - Retention policy (null: use the default policy)
+	 * @returns {Promise<object|null>} Updated contest info or null if not found
+	 */
+	async setContestRetentionPolicy (contestId, retentionPolicy) {
+		try {
+			const result = await models.Contests.updateOne(
+				{ contestId },
+				{ $set: { retentionPolicy, updatedAt: new Date() } }
+			);
+			if (result.matchedCount === 0) {
+				return null;
+			}
+			logger.info(`Set retention policy of contest ${contestId} to ${JSON.stringify(retentionPolicy)}`);
+			return await this.getContestFromDB(contestId);
+		} catch (error) {
+			logger.error(`Error setting retention policy for contest ${contestId}: ${error.message}`);
+			throw error;
+		}
+	}
+
+	/**
+	 * Store participant profiles, replacing the profiles of the same handles
+	 * @param {Array} profiles - Profiles [{ handle, country, organization, city }]
+	 * @returns {Promise<number>} Number of profiles stored
+	 */
+	async upsertParticipantProfiles (profiles) {
+		try {
+			if (profiles.length === 0) {
+				return 0;
+			}
+			const now = new Date();
+			const clean = value => (typeof value === 'string' && value.trim() ? value.trim() : null);
+			await models.ParticipantProfiles.bulkWrite(profiles.map(profile => {
+				const country = clean(profile.country);
+				const organization = clean(profile.organization);
+				return {
+					updateOne: {
+						filter: { handleKey: profile.handle.trim().toLowerCase() },
+						update: {
+							$set: {
+								handle: profile.handle.trim(),
+								country,
+								countryKey: country?.toLowerCase() ?? null,
+								organization,
+								organizationKey: organization?.toLowerCase() ?? null,
+								city: clean(profile.city),
+								updatedAt: now
+							}
+						},
+						upsert: true
+					}
+				};
+			}), { ordered: false });
+			logger.info(`Stored ${profiles.length} participant profile(s)`);
+			return profiles.length;
+		} catch (error) {
+			logger.error(`Error storing participant profiles: ${error.message}`);
+			throw error;
+		}
+	}
+
+	/**
+	 * Get participant profiles
+	 * @param {Array<string>|null} handles - Handles (case-insensitive), null for all profiles
+	 * @returns {Promise<Array>} Profiles [{ handle, country, organization, city, updatedAt }]
+	 */
+	async getParticipantProfiles (handles = null) {
+		const query = handles ? { handleKey: { $in: handles.map(handle => handle.toLowerCase()) } } : {};
+		return models.ParticipantProfiles.find(query)
+			.select('handle country organization city updatedAt -_id')
+			.sort({ handleKey: 1 })
+			.lean();
+	}
+
+	/**
+	 * Find the handles whose profile matches a country and/or organization
+	 * @param {Object} filter - Profile filter (case-insensitive, exact)
+	 * @param {string|null} filter.country - Country
+	 * @param {string|null} filter.organization - Organization
+	 * @returns {Promise<Set<string>>} Lowercase handles
+	 */
+	async findProfileHandles ({ country = null, organization = null }) {
+		const query = {};
+		if (country) {
+			query.countryKey = country.trim().toLowerCase();
+		}
+		if (organization) {
+			query.organizationKey = organization.trim().toLowerCase();
+		}
+		const profiles = await models.ParticipantProfiles.find(query).select('handleKey').lean();
+		return new Set(profiles.map(profile => profile.handleKey));
+	}
+
 	/**
 	 * Get contest list from Contests collection
 	 * @param {boolean} includeGym - Include gym contests
@@ -872,7 +1295,7 @@ class CodeforcesDataService {
 			const query = includeGym ? {} : { isGym: false };
 			
 			const contests = await models.Contests.find(query)
-				.select('contestId name type phase frozen durationSeconds startTimeSeconds relativeTimeSeconds preparedBy websiteUrl description difficulty kind icpcRegion country city season isGym')
+				.select('contestId name type phase frozen freezeTimeSeconds verdictMode durationSeconds startTimeSeconds relativeTimeSeconds preparedBy websiteUrl description difficulty kind icpcRegion country city season isGym')
 				.sort({ contestId: -1 })
 				.lean();
 
@@ -883,6 +1306,8 @@ class CodeforcesDataService {
 				type: c.type,
 				phase: c.phase,
 				frozen: c.frozen,
+				freezeTimeSeconds: c.freezeTimeSeconds ?? null,
+				verdictMode: c.verdictMode || null,
 				durationSeconds: c.durationSeconds,
 				startTimeSeconds: c.startTimeSeconds,
 				relativeTimeSeconds: c.relativeTimeSeconds,
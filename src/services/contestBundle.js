@@ -0,0 +1,195 @@
+/**
+ * Contest Bundle
+ * Format of the portable export of a contest's incremental dataset
+ *
+ * A bundle is an NDJSON file: one JSON record per line. The first line is a header
+ * (format name, schema version, contest ID), followed by one record per document
+ * and a footer with the number of records of each type, which detects truncated
+ * files. Storage fields (_id, __v) are not exported.
+ */
+
+export const BUNDLE_FORMAT = 'tn-contest-bundle';
+
+// Version of the record layout written by this code (2: contest events)
+export const BUNDLE_SCHEMA_VERSION = 2;
+
+// Versions this code can import
+const SUPPORTED_SCHEMA_VERSIONS = [1, 2];
+
+export const RECORD_TYPE = Object.freeze({
+	CONTEST: 'contest',
+	PROBLEM: 'problem',
+	STANDINGS_STATE: 'standingsState',
+	BASE_SNAPSHOT: 'baseSnapshot',
+	DELTA_SNAPSHOT: 'deltaSnapshot',
+	CONTEST_DATA: 'contestData', // Submission, hack and rating change batches (optional)
+	CONTEST_EVENT: 'contestEvent' // Notable events detected with the snapshots
+});
+
+const RECORD_TYPES = new Set(Object.values(RECORD_TYPE));
+
+/**
+ * Create the header record of a bundle
+ * @param {number} contestId - Contest ID
+ * @param {boolean} includeSubmissions - The bundle contains contest data batches
+ * @returns {Object} Header record
+ */
+export function createBundleHeader (contestId, includeSubmissions) {
+	return {
+		type: 'header',
+		format: BUNDLE_FORMAT,
+		schemaVersion: BUNDLE_SCHEMA_VERSION,
+		contestId,
+		includeSubmissions,
+		exportedAt: new Date().toISOString()
+	};
+}
+
+/**
+ * Validate the header record of a bundle
+ * @param {Object} header - First record of the bundle
+ * @returns {string|null} Error message, or null if valid
+ */
+export function validateBundleHeader (header) {
+	if (!header || header.type !== 'header') {
+		return 'first line must be a bundle header';
+	}
+	if (header.format !== BUNDLE_FORMAT) {
+		return `unknown bundle format "${header.format}" (expected "${BUNDLE_FORMAT}")`;
+	}
+	if (!SUPPORTED_SCHEMA_VERSIONS.includes(header.schemaVersion)) {
+		return `unsupported bundle schema version ${header.schemaVersion} (supported: ${SUPPORTED_SCHEMA_VERSIONS.join(', ')})`;
+	}
+	if (!Number.isInteger(header.contestId) || header.contestId <= 0) {
+		return 'header has no valid contestId';
+	}
+	return null;
+}
+
+/**
+ * Parse one record line of a bundle
+ * @param {string} line - NDJSON line
+ * @param {Object} header - Validated bundle header
+ * @returns {Object} { record } or { error }
+ */
+export function parseBundleLine (line, header) {
+	let record;
+	try {
+		record = JSON.parse(line);
+	} catch (error) {
+		return { error: `invalid JSON: ${error.message}` };
+	}
+
+	if (record?.type === 'footer') {
+		return { record };
+	}
+	if (!RECORD_TYPES.has(record?.type)) {
+		return { error: `unknown record type "${record?.type}"` };
+	}
+	if (!record.doc || typeof record.doc !== 'object') {
+		return { error: `${record.type} record has no document` };
+	}
+	if (record.doc.contestId !== header.contestId) {
+		return { error: `${record.type} record belongs to contest ${record.doc.contestId}, not ${header.contestId}` };
+	}
+	return { record };
+}
+
+/**
+ * Validate the footer of a bundle against the records read
+ * @param {Object|null} footer - Footer record (null if the bundle ended without one)
+ * @param {Object} counts - Records read, by type
+ * @returns {string|null} Error message, or null if valid
+ */
+export function validateBundleFooter (footer, counts) {
+	if (!footer) {
+		return 'bundle has no footer (truncated file?)';
+	}
+	for (const type of RECORD_TYPES) {
+		if ((footer.counts?.[type] || 0) !== (counts[type] || 0)) {
+			return `footer lists ${footer.counts?.[type] || 0} ${type} record(s), bundle has ${counts[type] || 0}`;
+		}
+	}
+	return null;
+}
+
+/**
+ * Read a whole bundle and hand it to an import target
+ * Every record is validated and staged as it is read; the target replaces the contest
+ * only once the footer counts match, so an invalid or truncated bundle never touches
+ * the data already stored for the contest.
+ * @param {AsyncIterable<string>|Iterable<string>} lines - NDJSON lines of the bundle
+ * @param {Object} target - Import target
+ * @param {Function} target.contestExists - async (contestId) => boolean
+ * @param {Function} target.stageRecord - async (record) => void, called for each record
+ * @param {Function} target.replaceContest - async (header) => void, writes the staged records
+ * @param {boolean} overwrite - Replace the contest if it already exists (default: false)
+ * @returns {Promise<Object>} { header, counts } or { error }
+ */
+export async function importBundleRecords (lines, target, overwrite = false) {
+	let header = null;
+	let footer = null;
+	let lineNumber = 0;
+	const counts = {};
+
+	for await (const line of lines) {
+		lineNumber++;
+		if (!line.trim()) {
+			continue;
+		}
+
+		if (!header) {
+			let parsedHeader = null;
+			try {
+				parsedHeader = JSON.parse(line);
+			} catch (error) {
+				parsedHeader = null;
+			}
+			const headerError = validateBundleHeader(parsedHeader);
+			if (headerError) {
+				return { error: `Invalid bundle: ${headerError}` };
+			}
+			header = parsedHeader;
+			if (!overwrite && await target.contestExists(header.contestId)) {
+				return { error: `Contest ${header.contestId} already exists, import with overwrite to replace it` };
+			}
+			continue;
+		}
+
+		if (footer) {
+			return { error: `Invalid bundle: line ${lineNumber}: records after the footer` };
+		}
+		const { record, error } = parseBundleLine(line, header);
+		if (error) {
+			return { error: `Invalid bundle: line ${lineNumber}: ${error}` };
+		}
+		if (record.type === 'footer') {
+			footer = record;
+			continue;
+		}
+
+		counts[record.type] = (counts[record.type] || 0) + 1;
+		await target.stageRecord(record);
+	}
+
+	if (!header) {
+		return { error: 'Invalid bundle: empty file' };
+	}
+	const footerError = validateBundleFooter(footer, counts);
+	if (footerError) {
+		return { error: `Invalid bundle: ${footerError}` };
+	}
+
+	await target.replaceContest(header);
+	return { header, counts };
+}
+
+/**
+ * Remove storage fields from a document before export
+ * @param {Object} doc - Stored document (lean)
+ * @returns {Object} Document without _id and __v
+ */
+export function toBundleDocument (doc) {
+	const { _id, __v, ...rest } = doc;
+	return rest;
+}
@@ -0,0 +1,249 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import readline from 'readline';
+import { once } from 'events';
+import { createReadStream, createWriteStream } from 'fs';
+import { models } from '../data/models/index.js';
+import { getModels } from './modelProvider.js';
+import { standingsStateCache } from './standingsStateCache.js';
+import { logger } from '../helpers/logger.js';
+import {
+	RECORD_TYPE,
+	createBundleHeader,
+	importBundleRecords,
+	toBundleDocument
+} from './contestBundle.js';
+
+// Documents inserted per batch on import
+const IMPORT_BATCH_SIZE = 100;
+
+/**
+ * Contest Bundle Service
+ * Exports a contest's incremental dataset to an NDJSON bundle and imports it elsewhere
+ *
+ * A bundle holds the contest metadata, problems, standings state, base and delta
+ * snapshots, contest events and, optionally, the contest data batches (submissions,
+ * hacks, rating changes). Snapshots and standings state follow fileMode; contest
+ * metadata, problems, contest events and contest data are always stored in MongoDB.
+ */
+class ContestBundleService {
+	/**
+	 * Get the model of each record type
+	 * @param {boolean} fileMode - Use file storage instead of MongoDB for snapshots and standings state
+	 * @returns {Object} Record type -> model
+	 */
+	getRecordModels (fileMode) {
+		const Models = getModels(fileMode);
+		return {
+			[RECORD_TYPE.CONTEST]: models.Contests,
+			[RECORD_TYPE.PROBLEM]: models.Problems,
+			[RECORD_TYPE.STANDINGS_STATE]: Models.StandingsState,
+			[RECORD_TYPE.BASE_SNAPSHOT]: Models.BaseSnapshots,
+			[RECORD_TYPE.DELTA_SNAPSHOT]: Models.DeltaSnapshots,
+			[RECORD_TYPE.CONTEST_DATA]: models.BatchedContestData,
+			[RECORD_TYPE.CONTEST_EVENT]: models.ContestEvents
+		};
+	}
+
+	/**
+	 * Export a contest to a bundle
+	 * @param {number} contestId - Contest ID
+	 * @param {Writable} output - Stream the NDJSON bundle is written to (not ended)
+	 * @param {Object} options - Export options
+	 * @param {boolean} options.includeSubmissions - Include contest data batches (default: false)
+	 * @param {boolean} options.fileMode - Read snapshots and standings state from file storage (default: false)
+	 * @returns {Promise<Object|null>} Record counts by type, or null if the contest does not exist
+	 */
+	async exportContest (contestId, output, options = {}) {
+		const { includeSubmissions = false, fileMode = false } = options;
+		const operationStartTime = Date.now();
+		const recordModels = this.getRecordModels(fileMode);
+
+		const contest = await models.Contests.findOne({ contestId }).lean();
+		if (!contest) {
+			return null;
+		}
+
+		logger.info(`[BUNDLE EXPORT] Exporting contest ${contestId} (includeSubmissions=${includeSubmissions}, fileMode=${fileMode})`);
+
+		const counts = {};
+		const writeRecord = async (type, doc) => {
+			counts[type] = (counts[type] || 0) + 1;
+			await this.writeLine(output, { type, doc: toBundleDocument(doc) });
+		};
+
+		await this.writeLine(output, createBundleHeader(contestId, includeSubmissions));
+		await writeRecord(RECORD_TYPE.CONTEST, contest);
+
+		const [problems, standingsState] = await Promise.all([
+			models.Problems.find({ contestId }).sort({ index: 1 }).lean(),
+			recordModels[RECORD_TYPE.STANDINGS_STATE].find({ contestId }).lean()
+		]);
+		for (const problem of problems) {
+			await writeRecord(RECORD_TYPE.PROBLEM, problem);
+		}
+		for (const state of standingsState) {
+			await writeRecord(RECORD_TYPE.STANDINGS_STATE, state);
+		}
+
+		// Base snapshots and contest data batches are large: load them one at a time
+		const baseTimestamps = await recordModels[RECORD_TYPE.BASE_SNAPSHOT].find({ contestId })
+			.select('timestampSeconds')
+			.sort({ timestampSeconds: 1 })
+			.lean();
+		for (const { timestampSeconds } of baseTimestamps) {
+			const base = await recordModels[RECORD_TYPE.BASE_SNAPSHOT].findOne({ contestId, timestampSeconds }).lean();
+			await writeRecord(RECORD_TYPE.BASE_SNAPSHOT, base);
+		}
+
+		const deltas = await recordModels[RECORD_TYPE.DELTA_SNAPSHOT].find({ contestId }).sort({ timestampSeconds: 1 }).lean();
+		for (const delta of deltas) {
+			await writeRecord(RECORD_TYPE.DELTA_SNAPSHOT, delta);
+		}
+
+		const events = await models.ContestEvents.find({ contestId }).sort({ timestampSeconds: 1, snapshotTimestamp: 1, sequence: 1 }).lean();
+		for (const event of events) {
+			await writeRecord(RECORD_TYPE.CONTEST_EVENT, event);
+		}
+
+		if (includeSubmissions) {
+			const batches = await models.BatchedContestData.find({ contestId })
+				.select('batchIndex')
+				.sort({ batchIndex: 1 })
+				.lean();
+			for (const { batchIndex } of batches) {
+				const batch = await models.BatchedContestData.findOne({ contestId, batchIndex }).lean();
+				await writeRecord(RECORD_TYPE.CONTEST_DATA, batch);
+			}
+		}
+
+		await this.writeLine(output, { type: 'footer', counts });
+
+		logger.info(`[BUNDLE EXPORT] ✓ Exported contest ${contestId}: ${JSON.stringify(counts)} (took ${Date.now() - operationStartTime}ms)`);
+		return counts;
+	}
+
+	/**
+	 * Import a bundle
+	 * The whole bundle is validated, footer counts included, while its records are staged
+	 * in a temporary file. Existing data of the contest is replaced (only with overwrite)
+	 * once the bundle is known to be complete, so an invalid or truncated bundle leaves it
+	 * untouched. If writing the staged records fails, the partially imported contest is
+	 * removed again.
+	 * @param {Readable} input - Stream of the NDJSON bundle
+	 * @param {Object} options - Import options
+	 * @param {boolean} options.overwrite - Replace existing data of the contest (default: false)
+	 * @param {boolean} options.fileMode - Write snapshots and standings state to file storage (default: false)
+	 * @returns {Promise<Object>} { imported: true, contestId, schemaVersion, counts } or { imported: false, error }
+	 */
+	async importBundle (input, options = {}) {
+		const { overwrite = false, fileMode = false } = options;
+		const operationStartTime = Date.now();
+		const recordModels = this.getRecordModels(fileMode);
+		const lines = readline.createInterface({ input, crlfDelay: Infinity });
+
+		const stagingDir = await fs.mkdtemp(path.join(os.tmpdir(), 'contest-bundle-'));
+		const stagingPath = path.join(stagingDir, 'records.ndjson');
+		const staging = createWriteStream(stagingPath);
+
+		try {
+			const result = await importBundleRecords(lines, {
+				contestExists: async contestId => await models.Contests.countDocuments({ contestId }) > 0,
+				stageRecord: record => this.writeLine(staging, record),
+				replaceContest: async header => {
+					staging.end();
+					await once(staging, 'finish');
+					logger.info(`[BUNDLE IMPORT] Importing contest ${header.contestId} (schema version ${header.schemaVersion}, overwrite=${overwrite}, fileMode=${fileMode})`);
+					await this.replaceContestData(header, stagingPath, recordModels);
+				}
+			}, overwrite);
+
+			if (result.error) {
+				return { imported: false, error: result.error };
+			}
+
+			const { header, counts } = result;
+			logger.info(`[BUNDLE IMPORT] ✓ Imported contest ${header.contestId}: ${JSON.stringify(counts)} (took ${Date.now() - operationStartTime}ms)`);
+			return {
+				imported: true,
+				contestId: header.contestId,
+				schemaVersion: header.schemaVersion,
+				exportedAt: header.exportedAt || null,
+				counts
+			};
+		} finally {
+			staging.destroy();
+			await fs.rm(stagingDir, { recursive: true, force: true });
+		}
+	}
+
+	/**
+	 * Replace the data of a contest with the staged records of a validated bundle
+	 * @param {Object} header - Bundle header
+	 * @param {string} stagingPath - NDJSON file of the staged records
+	 * @param {Object} recordModels - Record type -> model
+	 * @returns {Promise<void>}
+	 */
+	async replaceContestData (header, stagingPath, recordModels) {
+		const batches = new Map();
+		const flush = async (type) => {
+			const batch = batches.get(type);
+			if (batch?.length) {
+				batches.set(type, []);
+				await recordModels[type].insertMany(batch);
+			}
+		};
+
+		await this.deleteContestData(header.contestId, recordModels, header.includeSubmissions);
+		try {
+			const lines = readline.createInterface({ input: createReadStream(stagingPath), crlfDelay: Infinity });
+			for await (const line of lines) {
+				const { type, doc } = JSON.parse(line);
+				if (!batches.has(type)) {
+					batches.set(type, []);
+				}
+				batches.get(type).push(doc);
+				if (batches.get(type).length >= IMPORT_BATCH_SIZE) {
+					await flush(type);
+				}
+			}
+			for (const type of batches.keys()) {
+				await flush(type);
+			}
+		} catch (error) {
+			logger.error(`[BUNDLE IMPORT] Import of contest ${header.contestId} failed, removing partially imported data: ${error.message}`);
+			await this.deleteContestData(header.contestId, recordModels, header.includeSubmissions);
+			throw error;
+		}
+		standingsStateCache.invalidateContest(header.contestId);
+	}
+
+	/**
+	 * Delete the data of a contest that a bundle replaces
+	 * @param {number} contestId - Contest ID
+	 * @param {Object} recordModels - Record type -> model
+	 * @param {boolean} includeSubmissions - Also delete contest data batches
+	 * @returns {Promise<void>}
+	 */
+	async deleteContestData (contestId, recordModels, includeSubmissions) {
+		const types = Object.values(RECORD_TYPE).filter(type => includeSubmissions || type !== RECORD_TYPE.CONTEST_DATA);
+		await Promise.all(types.map(type => recordModels[type].deleteMany({ contestId })));
+		standingsStateCache.invalidateContest(contestId);
+	}
+
+	/**
+	 * Write one NDJSON record, waiting for the stream to drain when its buffer is full
+	 * @param {Writable} output - Output stream
+	 * @param {Object} record - Record
+	 * @returns {Promise<void>}
+	 */
+	async writeLine (output, record) {
+		if (!output.write(`${JSON.stringify(record)}\n`)) {
+			await once(output, 'drain');
+		}
+	}
+}
+
+// Export singleton instance
+export const contestBundleService = new ContestBundleService();
@@ -0,0 +1,152 @@
+import { models } from '../data/models/index.js';
+import { logger } from '../helpers/logger.js';
+import { codeforcesDataService } from './codeforcesDataService.js';
+import { getScoringRule } from './scoringRules.js';
+import { toHackEvent } from './eventStream.js';
+import { detectContestEvents, summarizeStandings, CONTEST_EVENT_TYPE } from './contestEvents.js';
+
+export { CONTEST_EVENT_TYPE };
+
+export const DEFAULT_EVENT_LIMIT = 100;
+export const MAX_EVENT_LIMIT = 1000;
+
+/**
+ * Contest Event Service
+ * Records the notable events of a contest as its snapshots are created, and serves
+ * them as a feed
+ *
+ * Each snapshot detects the events since the previous snapshot (see contestEvents.js)
+ * and replaces the events recorded by earlier runs of the same window, so rebuilt or
+ * recreated snapshots do not duplicate them. Events are always stored in MongoDB,
+ * whichever storage the snapshots use.
+ */
+class ContestEventService {
+	/**
+	 * Load what event detection needs to know about a contest
+	 * @param {number} contestId - Contest ID
+	 * @returns {Promise<Object>} { contest, rule, problemCount }
+	 */
+	async loadDetectionContext (contestId) {
+		const [contest, problems] = await Promise.all([
+			codeforcesDataService.getContestFromDB(contestId),
+			codeforcesDataService.getProblemsFromDB(contestId)
+		]);
+		return { contest, rule: getScoringRule(contest), problemCount: problems.length };
+	}
+
+	/**
+	 * Detect and store the events between two snapshots
+	 * Failures are logged and never fail the snapshot that triggered them.
+	 * @param {number} contestId - Contest ID
+	 * @param {number|null} fromExclusive - Previous snapshot timestamp, null for contest start
+	 * @param {number} toInclusive - Timestamp of the new snapshot
+	 * @param {Iterable|null} previousStates - Participant states at the previous snapshot (ignored with options.previousSummary)
+	 * @param {Iterable} states - Participant states at the new snapshot
+	 * @param {Object} options - Optional settings
+	 * @param {Object} options.previousSummary - Summary returned by the call for the previous snapshot
+	 * @param {Object} options.context - Detection context (see loadDetectionContext), loaded if not given
+	 * @returns {Promise<Object|null>} Summary of the new snapshot, to pass to the next call, or null on failure
+	 */
+	async recordSnapshotEvents (contestId, fromExclusive, toInclusive, previousStates, states, options = {}) {
+		try {
+			const { contest, rule, problemCount } = options.context || await this.loadDetectionContext(contestId);
+			const previousSummary = options.previousSummary || summarizeStandings(previousStates || [], rule, { problemCount });
+
+			// Hacks are stored with absolute times; before the contest start they count as t=0
+			const contestStartTimeSeconds = contest?.startTimeSeconds ?? null;
+			const hacks = contestStartTimeSeconds === null ? [] : await codeforcesDataService.getHacksInWindow(
+				contestId,
+				fromExclusive === null ? null : contestStartTimeSeconds + fromExclusive,
+				contestStartTimeSeconds + toInclusive
+			);
+
+			const { events, summary } = detectContestEvents(previousSummary, states, {
+				rule,
+				problemCount,
+				timestampSeconds: toInclusive,
+				hackEvents: hacks.map(hack => toHackEvent(hack, contestStartTimeSeconds))
+			});
+			await this.replaceEvents(contestId, fromExclusive, toInclusive, events);
+			if (events.length > 0) {
+				logger.info(`[CONTEST EVENTS] Recorded ${events.length} event(s) for contest ${contestId} between t=${fromExclusive ?? 'start'} and t=${toInclusive}`);
+			}
+			return summary;
+		} catch (error) {
+			logger.error(`[CONTEST EVENTS] Error recording events for contest ${contestId} at t=${toInclusive}: ${error.message}`);
+			return null;
+		}
+	}
+
+	/**
+	 * Replace the events detected by the snapshots of a window
+	 * @param {number} contestId - Contest ID
+	 * @param {number|null} fromExclusive - Start of the window (snapshot timestamps), null for contest start
+	 * @param {number} toInclusive - End of the window, the detecting snapshot
+	 * @param {Array} events - Events detected at toInclusive
+	 * @returns {Promise<void>}
+	 */
+	async replaceEvents (contestId, fromExclusive, toInclusive, events) {
+		const snapshotTimestamp = fromExclusive === null ? { $lte: toInclusive } : { $gt: fromExclusive, $lte: toInclusive };
+		await models.ContestEvents.deleteMany({ contestId, snapshotTimestamp });
+		if (events.length > 0) {
+			await models.ContestEvents.insertMany(events.map((event, sequence) => ({
+				contestId,
+				...event,
+				snapshotTimestamp: toInclusive,
+				sequence
+			})));
+		}
+	}
+
+	/**
+	 * Get a page of the events of a contest, in chronological order
+	 * @param {number} contestId - Contest ID
+	 * @param {Object} options - Query options
+	 * @param {number|null} options.fromTimestamp - Earliest event time (relative seconds, inclusive)
+	 * @param {number|null} options.toTimestamp - Latest event time (relative seconds, inclusive)
+	 * @param {Array<string>|null} options.types - Event types (default: all)
+	 * @param {number} options.limit - Events per page (default: DEFAULT_EVENT_LIMIT)
+	 * @param {number} options.skip - Events to skip (default: 0)
+	 * @returns {Promise<Object>} { contestId, events, pagination: { total, limit, skip, hasMore } }
+	 */
+	async getEvents (contestId, options = {}) {
+		const { fromTimestamp = null, toTimestamp = null, types = null, limit = DEFAULT_EVENT_LIMIT, skip = 0 } = options;
+		const query = { contestId };
+		if (fromTimestamp !== null || toTimestamp !== null) {
+			query.timestampSeconds = {};
+			if (fromTimestamp !== null) {
+				query.timestampSeconds.$gte = fromTimestamp;
+			}
+			if (toTimestamp !== null) {
+				query.timestampSeconds.$lte = toTimestamp;
+			}
+		}
+		if (types?.length) {
+			query.type = { $in: types };
+		}
+
+		const [events, total] = await Promise.all([
+			models.ContestEvents.find(query)
+				.select('-_id -__v -contestId -createdAt')
+				.sort({ timestampSeconds: 1, snapshotTimestamp: 1, sequence: 1 })
+				.skip(skip)
+				.limit(limit)
+				.lean(),
+			models.ContestEvents.countDocuments(query)
+		]);
+
+		return {
+			contestId,
+			events,
+			pagination: {
+				total,
+				limit,
+				skip,
+				hasMore: skip + limit < total
+			}
+		};
+	}
+}
+
+// Export singleton instance
+export const contestEventService = new ContestEventService();
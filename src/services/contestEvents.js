@@ -0,0 +1,244 @@
+/**
+ * Contest Events
+ * Detects the notable events of a contest (first solves, lead changes, top N entries
+ * and exits, all problems solved, successful hacks) between two consecutive snapshots
+ *
+ * Solves and hacks carry their exact contest time; lead changes and top N moves are
+ * seen at the snapshot that first shows them. Only official participants with a
+ * positive score take part in the rankings, so the zero-point crowd at the start of a
+ * contest is not reported as leading.
+ */
+
+import { assignSharedRanks, compareParticipants, isSuccessfulHack } from './standingsStateUpdate.js';
+import { getPartyKey, getStateKey } from '../helpers/participantKey.js';
+
+export const CONTEST_EVENT_TYPE = Object.freeze({
+	FIRST_SOLVE: 'FIRST_SOLVE', // First accepted solution of a problem
+	LEAD_CHANGE: 'LEAD_CHANGE', // Different participants share first place
+	TOP_N_ENTRY: 'TOP_N_ENTRY', // Participant entered the top N
+	TOP_N_EXIT: 'TOP_N_EXIT', // Participant left the top N
+	ALL_SOLVED: 'ALL_SOLVED', // Participant solved every problem
+	SUCCESSFUL_HACK: 'SUCCESSFUL_HACK' // Hack of another participant's solution succeeded
+});
+
+// Places watched for top N entries and exits
+export const EVENT_TOP_N = 10;
+
+// Events at the same time: causes before the rank changes they lead to
+const EVENT_TYPE_ORDER = Object.freeze({
+	[CONTEST_EVENT_TYPE.SUCCESSFUL_HACK]: 0,
+	[CONTEST_EVENT_TYPE.FIRST_SOLVE]: 1,
+	[CONTEST_EVENT_TYPE.ALL_SOLVED]: 2,
+	[CONTEST_EVENT_TYPE.LEAD_CHANGE]: 3,
+	[CONTEST_EVENT_TYPE.TOP_N_EXIT]: 4,
+	[CONTEST_EVENT_TYPE.TOP_N_ENTRY]: 5
+});
+
+/**
+ * Check whether a participant takes part in the event rankings
+ * @param {Object} state - Participant state
+ * @returns {boolean} True for official participants with a positive score
+ */
+function isRanked (state) {
+	return !state.isUnofficial && ((state.totalPoints || 0) > 0 || (state.solvedCount || 0) > 0);
+}
+
+/**
+ * Get the handles of a participant
+ * @param {Object} state - Participant state
+ * @returns {Array<string>} Member handles
+ */
+function handlesOf (state) {
+	return state.handles?.length ? state.handles : [state.handle].filter(Boolean);
+}
+
+/**
+ * Iterate the problem entries of a participant (Map during replay, object when stored)
+ * @param {Object} state - Participant state
+ * @returns {Iterable} [problemIndex, problem] pairs
+ */
+function problemEntries (state) {
+	return state.problems instanceof Map ? state.problems.entries() : Object.entries(state.problems || {});
+}
+
+/**
+ * Create an event with every field set
+ * @param {string} type - One of CONTEST_EVENT_TYPE
+ * @param {number} timestampSeconds - Contest time of the event (relative seconds)
+ * @param {Object} fields - Fields of the event type
+ * @returns {Object} Event
+ */
+function createEvent (type, timestampSeconds, fields = {}) {
+	return {
+		type,
+		timestampSeconds,
+		participantKey: null,
+		handles: [],
+		problemIndex: null,
+		rank: null,
+		previousRank: null,
+		leaders: [],
+		previousLeaders: [],
+		defenderKey: null,
+		defenderHandles: [],
+		hackId: null,
+		...fields
+	};
+}
+
+/**
+ * Summarize the standings at a snapshot for event detection
+ * @param {Iterable} states - Participant states
+ * @param {Object} rule - Scoring rule
+ * @param {Object} options - Summary options
+ * @param {number} options.problemCount - Number of problems of the contest
+ * @returns {Object} { solvedProblems, allSolved, ranks, leaders }
+ */
+export function summarizeStandings (states, rule, options = {}) {
+	const { problemCount = 0 } = options;
+	const solvedProblems = new Set(); // Problems solved by an official participant
+	const allSolved = new Set(); // Participants who solved every problem
+	const participants = [];
+
+	for (const state of states) {
+		if (state.isUnofficial) {
+			continue;
+		}
+		for (const [problemIndex, problem] of problemEntries(state)) {
+			if (problem.solved) {
+				solvedProblems.add(problemIndex);
+			}
+		}
+		if (problemCount > 0 && (state.solvedCount || 0) >= problemCount) {
+			allSolved.add(getStateKey(state));
+		}
+		if (isRanked(state)) {
+			participants.push({ ...state });
+		}
+	}
+
+	participants.sort((a, b) => compareParticipants(a, b, rule));
+	assignSharedRanks(participants, rule);
+	const ranks = new Map(participants.map(participant => [getStateKey(participant), {
+		rank: participant.rank,
+		handles: handlesOf(participant)
+	}]));
+	const leaders = participants.filter(participant => participant.rank === 1).map(getStateKey).sort();
+
+	return { solvedProblems, allSolved, ranks, leaders };
+}
+
+/**
+ * Detect the events between two snapshots
+ * @param {Object} previous - Summary of the previous snapshot (see summarizeStandings)
+ * @param {Iterable} states - Participant states at the snapshot
+ * @param {Object} context - Detection context
+ * @param {Object} context.rule - Scoring rule
+ * @param {number} context.problemCount - Number of problems of the contest
+ * @param {number} context.timestampSeconds - Snapshot timestamp (time of the rank events)
+ * @param {Array} context.hackEvents - Hack events since the previous snapshot (see toHackEvent)
+ * @param {number} context.topN - Places watched for entries and exits (default: EVENT_TOP_N)
+ * @returns {Object} { events, summary } - Events in chronological order, and the summary of the snapshot
+ */
+export function detectContestEvents (previous, states, context) {
+	const { rule, problemCount = 0, timestampSeconds, hackEvents = [], topN = EVENT_TOP_N } = context;
+	const stateList = Array.from(states);
+	const summary = summarizeStandings(stateList, rule, { problemCount });
+	const events = [];
+
+	// First solves: earliest new solve of each problem nobody had solved; equal times share it
+	const firstSolves = new Map(); // problemIndex -> { timeSeconds, solvers }
+	for (const state of stateList) {
+		if (state.isUnofficial) {
+			continue;
+		}
+		for (const [problemIndex, problem] of problemEntries(state)) {
+			if (!problem.solved || previous.solvedProblems.has(problemIndex)) {
+				continue;
+			}
+			const timeSeconds = problem.solveTime ?? timestampSeconds;
+			const first = firstSolves.get(problemIndex);
+			if (!first || timeSeconds < first.timeSeconds) {
+				firstSolves.set(problemIndex, { timeSeconds, solvers: [state] });
+			} else if (timeSeconds === first.timeSeconds) {
+				first.solvers.push(state);
+			}
+		}
+	}
+	for (const [problemIndex, { timeSeconds, solvers }] of firstSolves) {
+		for (const state of solvers) {
+			events.push(createEvent(CONTEST_EVENT_TYPE.FIRST_SOLVE, timeSeconds, {
+				participantKey: getStateKey(state),
+				handles: handlesOf(state),
+				problemIndex
+			}));
+		}
+	}
+
+	for (const state of stateList) {
+		const participantKey = getStateKey(state);
+		if (summary.allSolved.has(participantKey) && !previous.allSolved.has(participantKey)) {
+			events.push(createEvent(CONTEST_EVENT_TYPE.ALL_SOLVED, state.lastAcTime ?? timestampSeconds, {
+				participantKey,
+				handles: handlesOf(state)
+			}));
+		}
+	}
+
+	for (const { relativeTimeSeconds, hack } of hackEvents) {
+		if (isSuccessfulHack(hack.verdict)) {
+			events.push(createEvent(CONTEST_EVENT_TYPE.SUCCESSFUL_HACK, relativeTimeSeconds, {
+				participantKey: getPartyKey(hack.hacker),
+				handles: (hack.hacker?.members || []).map(member => member.handle).filter(Boolean),
+				problemIndex: hack.problem?.index || null,
+				defenderKey: getPartyKey(hack.defender),
+				defenderHandles: (hack.defender?.members || []).map(member => member.handle).filter(Boolean),
+				hackId: hack.id ?? null
+			}));
+		}
+	}
+
+	if (summary.leaders.length > 0 && summary.leaders.join() !== previous.leaders.join()) {
+		const [leader] = summary.leaders;
+		events.push(createEvent(CONTEST_EVENT_TYPE.LEAD_CHANGE, timestampSeconds, {
+			// A shared lead has no single participant
+			participantKey: summary.leaders.length === 1 ? leader : null,
+			handles: summary.leaders.length === 1 ? summary.ranks.get(leader).handles : [],
+			rank: 1,
+			leaders: summary.leaders,
+			previousLeaders: previous.leaders
+		}));
+	}
+
+	// Top N: a tie group starting inside the top N is in it as a whole
+	const inTopN = entry => entry !== undefined && entry.rank <= topN;
+	for (const [participantKey, entry] of previous.ranks) {
+		const current = summary.ranks.get(participantKey);
+		if (inTopN(entry) && !inTopN(current)) {
+			events.push(createEvent(CONTEST_EVENT_TYPE.TOP_N_EXIT, timestampSeconds, {
+				participantKey,
+				handles: (current || entry).handles,
+				rank: current?.rank ?? null,
+				previousRank: entry.rank
+			}));
+		}
+	}
+	for (const [participantKey, entry] of summary.ranks) {
+		const before = previous.ranks.get(participantKey);
+		if (inTopN(entry) && !inTopN(before)) {
+			events.push(createEvent(CONTEST_EVENT_TYPE.TOP_N_ENTRY, timestampSeconds, {
+				participantKey,
+				handles: entry.handles,
+				rank: entry.rank,
+				previousRank: before?.rank ?? null
+			}));
+		}
+	}
+
+	events.sort((a, b) => (a.timestampSeconds - b.timestampSeconds) ||
+		(EVENT_TYPE_ORDER[a.type] - EVENT_TYPE_ORDER[b.type]) ||
+		(a.rank ?? 0) - (b.rank ?? 0) ||
+		String(a.participantKey).localeCompare(String(b.participantKey)));
+
+	return { events, summary };
+}
@@ -0,0 +1,171 @@
+/**
+ * Delta Diff
+ * Field-level diffs between participant states, as stored in delta snapshots
+ *
+ * An INSERT change carries the full state of a new participant. An UPDATE change
+ * carries only the scalar fields that changed, the problem entries that changed
+ * (each entry whole) in `problems`, and the indexes of problem entries that no
+ * longer exist (after a rejudge) in `removedProblems`. A REMOVE change carries no
+ * state. Applying an UPDATE merges it into the previous state, so deltas stored
+ * with full states remain readable.
+ */
+
+import { getStateKey } from '../helpers/participantKey.js';
+
+// Scalar participant fields compared by diffs
+const DIFF_FIELDS = [
+	'handles',
+	'teamId',
+	'teamName',
+	'participantType',
+	'ghost',
+	'isUnofficial',
+	'totalPoints',
+	'totalPenalty',
+	'solvedCount',
+	'lastAcTime',
+	'hackSuccess',
+	'hackFail',
+	'lastSubmissionTime'
+];
+
+/**
+ * Convert stored problems (object or Map) to a plain object
+ * @param {Object|Map|undefined} problems - Problems keyed by problem index
+ * @returns {Object} Problems object
+ */
+function toProblemsObject (problems) {
+	if (!problems) {
+		return {};
+	}
+	return problems instanceof Map ? Object.fromEntries(problems.entries()) : problems;
+}
+
+/**
+ * Compare two stored values (scalars, arrays or plain objects)
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {boolean} True if equal
+ */
+function isSameValue (a, b) {
+	return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+/**
+ * Compute the field-level diff between two participant states
+ * @param {Object} previous - Previous state
+ * @param {Object} current - Current state
+ * @returns {Object|null} Diff ({ ...changedFields, problems?, removedProblems? }), or null if nothing changed
+ */
+export function diffParticipantState (previous, current) {
+	const diff = {};
+	for (const field of DIFF_FIELDS) {
+		if (!isSameValue(previous[field], current[field])) {
+			diff[field] = current[field] ?? null;
+		}
+	}
+
+	const previousProblems = toProblemsObject(previous.problems);
+	const currentProblems = toProblemsObject(current.problems);
+	const changedProblems = {};
+	for (const [problemIndex, problem] of Object.entries(currentProblems)) {
+		if (!isSameValue(previousProblems[problemIndex], problem)) {
+			changedProblems[problemIndex] = problem;
+		}
+	}
+	const removedProblems = Object.keys(previousProblems).filter(problemIndex => !(problemIndex in currentProblems));
+
+	if (Object.keys(changedProblems).length > 0) {
+		diff.problems = changedProblems;
+	}
+	if (removedProblems.length > 0) {
+		diff.removedProblems = removedProblems;
+	}
+
+	return Object.keys(diff).length > 0 ? diff : null;
+}
+
+/**
+ * Apply one delta change to a participant state
+ * @param {Object|undefined} existing - Current state of the participant (if any)
+ * @param {Object} change - Delta change ({ participantKey, handle, op, state })
+ * @returns {Object|null} New state, or null if the participant is removed
+ */
+export function applyParticipantChange (existing, change) {
+	if (change.op === 'REMOVE') {
+		return null;
+	}
+
+	const previous = change.op === 'INSERT' || !existing ? {} : existing;
+	const { problems = {}, removedProblems = [], ...fields } = change.state || {};
+	const mergedProblems = { ...toProblemsObject(previous.problems), ...toProblemsObject(problems) };
+	for (const problemIndex of removedProblems) {
+		delete mergedProblems[problemIndex];
+	}
+
+	return {
+		...previous,
+		...fields,
+		participantKey: getStateKey(change),
+		handle: change.handle,
+		problems: mergedProblems
+	};
+}
+
+/**
+ * Apply delta changes to a participant state map
+ * @param {Map} stateMap - participantKey -> participant (modified in place)
+ * @param {Array} changes - Delta changes
+ * @returns {Map} The same state map
+ */
+export function applyDeltaChanges (stateMap, changes) {
+	for (const change of changes || []) {
+		const participantKey = getStateKey(change);
+		const state = applyParticipantChange(stateMap.get(participantKey), change);
+		if (state) {
+			stateMap.set(participantKey, state);
+		} else {
+			stateMap.delete(participantKey);
+		}
+	}
+	return stateMap;
+}
+
+/**
+ * Compose two consecutive changes of the same participant into one
+ * @param {Object|undefined} earlier - Earlier change (if any)
+ * @param {Object} later - Later change
+ * @returns {Object} Change with the effect of both
+ */
+export function composeChanges (earlier, later) {
+	if (!earlier || later.op !== 'UPDATE' || earlier.op === 'REMOVE') {
+		return later;
+	}
+
+	const { problems: earlierProblems = {}, removedProblems: earlierRemoved = [], ...earlierFields } = earlier.state || {};
+	const { problems: laterProblems = {}, removedProblems: laterRemoved = [], ...laterFields } = later.state || {};
+
+	const problems = { ...earlierProblems, ...laterProblems };
+	for (const problemIndex of laterRemoved) {
+		delete problems[problemIndex];
+	}
+	const state = { ...earlierFields, ...laterFields };
+
+	if (earlier.op === 'INSERT') {
+		// Still a full state
+		state.problems = problems;
+	} else {
+		const removedProblems = [...new Set([
+			...earlierRemoved.filter(problemIndex => !(problemIndex in laterProblems)),
+			...laterRemoved
+		])];
+		if (Object.keys(problems).length > 0) {
+			state.problems = problems;
+		}
+		if (removedProblems.length > 0) {
+			state.removedProblems = removedProblems;
+		}
+	}
+
+	return { ...later, op: earlier.op, state };
+}
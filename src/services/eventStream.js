@@ -0,0 +1,256 @@
+/**
+ * Contest Event Stream
+ * Merges submissions and hacks into one chronological stream of events
+ * and replays it onto participant states.
+ *
+ * Submissions carry their own relativeTimeSeconds. Hacks are only stored with
+ * an absolute creationTimeSeconds, so they are placed relative to the contest start.
+ */
+
+import { createInitialState, processSubmission, processHack, processHackedSolution } from './standingsStateUpdate.js';
+import { resolveVerdict, DEFAULT_VERDICT_MODE } from './verdictPolicy.js';
+import { getPartyKey } from '../helpers/participantKey.js';
+
+export const EVENT_TYPE = Object.freeze({
+	SUBMISSION: 'SUBMISSION',
+	HACK: 'HACK'
+});
+
+// A hack always targets an earlier submission, so at equal times submissions go first
+const EVENT_TYPE_ORDER = Object.freeze({
+	[EVENT_TYPE.SUBMISSION]: 0,
+	[EVENT_TYPE.HACK]: 1
+});
+
+/**
+ * Wrap a submission as an event
+ * @param {Object} submission - Submission (as returned by codeforcesDataService)
+ * @returns {Object} Submission event
+ */
+export function toSubmissionEvent (submission) {
+	return {
+		type: EVENT_TYPE.SUBMISSION,
+		relativeTimeSeconds: submission.relativeTimeSeconds || 0,
+		creationTimeSeconds: submission.creationTimeSeconds || 0,
+		submission
+	};
+}
+
+/**
+ * Wrap a hack as an event placed relative to the contest start
+ * @param {Object} hack - Hack (as returned by codeforcesDataService)
+ * @param {number} contestStartTimeSeconds - Contest start (unix seconds)
+ * @returns {Object} Hack event
+ */
+export function toHackEvent (hack, contestStartTimeSeconds) {
+	return {
+		type: EVENT_TYPE.HACK,
+		relativeTimeSeconds: Math.max(0, (hack.creationTimeSeconds || 0) - contestStartTimeSeconds),
+		creationTimeSeconds: hack.creationTimeSeconds || 0,
+		hack
+	};
+}
+
+/**
+ * Chronological order of events
+ * @param {Object} a - Event
+ * @param {Object} b - Event
+ * @returns {number} Negative if a comes first
+ */
+export function compareEvents (a, b) {
+	return (a.relativeTimeSeconds - b.relativeTimeSeconds) ||
+		(a.creationTimeSeconds - b.creationTimeSeconds) ||
+		(EVENT_TYPE_ORDER[a.type] - EVENT_TYPE_ORDER[b.type]);
+}
+
+/**
+ * Build a chronologically ordered event stream
+ * @param {Array} submissions - Submissions (as returned by codeforcesDataService.getSubmissionsFromDB)
+ * @param {Array} hacks - Hacks (as returned by codeforcesDataService.getHacksFromDB)
+ * @param {number|null} contestStartTimeSeconds - Contest start (unix seconds), needed to place hacks
+ * @returns {Array} Events sorted by relativeTimeSeconds
+ */
+export function buildEventStream (submissions = [], hacks = [], contestStartTimeSeconds = null) {
+	const events = submissions.map(toSubmissionEvent);
+
+	if (contestStartTimeSeconds !== null && contestStartTimeSeconds !== undefined) {
+		for (const hack of hacks) {
+			events.push(toHackEvent(hack, contestStartTimeSeconds));
+		}
+	}
+
+	return events.sort(compareEvents);
+}
+
+/**
+ * Merge a chronological submission stream with hacks into one event stream
+ * Same order as buildEventStream, without holding the submissions in memory.
+ * @param {AsyncIterable} submissions - Submissions, oldest first (e.g. codeforcesDataService.iterateSubmissions)
+ * @param {Array} hacks - Hacks, oldest first
+ * @param {number|null} contestStartTimeSeconds - Contest start (unix seconds), needed to place hacks
+ * @returns {AsyncGenerator<Object>} Events in chronological order
+ */
+export async function * mergeEventStreams (submissions, hacks = [], contestStartTimeSeconds = null) {
+	const hackEvents = contestStartTimeSeconds !== null && contestStartTimeSeconds !== undefined
+		? hacks.map(hack => toHackEvent(hack, contestStartTimeSeconds)).sort(compareEvents)
+		: [];
+	let hackIndex = 0;
+
+	for await (const submission of submissions) {
+		const event = toSubmissionEvent(submission);
+		while (hackIndex < hackEvents.length && compareEvents(hackEvents[hackIndex], event) < 0) {
+			yield hackEvents[hackIndex++];
+		}
+		yield event;
+	}
+	while (hackIndex < hackEvents.length) {
+		yield hackEvents[hackIndex++];
+	}
+}
+
+/**
+ * Filter events to a time window
+ * @param {Array} events - Event stream
+ * @param {number|null} fromExclusive - Start of window (exclusive), null for contest start
+ * @param {number} toInclusive - End of window (inclusive)
+ * @returns {Array} Events inside the window
+ */
+export function eventsInWindow (events, fromExclusive, toInclusive) {
+	return events.filter(event =>
+		(fromExclusive === null || event.relativeTimeSeconds > fromExclusive) &&
+		event.relativeTimeSeconds <= toInclusive
+	);
+}
+
+/**
+ * Resolve the value of a problem for a submission
+ * Problems collection first, then submission data, then 1
+ * @param {Map} problemPointsMap - problemIndex -> points (or null)
+ * @param {Object} submission - Submission
+ * @returns {{ points: number, isDefault: boolean }} Problem points
+ */
+export function resolveProblemPoints (problemPointsMap, submission) {
+	const problemIndex = submission.problem?.index || '';
+	let points = problemPointsMap.get(problemIndex);
+	if (points === null || points === undefined) {
+		points = submission.problem?.points;
+	}
+	if (points === null || points === undefined) {
+		return { points: 1, isDefault: true };
+	}
+	return { points, isDefault: false };
+}
+
+/**
+ * Build the problemIndex -> subtasks map used by partial scoring
+ * @param {Array} problems - Problems (as returned by codeforcesDataService.getProblemsFromDB)
+ * @returns {Map} problemIndex -> subtasks [{ testCount, points }]
+ */
+export function buildProblemSubtasksMap (problems = []) {
+	return new Map(
+		problems
+			.filter(problem => problem.subtasks && problem.subtasks.length > 0)
+			.map(problem => [problem.index, problem.subtasks])
+	);
+}
+
+/**
+ * Get or create the state of a party in a state map
+ * @param {Map} stateMap - participantKey -> state
+ * @param {Object} party - Party ({ teamId, teamName, members, participantType })
+ * @param {number} contestId - Contest ID
+ * @returns {Object|null} Participant state, or null if the party has no members
+ */
+function getOrCreateState (stateMap, party, contestId) {
+	const participantKey = getPartyKey(party);
+	if (!participantKey) {
+		return null;
+	}
+	if (!stateMap.has(participantKey)) {
+		const type = party.participantType || 'CONTESTANT';
+		const handles = (party.members || []).map(member => member.handle).filter(Boolean);
+		stateMap.set(participantKey, createInitialState(handles[0] || null, contestId, {
+			participantKey,
+			handles,
+			teamId: party.teamId ?? null,
+			teamName: party.teamName || null,
+			participantType: type,
+			isUnofficial: type !== 'CONTESTANT'
+		}));
+	}
+	return stateMap.get(participantKey);
+}
+
+/**
+ * Get the participants an event involves
+ * @param {Object} event - Submission or hack event
+ * @returns {Array<string>} Participant keys (author, or hacker and defender)
+ */
+export function eventParticipantKeys (event) {
+	const parties = event.type === EVENT_TYPE.HACK ? [event.hack.hacker, event.hack.defender] : [event.submission.author];
+	return parties.map(getPartyKey).filter(Boolean);
+}
+
+/**
+ * Replay events onto participant states
+ * @param {Map} stateMap - participantKey -> state (updated in place)
+ * @param {Array} events - Chronological event stream
+ * @param {Object} context - Replay context
+ * @param {number} context.contestId - Contest ID
+ * @param {Object} context.rule - Scoring rule
+ * @param {Map} context.problemPointsMap - problemIndex -> points (or null)
+ * @param {Map} context.problemSubtasksMap - Optional problemIndex -> subtasks (partial scoring)
+ * @param {Function} context.onDefaultPoints - Optional callback(problemIndex) when a solved problem has no points
+ * @param {string} context.verdictMode - Optional verdict mode, live or final (default: final)
+ * @returns {Set} Participant keys whose state was touched by the events
+ */
+export function replayEvents (stateMap, events, context) {
+	const { contestId, rule, problemPointsMap, problemSubtasksMap, onDefaultPoints, verdictMode = DEFAULT_VERDICT_MODE } = context;
+	const touched = new Set();
+
+	for (const event of events) {
+		if (event.type === EVENT_TYPE.SUBMISSION) {
+			const submission = event.submission;
+			const verdict = resolveVerdict(submission, verdictMode, rule.systemTesting);
+			if (verdict === null) {
+				continue;
+			}
+			const state = getOrCreateState(stateMap, submission.author, contestId);
+			if (!state) {
+				continue;
+			}
+
+			const { points, isDefault } = resolveProblemPoints(problemPointsMap, submission);
+			if (isDefault && verdict === 'OK' && onDefaultPoints) {
+				onDefaultPoints(submission.problem?.index || '');
+			}
+
+			processSubmission(state, {
+				problemIndex: submission.problem?.index || '',
+				verdict,
+				relativeTimeSeconds: event.relativeTimeSeconds,
+				// Under partial scoring an unknown problem value must not mark every score as full
+				points: rule.partialScoring && isDefault ? 0 : points,
+				score: submission.points ?? null,
+				passedTestCount: submission.passedTestCount ?? null,
+				subtasks: problemSubtasksMap?.get(submission.problem?.index || '') || []
+			}, rule);
+			touched.add(state.participantKey);
+		} else if (event.type === EVENT_TYPE.HACK) {
+			const hack = event.hack;
+
+			const hackerState = getOrCreateState(stateMap, hack.hacker, contestId);
+			if (hackerState) {
+				processHack(hackerState, hack, rule);
+				touched.add(hackerState.participantKey);
+			}
+			const defenderKey = getPartyKey(hack.defender);
+			if (defenderKey && stateMap.has(defenderKey)) {
+				processHackedSolution(stateMap.get(defenderKey), hack);
+				touched.add(defenderKey);
+			}
+		}
+	}
+
+	return touched;
+}
@@ -1,10 +1,37 @@
 import { models } from '../data/models/index.js';
 import { getModels } from './modelProvider.js';
 import { snapshotService } from './snapshotService.js';
-import { compareParticipants, plainObjectToState, processSubmission } from './standingsStateUpdate.js';
+import { assignSharedRanks, compareParticipants, formatRankRange, freezeParticipantState, paginateByRank, plainObjectToState } from './standingsStateUpdate.js';
+import { buildEventStream, buildProblemSubtasksMap, eventParticipantKeys, replayEvents } from './eventStream.js';
+import { getScoringRule } from './scoringRules.js';
+import { getVerdictMode } from './verdictPolicy.js';
 import { codeforcesDataService } from './codeforcesDataService.js';
 import { fileStorageService } from './fileStorageService.js';
 import { logger } from '../helpers/logger.js';
+import { getPartyKey, getStateKey } from '../helpers/participantKey.js';
+import { applyDeltaChanges } from './deltaDiff.js';
+import { standingsStateCache } from './standingsStateCache.js';
+import { buildParticipantFilter, filterRankedParticipants, hasStandingsFilter, needsProfiles, RANK_SCOPE } from './standingsFilter.js';
+import { findParticipantMoments, rankParticipant, toTimelinePoint } from './participantTimeline.js';
+import { buildRankMovement, findLeaders, rankStates, MOVEMENT_SORT } from './rankMovement.js';
+import { computeProblemStats, resolveBucketSeconds } from './problemStats.js';
+
+/**
+ * Standings views: the jury sees true results, the public sees the scoreboard frozen
+ */
+export const STANDINGS_VIEW = Object.freeze({
+	JURY: 'jury',
+	PUBLIC: 'public'
+});
+
+// ICPC scoreboards freeze for the final hour
+const DEFAULT_FREEZE_DURATION_SECONDS = 3600;
+
+// Most points a participant timeline returns; a smaller step is raised to fit
+export const MAX_TIMELINE_POINTS = 5000;
+
+// Rows of a rank movement report when no limit is given
+export const DEFAULT_MOVEMENT_LIMIT = 100;
 
 /**
  * Incremental Simulation Service
@@ -20,148 +47,98 @@ class IncrementalSimulationService {
 	 * @param {number} rankTo - Ending rank (1-indexed, inclusive)
 	 * @param {boolean} showUnofficial - Include unofficial participants
 	 * @param {boolean} fileMode - Use file storage instead of MongoDB (default: false)
+	 * @param {Object} options - Query options
+	 * @param {string} options.view - 'jury' (true results, default) or 'public' (frozen results with pending attempts)
+	 * @param {Object} options.filter - Optional participant filter and rank scope (see standingsFilter)
 	 * @returns {Promise<Object>} Standings data at specified timestamp
 	 */
-	async getStandingsAtTime(contestId, timestampSeconds, rankFrom = 1, rankTo = null, showUnofficial = false, fileMode = false) {
+	async getStandingsAtTime(contestId, timestampSeconds, rankFrom = 1, rankTo = null, showUnofficial = false, fileMode = false, options = {}) {
 		try {
 			const operationStartTime = Date.now();
-			logger.info(`[GET STANDINGS] Starting query for contest ${contestId} at timestamp ${timestampSeconds} (rank ${rankFrom}-${rankTo || 'end'}, unofficial=${showUnofficial})`);
+			const view = options.view || STANDINGS_VIEW.JURY;
+			logger.info(`[GET STANDINGS] Starting query for contest ${contestId} at timestamp ${timestampSeconds} (rank ${rankFrom}-${rankTo || 'end'}, unofficial=${showUnofficial}, view=${view})`);
 			
-			// Step 1: Find nearest base snapshot ≤ T
-			logger.info(`[GET STANDINGS] Step 1: Finding base snapshot for contest ${contestId} at or before timestamp ${timestampSeconds}`);
-			const baseSnapshotStartTime = Date.now();
-			const baseSnapshot = await snapshotService.getBaseSnapshotAt(contestId, timestampSeconds, fileMode);
-			const baseSnapshotDuration = Date.now() - baseSnapshotStartTime;
+			// Load contest first: it selects the scoring rule and the freeze time
+			const contest = await codeforcesDataService.getContestFromDB(contestId);
+			const rule = getScoringRule(contest);
+			const freezeTimeSeconds = this.getFreezeTimeSeconds(contest);
+			const frozen = view === STANDINGS_VIEW.PUBLIC && freezeTimeSeconds !== null && timestampSeconds > freezeTimeSeconds;
 			
-			if (!baseSnapshot) {
+			// Steps 1-4: Rebuild state at T from base and delta snapshots (cached per snapshot)
+			const entry = await this.loadCachedStateAt(contestId, timestampSeconds, fileMode);
+			
+			if (!entry) {
 				// No snapshot yet - return empty or compute from scratch
-				logger.warn(`[GET STANDINGS] No base snapshot found for contest ${contestId} at timestamp ${timestampSeconds}`);
 				return {
-					contest: await codeforcesDataService.getContestFromDB(contestId),
+					contest,
 					problems: await codeforcesDataService.getProblemsFromDB(contestId),
-					rows: []
+					rows: [],
+					view,
+					frozen,
+					freezeTimeSeconds
 				};
 			}
 			
-			logger.info(`[GET STANDINGS] Found base snapshot at timestamp ${baseSnapshot.timestampSeconds} with ${baseSnapshot.participants?.length || 0} participants (query took ${baseSnapshotDuration}ms)`);
-			
-			// Step 2: Load base state into map
-			logger.info(`[GET STANDINGS] Step 2: Loading base state into map (${baseSnapshot.participants?.length || 0} participants)`);
-			const loadStartTime = Date.now();
-			let participantMap = new Map();
-			for (const p of baseSnapshot.participants) {
-				participantMap.set(p.handle, { ...p });
-			}
-			const loadDuration = Date.now() - loadStartTime;
-			logger.info(`[GET STANDINGS] Loaded ${participantMap.size} participants into map (took ${loadDuration}ms)`);
-			
-			// Step 3: Apply delta snapshots from baseTimestamp to T
-			logger.info(`[GET STANDINGS] Step 3: Finding delta snapshots between ${baseSnapshot.timestampSeconds} and ${timestampSeconds}`);
-			const deltaSearchStartTime = Date.now();
-			const deltas = await snapshotService.getDeltaSnapshotsBetween(
-				contestId,
-				baseSnapshot.timestampSeconds,
-				timestampSeconds,
-				fileMode
-			);
-			const deltaSearchDuration = Date.now() - deltaSearchStartTime;
-			logger.info(`[GET STANDINGS] Found ${deltas.length} delta snapshot(s) to apply (query took ${deltaSearchDuration}ms)`);
+			// Sort by ranking criteria of the contest type (CF, ICPC, IOI) and assign shared ranks
+			// (tied participants share a "3-5" style range). Jury standings are sorted once per
+			// snapshot and kept in the cache with the state.
+			const rankParticipants = (states) => {
+				logger.info(`[GET STANDINGS] Step 5: Computing ranks (${states.length} participants)`);
+				const rankStartTime = Date.now();
+				const participants = showUnofficial ? states : states.filter(p => !p.isUnofficial);
+				if (participants.length !== states.length) {
+					logger.info(`[GET STANDINGS] Filtered to ${participants.length} official participants (removed ${states.length - participants.length} unofficial)`);
+				}
+				const ranked = participants.map(p => ({ ...p })).sort((a, b) => compareParticipants(a, b, rule));
+				assignSharedRanks(ranked, rule);
+				const rankDuration = Date.now() - rankStartTime;
+				logger.info(`[GET STANDINGS] Computed ranks for ${ranked.length} participants (took ${rankDuration}ms)`);
+				return ranked;
+			};
 			
-			if (deltas.length > 0) {
-				logger.info(`[GET STANDINGS] Step 4: Applying ${deltas.length} delta snapshot(s)`);
-				const applyStartTime = Date.now();
-				let totalChanges = 0;
-				for (let i = 0; i < deltas.length; i++) {
-					const delta = deltas[i];
-					const changeCount = delta.changes?.length || 0;
-					totalChanges += changeCount;
-					logger.info(`[GET STANDINGS] Applying delta ${i + 1}/${deltas.length} (timestamp: ${delta.timestampSeconds}, changes: ${changeCount})`);
-					
-					for (const change of delta.changes) {
-						if (change.op === 'INSERT') {
-							// New participant
-							participantMap.set(change.handle, change.state);
-						} else if (change.op === 'UPDATE') {
-							// Update existing participant
-							const existing = participantMap.get(change.handle);
-							if (existing) {
-								// Merge state changes
-								Object.assign(existing, change.state);
-							} else {
-								// Participant not in base snapshot, treat as insert
-								participantMap.set(change.handle, change.state);
-							}
-						}
-					}
+			let participants;
+			if (frozen) {
+				// Public view after the freeze: results at the freeze time, later attempts shown as pending.
+				// Built from the same snapshots as the jury view.
+				logger.info(`[GET STANDINGS] Public view is frozen at t=${freezeTimeSeconds}, loading frozen state`);
+				const frozenMap = (await this.loadCachedStateAt(contestId, freezeTimeSeconds, fileMode))?.state || new Map();
+				const publicStates = [];
+				for (const [participantKey, current] of entry.state.entries()) {
+					publicStates.push(freezeParticipantState(frozenMap.get(participantKey), current));
 				}
-				const applyDuration = Date.now() - applyStartTime;
-				logger.info(`[GET STANDINGS] Applied ${totalChanges} changes from ${deltas.length} delta snapshot(s) (took ${applyDuration}ms)`);
+				participants = rankParticipants(publicStates);
 			} else {
-				logger.info(`[GET STANDINGS] No delta snapshots to apply`);
+				participants = standingsStateCache.getSorted(entry, showUnofficial ? 'all' : 'official', () => rankParticipants(Array.from(entry.state.values())));
 			}
 			
-			// Step 4: Convert to array and compute ranks
-			logger.info(`[GET STANDINGS] Step 5: Computing ranks (${participantMap.size} participants)`);
-			const rankStartTime = Date.now();
-			let participants = Array.from(participantMap.values());
-			
-			// Filter unofficial if needed
-			const beforeFilter = participants.length;
-			if (!showUnofficial) {
-				participants = participants.filter(p => !p.isUnofficial);
-			}
-			const afterFilter = participants.length;
-			if (beforeFilter !== afterFilter) {
-				logger.info(`[GET STANDINGS] Filtered to ${afterFilter} official participants (removed ${beforeFilter - afterFilter} unofficial)`);
+			// Filters select participants of the ranked standings; ranks stay global unless scoped to the selection
+			const filter = options.filter || {};
+			if (hasStandingsFilter(filter)) {
+				const profileHandles = needsProfiles(filter) ? await codeforcesDataService.findProfileHandles(filter) : null;
+				const rankedCount = participants.length;
+				participants = filterRankedParticipants(participants, buildParticipantFilter(filter, profileHandles), filter.rankScope || RANK_SCOPE.GLOBAL, rule);
+				logger.info(`[GET STANDINGS] Filter selected ${participants.length} of ${rankedCount} participants (rank scope: ${filter.rankScope || RANK_SCOPE.GLOBAL})`);
 			}
 			
-			// Sort by ranking criteria
-			participants.sort(compareParticipants);
-			
-			// Assign ranks (handle ties)
-			let currentRank = 1;
-			for (let i = 0; i < participants.length; i++) {
-				if (i > 0 && compareParticipants(participants[i - 1], participants[i]) !== 0) {
-					currentRank = i + 1;
-				}
-				participants[i].rank = currentRank;
-			}
-			const rankDuration = Date.now() - rankStartTime;
-			logger.info(`[GET STANDINGS] Computed ranks for ${participants.length} participants (took ${rankDuration}ms)`);
-			
 			// Step 5: Return rank range [A, B]
 			logger.info(`[GET STANDINGS] Step 6: Paginating results (rank ${rankFrom} to ${rankTo || 'end'})`);
 			const paginateStartTime = Date.now();
-			const startIdx = rankFrom - 1;
-			const endIdx = rankTo !== null ? rankTo : participants.length;
-			const paginatedParticipants = participants.slice(startIdx, endIdx);
+			const paginatedParticipants = paginateByRank(participants, rankFrom, rankTo);
 			
 			// Transform to GraphQL/API format
-			const rows = paginatedParticipants.map(participant => ({
-				party: {
-					contestId: contestId,
-					members: [{ handle: participant.handle, name: null }],
-					participantType: participant.participantType || 'CONTESTANT',
-					ghost: participant.ghost || false,
-					room: null,
-					startTimeSeconds: null
-				},
-				rank: participant.rank,
-				points: participant.totalPoints || 0,
-				penalty: participant.totalPenalty || 0,
-				successfulHackCount: participant.hackSuccess || 0,
-				unsuccessfulHackCount: participant.hackFail || 0,
-				problemResults: this.convertProblemsToResults(participant.problems)
-			}));
+			const rows = paginatedParticipants.map(participant => this.buildStandingsRow(contestId, participant));
 			const paginateDuration = Date.now() - paginateStartTime;
 			
 			const operationDuration = Date.now() - operationStartTime;
-			logger.info(`[GET STANDINGS] ✓ Completed query for contest ${contestId}: returned ${rows.length} rows (rank ${rankFrom}-${Math.min(endIdx, participants.length)}) - Total time: ${operationDuration}ms`);
+			logger.info(`[GET STANDINGS] ✓ Completed query for contest ${contestId}: returned ${rows.length} rows (rank ${rankFrom}-${rankTo || 'end'}) - Total time: ${operationDuration}ms`);
 			
 			return {
-				contest: await codeforcesDataService.getContestFromDB(contestId),
+				contest,
 				problems: await codeforcesDataService.getProblemsFromDB(contestId),
-				rows
+				rows,
+				view,
+				frozen,
+				freezeTimeSeconds
 			};
 		} catch (error) {
 			logger.error(`[GET STANDINGS] Error getting standings for contest ${contestId} at timestamp ${timestampSeconds}: ${error.message}`);
@@ -169,6 +146,414 @@ class IncrementalSimulationService {
 		}
 	}
 	
+	/**
+	 * Rebuild participant state at a timestamp from base and delta snapshots
+	 * @param {number} contestId - Contest ID
+	 * @param {number} timestampSeconds - Timestamp relative to contest start (seconds)
+	 * @param {boolean} fileMode - Use file storage instead of MongoDB (default: false)
+	 * @returns {Promise<Map|null>} participantKey -> participant state (replace states, do not modify them), or null if there is no base snapshot yet
+	 */
+	async loadStateAt (contestId, timestampSeconds, fileMode = false) {
+		const entry = await this.loadCachedStateAt(contestId, timestampSeconds, fileMode);
+		return entry ? new Map(entry.state) : null;
+	}
+	
+	/**
+	 * Get the cached participant state at a timestamp, rebuilding it on a miss
+	 * The state at T is the state at the last snapshot at or before T. A miss rolls forward
+	 * from the latest cached state on the same base snapshot, or rebuilds from the base.
+	 * @param {number} contestId - Contest ID
+	 * @param {number} timestampSeconds - Timestamp relative to contest start (seconds)
+	 * @param {boolean} fileMode - Use file storage instead of MongoDB (default: false)
+	 * @returns {Promise<Object|null>} Cache entry { timestampSeconds, state, ... } (shared: do not modify), or null if there is no base snapshot yet
+	 */
+	async loadCachedStateAt (contestId, timestampSeconds, fileMode = false) {
+		const generation = standingsStateCache.getGeneration(contestId);
+		const lastSnapshot = await snapshotService.findLastSnapshot(contestId, timestampSeconds, fileMode);
+		if (lastSnapshot) {
+			const cached = standingsStateCache.get(contestId, fileMode, lastSnapshot.timestampSeconds);
+			if (cached) {
+				logger.info(`[GET STANDINGS] Using cached state of contest ${contestId} at snapshot ${cached.timestampSeconds} (${cached.state.size} participants)`);
+				return cached;
+			}
+		}
+		
+		// Step 1: Find nearest base snapshot ≤ T
+		logger.info(`[GET STANDINGS] Step 1: Finding base snapshot for contest ${contestId} at or before timestamp ${timestampSeconds}`);
+		const baseSnapshotStartTime = Date.now();
+		const baseTimestamp = lastSnapshot && (await getModels(fileMode).BaseSnapshots.findOne({ contestId, timestampSeconds: { $lte: timestampSeconds } })
+			.select('timestampSeconds')
+			.sort({ timestampSeconds: -1 })
+			.lean())?.timestampSeconds;
+		
+		if (baseTimestamp === null || baseTimestamp === undefined) {
+			// No snapshot yet
+			logger.warn(`[GET STANDINGS] No base snapshot found for contest ${contestId} at timestamp ${timestampSeconds}`);
+			return null;
+		}
+		
+		// Step 2: Start from a cached state after the base snapshot, or load the base state into a map
+		let participantMap;
+		let fromTimestamp;
+		const earlier = standingsStateCache.findLatestBefore(contestId, fileMode, baseTimestamp, lastSnapshot.timestampSeconds);
+		if (earlier) {
+			logger.info(`[GET STANDINGS] Step 2: Rolling forward from cached state at snapshot ${earlier.timestampSeconds} (${earlier.state.size} participants)`);
+			participantMap = new Map(earlier.state);
+			fromTimestamp = earlier.timestampSeconds;
+		} else {
+			const baseSnapshot = await snapshotService.getBaseSnapshotAt(contestId, timestampSeconds, fileMode);
+			const baseSnapshotDuration = Date.now() - baseSnapshotStartTime;
+			logger.info(`[GET STANDINGS] Found base snapshot at timestamp ${baseSnapshot.timestampSeconds} with ${baseSnapshot.participants?.length || 0} participants (query took ${baseSnapshotDuration}ms)`);
+			
+			logger.info(`[GET STANDINGS] Step 2: Loading base state into map (${baseSnapshot.participants?.length || 0} participants)`);
+			const loadStartTime = Date.now();
+			participantMap = new Map();
+			for (const p of baseSnapshot.participants) {
+				participantMap.set(getStateKey(p), { ...p, participantKey: getStateKey(p) });
+			}
+			fromTimestamp = baseSnapshot.timestampSeconds;
+			const loadDuration = Date.now() - loadStartTime;
+			logger.info(`[GET STANDINGS] Loaded ${participantMap.size} participants into map (took ${loadDuration}ms)`);
+		}
+		
+		// Step 3: Apply delta snapshots from there to the last snapshot ≤ T
+		logger.info(`[GET STANDINGS] Step 3: Finding delta snapshots between ${fromTimestamp} and ${lastSnapshot.timestampSeconds}`);
+		const deltaSearchStartTime = Date.now();
+		const deltas = await snapshotService.getDeltaSnapshotsBetween(
+			contestId,
+			fromTimestamp,
+			lastSnapshot.timestampSeconds,
+			fileMode
+		);
+		const deltaSearchDuration = Date.now() - deltaSearchStartTime;
+		logger.info(`[GET STANDINGS] Found ${deltas.length} delta snapshot(s) to apply (query took ${deltaSearchDuration}ms)`);
+		
+		if (deltas.length > 0) {
+			logger.info(`[GET STANDINGS] Step 4: Applying ${deltas.length} delta snapshot(s)`);
+			const applyStartTime = Date.now();
+			let totalChanges = 0;
+			for (let i = 0; i < deltas.length; i++) {
+				const delta = deltas[i];
+				const changeCount = delta.changes?.length || 0;
+				totalChanges += changeCount;
+				logger.info(`[GET STANDINGS] Applying delta ${i + 1}/${deltas.length} (timestamp: ${delta.timestampSeconds}, changes: ${changeCount})`);
+				
+				// Field-level diffs: UPDATE changes merge into the existing state
+				applyDeltaChanges(participantMap, delta.changes);
+			}
+			const applyDuration = Date.now() - applyStartTime;
+			logger.info(`[GET STANDINGS] Applied ${totalChanges} changes from ${deltas.length} delta snapshot(s) (took ${applyDuration}ms)`);
+		} else {
+			logger.info(`[GET STANDINGS] No delta snapshots to apply`);
+		}
+		
+		return standingsStateCache.set(contestId, fileMode, lastSnapshot.timestampSeconds, participantMap, generation);
+	}
+	
+	/**
+	 * Get the rank and score of one participant over a contest
+	 * Walks the snapshot chain once (each base snapshot is loaded when reached, deltas
+	 * are applied in between), so the cost does not grow with the number of points.
+	 * @param {number} contestId - Contest ID
+	 * @param {string} handle - Participant handle (as stored on the submissions)
+	 * @param {Object} options - Query options
+	 * @param {number} options.fromTimestamp - Start of the timeline (relative seconds, default: 0)
+	 * @param {number} options.toTimestamp - End of the timeline (default: contest duration, or the last snapshot)
+	 * @param {number} options.stepSeconds - Point interval; without it there is one point per snapshot
+	 * @param {boolean} options.showUnofficial - Rank among unofficial participants too
+	 * @param {boolean} options.fileMode - Use file storage instead of MongoDB (default: false)
+	 * @returns {Promise<Object|null>} { contestId, handle, participantKey, fromTimestamp, toTimestamp, stepSeconds, points, moments }, or null if the contest or participant is not found
+	 */
+	async getParticipantTimeline (contestId, handle, options = {}) {
+		const { fromTimestamp = 0, toTimestamp = null, stepSeconds = null, showUnofficial = false, fileMode = false } = options;
+		const operationStartTime = Date.now();
+		logger.info(`[PARTICIPANT TIMELINE] Starting timeline of ${handle} in contest ${contestId} (from=${fromTimestamp}, to=${toTimestamp ?? 'end'}, step=${stepSeconds ?? 'snapshots'})`);
+		
+		const contest = await codeforcesDataService.getContestFromDB(contestId);
+		if (!contest) {
+			logger.warn(`[PARTICIPANT TIMELINE] Contest ${contestId} not found`);
+			return null;
+		}
+		
+		// Resolve the participant from its submissions; the official participation wins over virtual ones
+		const submissions = await codeforcesDataService.getSubmissionsFromDB(contestId, null, handle);
+		const authors = submissions.map(submission => submission.author);
+		const author = authors.find(party => (party.participantType || 'CONTESTANT') === 'CONTESTANT') || authors[authors.length - 1];
+		const participantKey = author ? getPartyKey(author) : null;
+		if (!participantKey) {
+			logger.warn(`[PARTICIPANT TIMELINE] No submissions of ${handle} in contest ${contestId}`);
+			return null;
+		}
+		
+		const rule = getScoringRule(contest);
+		const end = toTimestamp ?? (contest.durationSeconds || (await snapshotService.findLastSnapshot(contestId, Number.MAX_SAFE_INTEGER, fileMode))?.timestampSeconds || 0);
+		const step = stepSeconds ? Math.max(stepSeconds, Math.ceil((end - fromTimestamp) / (MAX_TIMELINE_POINTS - 1))) : null;
+		
+		// Moments: replay of the participant's own submissions and hacks
+		const problems = await codeforcesDataService.getProblemsFromDB(contestId);
+		const problemPointsMap = new Map(problems.map(problem => [problem.index, problem.points ?? null]));
+		const hacks = (await codeforcesDataService.getHacksFromDB(contestId))
+			.filter(hack => [hack.hacker, hack.defender].some(party => getPartyKey(party) === participantKey));
+		const events = buildEventStream(submissions, hacks, contest.startTimeSeconds ?? null)
+			.filter(event => eventParticipantKeys(event).includes(participantKey));
+		const moments = findParticipantMoments(events, participantKey, {
+			contestId,
+			rule,
+			problemPointsMap,
+			problemSubtasksMap: buildProblemSubtasksMap(problems),
+			verdictMode: getVerdictMode(contest)
+		}).filter(moment => moment.timeSeconds >= fromTimestamp && moment.timeSeconds <= end);
+		
+		// Points: one walk over the snapshot chain from the start of the timeline
+		const points = [];
+		let snapshotCount = 0;
+		for await (const { timestampSeconds, nextTimestampSeconds, state, isSnapshot } of this.iterateStatesBetween(contestId, fromTimestamp, end, fileMode)) {
+			snapshotCount += isSnapshot ? 1 : 0;
+			const addPoint = pointTimestamp => points.push(toTimelinePoint(pointTimestamp, rankParticipant(state.values(), participantKey, rule, showUnofficial)));
+			if (!step) {
+				if (isSnapshot) {
+					addPoint(timestampSeconds);
+				}
+				continue;
+			}
+			// Every step point up to the next snapshot sees this state
+			const until = nextTimestampSeconds ?? end + 1;
+			let nextPoint = fromTimestamp + Math.ceil((timestampSeconds - fromTimestamp) / step) * step;
+			while (nextPoint < until && nextPoint <= end) {
+				addPoint(nextPoint);
+				nextPoint += step;
+			}
+		}
+		
+		const operationDuration = Date.now() - operationStartTime;
+		logger.info(`[PARTICIPANT TIMELINE] ✓ Built timeline of ${participantKey} in contest ${contestId}: ${points.length} point(s) from ${snapshotCount} snapshot(s), ${moments.length} moment(s) - Total time: ${operationDuration}ms`);
+		
+		return {
+			contestId,
+			handle,
+			participantKey,
+			fromTimestamp,
+			toTimestamp: end,
+			stepSeconds: step,
+			points,
+			moments
+		};
+	}
+	
+	/**
+	 * Get the rank and points movement of participants between two timestamps
+	 * Both states are reconstructed in one walk over the snapshot chain; the leaders are
+	 * checked at every snapshot in between to report lead changes.
+	 * @param {number} contestId - Contest ID
+	 * @param {number} fromTimestamp - Start time (relative seconds)
+	 * @param {number} toTimestamp - End time (relative seconds)
+	 * @param {Object} options - Report options
+	 * @param {string} options.sortBy - One of MOVEMENT_SORT (default: climb)
+	 * @param {number|null} options.topN - Only participants ranked within the top N at the end time
+	 * @param {number} options.limit - Maximum number of rows (default: DEFAULT_MOVEMENT_LIMIT)
+	 * @param {boolean} options.showUnofficial - Rank unofficial participants too
+	 * @param {boolean} options.fileMode - Use file storage instead of MongoDB (default: false)
+	 * @returns {Promise<Object|null>} { contestId, fromTimestamp, toTimestamp, sortBy, participantCountBefore, participantCountAfter, leadersBefore, leadersAfter, leadChanges, rows }, or null if the contest is not found
+	 */
+	async getRankMovement (contestId, fromTimestamp, toTimestamp, options = {}) {
+		const { sortBy = MOVEMENT_SORT.CLIMB, topN = null, limit = DEFAULT_MOVEMENT_LIMIT, showUnofficial = false, fileMode = false } = options;
+		const operationStartTime = Date.now();
+		logger.info(`[RANK MOVEMENT] Starting report for contest ${contestId} between ${fromTimestamp} and ${toTimestamp} (sortBy=${sortBy}, topN=${topN ?? 'all'}, limit=${limit})`);
+		
+		const contest = await codeforcesDataService.getContestFromDB(contestId);
+		if (!contest) {
+			logger.warn(`[RANK MOVEMENT] Contest ${contestId} not found`);
+			return null;
+		}
+		const rule = getScoringRule(contest);
+		
+		let before = null;
+		let after = null;
+		let leaders = [];
+		const leadChanges = [];
+		for await (const { timestampSeconds, nextTimestampSeconds, state } of this.iterateStatesBetween(contestId, fromTimestamp, toTimestamp, fileMode)) {
+			if (!before) {
+				before = rankStates(state.values(), rule, showUnofficial);
+			}
+			if (nextTimestampSeconds === null) {
+				after = rankStates(state.values(), rule, showUnofficial);
+			}
+			
+			const currentLeaders = findLeaders(state.values(), rule, showUnofficial);
+			if (timestampSeconds > fromTimestamp && currentLeaders.length > 0 && currentLeaders.join() !== leaders.join()) {
+				leadChanges.push({ timestampSeconds, leaders: currentLeaders, previousLeaders: leaders });
+			}
+			leaders = currentLeaders;
+		}
+		
+		const rows = buildRankMovement(before, after, { sortBy, topN, limit });
+		const leadersOf = ranking => Array.from(ranking.entries()).filter(([, entry]) => entry.rank === 1).map(([participantKey]) => participantKey).sort();
+		
+		const operationDuration = Date.now() - operationStartTime;
+		logger.info(`[RANK MOVEMENT] ✓ Compared ${before.size} and ${after.size} participants of contest ${contestId}: ${rows.length} row(s), ${leadChanges.length} lead change(s) - Total time: ${operationDuration}ms`);
+		
+		return {
+			contestId,
+			fromTimestamp,
+			toTimestamp,
+			sortBy,
+			topN,
+			participantCountBefore: before.size,
+			participantCountAfter: after.size,
+			leadersBefore: leadersOf(before),
+			leadersAfter: leadersOf(after),
+			leadChanges,
+			rows
+		};
+	}
+	
+	/**
+	 * Get per-problem statistics at a timestamp
+	 * Computed from the state at the last snapshot at or before the timestamp (jury view).
+	 * @param {number} contestId - Contest ID
+	 * @param {number} timestampSeconds - Timestamp relative to contest start (seconds)
+	 * @param {Object} options - Query options
+	 * @param {number} options.bucketSeconds - Solve curve bucket (default: DEFAULT_BUCKET_SECONDS)
+	 * @param {boolean} options.showUnofficial - Count unofficial participants too
+	 * @param {boolean} options.fileMode - Use file storage instead of MongoDB (default: false)
+	 * @returns {Promise<Object|null>} { contestId, timestampSeconds, snapshotTimestamp, bucketSeconds, participantCount, problems }, or null if the contest is not found
+	 */
+	async getProblemStatsAt (contestId, timestampSeconds, options = {}) {
+		const { bucketSeconds = null, showUnofficial = false, fileMode = false } = options;
+		const operationStartTime = Date.now();
+		logger.info(`[PROBLEM STATS] Starting stats of contest ${contestId} at timestamp ${timestampSeconds} (bucket=${bucketSeconds ?? 'default'}, unofficial=${showUnofficial})`);
+		
+		const contest = await codeforcesDataService.getContestFromDB(contestId);
+		if (!contest) {
+			logger.warn(`[PROBLEM STATS] Contest ${contestId} not found`);
+			return null;
+		}
+		
+		const [problems, entry] = await Promise.all([
+			codeforcesDataService.getProblemsFromDB(contestId),
+			this.loadCachedStateAt(contestId, timestampSeconds, fileMode)
+		]);
+		const states = entry ? Array.from(entry.state.values()).filter(state => showUnofficial || !state.isUnofficial) : [];
+		const bucket = resolveBucketSeconds(timestampSeconds, bucketSeconds);
+		const problemStats = computeProblemStats(states, problems, { timestampSeconds, bucketSeconds: bucket, showUnofficial });
+		
+		const operationDuration = Date.now() - operationStartTime;
+		logger.info(`[PROBLEM STATS] ✓ Computed stats of ${problemStats.length} problem(s) from ${states.length} participants at snapshot ${entry?.timestampSeconds ?? 'none'} - Total time: ${operationDuration}ms`);
+		
+		return {
+			contestId,
+			timestampSeconds,
+			snapshotTimestamp: entry?.timestampSeconds ?? null,
+			bucketSeconds: bucket,
+			participantCount: states.length,
+			problems: problemStats
+		};
+	}
+	
+	/**
+	 * Walk the participant state from one timestamp to another along the snapshot chain
+	 * Yields the state at fromTimestamp, then after every snapshot up to toTimestamp. Base
+	 * snapshots are loaded when reached (deltas right before them may be compacted away),
+	 * deltas are applied in between. The yielded map is updated in place: read it before
+	 * asking for the next one.
+	 * @param {number} contestId - Contest ID
+	 * @param {number} fromTimestamp - Start (relative seconds)
+	 * @param {number} toTimestamp - End (relative seconds, inclusive)
+	 * @param {boolean} fileMode - Use file storage instead of MongoDB (default: false)
+	 * @returns {AsyncGenerator<Object>} { timestampSeconds, nextTimestampSeconds (null for the last), state, isSnapshot }
+	 */
+	async * iterateStatesBetween (contestId, fromTimestamp, toTimestamp, fileMode = false) {
+		const Models = getModels(fileMode);
+		const [participantMap, snapshotAtStart, baseSnapshots, deltas] = await Promise.all([
+			this.loadStateAt(contestId, fromTimestamp, fileMode),
+			snapshotService.findLastSnapshot(contestId, fromTimestamp, fileMode),
+			Models.BaseSnapshots.find({ contestId, timestampSeconds: { $gt: fromTimestamp, $lte: toTimestamp } }).select('timestampSeconds').lean(),
+			snapshotService.getDeltaSnapshotsBetween(contestId, fromTimestamp, toTimestamp, fileMode)
+		]);
+		
+		// A base and a delta at the same timestamp hold the same state: the base wins
+		const baseTimestamps = new Set(baseSnapshots.map(snapshot => snapshot.timestampSeconds));
+		const chain = [
+			...baseSnapshots.map(snapshot => ({ timestampSeconds: snapshot.timestampSeconds, delta: null })),
+			...deltas.filter(delta => !baseTimestamps.has(delta.timestampSeconds)).map(delta => ({ timestampSeconds: delta.timestampSeconds, delta }))
+		].sort((a, b) => a.timestampSeconds - b.timestampSeconds);
+		
+		let state = participantMap || new Map();
+		yield {
+			timestampSeconds: fromTimestamp,
+			nextTimestampSeconds: chain[0]?.timestampSeconds ?? null,
+			state,
+			isSnapshot: snapshotAtStart?.timestampSeconds === fromTimestamp
+		};
+		
+		for (let i = 0; i < chain.length; i++) {
+			const { timestampSeconds, delta } = chain[i];
+			if (delta) {
+				applyDeltaChanges(state, delta.changes);
+			} else {
+				const baseSnapshot = await snapshotService.getBaseSnapshotAt(contestId, timestampSeconds, fileMode);
+				state = new Map(baseSnapshot.participants.map(p => [getStateKey(p), { ...p, participantKey: getStateKey(p) }]));
+			}
+			yield {
+				timestampSeconds,
+				nextTimestampSeconds: chain[i + 1]?.timestampSeconds ?? null,
+				state,
+				isSnapshot: true
+			};
+		}
+	}
+	
+	/**
+	 * Get the public scoreboard freeze time of a contest
+	 * Uses the configured freezeTimeSeconds; contests flagged as frozen without one
+	 * freeze for the final hour.
+	 * @param {Object|null} contest - Contest (as returned by codeforcesDataService.getContestFromDB)
+	 * @returns {number|null} Freeze time relative to contest start (seconds), or null if never frozen
+	 */
+	getFreezeTimeSeconds (contest) {
+		if (!contest) {
+			return null;
+		}
+		if (contest.freezeTimeSeconds !== null && contest.freezeTimeSeconds !== undefined) {
+			return contest.freezeTimeSeconds;
+		}
+		if (contest.frozen && contest.durationSeconds > 0) {
+			return Math.max(0, contest.durationSeconds - DEFAULT_FREEZE_DURATION_SECONDS);
+		}
+		return null;
+	}
+	
+	/**
+	 * Convert a ranked participant state to a standings row (GraphQL/API format)
+	 * @param {number} contestId - Contest ID
+	 * @param {Object} participant - Participant state with rank and rankEnd assigned (and globalRank/globalRankEnd when ranked within a filter)
+	 * @returns {Object} Standings row
+	 */
+	buildStandingsRow (contestId, participant) {
+		return {
+			party: {
+				contestId: contestId,
+				members: (participant.handles?.length ? participant.handles : [participant.handle]).map(handle => ({ handle, name: null })),
+				teamId: participant.teamId ?? null,
+				teamName: participant.teamName || null,
+				participantKey: getStateKey(participant),
+				participantType: participant.participantType || 'CONTESTANT',
+				ghost: participant.ghost || false,
+				room: null,
+				startTimeSeconds: null
+			},
+			rank: participant.rank,
+			rankRange: formatRankRange(participant.rank, participant.rankEnd),
+			globalRank: participant.globalRank ?? participant.rank,
+			globalRankRange: formatRankRange(participant.globalRank ?? participant.rank, participant.globalRankEnd ?? participant.rankEnd),
+			points: participant.totalPoints || 0,
+			penalty: participant.totalPenalty || 0,
+			successfulHackCount: participant.hackSuccess || 0,
+			unsuccessfulHackCount: participant.hackFail || 0,
+			problemResults: this.convertProblemsToResults(participant.problems)
+		};
+	}
+	
 	/**
 	 * Convert problems map/object to problemResults array format
 	 * @param {Object|Map} problems - Problems state
@@ -187,10 +572,14 @@ class IncrementalSimulationService {
 		return Object.entries(problemsObj).map(([problemIndex, problemState]) => ({
 			problemIndex,
 			points: problemState.points || 0,
-			penalty: 0,  // Penalty is per-problem, already included in totalPenalty
+			penalty: problemState.penalty || 0,
 			rejectedAttemptCount: problemState.rejectCount || 0,
-			type: 'FINAL',
-			bestSubmissionTimeSeconds: problemState.solveTime || null
+			type: problemState.pendingSystemTestCount > 0 ? 'PRELIMINARY' : 'FINAL',
+			bestSubmissionTimeSeconds: problemState.solveTime ?? problemState.bestScoreTime ?? null,
+			passedTestCount: problemState.bestPassedTestCount ?? null,
+			subtaskScores: problemState.subtaskScores || [],
+			pendingCount: problemState.pendingCount || 0,
+			pendingSystemTestCount: problemState.pendingSystemTestCount || 0
 		}));
 	}
 	
@@ -214,8 +603,9 @@ class IncrementalSimulationService {
 			logger.info(`[INIT STANDINGS] Step 1: Fetching all submissions for contest ${contestId}`);
 			const fetchSubmissionsStartTime = Date.now();
 			const submissions = await codeforcesDataService.getSubmissionsFromDB(contestId, null, null);
+			const hacks = await codeforcesDataService.getHacksFromDB(contestId);
 			const fetchSubmissionsDuration = Date.now() - fetchSubmissionsStartTime;
-			logger.info(`[INIT STANDINGS] Fetched ${submissions.length} submissions (took ${fetchSubmissionsDuration}ms)`);
+			logger.info(`[INIT STANDINGS] Fetched ${submissions.length} submissions and ${hacks.length} hacks (took ${fetchSubmissionsDuration}ms)`);
 			
 			// Get contest info to determine start time
 			logger.info(`[INIT STANDINGS] Step 2: Fetching contest info for contest ${contestId}`);
@@ -224,7 +614,8 @@ class IncrementalSimulationService {
 				throw new Error(`Contest ${contestId} not found`);
 			}
 			const contestStartTime = contest.startTimeSeconds || 0;
-			logger.info(`[INIT STANDINGS] Contest info: ${contest.name} (start time: ${contestStartTime})`);
+			const rule = getScoringRule(contest);
+			logger.info(`[INIT STANDINGS] Contest info: ${contest.name} (start time: ${contestStartTime}, ${rule.type} scoring rule)`);
 			
 			// Get problems to build problem points map
 			logger.info(`[INIT STANDINGS] Step 3: Fetching problems for contest ${contestId} to get problem points`);
@@ -243,80 +634,22 @@ class IncrementalSimulationService {
 			}
 			logger.info(`[INIT STANDINGS] Loaded ${problemPointsMap.size} problems with points mapping`);
 			
-			// Process submissions to build state
-			logger.info(`[INIT STANDINGS] Step 4: Processing ${submissions.length} submissions to build state`);
+			// Replay submissions and hacks in chronological order to build state
+			const events = buildEventStream(submissions, hacks, contest.startTimeSeconds ?? null);
+			logger.info(`[INIT STANDINGS] Step 4: Processing ${events.length} events (${submissions.length} submissions, ${hacks.length} hacks) to build state`);
 			const processStartTime = Date.now();
-			const stateMap = new Map(); // handle -> state
-			let processedCount = 0;
-			const logInterval = Math.max(1, Math.floor(submissions.length / 10)); // Log every 10%
-			
-			for (let i = 0; i < submissions.length; i++) {
-				const submission = submissions[i];
-				const handle = submission.author?.members?.[0]?.handle;
-				if (!handle) {
-					continue;
-				}
-				
-				// Get or create state for this participant
-				if (!stateMap.has(handle)) {
-					stateMap.set(handle, {
-						contestId,
-						handle,
-						participantType: submission.author?.participantType || 'CONTESTANT',
-						ghost: submission.author?.ghost || false,
-						isUnofficial: submission.author?.participantType !== 'CONTESTANT',
-						problems: new Map(),
-						totalPoints: 0,
-						totalPenalty: 0,
-						solvedCount: 0,
-						lastAcTime: null,
-						hackSuccess: 0,
-						hackFail: 0,
-						lastSubmissionTime: null,
-						snapshotVersion: 0,
-						updatedAt: new Date()
-					});
-				}
-				
-				const state = stateMap.get(handle);
-				
-				// Process submission
-				const relativeTime = submission.relativeTimeSeconds || 0;
-				
-				// Ensure problems is a Map
-				if (!(state.problems instanceof Map)) {
-					state.problems = new Map();
-				}
-				
-				const problemIndex = submission.problem?.index || '';
-				// Get problem points from Problems collection, fallback to submission data, then 1
-				let problemPoints = problemPointsMap.get(problemIndex);
-				if (problemPoints === null || problemPoints === undefined) {
-					// Problem points not in Problems collection, try submission data
-					problemPoints = submission.problem?.points;
-					if (problemPoints === null || problemPoints === undefined) {
-						problemPoints = 1; // Default to 1 point if not available
-					}
-				}
-				
-				processSubmission(state, {
-					problemIndex: problemIndex,
-					verdict: submission.verdict,
-					relativeTimeSeconds: relativeTime,
-					points: problemPoints
-				});
-				
-				processedCount++;
-				
-				// Log progress periodically
-				if ((i + 1) % logInterval === 0 || (i + 1) === submissions.length) {
-					const progress = ((i + 1) / submissions.length * 100).toFixed(1);
-					logger.info(`[INIT STANDINGS] Processed ${i + 1}/${submissions.length} submissions (${progress}%) - ${stateMap.size} unique participants so far`);
-				}
-			}
+			const stateMap = new Map(); // participantKey -> state
+			replayEvents(stateMap, events, {
+				contestId,
+				rule,
+				problemPointsMap,
+				problemSubtasksMap: buildProblemSubtasksMap(problems),
+				verdictMode: getVerdictMode(contest)
+			});
+			const processedCount = events.length;
 			
 			const processDuration = Date.now() - processStartTime;
-			logger.info(`[INIT STANDINGS] Processed ${processedCount} submissions - created ${stateMap.size} participant states (took ${processDuration}ms)`);
+			logger.info(`[INIT STANDINGS] Processed ${processedCount} events - created ${stateMap.size} participant states (took ${processDuration}ms)`);
 			
 			// Save states to database or file
 			logger.info(`[INIT STANDINGS] Step 5: Saving ${stateMap.size} participant states to ${storageMode}`);
@@ -331,7 +664,11 @@ class IncrementalSimulationService {
 				const stateDocs = states.map(state => {
 					const stateDoc = {
 						contestId,
+						participantKey: state.participantKey,
 						handle: state.handle,
+						handles: state.handles,
+						teamId: state.teamId,
+						teamName: state.teamName,
 						participantType: state.participantType,
 						ghost: state.ghost,
 						isUnofficial: state.isUnofficial,
@@ -366,7 +703,7 @@ class IncrementalSimulationService {
 					
 					return {
 						updateOne: {
-							filter: { contestId, handle: state.handle },
+							filter: { contestId, participantKey: state.participantKey },
 							update: { $set: stateDoc },
 							upsert: true
 						}
@@ -405,6 +742,75 @@ class IncrementalSimulationService {
 			throw error;
 		}
 	}
+
+	/**
+	 * Migrate standings states and snapshots stored before participant keys (MongoDB only)
+	 * Drops the old unique index on { contestId, handle }, which rejects team members
+	 * sharing a handle, gives states without a participantKey the key of their handle
+	 * (as getParticipantKey builds it), and creates the current indexes. Base snapshot
+	 * participants and delta changes without a participantKey are rewritten the same way.
+	 * Safe to run on every startup.
+	 * @returns {Promise<Object>} { droppedIndex, backfilled, rewrittenSnapshots }
+	 */
+	async migrateParticipantKeys () {
+		const collection = models.StandingsState.collection;
+
+		const indexes = await collection.indexes();
+		const legacyIndex = indexes.find(index =>
+			index.unique && Object.keys(index.key).join(',') === 'contestId,handle'
+		);
+		if (legacyIndex) {
+			await collection.dropIndex(legacyIndex.name);
+			logger.info(`[MIGRATION] Dropped standings state index ${legacyIndex.name}`);
+		}
+
+		const result = await collection.updateMany(
+			{ participantKey: null },
+			[{
+				$set: {
+					participantKey: { $concat: [{ $ifNull: ['$participantType', 'CONTESTANT'] }, ':', '$handle'] },
+					handles: { $ifNull: ['$handles', ['$handle']] }
+				}
+			}]
+		);
+		if (result.modifiedCount > 0) {
+			logger.info(`[MIGRATION] Backfilled participantKey of ${result.modifiedCount} standings state(s)`);
+		}
+
+		// The unique participantKey index cannot be built while keys are missing
+		await models.StandingsState.createIndexes();
+
+		// Snapshots stored before participant keys: key their states the same way, so
+		// chains mixing them with newer snapshots never hold two states of one participant
+		let rewrittenSnapshots = 0;
+		const legacyBases = models.BaseSnapshots.find({ participants: { $elemMatch: { participantKey: null } } })
+			.select('participants')
+			.lean()
+			.cursor();
+		for await (const snapshot of legacyBases) {
+			const participants = snapshot.participants.map(participant => (participant.participantKey ? participant : {
+				...participant,
+				participantKey: getStateKey(participant),
+				handles: participant.handles?.length ? participant.handles : [participant.handle]
+			}));
+			await models.BaseSnapshots.updateOne({ _id: snapshot._id }, { $set: { participants } });
+			rewrittenSnapshots++;
+		}
+		const legacyDeltas = models.DeltaSnapshots.find({ changes: { $elemMatch: { participantKey: null } } })
+			.select('changes')
+			.lean()
+			.cursor();
+		for await (const snapshot of legacyDeltas) {
+			const changes = snapshot.changes.map(change => (change.participantKey ? change : { ...change, participantKey: getStateKey(change) }));
+			await models.DeltaSnapshots.updateOne({ _id: snapshot._id }, { $set: { changes } });
+			rewrittenSnapshots++;
+		}
+		if (rewrittenSnapshots > 0) {
+			logger.info(`[MIGRATION] Keyed the participants of ${rewrittenSnapshots} snapshot(s) by participantKey`);
+		}
+
+		return { droppedIndex: legacyIndex?.name || null, backfilled: result.modifiedCount, rewrittenSnapshots };
+	}
 }
 
 // Export singleton instance
@@ -0,0 +1,146 @@
+import { codeforcesAPI } from '../helpers/codeforcesAPI.js';
+import { codeforcesDataService } from './codeforcesDataService.js';
+import { snapshotService } from './snapshotService.js';
+import { snapshotSchedulerService } from './snapshotSchedulerService.js';
+import { planFixedSnapshots } from './snapshotPlanner.js';
+import { models } from '../data/models/index.js';
+import { logger } from '../helpers/logger.js';
+import { environmentVariablesConfig } from '../config/appConfig.js';
+
+export const JOB_TYPE = Object.freeze({
+	BULK_SNAPSHOTS: 'BULK_SNAPSHOTS',
+	STORE_CONTEST_LIST: 'STORE_CONTEST_LIST'
+});
+
+/**
+ * Create the snapshots of a bulk request
+ * A job that was interrupted (restart) or retried continues after the last snapshot
+ * stored in the planned range instead of creating the earlier ones again.
+ * @param {Object} job - Job (params: contestId, mode, baseInterval, deltaInterval, startTimestamp, endTimestamp, plannerOptions, fileMode)
+ * @param {Object} context - Job context (log, progress, details, isCancelled)
+ * @returns {Promise<Object>} Bulk creation result
+ */
+async function runBulkSnapshots (job, context) {
+	const { contestId, mode, baseInterval, deltaInterval, startTimestamp, endTimestamp, plannerOptions, fileMode } = job.params;
+
+	const contest = await codeforcesDataService.getContestFromDB(contestId);
+	if (!contest) {
+		throw new Error(`Contest ${contestId} not found in database`);
+	}
+
+	let plan = null;
+	let baseTimestamps;
+	let deltaTimestamps;
+	if (mode === 'adaptive') {
+		await context.log(`Planning adaptive snapshots for t=${startTimestamp}..${endTimestamp}`);
+		plan = await snapshotService.planAdaptiveSnapshots(contestId, startTimestamp, endTimestamp, plannerOptions);
+		baseTimestamps = plan.baseTimestamps;
+		deltaTimestamps = plan.deltaTimestamps;
+		// Clients polling the job see the plan while its snapshots are being created
+		await context.details({ plan });
+	} else {
+		({ baseTimestamps, deltaTimestamps } = planFixedSnapshots(startTimestamp, endTimestamp, baseInterval, deltaInterval));
+	}
+	await context.log(`Planned ${baseTimestamps.length} base and ${deltaTimestamps.length} delta snapshot(s)`);
+
+	let skippedCount = 0;
+	if (job.attempts > 1) {
+		const lastPlannedTimestamp = Math.max(...baseTimestamps, ...deltaTimestamps, startTimestamp);
+		const lastSnapshot = await snapshotService.findLastSnapshot(contestId, lastPlannedTimestamp, fileMode);
+		if (lastSnapshot && lastSnapshot.timestampSeconds >= startTimestamp) {
+			const remainingBase = baseTimestamps.filter(t => t > lastSnapshot.timestampSeconds);
+			const remainingDelta = deltaTimestamps.filter(t => t > lastSnapshot.timestampSeconds);
+			skippedCount = baseTimestamps.length + deltaTimestamps.length - remainingBase.length - remainingDelta.length;
+			baseTimestamps = remainingBase;
+			deltaTimestamps = remainingDelta;
+			await context.log(`Continuing after the snapshot stored at t=${lastSnapshot.timestampSeconds} (${skippedCount} snapshot(s) already created)`);
+		}
+	}
+
+	const created = await snapshotService.createSnapshotsInPass(contestId, baseTimestamps, deltaTimestamps, fileMode, {
+		onProgress: (done, total, timestampSeconds) => context.progress(done / total * 100, `Snapshot ${done}/${total} at t=${timestampSeconds}`),
+		shouldStop: context.isCancelled
+	});
+
+	for (const error of created.errors) {
+		await context.log(`${error.type} snapshot at t=${error.timestampSeconds} failed: ${error.error}`, 'warn');
+	}
+
+	return {
+		contestId,
+		contestName: contest.name,
+		mode,
+		baseInterval: mode === 'fixed' ? baseInterval : undefined,
+		deltaInterval: mode === 'fixed' ? deltaInterval : undefined,
+		plan: plan || undefined,
+		startTimestamp,
+		endTimestamp,
+		contestDuration: contest.durationSeconds,
+		createdSnapshots: {
+			baseCount: created.base.length,
+			deltaCount: created.delta.length,
+			totalCount: created.base.length + created.delta.length,
+			skippedCount,
+			baseSnapshots: created.base,
+			deltaSnapshots: created.delta
+		},
+		errors: created.errors.length > 0 ? created.errors : undefined,
+		fileMode,
+		storageMode: fileMode ? 'file' : 'MongoDB'
+	};
+}
+
+/**
+ * Fetch the contest list from Codeforces and store it
+ * With SNAPSHOT_SCHEDULER_AUTO_START, contests about to start or running get a snapshot scheduler.
+ * @param {Object} job - Job (params: includeGym, force)
+ * @param {Object} context - Job context (log, progress, details, isCancelled)
+ * @returns {Promise<Object>} Stored contest list summary
+ */
+async function runStoreContestList (job, context) {
+	const { includeGym } = job.params;
+	const startTime = Date.now();
+
+	const contests = await codeforcesAPI.getContestList(includeGym);
+	const fetchTime = Date.now() - startTime;
+	await context.progress(50, `Fetched ${contests.length} contests`);
+
+	const storeStartTime = Date.now();
+	await codeforcesDataService.storeContestList(contests);
+	const storeTime = Date.now() - storeStartTime;
+
+	const contestIds = contests.map(c => c.id);
+	const fetchedCount = await models.FetchedContests.countDocuments({
+		contestId: { $in: contestIds }
+	});
+
+	// Live contests get their snapshots without starting each scheduler by hand
+	const startedSchedulersCount = environmentVariablesConfig.snapshotSchedulerAutoStart
+		? await snapshotSchedulerService.startForActiveContests(contests)
+		: 0;
+
+	logger.info(`[JOBS] Stored contest list - Fetch: ${fetchTime}ms, Store: ${storeTime}ms, Total: ${Date.now() - startTime}ms`);
+
+	return {
+		contestsCount: contests.length,
+		includeGym,
+		fetchedContestsCount: fetchedCount,
+		unfetchedContestsCount: contests.length - fetchedCount,
+		startedSchedulersCount,
+		performance: {
+			fetchTimeMs: fetchTime,
+			storeTimeMs: storeTime,
+			totalTimeMs: Date.now() - startTime
+		},
+		note: 'Contest list is always updated. Individual contest data follows one-time write rules.'
+	};
+}
+
+/**
+ * Job handlers by type
+ * resumable: the job can be started again after a restart interrupted it
+ */
+export const jobHandlers = {
+	[JOB_TYPE.BULK_SNAPSHOTS]: { run: runBulkSnapshots, resumable: true },
+	[JOB_TYPE.STORE_CONTEST_LIST]: { run: runStoreContestList, resumable: true }
+};
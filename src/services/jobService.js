@@ -0,0 +1,373 @@
+import mongoose from 'mongoose';
+import { models } from '../data/models/index.js';
+import { jobHandlers, JOB_TYPE } from './jobHandlers.js';
+import { logger } from '../helpers/logger.js';
+
+export { JOB_TYPE };
+
+export const JOB_STATUS = Object.freeze({
+	QUEUED: 'QUEUED',
+	RUNNING: 'RUNNING',
+	SUCCEEDED: 'SUCCEEDED',
+	FAILED: 'FAILED',
+	CANCELLED: 'CANCELLED'
+});
+
+// Jobs in these states are done and can be retried (failed or cancelled ones)
+const RETRYABLE_STATUSES = [JOB_STATUS.FAILED, JOB_STATUS.CANCELLED];
+
+// Jobs run one at a time, in the order they were queued
+const MAX_RUNNING_JOBS = 1;
+
+// Only the most recent log entries of a job are kept
+const MAX_LOG_ENTRIES = 200;
+
+export const DEFAULT_JOB_LIST_LIMIT = 50;
+
+/**
+ * Build the $push of a job log entry, keeping the last MAX_LOG_ENTRIES entries
+ * @param {string} message - Log message
+ * @param {string} level - 'info', 'warn' or 'error' (default: 'info')
+ * @returns {Object} $push modifier for the logs array
+ */
+function logPush (message, level = 'info') {
+	return { $each: [{ at: new Date(), level, message }], $slice: -MAX_LOG_ENTRIES };
+}
+
+/**
+ * Job Service
+ * Runs long-running work (bulk snapshot creation, contest list ingestion) in the
+ * background instead of inside the HTTP request
+ *
+ * Jobs are stored in the Jobs collection with their parameters, progress, log and
+ * result. They run in this process, in queue order; handlers report progress and
+ * check for cancellation between steps. After a server restart, queued jobs are
+ * queued again and running jobs are started again if their handler is resumable,
+ * or marked failed otherwise.
+ */
+class JobService {
+	constructor () {
+		this.queue = [];
+		this.running = new Map();
+	}
+
+	/**
+	 * Create a job and queue it
+	 * @param {string} type - Job type (JOB_TYPE)
+	 * @param {Object} params - Handler parameters
+	 * @param {Object} options - { contestId } the job works on, if any
+	 * @returns {Promise<Object>} Job status
+	 */
+	async enqueue (type, params, options = {}) {
+		if (!jobHandlers[type]) {
+			throw new Error(`Unknown job type: ${type}`);
+		}
+
+		const job = await models.Jobs.create({
+			type,
+			contestId: options.contestId ?? null,
+			params,
+			logs: [{ at: new Date(), level: 'info', message: 'Job queued' }]
+		});
+
+		logger.info(`[JOBS] Queued ${type} job ${job._id}${job.contestId !== null ? ` for contest ${job.contestId}` : ''}`);
+		this.schedule(job._id.toString());
+		return this.toStatus(job.toObject());
+	}
+
+	/**
+	 * Get a job
+	 * @param {string} jobId - Job ID
+	 * @returns {Promise<Object|null>} Job status with its log, or null if not found
+	 */
+	async getJob (jobId) {
+		if (!mongoose.isValidObjectId(jobId)) {
+			return null;
+		}
+		const job = await models.Jobs.findById(jobId).lean();
+		if (!job) {
+			return null;
+		}
+		return this.toStatus(job, true);
+	}
+
+	/**
+	 * List jobs, most recent first
+	 * @param {Object} filter - { status, type, contestId, limit }
+	 * @returns {Promise<Array>} Job statuses (without logs)
+	 */
+	async listJobs (filter = {}) {
+		const query = {};
+		if (filter.status) {
+			query.status = filter.status;
+		}
+		if (filter.type) {
+			query.type = filter.type;
+		}
+		if (filter.contestId) {
+			query.contestId = filter.contestId;
+		}
+
+		const jobs = await models.Jobs.find(query)
+			.select('-logs')
+			.sort({ createdAt: -1 })
+			.limit(filter.limit || DEFAULT_JOB_LIST_LIMIT)
+			.lean();
+		return jobs.map(job => this.toStatus(job));
+	}
+
+	/**
+	 * Cancel a job
+	 * A queued job is cancelled at once; a running job stops at its next step.
+	 * @param {string} jobId - Job ID
+	 * @returns {Promise<Object|null>} Job status, or null if not found
+	 */
+	async cancel (jobId) {
+		if (!mongoose.isValidObjectId(jobId)) {
+			return null;
+		}
+
+		const queued = await models.Jobs.updateOne(
+			{ _id: jobId, status: JOB_STATUS.QUEUED },
+			{
+				$set: { status: JOB_STATUS.CANCELLED, cancelRequested: true, finishedAt: new Date() },
+				$push: { logs: logPush('Job cancelled before it started') }
+			}
+		);
+		if (queued.matchedCount > 0) {
+			this.queue = this.queue.filter(id => id !== jobId);
+			logger.info(`[JOBS] Cancelled queued job ${jobId}`);
+			return this.getJob(jobId);
+		}
+
+		const running = await models.Jobs.updateOne(
+			{ _id: jobId, status: JOB_STATUS.RUNNING },
+			{
+				$set: { cancelRequested: true },
+				$push: { logs: logPush('Cancellation requested') }
+			}
+		);
+		if (running.matchedCount > 0) {
+			const state = this.running.get(jobId);
+			if (state) {
+				state.cancelRequested = true;
+			}
+			logger.info(`[JOBS] Cancellation requested for running job ${jobId}`);
+		}
+
+		return this.getJob(jobId);
+	}
+
+	/**
+	 * Retry a failed or cancelled job
+	 * The job keeps its id and parameters and is queued again.
+	 * @param {string} jobId - Job ID
+	 * @returns {Promise<Object|null>} Job status, or null if not found
+	 */
+	async retry (jobId) {
+		if (!mongoose.isValidObjectId(jobId)) {
+			return null;
+		}
+
+		const result = await models.Jobs.updateOne(
+			{ _id: jobId, status: { $in: RETRYABLE_STATUSES } },
+			{
+				$set: {
+					status: JOB_STATUS.QUEUED,
+					cancelRequested: false,
+					progress: 0,
+					progressMessage: null,
+					progressDetails: null,
+					error: null,
+					finishedAt: null
+				},
+				$push: { logs: logPush('Retry requested') }
+			}
+		);
+		if (result.matchedCount > 0) {
+			logger.info(`[JOBS] Retrying job ${jobId}`);
+			this.schedule(jobId);
+		}
+
+		return this.getJob(jobId);
+	}
+
+	/**
+	 * Resume jobs after a server restart
+	 * Running jobs are queued again if their handler is resumable (or cancelled if a
+	 * cancellation was pending), otherwise marked failed. Queued jobs are queued again.
+	 * @returns {Promise<Object>} { resumed, failed }
+	 */
+	async resumeAll () {
+		const interrupted = await models.Jobs.find({ status: JOB_STATUS.RUNNING }).select('type cancelRequested').lean();
+		let failed = 0;
+		for (const job of interrupted) {
+			const handler = jobHandlers[job.type];
+			let update;
+			if (job.cancelRequested) {
+				update = { status: JOB_STATUS.CANCELLED, finishedAt: new Date(), message: 'Job cancelled (server restarted)' };
+			} else if (handler?.resumable) {
+				update = { status: JOB_STATUS.QUEUED, message: 'Server restarted, job queued again' };
+			} else {
+				update = { status: JOB_STATUS.FAILED, finishedAt: new Date(), error: 'Interrupted by a server restart', message: 'Server restarted, job failed' };
+				failed++;
+			}
+			const { message, ...fields } = update;
+			await models.Jobs.updateOne(
+				{ _id: job._id },
+				{
+					$set: fields,
+					$push: { logs: logPush(message, fields.status === JOB_STATUS.FAILED ? 'error' : 'warn') }
+				}
+			);
+		}
+
+		const queued = await models.Jobs.find({ status: JOB_STATUS.QUEUED }).select('_id').sort({ createdAt: 1 }).lean();
+		for (const job of queued) {
+			this.schedule(job._id.toString());
+		}
+		return { resumed: queued.length, failed };
+	}
+
+	/**
+	 * Add a job to the run queue
+	 * @param {string} jobId - Job ID
+	 */
+	schedule (jobId) {
+		if (!this.queue.includes(jobId) && !this.running.has(jobId)) {
+			this.queue.push(jobId);
+		}
+		setImmediate(() => this.runNext());
+	}
+
+	/**
+	 * Start queued jobs while fewer than MAX_RUNNING_JOBS are running
+	 */
+	runNext () {
+		while (this.running.size < MAX_RUNNING_JOBS && this.queue.length > 0) {
+			const jobId = this.queue.shift();
+			const state = { cancelRequested: false };
+			this.running.set(jobId, state);
+			this.run(jobId, state)
+				.catch(error => logger.error(`[JOBS] Error running job ${jobId}: ${error.message}`))
+				.finally(() => {
+					this.running.delete(jobId);
+					this.runNext();
+				});
+		}
+	}
+
+	/**
+	 * Run one job to completion
+	 * @param {string} jobId - Job ID
+	 * @param {Object} state - In-memory state of the run ({ cancelRequested })
+	 * @returns {Promise<void>}
+	 */
+	async run (jobId, state) {
+		// Claim the job; it may have been cancelled while queued
+		const job = await models.Jobs.findOneAndUpdate(
+			{ _id: jobId, status: JOB_STATUS.QUEUED },
+			{
+				$set: { status: JOB_STATUS.RUNNING, startedAt: new Date() },
+				$inc: { attempts: 1 },
+				$push: { logs: logPush('Job started') }
+			},
+			{ new: true }
+		).lean();
+		if (!job) {
+			return;
+		}
+
+		const handler = jobHandlers[job.type];
+		const operationStartTime = Date.now();
+		logger.info(`[JOBS] Running ${job.type} job ${jobId} (attempt ${job.attempts})`);
+
+		let lastProgress = -1;
+		const context = {
+			jobId,
+			log: (message, level = 'info') => this.appendLog(jobId, message, level),
+			progress: async (percent, message = null) => {
+				const progress = Math.min(100, Math.max(0, Math.floor(percent)));
+				// One write per whole percent
+				if (progress === lastProgress) {
+					return;
+				}
+				lastProgress = progress;
+				await models.Jobs.updateOne({ _id: jobId }, { $set: { progress, progressMessage: message } });
+			},
+			details: details => models.Jobs.updateOne({ _id: jobId }, { $set: { progressDetails: details } }),
+			isCancelled: () => state.cancelRequested
+		};
+
+		let update;
+		let logEntry;
+		try {
+			const result = await handler.run(job, context);
+			if (state.cancelRequested) {
+				update = { status: JOB_STATUS.CANCELLED, result };
+				logEntry = { level: 'warn', message: 'Job cancelled' };
+			} else {
+				update = { status: JOB_STATUS.SUCCEEDED, result, progress: 100 };
+				logEntry = { message: `Job finished in ${Date.now() - operationStartTime}ms` };
+			}
+		} catch (error) {
+			logger.error(`[JOBS] ${job.type} job ${jobId} failed: ${error.message}`);
+			update = { status: JOB_STATUS.FAILED, error: error.message };
+			logEntry = { level: 'error', message: `Job failed: ${error.message}` };
+		}
+
+		await models.Jobs.updateOne(
+			{ _id: jobId },
+			{
+				$set: { ...update, finishedAt: new Date() },
+				$push: { logs: logPush(logEntry.message, logEntry.level) }
+			}
+		);
+		logger.info(`[JOBS] ${job.type} job ${jobId} ${update.status} (took ${Date.now() - operationStartTime}ms)`);
+	}
+
+	/**
+	 * Append an entry to the log of a job
+	 * @param {string} jobId - Job ID
+	 * @param {string} message - Log message
+	 * @param {string} level - 'info', 'warn' or 'error' (default: 'info')
+	 * @returns {Promise<void>}
+	 */
+	async appendLog (jobId, message, level = 'info') {
+		await models.Jobs.updateOne(
+			{ _id: jobId },
+			{ $push: { logs: logPush(message, level) } }
+		);
+	}
+
+	/**
+	 * Convert a stored job to its status (API format)
+	 * @param {Object} job - Stored job
+	 * @param {boolean} includeLogs - Include the job log (default: false)
+	 * @returns {Object} Job status
+	 */
+	toStatus (job, includeLogs = false) {
+		return {
+			jobId: job._id.toString(),
+			type: job.type,
+			status: job.status,
+			contestId: job.contestId,
+			params: job.params,
+			progress: job.progress,
+			progressMessage: job.progressMessage,
+			progressDetails: job.progressDetails,
+			attempts: job.attempts,
+			cancelRequested: job.cancelRequested,
+			result: job.result,
+			error: job.error,
+			createdAt: job.createdAt,
+			startedAt: job.startedAt,
+			finishedAt: job.finishedAt,
+			updatedAt: job.updatedAt,
+			logs: includeLogs ? job.logs : undefined
+		};
+	}
+}
+
+// Export singleton instance
+export const jobService = new JobService();
@@ -0,0 +1,144 @@
+/**
+ * Participant Timeline
+ * Rank and score of one participant over a contest, and the moments their
+ * standings changed
+ *
+ * Timeline points are read from the snapshot chain: the rank at a point is one plus
+ * the number of participants ranked strictly ahead (same order and ties as the
+ * standings), so no point needs a full sort. Moments come from a replay of the
+ * participant's own submissions and hacks, so they carry exact times.
+ */
+
+import { replayEvents, EVENT_TYPE } from './eventStream.js';
+import { formatRankRange } from './standingsStateUpdate.js';
+import { getStateKey } from '../helpers/participantKey.js';
+
+export const MOMENT_TYPE = Object.freeze({
+	SOLVE: 'SOLVE',
+	REJECTION: 'REJECTION',
+	SCORE: 'SCORE', // Partial scoring: the best score of an unsolved problem went up
+	HACKED: 'HACKED', // A successful hack against the participant's accepted solution
+	HACK: 'HACK' // A hack made by the participant
+});
+
+/**
+ * Rank one participant among all participants
+ * @param {Iterable} participants - Participant states
+ * @param {string} participantKey - Participant to rank
+ * @param {Object} rule - Scoring rule (compareParticipants, isTied)
+ * @param {boolean} showUnofficial - Rank among unofficial participants too
+ * @returns {Object|null} { rank, rankEnd, participantCount, participant }, or null if the participant is not ranked
+ */
+export function rankParticipant (participants, participantKey, rule, showUnofficial = false) {
+	const ranked = [];
+	let target = null;
+	for (const participant of participants) {
+		if (!showUnofficial && participant.isUnofficial) {
+			continue;
+		}
+		ranked.push(participant);
+		if (getStateKey(participant) === participantKey) {
+			target = participant;
+		}
+	}
+	if (!target) {
+		return null;
+	}
+
+	let ahead = 0;
+	let tied = 0;
+	for (const participant of ranked) {
+		if (participant === target) {
+			continue;
+		}
+		if (rule.isTied(participant, target)) {
+			tied++;
+		} else if (rule.compareParticipants(participant, target) < 0) {
+			ahead++;
+		}
+	}
+
+	return { rank: ahead + 1, rankEnd: ahead + tied + 1, participantCount: ranked.length, participant: target };
+}
+
+/**
+ * Build a timeline point
+ * @param {number} timestampSeconds - Time of the point (relative to contest start)
+ * @param {Object|null} ranking - Result of rankParticipant
+ * @returns {Object} Timeline point
+ */
+export function toTimelinePoint (timestampSeconds, ranking) {
+	if (!ranking) {
+		return { timestampSeconds, rank: null, rankRange: null, points: 0, penalty: 0, solvedCount: 0, participantCount: null };
+	}
+	const { participant } = ranking;
+	return {
+		timestampSeconds,
+		rank: ranking.rank,
+		rankRange: formatRankRange(ranking.rank, ranking.rankEnd),
+		points: participant.totalPoints || 0,
+		penalty: participant.totalPenalty || 0,
+		solvedCount: participant.solvedCount || 0,
+		participantCount: ranking.participantCount
+	};
+}
+
+/**
+ * Get the problem entry of a state
+ * @param {Object|undefined} state - Participant state
+ * @param {string} problemIndex - Problem index
+ * @returns {Object} Problem entry (solved, points, rejectCount), empty if none
+ */
+function problemEntry (state, problemIndex) {
+	const problem = state?.problems instanceof Map ? state.problems.get(problemIndex) : state?.problems?.[problemIndex];
+	return {
+		solved: problem?.solved || false,
+		points: problem?.points || 0,
+		rejectCount: problem?.rejectCount || 0
+	};
+}
+
+/**
+ * Find the moments a participant's standings changed
+ * @param {Array} events - Chronological events involving the participant (submissions and hacks)
+ * @param {string} participantKey - Participant
+ * @param {Object} context - Replay context (see replayEvents)
+ * @returns {Array} Moments [{ timeSeconds, type, problemIndex, points, submissionId|hackId, successful }]
+ */
+export function findParticipantMoments (events, participantKey, context) {
+	const stateMap = new Map();
+	const moments = [];
+
+	for (const event of events) {
+		const isHack = event.type === EVENT_TYPE.HACK;
+		const problemIndex = (isHack ? event.hack.problem?.index : event.submission.problem?.index) || '';
+		const before = stateMap.get(participantKey);
+		const problemBefore = problemEntry(before, problemIndex);
+		const hackSuccessBefore = before?.hackSuccess || 0;
+		const hackFailBefore = before?.hackFail || 0;
+
+		replayEvents(stateMap, [event], context);
+
+		const after = stateMap.get(participantKey);
+		const problemAfter = problemEntry(after, problemIndex);
+		const moment = {
+			timeSeconds: event.relativeTimeSeconds,
+			problemIndex,
+			[isHack ? 'hackId' : 'submissionId']: (isHack ? event.hack.id : event.submission.id) ?? null
+		};
+
+		if (isHack && (after?.hackSuccess || 0) + (after?.hackFail || 0) > hackSuccessBefore + hackFailBefore) {
+			moments.push({ ...moment, type: MOMENT_TYPE.HACK, successful: (after.hackSuccess || 0) > hackSuccessBefore });
+		} else if (problemBefore.solved && !problemAfter.solved) {
+			moments.push({ ...moment, type: MOMENT_TYPE.HACKED, points: -problemBefore.points });
+		} else if (!problemBefore.solved && problemAfter.solved) {
+			moments.push({ ...moment, type: MOMENT_TYPE.SOLVE, points: problemAfter.points });
+		} else if (!problemAfter.solved && problemAfter.points > problemBefore.points) {
+			moments.push({ ...moment, type: MOMENT_TYPE.SCORE, points: problemAfter.points });
+		} else if (problemAfter.rejectCount > problemBefore.rejectCount) {
+			moments.push({ ...moment, type: MOMENT_TYPE.REJECTION });
+		}
+	}
+
+	return moments;
+}
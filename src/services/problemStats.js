@@ -0,0 +1,117 @@
+/**
+ * Problem Stats
+ * Per-problem statistics of a contest computed from participant states: solves,
+ * attempts, acceptance rate, first solve, average solve time and a solve curve
+ *
+ * Attempts are the counted submissions kept by the states: the rejected ones before
+ * the solve (rejectCount, including solutions lost to hacks) plus the accepted one.
+ */
+
+import { getStateKey } from '../helpers/participantKey.js';
+
+// Solve curve bucket when none is given
+export const DEFAULT_BUCKET_SECONDS = 300;
+
+// Most buckets of a solve curve; a smaller bucket is raised to fit
+export const MAX_STAT_BUCKETS = 1000;
+
+/**
+ * Iterate the problem entries of a participant (Map during replay, object when stored)
+ * @param {Object} state - Participant state
+ * @returns {Iterable} [problemIndex, problem] pairs
+ */
+function problemEntries (state) {
+	return state.problems instanceof Map ? state.problems.entries() : Object.entries(state.problems || {});
+}
+
+/**
+ * Get the bucket size of a solve curve up to a timestamp
+ * @param {number} timestampSeconds - End of the curve (relative seconds)
+ * @param {number|null} bucketSeconds - Requested bucket size (default: DEFAULT_BUCKET_SECONDS)
+ * @returns {number} Bucket size, raised so the curve has at most MAX_STAT_BUCKETS buckets
+ */
+export function resolveBucketSeconds (timestampSeconds, bucketSeconds = null) {
+	return Math.max(bucketSeconds || DEFAULT_BUCKET_SECONDS, Math.ceil(timestampSeconds / MAX_STAT_BUCKETS), 1);
+}
+
+/**
+ * Compute the statistics of every problem
+ * @param {Iterable} states - Participant states
+ * @param {Array} problems - Problems of the contest ({ index, name, points }); problems only seen in states are added
+ * @param {Object} options - Options
+ * @param {number} options.timestampSeconds - End of the solve curves (relative seconds)
+ * @param {number} options.bucketSeconds - Solve curve bucket (see resolveBucketSeconds)
+ * @param {boolean} options.showUnofficial - Count unofficial participants too
+ * @returns {Array} Per problem { problemIndex, name, points, solveCount, triedCount, attemptCount, acceptanceRate,
+ *   firstSolveTimeSeconds, firstSolvers, averageSolveTimeSeconds, series: [{ timestampSeconds, solveCount, cumulativeSolveCount }] }, by problem index
+ */
+export function computeProblemStats (states, problems, options) {
+	const { timestampSeconds, bucketSeconds, showUnofficial = false } = options;
+	const bucketCount = Math.max(1, Math.ceil(timestampSeconds / bucketSeconds));
+	const statsByIndex = new Map();
+	const statsOf = (problemIndex, problem = {}) => {
+		if (!statsByIndex.has(problemIndex)) {
+			statsByIndex.set(problemIndex, {
+				problemIndex,
+				name: problem.name || null,
+				points: problem.points ?? null,
+				solveCount: 0,
+				triedCount: 0,
+				attemptCount: 0,
+				solveTimeTotal: 0,
+				firstSolveTimeSeconds: null,
+				firstSolvers: [],
+				bucketSolves: new Array(bucketCount).fill(0)
+			});
+		}
+		return statsByIndex.get(problemIndex);
+	};
+	for (const problem of problems) {
+		statsOf(problem.index, problem);
+	}
+
+	for (const state of states) {
+		if (!showUnofficial && state.isUnofficial) {
+			continue;
+		}
+		for (const [problemIndex, problem] of problemEntries(state)) {
+			const stats = statsOf(problemIndex);
+			stats.triedCount++;
+			stats.attemptCount += (problem.rejectCount || 0) + (problem.solved ? 1 : 0);
+			if (!problem.solved || problem.solveTime === null || problem.solveTime === undefined) {
+				continue;
+			}
+			stats.solveCount++;
+			stats.solveTimeTotal += problem.solveTime;
+			stats.bucketSolves[Math.min(Math.floor(problem.solveTime / bucketSeconds), bucketCount - 1)]++;
+
+			const solver = { participantKey: getStateKey(state), handles: state.handles?.length ? state.handles : [state.handle] };
+			if (stats.firstSolveTimeSeconds === null || problem.solveTime < stats.firstSolveTimeSeconds) {
+				stats.firstSolveTimeSeconds = problem.solveTime;
+				stats.firstSolvers = [solver];
+			} else if (problem.solveTime === stats.firstSolveTimeSeconds) {
+				stats.firstSolvers.push(solver);
+			}
+		}
+	}
+
+	return Array.from(statsByIndex.values())
+		.sort((a, b) => a.problemIndex.localeCompare(b.problemIndex, undefined, { numeric: true }))
+		.map(({ solveTimeTotal, bucketSolves, ...stats }) => {
+			let cumulativeSolveCount = 0;
+			return {
+				...stats,
+				acceptanceRate: stats.attemptCount > 0 ? stats.solveCount / stats.attemptCount : null,
+				averageSolveTimeSeconds: stats.solveCount > 0 ? solveTimeTotal / stats.solveCount : null,
+				firstSolvers: stats.firstSolvers.sort((a, b) => a.participantKey.localeCompare(b.participantKey)),
+				series: bucketSolves.map((solveCount, i) => {
+					cumulativeSolveCount += solveCount;
+					return {
+						timestampSeconds: Math.min((i + 1) * bucketSeconds, timestampSeconds),
+						solveCount,
+						cumulativeSolveCount
+					};
+				})
+			};
+		});
+}
@@ -0,0 +1,134 @@
+/**
+ * Rank Movement
+ * Compares the standings of a contest at two timestamps: rank and points deltas per
+ * participant, and the leaders at each end
+ */
+
+import { assignSharedRanks, compareParticipants, formatRankRange } from './standingsStateUpdate.js';
+import { getStateKey } from '../helpers/participantKey.js';
+
+export const MOVEMENT_SORT = Object.freeze({
+	CLIMB: 'climb', // Biggest rank gain first
+	FALL: 'fall', // Biggest rank loss first
+	CHANGE: 'change', // Biggest rank change either way first
+	RANK: 'rank', // Rank at the end time
+	POINTS: 'points' // Biggest points gain first
+});
+
+/**
+ * Rank participant states as the standings do
+ * The states are not modified.
+ * @param {Iterable} states - Participant states
+ * @param {Object} rule - Scoring rule
+ * @param {boolean} showUnofficial - Rank unofficial participants too
+ * @returns {Map} participantKey -> { rank, rankEnd, points, penalty, solvedCount, handles }
+ */
+export function rankStates (states, rule, showUnofficial = false) {
+	const participants = [];
+	for (const state of states) {
+		if (showUnofficial || !state.isUnofficial) {
+			participants.push({ ...state });
+		}
+	}
+	participants.sort((a, b) => compareParticipants(a, b, rule));
+	assignSharedRanks(participants, rule);
+
+	return new Map(participants.map(participant => [getStateKey(participant), {
+		rank: participant.rank,
+		rankEnd: participant.rankEnd,
+		points: participant.totalPoints || 0,
+		penalty: participant.totalPenalty || 0,
+		solvedCount: participant.solvedCount || 0,
+		handles: participant.handles?.length ? participant.handles : [participant.handle]
+	}]));
+}
+
+/**
+ * Find the participants sharing first place
+ * @param {Iterable} states - Participant states
+ * @param {Object} rule - Scoring rule
+ * @param {boolean} showUnofficial - Rank unofficial participants too
+ * @returns {Array<string>} Participant keys of the leaders, sorted (empty if nobody is ranked)
+ */
+export function findLeaders (states, rule, showUnofficial = false) {
+	let leaders = [];
+	for (const state of states) {
+		if (!showUnofficial && state.isUnofficial) {
+			continue;
+		}
+		if (leaders.length === 0 || rule.isTied(state, leaders[0])) {
+			leaders.push(state);
+		} else if (rule.compareParticipants(state, leaders[0]) < 0) {
+			leaders = [state];
+		}
+	}
+	return leaders.map(getStateKey).sort();
+}
+
+/**
+ * Compare comparable values, missing ones last
+ * @param {number|null} a - Value
+ * @param {number|null} b - Value
+ * @returns {number} Sort order
+ */
+function compareNullsLast (a, b) {
+	if (a === null || b === null) {
+		return (a === null) - (b === null);
+	}
+	return a - b;
+}
+
+const negate = value => (value === null ? null : -value);
+
+const SORTERS = {
+	[MOVEMENT_SORT.CLIMB]: (a, b) => compareNullsLast(negate(a.rankChange), negate(b.rankChange)),
+	[MOVEMENT_SORT.FALL]: (a, b) => compareNullsLast(a.rankChange, b.rankChange),
+	[MOVEMENT_SORT.CHANGE]: (a, b) => compareNullsLast(negate(a.rankChange && Math.abs(a.rankChange)), negate(b.rankChange && Math.abs(b.rankChange))),
+	[MOVEMENT_SORT.RANK]: () => 0,
+	[MOVEMENT_SORT.POINTS]: (a, b) => b.pointsChange - a.pointsChange
+};
+
+/**
+ * Build the rank movement rows between two rankings
+ * Participants ranked at only one end have a null rank (and rankChange) at the other.
+ * @param {Map} before - Ranking at the start time (see rankStates)
+ * @param {Map} after - Ranking at the end time (see rankStates)
+ * @param {Object} options - Report options
+ * @param {string} options.sortBy - One of MOVEMENT_SORT (default: climb)
+ * @param {number|null} options.topN - Only participants ranked within the top N at the end time
+ * @param {number|null} options.limit - Maximum number of rows
+ * @returns {Array} Rows { participantKey, handles, rankBefore, rankAfter, rankRangeBefore, rankRangeAfter, rankChange, pointsBefore, pointsAfter, pointsChange, solvedCountBefore, solvedCountAfter }
+ */
+export function buildRankMovement (before, after, options = {}) {
+	const { sortBy = MOVEMENT_SORT.CLIMB, topN = null, limit = null } = options;
+	const participantKeys = new Set([...after.keys(), ...before.keys()]);
+	const rows = [];
+
+	for (const participantKey of participantKeys) {
+		const from = before.get(participantKey) || null;
+		const to = after.get(participantKey) || null;
+		if (topN !== null && !(to && to.rank <= topN)) {
+			continue;
+		}
+		rows.push({
+			participantKey,
+			handles: (to || from).handles,
+			rankBefore: from?.rank ?? null,
+			rankAfter: to?.rank ?? null,
+			rankRangeBefore: from ? formatRankRange(from.rank, from.rankEnd) : null,
+			rankRangeAfter: to ? formatRankRange(to.rank, to.rankEnd) : null,
+			rankChange: from && to ? from.rank - to.rank : null,
+			pointsBefore: from?.points || 0,
+			pointsAfter: to?.points || 0,
+			pointsChange: (to?.points || 0) - (from?.points || 0),
+			solvedCountBefore: from?.solvedCount || 0,
+			solvedCountAfter: to?.solvedCount || 0
+		});
+	}
+
+	// Ties (and the rank sort) fall back to the rank at the end time
+	const sorter = SORTERS[sortBy] || SORTERS[MOVEMENT_SORT.CLIMB];
+	rows.sort((a, b) => sorter(a, b) || compareNullsLast(a.rankAfter, b.rankAfter) || compareNullsLast(a.rankBefore, b.rankBefore));
+
+	return limit !== null ? rows.slice(0, limit) : rows;
+}
@@ -0,0 +1,350 @@
+import { incrementalSimulationService } from './incrementalSimulationService.js';
+import { assignSharedRanks, compareParticipants, freezeParticipantState } from './standingsStateUpdate.js';
+import { getScoringRule } from './scoringRules.js';
+import { generateHashcode } from '../helpers/hashcodeGenerator.js';
+import { logger } from '../helpers/logger.js';
+import { getStateKey } from '../helpers/participantKey.js';
+
+// Sessions are kept in memory; the oldest is dropped beyond this limit
+const MAX_RESOLVER_SESSIONS = 20;
+
+/**
+ * Convert problems (Map or object) to a plain object
+ * @param {Map|Object} problems - Problems state
+ * @returns {Object} Problems keyed by problem index
+ */
+function problemsToObject (problems) {
+	return problems instanceof Map ? Object.fromEntries(problems.entries()) : { ...(problems || {}) };
+}
+
+/**
+ * Get the pending problem indexes of a participant, in problem order
+ * @param {Object} state - Public participant state
+ * @returns {Array<string>} Problem indexes with pending attempts
+ */
+function pendingProblems (state) {
+	return Object.entries(state.problems || {})
+		.filter(([, problem]) => problem.pendingCount > 0)
+		.map(([problemIndex]) => problemIndex)
+		.sort();
+}
+
+/**
+ * Order two board rows: by the scoring rule, then by participant key so the order is deterministic
+ * @param {Object} a - First participant state
+ * @param {Object} b - Second participant state
+ * @param {Object} rule - Scoring rule
+ * @returns {number} Comparison result
+ */
+function compareBoardRows (a, b, rule) {
+	const aKey = getStateKey(a);
+	const bKey = getStateKey(b);
+	return compareParticipants(a, b, rule) || (aKey < bKey ? -1 : (aKey > bKey ? 1 : 0));
+}
+
+/**
+ * Sort participants and assign shared ranks
+ * Ranks are written onto copies, so the given states (which may be shared with the
+ * standings state cache) are left untouched.
+ * @param {Iterable} states - Participant states
+ * @param {Object} rule - Scoring rule
+ * @returns {Array} Ranked copies of the participants
+ */
+function rankBoard (states, rule) {
+	const participants = Array.from(states, state => ({ ...state })).sort((a, b) => compareBoardRows(a, b, rule));
+	return assignSharedRanks(participants, rule);
+}
+
+/**
+ * Move one row of a ranked board to its new place and assign shared ranks again
+ * The other rows keep their order, so only the changed row is placed (binary search).
+ * @param {Array} ranked - Ranked board (see rankBoard), updated in place
+ * @param {number} position - Current index of the row
+ * @param {Object} row - New state of the row
+ * @param {Object} rule - Scoring rule
+ * @returns {Array} The same board
+ */
+function rerankRow (ranked, position, row, rule) {
+	ranked.splice(position, 1);
+	let low = 0;
+	let high = ranked.length;
+	while (low < high) {
+		const middle = (low + high) >> 1;
+		if (compareBoardRows(ranked[middle], row, rule) < 0) {
+			low = middle + 1;
+		} else {
+			high = middle;
+		}
+	}
+	ranked.splice(low, 0, row);
+	return assignSharedRanks(ranked, rule);
+}
+
+/**
+ * Reveal one pending problem of a participant
+ * The problem takes its final result; revealing the last pending problem
+ * gives the participant its full final state.
+ * @param {Object} shown - Currently shown participant state
+ * @param {Object} finalState - True participant state
+ * @param {string} problemIndex - Problem to reveal
+ * @returns {Object} New shown participant state
+ */
+function revealProblem (shown, finalState, problemIndex) {
+	const finalProblems = problemsToObject(finalState.problems);
+	if (pendingProblems(shown).length <= 1) {
+		return { ...finalState, problems: finalProblems };
+	}
+
+	const before = shown.problems[problemIndex] || {};
+	const after = { ...finalProblems[problemIndex] };
+	const problems = { ...shown.problems, [problemIndex]: after };
+
+	let lastAcTime = null;
+	for (const problem of Object.values(problems)) {
+		if (problem.solved && problem.solveTime !== null && problem.solveTime !== undefined) {
+			lastAcTime = Math.max(lastAcTime || 0, problem.solveTime);
+		}
+	}
+
+	return {
+		...shown,
+		problems,
+		totalPoints: (shown.totalPoints || 0) + (after.points || 0) - (before.points || 0),
+		totalPenalty: (shown.totalPenalty || 0) + (after.penalty || 0) - (before.penalty || 0),
+		solvedCount: (shown.solvedCount || 0) + (after.solved ? 1 : 0) - (before.solved ? 1 : 0),
+		lastAcTime
+	};
+}
+
+/**
+ * Get the public fields of a reveal step (without the participant state)
+ * @param {Object} step - Reveal step
+ * @returns {Object} Step info
+ */
+function toStepInfo (step) {
+	return {
+		step: step.step,
+		participantKey: step.participantKey,
+		handle: step.handle,
+		teamName: step.teamName,
+		problemIndex: step.problemIndex,
+		solved: step.solved,
+		rankBefore: step.rankBefore,
+		rankAfter: step.rankAfter,
+		points: step.points,
+		penalty: step.penalty
+	};
+}
+
+/**
+ * Resolver Service
+ * Step-by-step reveal of a frozen scoreboard (ICPC "resolver")
+ *
+ * A session starts from the public (frozen) standings and reveals pending problems
+ * one at a time: always the lowest-ranked participant with pending problems, in
+ * problem order, re-ranking after every reveal. All steps are computed when the
+ * session is created, so stepping forward and back is deterministic.
+ */
+class ResolverService {
+	constructor () {
+		this.sessions = new Map();
+	}
+
+	/**
+	 * Create a resolver session
+	 * @param {Object} contest - Contest (as returned by codeforcesDataService.getContestFromDB)
+	 * @param {Object} options - Session options
+	 * @param {number} options.freezeTimeSeconds - Freeze time relative to contest start
+	 * @param {number} options.timestampSeconds - Final timestamp, after the freeze time
+	 * @param {boolean} options.showUnofficial - Include unofficial participants
+	 * @param {boolean} options.fileMode - Use file storage instead of MongoDB
+	 * @returns {Promise<Object|null>} Session summary, or null if there are no snapshots at timestampSeconds
+	 */
+	async createSession (contest, options) {
+		const { freezeTimeSeconds, timestampSeconds, showUnofficial = false, fileMode = false } = options;
+		const contestId = contest.id;
+		const startTime = Date.now();
+
+		logger.info(`[RESOLVER] Creating session for contest ${contestId} (freeze t=${freezeTimeSeconds}, final t=${timestampSeconds})`);
+
+		const rule = getScoringRule(contest);
+		const finalMap = await incrementalSimulationService.loadStateAt(contestId, timestampSeconds, fileMode);
+		if (!finalMap) {
+			logger.warn(`[RESOLVER] No snapshots found for contest ${contestId} at timestamp ${timestampSeconds}`);
+			return null;
+		}
+		const frozenMap = await incrementalSimulationService.loadStateAt(contestId, freezeTimeSeconds, fileMode) || new Map();
+
+		// Initial board: public view at the final timestamp
+		const finalStates = new Map();
+		const initialStates = new Map();
+		for (const [participantKey, finalState] of finalMap.entries()) {
+			if (!showUnofficial && finalState.isUnofficial) {
+				continue;
+			}
+			finalStates.set(participantKey, finalState);
+			initialStates.set(participantKey, freezeParticipantState(frozenMap.get(participantKey), finalState));
+		}
+
+		const steps = this.computeSteps(initialStates, finalStates, rule);
+
+		const session = {
+			sessionId: generateHashcode(),
+			contestId,
+			timestampSeconds,
+			freezeTimeSeconds,
+			showUnofficial,
+			fileMode,
+			rule,
+			initialStates,
+			steps,
+			currentStep: 0,
+			createdAt: new Date()
+		};
+
+		this.sessions.set(session.sessionId, session);
+		if (this.sessions.size > MAX_RESOLVER_SESSIONS) {
+			const oldestSessionId = this.sessions.keys().next().value;
+			this.sessions.delete(oldestSessionId);
+			logger.info(`[RESOLVER] Dropped oldest session ${oldestSessionId} (limit: ${MAX_RESOLVER_SESSIONS})`);
+		}
+
+		logger.info(`[RESOLVER] ✓ Created session ${session.sessionId}: ${initialStates.size} participants, ${steps.length} steps (took ${Date.now() - startTime}ms)`);
+
+		return this.getSessionSummary(session);
+	}
+
+	/**
+	 * Compute the ordered reveal steps
+	 * The board is sorted once; after each reveal only the revealed row is moved.
+	 * @param {Map} initialStates - participantKey -> public state
+	 * @param {Map} finalStates - participantKey -> true state
+	 * @param {Object} rule - Scoring rule
+	 * @returns {Array} Reveal steps
+	 */
+	computeSteps (initialStates, finalStates, rule) {
+		const steps = [];
+		const ranked = rankBoard(initialStates.values(), rule);
+
+		for (;;) {
+			let position = ranked.length - 1;
+			while (position >= 0 && pendingProblems(ranked[position]).length === 0) {
+				position--;
+			}
+			if (position < 0) {
+				break;
+			}
+
+			const target = ranked[position];
+			const problemIndex = pendingProblems(target)[0];
+			const participantKey = getStateKey(target);
+			const rankBefore = target.rank;
+			const revealed = revealProblem(target, finalStates.get(participantKey), problemIndex);
+			rerankRow(ranked, position, revealed, rule);
+
+			steps.push({
+				step: steps.length + 1,
+				participantKey,
+				handle: target.handle,
+				teamName: target.teamName || null,
+				problemIndex,
+				solved: Boolean(revealed.problems[problemIndex]?.solved),
+				rankBefore,
+				rankAfter: revealed.rank,
+				points: revealed.totalPoints || 0,
+				penalty: revealed.totalPenalty || 0,
+				state: { ...revealed }
+			});
+		}
+
+		return steps;
+	}
+
+	/**
+	 * Get a session
+	 * @param {string} sessionId - Session ID
+	 * @param {number} contestId - Contest ID the session must belong to
+	 * @returns {Object|null} Session or null if not found
+	 */
+	getSession (sessionId, contestId) {
+		const session = this.sessions.get(sessionId);
+		if (!session || session.contestId !== contestId) {
+			return null;
+		}
+		return session;
+	}
+
+	/**
+	 * Summarize a session (without standings)
+	 * @param {Object} session - Session
+	 * @returns {Object} Session summary
+	 */
+	getSessionSummary (session) {
+		return {
+			sessionId: session.sessionId,
+			contestId: session.contestId,
+			timestampSeconds: session.timestampSeconds,
+			freezeTimeSeconds: session.freezeTimeSeconds,
+			showUnofficial: session.showUnofficial,
+			participantCount: session.initialStates.size,
+			totalSteps: session.steps.length,
+			currentStep: session.currentStep,
+			createdAt: session.createdAt
+		};
+	}
+
+	/**
+	 * Get the ordered list of reveal steps
+	 * @param {Object} session - Session
+	 * @returns {Array} Reveal steps (without participant states)
+	 */
+	getSteps (session) {
+		return session.steps.map(toStepInfo);
+	}
+
+	/**
+	 * Get the standings after a step (0 = frozen board)
+	 * @param {Object} session - Session
+	 * @param {number} step - Step number (0..totalSteps)
+	 * @returns {Object} Step and standings rows
+	 */
+	getStandingsAtStep (session, step) {
+		const board = new Map(session.initialStates);
+		for (let i = 0; i < step; i++) {
+			board.set(session.steps[i].participantKey, session.steps[i].state);
+		}
+		const ranked = rankBoard(board.values(), session.rule);
+
+		const lastStep = step > 0 ? toStepInfo(session.steps[step - 1]) : null;
+
+		return {
+			...this.getSessionSummary(session),
+			step,
+			lastStep,
+			rows: ranked.map(participant => incrementalSimulationService.buildStandingsRow(session.contestId, participant))
+		};
+	}
+
+	/**
+	 * Move the session cursor and return the standings there
+	 * The cursor stays within [0, totalSteps].
+	 * @param {Object} session - Session
+	 * @param {number} offset - +1 for next, -1 for previous
+	 * @returns {Object} Step and standings rows
+	 */
+	move (session, offset) {
+		session.currentStep = Math.min(session.steps.length, Math.max(0, session.currentStep + offset));
+		return this.getStandingsAtStep(session, session.currentStep);
+	}
+
+	/**
+	 * Delete a session
+	 * @param {string} sessionId - Session ID
+	 */
+	deleteSession (sessionId) {
+		this.sessions.delete(sessionId);
+	}
+}
+
+// Export singleton instance
+export const resolverService = new ResolverService();
@@ -0,0 +1,244 @@
+/**
+ * Scoring Rules
+ * Contest-type specific scoring and ranking rules for the incremental standings engine
+ *
+ * A scoring rule decides how many points and how much penalty an accepted problem
+ * is worth, how two participants are ordered in the standings, and when two
+ * participants are tied and share a rank.
+ * The rule is selected per contest from its `type` field ("CF", "ICPC", "IOI")
+ * and the same rule object is shared by snapshot creation and standings queries.
+ * Rules that depend on contest settings (e.g. Codeforces dynamic scoring needs the
+ * contest duration) are built from the contest object.
+ */
+
+const PENALTY_MINUTES_PER_REJECTION = 20;
+const SECONDS_PER_MINUTE = 60;
+
+// Codeforces dynamic scoring: a problem worth X points loses X/250 points per minute
+// of a 120-minute round (scaled for other durations), 50 points per rejected attempt,
+// and never drops below 30% of X (rounded down, scores are integers). Rejections on
+// the first test cost nothing; a rejection whose passed test count is unknown does.
+const CF_DECAY_REFERENCE_MINUTES = 120;
+const CF_DECAY_DIVISOR = 250;
+const CF_POINTS_PER_REJECTION = 50;
+const CF_MIN_SCORE_RATIO = 0.3;
+
+// Codeforces hack scoring: +100 per successful hack, -50 per unsuccessful one
+const CF_HACK_POINTS = Object.freeze({ successful: 100, unsuccessful: -50 });
+const NO_HACK_POINTS = Object.freeze({ successful: 0, unsuccessful: 0 });
+
+/**
+ * Compare last accepted submission time (ascending - earlier is better)
+ * @param {Object} a - First participant state
+ * @param {Object} b - Second participant state
+ * @returns {number} Comparison result
+ */
+function compareLastAcTime (a, b) {
+	const aLastAc = a.lastAcTime || Infinity;
+	const bLastAc = b.lastAcTime || Infinity;
+	if (aLastAc === bLastAc) {
+		return 0;
+	}
+	return aLastAc < bLastAc ? -1 : 1;
+}
+
+/**
+ * ICPC-style penalty: submission minute plus a fixed penalty per rejected attempt
+ * @param {Object} problem - Problem state (before it is marked solved)
+ * @param {number} relativeTimeSeconds - Accepted submission time relative to contest start
+ * @returns {number} Penalty in minutes
+ */
+function timePenalty (problem, relativeTimeSeconds) {
+	return problem.rejectCount * PENALTY_MINUTES_PER_REJECTION + Math.floor(relativeTimeSeconds / SECONDS_PER_MINUTE);
+}
+
+/**
+ * Codeforces dynamic score of an accepted problem
+ * @param {number} maxPoints - Initial problem value
+ * @param {number} relativeTimeSeconds - Accepted submission time relative to contest start
+ * @param {number} rejectCount - Rejected attempts before the accepted one
+ * @param {number} durationMinutes - Contest duration in minutes
+ * @returns {number} Points awarded
+ */
+export function codeforcesDynamicScore (maxPoints, relativeTimeSeconds, rejectCount, durationMinutes) {
+	const minutes = Math.floor(relativeTimeSeconds / SECONDS_PER_MINUTE);
+	const decay = Math.floor((CF_DECAY_REFERENCE_MINUTES * maxPoints * minutes) / (CF_DECAY_DIVISOR * durationMinutes));
+	const score = maxPoints - decay - CF_POINTS_PER_REJECTION * rejectCount;
+	return Math.max(Math.floor(CF_MIN_SCORE_RATIO * maxPoints), score);
+}
+
+/**
+ * Score a single submission under partial scoring
+ * With subtasks configured, tests are grouped in order and a subtask is earned when
+ * all of its tests pass (Codeforces stops at the first failing test, so passedTestCount
+ * is a prefix). Without subtasks the submission's own points are used, falling back to
+ * the full problem value for an accepted submission.
+ * @param {Object} submission - Submission event
+ * @param {number} submission.points - Problem value
+ * @param {number|null} submission.score - Points reported for this submission
+ * @param {number} submission.passedTestCount - Number of passed tests
+ * @param {string} submission.verdict - Verdict
+ * @param {Array} submission.subtasks - Subtasks [{ testCount, points }] in test order
+ * @returns {{ score: number, subtaskScores: Array<number> }} Submission score
+ */
+export function scorePartialSubmission (submission) {
+	const subtasks = submission.subtasks || [];
+	if (subtasks.length > 0) {
+		const passedTestCount = submission.passedTestCount || 0;
+		let testsSoFar = 0;
+		const subtaskScores = subtasks.map(subtask => {
+			testsSoFar += subtask.testCount || 0;
+			return submission.verdict === 'OK' || passedTestCount >= testsSoFar ? (subtask.points || 0) : 0;
+		});
+		return { score: subtaskScores.reduce((sum, points) => sum + points, 0), subtaskScores };
+	}
+
+	if (submission.score !== null && submission.score !== undefined) {
+		return { score: submission.score, subtaskScores: [] };
+	}
+	return { score: submission.verdict === 'OK' ? (submission.points || 0) : 0, subtaskScores: [] };
+}
+
+/**
+ * Codeforces rules
+ * With a known contest duration, problems use dynamic scoring and there is no
+ * time penalty (matching official CF standings). Without it, the full problem
+ * value and ICPC-style penalty are used.
+ * Hacks: +100 points when successful, -50 when unsuccessful.
+ * Submissions rejected on the first test (like compile errors) are not attempts.
+ * Submissions are judged on pretests during the round and on system tests afterwards.
+ * Ranking: totalPoints (desc), totalPenalty (asc), lastAcTime (asc);
+ * equal points and penalty share a rank (lastAcTime only orders rows)
+ * @param {number} durationSeconds - Contest duration in seconds (0 or null disables decay)
+ * @returns {Object} Codeforces scoring rule
+ */
+function createCodeforcesRule (durationSeconds) {
+	const durationMinutes = Math.floor((durationSeconds || 0) / SECONDS_PER_MINUTE);
+	const dynamicScoring = durationMinutes > 0;
+
+	return Object.freeze({
+		type: 'CF',
+		dynamicScoring,
+		partialScoring: false,
+		systemTesting: true,
+		hackPoints: CF_HACK_POINTS,
+		scoreSolve (problem, submission) {
+			const maxPoints = submission.points || 0;
+			if (!dynamicScoring) {
+				return maxPoints;
+			}
+			return codeforcesDynamicScore(maxPoints, submission.relativeTimeSeconds || 0, problem.rejectCount, durationMinutes);
+		},
+		penaltyForSolve (problem, relativeTimeSeconds) {
+			return dynamicScoring ? 0 : timePenalty(problem, relativeTimeSeconds);
+		},
+		countsRejection (submission) {
+			return submission.passedTestCount !== 0;
+		},
+		compareParticipants (a, b) {
+			if (b.totalPoints !== a.totalPoints) {
+				return b.totalPoints - a.totalPoints;
+			}
+			if (a.totalPenalty !== b.totalPenalty) {
+				return a.totalPenalty - b.totalPenalty;
+			}
+			return compareLastAcTime(a, b);
+		},
+		isTied (a, b) {
+			return a.totalPoints === b.totalPoints && a.totalPenalty === b.totalPenalty;
+		}
+	});
+}
+
+/**
+ * ICPC rules
+ * Every solved problem is worth one point
+ * Ranking: solvedCount (desc), totalPenalty (asc), lastAcTime (asc);
+ * equal solved count and penalty share a rank
+ */
+const ICPC_RULE = Object.freeze({
+	type: 'ICPC',
+	partialScoring: false,
+	systemTesting: false,
+	hackPoints: NO_HACK_POINTS,
+	scoreSolve () {
+		return 1;
+	},
+	penaltyForSolve (problem, relativeTimeSeconds) {
+		return timePenalty(problem, relativeTimeSeconds);
+	},
+	countsRejection () {
+		return true;
+	},
+	compareParticipants (a, b) {
+		if (b.solvedCount !== a.solvedCount) {
+			return b.solvedCount - a.solvedCount;
+		}
+		if (a.totalPenalty !== b.totalPenalty) {
+			return a.totalPenalty - b.totalPenalty;
+		}
+		return compareLastAcTime(a, b);
+	},
+	isTied (a, b) {
+		return a.solvedCount === b.solvedCount && a.totalPenalty === b.totalPenalty;
+	}
+});
+
+/**
+ * IOI rules
+ * Partial scoring: each problem is worth the best score reached so far (summed per
+ * subtask when subtasks are configured). Codeforces rounds with points-based partial
+ * scoring are reported with this contest type as well.
+ * No time penalty, participants are ranked by total points only
+ */
+const IOI_RULE = Object.freeze({
+	type: 'IOI',
+	partialScoring: true,
+	systemTesting: false,
+	hackPoints: NO_HACK_POINTS,
+	scoreSolve (problem, submission) {
+		return submission.points || 0;
+	},
+	penaltyForSolve () {
+		return 0;
+	},
+	countsRejection () {
+		return true;
+	},
+	compareParticipants (a, b) {
+		return b.totalPoints - a.totalPoints;
+	},
+	isTied (a, b) {
+		return a.totalPoints === b.totalPoints;
+	}
+});
+
+/**
+ * Rule factories by contest type, called with the contest object
+ */
+const RULE_FACTORIES = Object.freeze({
+	CF: contest => createCodeforcesRule(contest?.durationSeconds),
+	ICPC: () => ICPC_RULE,
+	IOI: () => IOI_RULE
+});
+
+/**
+ * Default rule, used when no contest information is available
+ * (Codeforces rule without dynamic scoring)
+ */
+export const DEFAULT_SCORING_RULE = createCodeforcesRule(0);
+
+/**
+ * Get the scoring rule for a contest
+ * Unknown contest types fall back to the Codeforces rule
+ * @param {Object|string|null} contest - Contest object (with `type` and `durationSeconds`) or contest type string
+ * @returns {Object} Scoring rule
+ */
+export function getScoringRule (contest) {
+	if (!contest) {
+		return DEFAULT_SCORING_RULE;
+	}
+	const contestInfo = typeof contest === 'string' ? { type: contest } : contest;
+	const factory = RULE_FACTORIES[String(contestInfo.type || '').toUpperCase()] || RULE_FACTORIES.CF;
+	return factory(contestInfo);
+}
@@ -1,6 +1,11 @@
 import { codeforcesDataService } from './codeforcesDataService.js';
 import { incrementalSimulationService } from './incrementalSimulationService.js';
+import { assignSharedRanks, compareParticipants, createInitialState, formatRankRange, processSubmission } from './standingsStateUpdate.js';
+import { getScoringRule } from './scoringRules.js';
+import { buildProblemSubtasksMap } from './eventStream.js';
+import { getVerdictMode, resolveVerdict } from './verdictPolicy.js';
 import { logger } from '../helpers/logger.js';
+import { getPartyKey } from '../helpers/participantKey.js';
 
 /**
  * Simulation Service for Codeforces Contest Replay
@@ -92,17 +97,21 @@ class SimulationService {
 			);
 
 			// Recalculate standings based on filtered submissions
-			// This is a simplified version - in reality, we'd need to recalculate points/penalties
-			// For now, we'll filter standings based on who had submissions before the timestamp
+			// Submissions are replayed with the same scoring rule used by snapshot creation,
+			// so legacy results rank exactly like incremental results
+			const rule = getScoringRule(contest);
+			const problemPointsMap = new Map(finalStandings.problems.map(problem => [problem.index, problem.points]));
+			const problemSubtasksMap = buildProblemSubtasksMap(finalStandings.problems);
+			const verdictMode = getVerdictMode(contest);
 			const participantSubmissions = new Map();
 			
 			for (const sub of filteredSubmissions) {
-				const handle = sub.author.members[0]?.handle;
-				if (handle) {
-					if (!participantSubmissions.has(handle)) {
-						participantSubmissions.set(handle, []);
+				const participantKey = getPartyKey(sub.author);
+				if (participantKey) {
+					if (!participantSubmissions.has(participantKey)) {
+						participantSubmissions.set(participantKey, []);
 					}
-					participantSubmissions.get(handle).push(sub);
+					participantSubmissions.get(participantKey).push(sub);
 				}
 			}
 
@@ -110,89 +119,66 @@ class SimulationService {
 			// and recalculate their standings based on filtered submissions
 			const simulatedRows = finalStandings.rows
 				.filter(row => {
-					const handle = row.party.members[0]?.handle;
-					return handle && participantSubmissions.has(handle);
+					const participantKey = getPartyKey(row.party);
+					return participantKey && participantSubmissions.has(participantKey);
 				})
 				.map(row => {
-					// Recalculate problem results based on filtered submissions
 					const handle = row.party.members[0]?.handle;
-					const userSubmissions = participantSubmissions.get(handle) || [];
+					const userSubmissions = [...participantSubmissions.get(getPartyKey(row.party))]
+						.sort((a, b) => a.relativeTimeSeconds - b.relativeTimeSeconds);
 					
-					// Group submissions by problem
-					const problemSubs = new Map();
+					const state = createInitialState(handle, contestId, { participantType: row.party.participantType });
 					for (const sub of userSubmissions) {
-						const problemIndex = sub.problem.index;
-						if (!problemSubs.has(problemIndex)) {
-							problemSubs.set(problemIndex, []);
-						}
-						problemSubs.get(problemIndex).push(sub);
+						processSubmission(state, {
+							problemIndex: sub.problem.index,
+							verdict: resolveVerdict(sub, verdictMode, rule.systemTesting),
+							relativeTimeSeconds: sub.relativeTimeSeconds || 0,
+							points: problemPointsMap.get(sub.problem.index) ?? sub.problem.points ?? 1,
+							score: sub.points ?? null,
+							passedTestCount: sub.passedTestCount ?? null,
+							subtasks: problemSubtasksMap.get(sub.problem.index) || []
+						}, rule);
 					}
 
-					// Recalculate problem results
+					// Recalculate problem results in contest problem order
 					const newProblemResults = finalStandings.problems.map(problem => {
-						const subs = problemSubs.get(problem.index) || [];
-						const accepted = subs.find(s => s.verdict === 'OK');
-						
-						if (accepted) {
-							return {
-								points: problem.points || 0,
-								rejectedAttemptCount: subs.filter(s => s.verdict !== 'OK' && s.creationTimeSeconds < accepted.creationTimeSeconds).length,
-								type: 'FINAL',
-								bestSubmissionTimeSeconds: accepted.relativeTimeSeconds
-							};
-						} else if (subs.length > 0) {
-							return {
-								points: 0,
-								rejectedAttemptCount: subs.length,
-								type: 'FINAL',
-								bestSubmissionTimeSeconds: null
-							};
-						} else {
-							return {
-								points: 0,
-								rejectedAttemptCount: 0,
-								type: 'FINAL',
-								bestSubmissionTimeSeconds: null
-							};
-						}
+						const problemState = state.problems.get(problem.index);
+						return {
+							points: problemState?.points || 0,
+							penalty: problemState?.penalty || 0,
+							rejectedAttemptCount: problemState?.rejectCount || 0,
+							type: problemState?.pendingSystemTestCount > 0 ? 'PRELIMINARY' : 'FINAL',
+							bestSubmissionTimeSeconds: problemState?.solveTime ?? problemState?.bestScoreTime ?? null,
+							passedTestCount: problemState?.bestPassedTestCount ?? null,
+							subtaskScores: problemState?.subtaskScores || [],
+							pendingSystemTestCount: problemState?.pendingSystemTestCount || 0
+						};
 					});
 
-					// Recalculate total points and penalty
-					let totalPoints = 0;
-					let totalPenalty = 0;
-					
-					for (const pr of newProblemResults) {
-						if (pr.points > 0) {
-							totalPoints += pr.points;
-							// Penalty calculation: rejected attempts * 10 minutes + submission time in minutes
-							const penaltyMinutes = (pr.bestSubmissionTimeSeconds || 0) / 60;
-							totalPenalty += pr.rejectedAttemptCount * 10 + penaltyMinutes;
-						}
-					}
-
 					return {
-						...row,
-						points: totalPoints,
-						penalty: Math.floor(totalPenalty),
-						problemResults: newProblemResults
+						row: {
+							...row,
+							points: state.totalPoints,
+							penalty: state.totalPenalty,
+							problemResults: newProblemResults
+						},
+						state
 					};
 				})
-				.sort((a, b) => {
-					// Sort by points (desc), then penalty (asc)
-					if (b.points !== a.points) {
-						return b.points - a.points;
-					}
-					return a.penalty - b.penalty;
-				})
-				.map((row, index) => ({
-					...row,
-					rank: index + 1
-				}));
+				.sort((a, b) => compareParticipants(a.state, b.state, rule));
+
+			// Tied participants share a rank, as in incremental standings
+			assignSharedRanks(simulatedRows.map(({ state }) => state), rule);
+			const rankedRows = simulatedRows.map(({ row, state }) => ({
+				...row,
+				rank: state.rank,
+				rankRange: formatRankRange(state.rank, state.rankEnd)
+			}));
 
 			// Apply pagination
 			const startIndex = from - 1;
 			const endIndex = count !== null ? startIndex + count : undefined;
-			const paginatedRows = simulatedRows.slice(startIndex, endIndex);
+			const paginatedRows = rankedRows.slice(startIndex, endIndex);
 
 			return {
 				contest: finalStandings.contest,
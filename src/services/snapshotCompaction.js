@@ -0,0 +1,208 @@
+/**
+ * Snapshot Compaction
+ * Plans how the stored snapshots of a finished contest are compacted
+ *
+ * Every delta snapshot holds the changes since the previous snapshot, so a delta can
+ * only be dropped if its changes are composed into the next delta that is kept.
+ * Two operations shrink or speed up the history:
+ * - Thinning keeps only the deltas at multiples of a coarser interval. Deltas
+ *   right before a base snapshot are dropped (the base holds the full state), and
+ *   the last delta of the contest is always kept so the final standings survive.
+ * - Folding turns every Nth delta after a base snapshot into a new base snapshot,
+ *   so a query never replays more than N deltas.
+ * Queries between two kept snapshots then return the state of the earlier one.
+ */
+
+import { getStateKey } from '../helpers/participantKey.js';
+import { composeChanges } from './deltaDiff.js';
+
+const SECONDS_PER_DAY = 86400;
+
+/**
+ * Retention policy used when a contest has none
+ * Keeps all deltas for a week, then one delta per minute; folds runs of 30 deltas.
+ */
+export const DEFAULT_RETENTION_POLICY = Object.freeze({
+	rules: Object.freeze([
+		Object.freeze({ afterDays: 7, deltaIntervalSeconds: 60 })
+	]),
+	foldDeltaRunLength: 30
+});
+
+/**
+ * Validate a retention policy
+ * @param {Object} policy - Retention policy ({ rules: [{ afterDays, deltaIntervalSeconds }], foldDeltaRunLength })
+ * @returns {string|null} Error message, or null if valid
+ */
+export function validateRetentionPolicy (policy) {
+	if (!policy || typeof policy !== 'object' || !Array.isArray(policy.rules)) {
+		return 'policy must be an object with a rules array';
+	}
+	for (const rule of policy.rules) {
+		if (typeof rule?.afterDays !== 'number' || rule.afterDays < 0) {
+			return 'each rule needs afterDays (a number >= 0)';
+		}
+		if (!Number.isInteger(rule.deltaIntervalSeconds) || rule.deltaIntervalSeconds < 0) {
+			return 'each rule needs deltaIntervalSeconds (an integer >= 0, 0 drops all deltas)';
+		}
+	}
+	const runLength = policy.foldDeltaRunLength;
+	if (runLength !== undefined && runLength !== null && (!Number.isInteger(runLength) || runLength < 1)) {
+		return 'foldDeltaRunLength must be a positive integer (or null to disable folding)';
+	}
+	return null;
+}
+
+/**
+ * Select the retention rule that applies to a contest
+ * @param {Object} policy - Retention policy
+ * @param {number} ageSeconds - Time since the contest finished
+ * @returns {Object|null} Rule with the largest afterDays reached, or null if none applies yet
+ */
+export function selectRetentionRule (policy, ageSeconds) {
+	const ageDays = ageSeconds / SECONDS_PER_DAY;
+	return (policy.rules || [])
+		.filter(rule => rule.afterDays <= ageDays)
+		.reduce((selected, rule) => (!selected || rule.afterDays > selected.afterDays ? rule : selected), null);
+}
+
+/**
+ * Merge the changes of consecutive deltas into one list
+ * Changes of the same participant are composed: field diffs accumulate, a
+ * participant inserted within the merged range stays an INSERT, and a later
+ * INSERT or REMOVE replaces what came before.
+ * @param {Array<Array>} changeLists - Changes of each delta, oldest first
+ * @returns {Array} Merged changes
+ */
+export function mergeDeltaChanges (changeLists) {
+	const merged = new Map();
+	for (const changes of changeLists) {
+		for (const change of changes || []) {
+			const participantKey = getStateKey(change);
+			merged.set(participantKey, { ...composeChanges(merged.get(participantKey), change), participantKey });
+		}
+	}
+	return Array.from(merged.values());
+}
+
+/**
+ * Estimate the stored size of a document
+ * @param {Object} doc - Snapshot document
+ * @returns {number} Size in bytes (JSON encoding)
+ */
+export function estimateDocumentBytes (doc) {
+	return Buffer.byteLength(JSON.stringify(doc));
+}
+
+/**
+ * Plan the compaction of a contest's snapshots
+ * @param {Array<number>} baseTimestamps - Timestamps of the base snapshots
+ * @param {Array} deltas - Delta snapshots ({ timestampSeconds, baseSnapshotTimestamp, changes, corrections })
+ * @param {Object} options - Compaction options
+ * @param {number|null} options.deltaIntervalSeconds - Keep deltas at multiples of this interval
+ *   (0: keep only the last delta of the contest, null: no thinning)
+ * @param {number|null} options.foldDeltaRunLength - Turn every Nth delta after a base into a base (null: no folding)
+ * @returns {Object} { removed: [timestamp], rewritten: [delta], folded: [timestamp] }
+ *   rewritten deltas carry their new changes, corrections, baseSnapshotTimestamp and previousSnapshotTimestamp
+ */
+export function planCompaction (baseTimestamps, deltas, options = {}) {
+	const { deltaIntervalSeconds = null, foldDeltaRunLength = null } = options;
+	const bases = [...baseTimestamps].sort((a, b) => a - b);
+	const sortedDeltas = [...deltas].sort((a, b) => a.timestampSeconds - b.timestampSeconds);
+
+	/**
+	 * Timestamp of the last base snapshot at or before a timestamp
+	 * @param {number} timestampSeconds - Timestamp
+	 * @returns {number|null} Base timestamp
+	 */
+	const baseAt = (timestampSeconds) => {
+		let found = null;
+		for (const base of bases) {
+			if (base > timestampSeconds) {
+				break;
+			}
+			found = base;
+		}
+		return found;
+	};
+
+	const removed = [];
+	const kept = [];
+	let pending = [];
+
+	// Thinning: dropped deltas move their changes into the next kept delta
+	sortedDeltas.forEach((delta, index) => {
+		const next = sortedDeltas[index + 1];
+		if (pending.length > 0 && baseAt(delta.timestampSeconds) !== baseAt(pending[0].timestampSeconds)) {
+			// A base snapshot lies in between and already holds these changes
+			pending = [];
+		}
+
+		const isLast = !next && baseAt(Number.MAX_SAFE_INTEGER) <= delta.timestampSeconds;
+		const onInterval = deltaIntervalSeconds === null ||
+			(deltaIntervalSeconds > 0 && delta.timestampSeconds % deltaIntervalSeconds === 0);
+		if (!onInterval && !isLast) {
+			removed.push(delta.timestampSeconds);
+			pending.push(delta);
+			return;
+		}
+
+		if (pending.length === 0) {
+			kept.push({ ...delta, modified: false });
+		} else {
+			kept.push({
+				...delta,
+				changes: mergeDeltaChanges([...pending.map(dropped => dropped.changes), delta.changes]),
+				corrections: [...pending.flatMap(dropped => dropped.corrections || []), ...(delta.corrections || [])],
+				modified: true
+			});
+			pending = [];
+		}
+	});
+
+	// Folding: every Nth remaining delta after a base becomes a base
+	const folded = [];
+	if (foldDeltaRunLength) {
+		let runBase = null;
+		let runLength = 0;
+		for (const delta of kept) {
+			const base = Math.max(baseAt(delta.timestampSeconds) ?? -1, folded.length > 0 ? folded[folded.length - 1] : -1);
+			if (base !== runBase) {
+				runBase = base;
+				runLength = 0;
+			}
+			runLength++;
+			if (runLength === foldDeltaRunLength) {
+				folded.push(delta.timestampSeconds);
+				runBase = delta.timestampSeconds;
+				runLength = 0;
+			} else if (runBase >= 0 && runBase !== delta.baseSnapshotTimestamp) {
+				delta.baseSnapshotTimestamp = runBase;
+				delta.modified = true;
+			}
+		}
+	}
+
+	// Kept deltas now follow a different snapshot when the one before them was dropped
+	const keptTimeline = [
+		...bases.map(timestampSeconds => ({ timestampSeconds, delta: null })),
+		...kept.map(delta => ({ timestampSeconds: delta.timestampSeconds, delta }))
+	].sort((a, b) => a.timestampSeconds - b.timestampSeconds);
+	keptTimeline.forEach(({ delta }, index) => {
+		if (!delta || index === 0 || delta.previousSnapshotTimestamp === null || delta.previousSnapshotTimestamp === undefined) {
+			return;
+		}
+		const previousTimestamp = keptTimeline[index - 1].timestampSeconds;
+		if (delta.previousSnapshotTimestamp !== previousTimestamp) {
+			delta.previousSnapshotTimestamp = previousTimestamp;
+			delta.modified = true;
+		}
+	});
+
+	const foldedSet = new Set(folded);
+	const rewritten = kept
+		.filter(delta => delta.modified && !foldedSet.has(delta.timestampSeconds))
+		.map(({ modified, ...delta }) => delta);
+
+	return { removed, rewritten, folded };
+}
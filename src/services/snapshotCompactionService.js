@@ -0,0 +1,207 @@
+import { getModels } from './modelProvider.js';
+import { codeforcesDataService } from './codeforcesDataService.js';
+import { standingsStateCache } from './standingsStateCache.js';
+import { logger } from '../helpers/logger.js';
+import { getStateKey } from '../helpers/participantKey.js';
+import { applyDeltaChanges } from './deltaDiff.js';
+import { computeStateHash } from './stateHash.js';
+import {
+	DEFAULT_RETENTION_POLICY,
+	estimateDocumentBytes,
+	planCompaction,
+	selectRetentionRule
+} from './snapshotCompaction.js';
+
+/**
+ * Snapshot Compaction Service
+ * Applies retention policies to the snapshots of finished contests
+ *
+ * The retention policy of a contest (or the default policy) decides, by the time
+ * since the contest finished, to which interval delta snapshots are thinned, and
+ * how long a run of deltas may get before it is folded into a new base snapshot.
+ * A dry run reports what would change without touching the snapshots.
+ */
+class SnapshotCompactionService {
+	/**
+	 * Get the retention policy of a contest
+	 * @param {Object} contest - Contest (as returned by codeforcesDataService.getContestFromDB)
+	 * @returns {Object} Retention policy
+	 */
+	getRetentionPolicy (contest) {
+		return contest?.retentionPolicy || DEFAULT_RETENTION_POLICY;
+	}
+
+	/**
+	 * Compact the snapshots of a contest according to its retention policy
+	 * @param {number} contestId - Contest ID
+	 * @param {Object} options - Compaction options
+	 * @param {boolean} options.dryRun - Only report what would change (default: true)
+	 * @param {Object|null} options.policy - Policy to use instead of the contest policy
+	 * @param {boolean} options.fileMode - Use file storage instead of MongoDB (default: false)
+	 * @param {number} options.now - Current time in Unix seconds (default: now)
+	 * @returns {Promise<Object|null>} Compaction report, or null if the contest does not exist
+	 */
+	async compactContest (contestId, options = {}) {
+		const {
+			dryRun = true,
+			policy = null,
+			fileMode = false,
+			now = Math.floor(Date.now() / 1000)
+		} = options;
+		const operationStartTime = Date.now();
+
+		const contest = await codeforcesDataService.getContestFromDB(contestId);
+		if (!contest) {
+			return null;
+		}
+
+		const retentionPolicy = policy || this.getRetentionPolicy(contest);
+		const report = {
+			contestId,
+			dryRun,
+			policy: retentionPolicy,
+			eligible: false,
+			reason: null,
+			rule: null,
+			ageSeconds: null,
+			before: null,
+			after: null,
+			reclaimedBytes: 0,
+			removedDeltas: 0,
+			rewrittenDeltas: 0,
+			foldedBases: 0
+		};
+
+		const endTimeSeconds = contest.startTimeSeconds !== null ? contest.startTimeSeconds + (contest.durationSeconds || 0) : null;
+		const finished = contest.phase === 'FINISHED' || (endTimeSeconds !== null && now >= endTimeSeconds);
+		if (!finished) {
+			report.reason = `Contest ${contestId} has not finished yet`;
+			return report;
+		}
+
+		report.ageSeconds = endTimeSeconds !== null ? Math.max(0, now - endTimeSeconds) : null;
+		report.rule = report.ageSeconds !== null ? selectRetentionRule(retentionPolicy, report.ageSeconds) : null;
+		report.eligible = true;
+
+		logger.info(`[COMPACTION] ${dryRun ? 'Planning' : 'Running'} compaction for contest ${contestId} (rule: ${report.rule ? JSON.stringify(report.rule) : 'none'}, foldDeltaRunLength: ${retentionPolicy.foldDeltaRunLength ?? 'none'})`);
+
+		const Models = getModels(fileMode);
+		const [bases, deltas] = await Promise.all([
+			Models.BaseSnapshots.find({ contestId }).sort({ timestampSeconds: 1 }).lean(),
+			Models.DeltaSnapshots.find({ contestId }).sort({ timestampSeconds: 1 }).lean()
+		]);
+
+		const plan = planCompaction(
+			bases.map(base => base.timestampSeconds),
+			deltas,
+			{
+				deltaIntervalSeconds: report.rule ? report.rule.deltaIntervalSeconds : null,
+				foldDeltaRunLength: retentionPolicy.foldDeltaRunLength ?? null
+			}
+		);
+
+		// Folded bases hold the state reached at their delta
+		const foldedBases = this.buildFoldedBases(contestId, bases, deltas, plan.folded);
+
+		const deltaBytes = new Map(deltas.map(delta => [delta.timestampSeconds, estimateDocumentBytes(delta)]));
+		const baseBytes = bases.reduce((sum, base) => sum + estimateDocumentBytes(base), 0);
+		const totalDeltaBytes = Array.from(deltaBytes.values()).reduce((sum, bytes) => sum + bytes, 0);
+		const droppedTimestamps = [...plan.removed, ...plan.folded];
+		const droppedBytes = droppedTimestamps.reduce((sum, timestamp) => sum + deltaBytes.get(timestamp), 0);
+		const rewrittenBytesDelta = plan.rewritten.reduce(
+			(sum, delta) => sum + estimateDocumentBytes(delta) - deltaBytes.get(delta.timestampSeconds),
+			0
+		);
+		const foldedBytes = foldedBases.reduce((sum, base) => sum + estimateDocumentBytes(base), 0);
+
+		report.before = {
+			baseSnapshots: bases.length,
+			deltaSnapshots: deltas.length,
+			bytes: baseBytes + totalDeltaBytes
+		};
+		report.after = {
+			baseSnapshots: bases.length + foldedBases.length,
+			deltaSnapshots: deltas.length - droppedTimestamps.length,
+			bytes: report.before.bytes - droppedBytes + rewrittenBytesDelta + foldedBytes
+		};
+		report.reclaimedBytes = report.before.bytes - report.after.bytes;
+		report.removedDeltas = plan.removed.length;
+		report.rewrittenDeltas = plan.rewritten.length;
+		report.foldedBases = plan.folded.length;
+
+		if (!dryRun) {
+			for (const base of foldedBases) {
+				await Models.BaseSnapshots.create(base);
+			}
+			for (const delta of plan.rewritten) {
+				await Models.DeltaSnapshots.updateOne(
+					{ contestId, timestampSeconds: delta.timestampSeconds },
+					{
+						$set: {
+							baseSnapshotTimestamp: delta.baseSnapshotTimestamp,
+							previousSnapshotTimestamp: delta.previousSnapshotTimestamp ?? null,
+							changes: delta.changes,
+							changeCount: delta.changes.length,
+							corrections: delta.corrections || []
+						}
+					}
+				);
+			}
+			if (droppedTimestamps.length > 0) {
+				await Models.DeltaSnapshots.deleteMany({ contestId, timestampSeconds: { $in: droppedTimestamps } });
+			}
+			standingsStateCache.invalidateContest(contestId);
+		}
+
+		logger.info(`[COMPACTION] ✓ ${dryRun ? 'Planned' : 'Completed'} compaction for contest ${contestId}: ${plan.removed.length} deltas removed, ${plan.rewritten.length} rewritten, ${plan.folded.length} folded into bases, ${report.reclaimedBytes} bytes reclaimed (took ${Date.now() - operationStartTime}ms)`);
+
+		return report;
+	}
+
+	/**
+	 * Build the base snapshots that replace folded deltas
+	 * @param {number} contestId - Contest ID
+	 * @param {Array} bases - Stored base snapshots, oldest first
+	 * @param {Array} deltas - Stored delta snapshots, oldest first
+	 * @param {Array<number>} foldedTimestamps - Timestamps of the deltas to fold
+	 * @returns {Array} Base snapshot documents
+	 */
+	buildFoldedBases (contestId, bases, deltas, foldedTimestamps) {
+		if (foldedTimestamps.length === 0) {
+			return [];
+		}
+
+		const foldedSet = new Set(foldedTimestamps);
+		const snapshots = [
+			...bases.map(base => ({ type: 'BASE', snapshot: base })),
+			...deltas.map(delta => ({ type: 'DELTA', snapshot: delta }))
+		].sort((a, b) => a.snapshot.timestampSeconds - b.snapshot.timestampSeconds);
+
+		const foldedBases = [];
+		let stateMap = new Map();
+		for (const { type, snapshot } of snapshots) {
+			if (type === 'BASE') {
+				stateMap = new Map(snapshot.participants.map(participant => [getStateKey(participant), participant]));
+				continue;
+			}
+
+			applyDeltaChanges(stateMap, snapshot.changes);
+			if (foldedSet.has(snapshot.timestampSeconds)) {
+				const participants = Array.from(stateMap.values());
+				foldedBases.push({
+					contestId,
+					timestampSeconds: snapshot.timestampSeconds,
+					snapshotType: 'BASE',
+					participants,
+					participantCount: participants.length,
+					stateHash: computeStateHash(participants),
+					createdAt: new Date()
+				});
+			}
+		}
+		return foldedBases;
+	}
+}
+
+// Export singleton instance
+export const snapshotCompactionService = new SnapshotCompactionService();
@@ -0,0 +1,217 @@
+import { getModels } from './modelProvider.js';
+import { snapshotService } from './snapshotService.js';
+import { standingsStateCache } from './standingsStateCache.js';
+import { codeforcesDataService } from './codeforcesDataService.js';
+import { buildProblemSubtasksMap } from './eventStream.js';
+import { getScoringRule } from './scoringRules.js';
+import { getVerdictMode } from './verdictPolicy.js';
+import { applyDeltaChanges } from './deltaDiff.js';
+import { computeStateHash } from './stateHash.js';
+import { getStateKey } from '../helpers/participantKey.js';
+import { logger } from '../helpers/logger.js';
+
+export const SNAPSHOT_STATUS = Object.freeze({
+	OK: 'OK',
+	GAP: 'GAP', // The snapshot a delta was computed from is missing
+	CORRUPT: 'CORRUPT', // The stored chain no longer reproduces the hash stored at creation
+	DIVERGED: 'DIVERGED' // The stored chain differs from a replay of the stored submissions
+});
+
+/**
+ * Snapshot Integrity Service
+ * Verifies the base/delta snapshot chain of a contest and repairs broken segments
+ *
+ * Walking the snapshots in time order, each base snapshot restarts the state and each
+ * delta is applied on top of the previous snapshot, exactly as standings queries do.
+ * The resulting state is hashed and compared with the hash stored when the snapshot
+ * was created, and with the hash of a replay of the stored submissions up to the
+ * same timestamp.
+ */
+class SnapshotIntegrityService {
+	/**
+	 * Verify the snapshots of a contest
+	 * @param {number} contestId - Contest ID
+	 * @param {boolean} fileMode - Use file storage instead of MongoDB (default: false)
+	 * @returns {Promise<Object>} Verification report
+	 */
+	async verifySnapshots (contestId, fileMode = false) {
+		const operationStartTime = Date.now();
+		const Models = getModels(fileMode);
+
+		const [bases, deltas] = await Promise.all([
+			Models.BaseSnapshots.find({ contestId }).select('timestampSeconds stateHash').sort({ timestampSeconds: 1 }).lean(),
+			Models.DeltaSnapshots.find({ contestId }).sort({ timestampSeconds: 1 }).lean()
+		]);
+		const timeline = [
+			...bases.map(snapshot => ({ type: 'BASE', snapshot })),
+			...deltas.map(snapshot => ({ type: 'DELTA', snapshot }))
+		].sort((a, b) => a.snapshot.timestampSeconds - b.snapshot.timestampSeconds || (a.type === 'BASE' ? -1 : 1));
+
+		logger.info(`[VERIFY SNAPSHOTS] Verifying ${bases.length} base and ${deltas.length} delta snapshot(s) for contest ${contestId}`);
+
+		// Replay of the stored submissions, streamed window by window up to each snapshot timestamp
+		const [contest, problems] = await Promise.all([
+			codeforcesDataService.getContestFromDB(contestId),
+			codeforcesDataService.getProblemsFromDB(contestId)
+		]);
+		const problemPointsMap = new Map(problems.map(problem => [problem.index, problem.points ?? null]));
+		const replayContext = {
+			contestId,
+			rule: getScoringRule(contest),
+			problemPointsMap,
+			problemSubtasksMap: buildProblemSubtasksMap(problems),
+			verdictMode: getVerdictMode(contest)
+		};
+		const expectedStateMap = new Map();
+		let replayedUpTo = null;
+
+		const baseTimestamps = new Set(bases.map(snapshot => snapshot.timestampSeconds));
+		const snapshotTimestamps = new Set([...baseTimestamps, ...deltas.map(snapshot => snapshot.timestampSeconds)]);
+		let chainStateMap = new Map();
+		const results = [];
+
+		for (const { type, snapshot } of timeline) {
+			const timestampSeconds = snapshot.timestampSeconds;
+			let gap = null;
+
+			if (type === 'BASE') {
+				const base = await Models.BaseSnapshots.findOne({ contestId, timestampSeconds }).lean();
+				chainStateMap = new Map((base?.participants || []).map(participant => [getStateKey(participant), participant]));
+			} else {
+				if (!baseTimestamps.has(snapshot.baseSnapshotTimestamp)) {
+					gap = `base snapshot at t=${snapshot.baseSnapshotTimestamp} is missing`;
+				} else if (snapshot.previousSnapshotTimestamp !== null && snapshot.previousSnapshotTimestamp !== undefined &&
+					!snapshotTimestamps.has(snapshot.previousSnapshotTimestamp)) {
+					gap = `previous snapshot at t=${snapshot.previousSnapshotTimestamp} is missing`;
+				}
+				applyDeltaChanges(chainStateMap, snapshot.changes);
+			}
+
+			if (replayedUpTo === null || timestampSeconds > replayedUpTo) {
+				await snapshotService.replayEventWindow(expectedStateMap, contestId, replayedUpTo, timestampSeconds, replayContext, { contest });
+				replayedUpTo = timestampSeconds;
+			}
+
+			const chainHash = computeStateHash(chainStateMap);
+			const expectedHash = computeStateHash(expectedStateMap);
+			const storedHash = snapshot.stateHash || null;
+
+			let status = SNAPSHOT_STATUS.OK;
+			let reason = null;
+			if (gap) {
+				status = SNAPSHOT_STATUS.GAP;
+				reason = gap;
+			} else if (storedHash && storedHash !== chainHash) {
+				status = SNAPSHOT_STATUS.CORRUPT;
+				reason = 'stored state does not match the hash recorded at creation';
+			} else if (chainHash !== expectedHash) {
+				status = SNAPSHOT_STATUS.DIVERGED;
+				reason = 'stored state differs from a replay of the stored submissions';
+			}
+
+			results.push({
+				timestampSeconds,
+				type,
+				status,
+				reason,
+				storedHash,
+				chainHash,
+				expectedHash
+			});
+		}
+
+		const issues = results.filter(result => result.status !== SNAPSHOT_STATUS.OK);
+		const segments = this.findBrokenSegments(results);
+		const countByStatus = Object.fromEntries(Object.values(SNAPSHOT_STATUS).map(status => [
+			status,
+			results.filter(result => result.status === status).length
+		]));
+
+		logger.info(`[VERIFY SNAPSHOTS] ✓ Verified ${results.length} snapshot(s) for contest ${contestId}: ${issues.length} issue(s) in ${segments.length} segment(s) (took ${Date.now() - operationStartTime}ms)`);
+
+		return {
+			contestId,
+			checked: results.length,
+			valid: issues.length === 0,
+			unhashed: results.filter(result => !result.storedHash).length,
+			counts: countByStatus,
+			issues,
+			segments
+		};
+	}
+
+	/**
+	 * Group broken snapshots into segments of consecutive snapshots
+	 * @param {Array} results - Verification results in time order
+	 * @returns {Array} Segments [{ fromTimestampSeconds, toTimestampSeconds, snapshots: [{ timestampSeconds, type }] }]
+	 */
+	findBrokenSegments (results) {
+		const segments = [];
+		let current = null;
+		for (const result of results) {
+			if (result.status === SNAPSHOT_STATUS.OK) {
+				current = null;
+				continue;
+			}
+			if (!current) {
+				current = { fromTimestampSeconds: result.timestampSeconds, toTimestampSeconds: result.timestampSeconds, snapshots: [] };
+				segments.push(current);
+			}
+			current.toTimestampSeconds = result.timestampSeconds;
+			current.snapshots.push({ timestampSeconds: result.timestampSeconds, type: result.type });
+		}
+		return segments;
+	}
+
+	/**
+	 * Verify the snapshots of a contest and regenerate the broken segments
+	 * Only snapshots in broken segments are deleted and recreated, at the same
+	 * timestamps and with the same types; the chain is verified again afterwards.
+	 * @param {number} contestId - Contest ID
+	 * @param {boolean} fileMode - Use file storage instead of MongoDB (default: false)
+	 * @returns {Promise<Object>} Verification report with repaired segments and the report after repair
+	 */
+	async repairSnapshots (contestId, fileMode = false) {
+		const report = await this.verifySnapshots(contestId, fileMode);
+		if (report.segments.length === 0) {
+			return { ...report, repaired: [], after: null };
+		}
+
+		const Models = getModels(fileMode);
+		for (const segment of report.segments) {
+			logger.info(`[REPAIR SNAPSHOTS] Regenerating ${segment.snapshots.length} snapshot(s) of contest ${contestId} between t=${segment.fromTimestampSeconds} and t=${segment.toTimestampSeconds}`);
+
+			const baseTimestamps = segment.snapshots.filter(snapshot => snapshot.type === 'BASE').map(snapshot => snapshot.timestampSeconds);
+			const deltaTimestamps = segment.snapshots.filter(snapshot => snapshot.type === 'DELTA').map(snapshot => snapshot.timestampSeconds);
+			await Promise.all([
+				Models.BaseSnapshots.deleteMany({ contestId, timestampSeconds: { $in: baseTimestamps } }),
+				Models.DeltaSnapshots.deleteMany({ contestId, timestampSeconds: { $in: deltaTimestamps } })
+			]);
+			standingsStateCache.invalidateContest(contestId);
+
+			// In time order: each delta is computed from the snapshot regenerated before it
+			for (const { timestampSeconds, type } of segment.snapshots) {
+				if (type === 'BASE') {
+					await snapshotService.createBaseSnapshot(contestId, timestampSeconds, fileMode);
+				} else {
+					await snapshotService.createDeltaSnapshot(contestId, timestampSeconds, fileMode);
+				}
+			}
+		}
+
+		const after = await this.verifySnapshots(contestId, fileMode);
+		return {
+			...report,
+			repaired: report.segments,
+			after: {
+				valid: after.valid,
+				counts: after.counts,
+				issues: after.issues,
+				segments: after.segments
+			}
+		};
+	}
+}
+
+// Export singleton instance
+export const snapshotIntegrityService = new SnapshotIntegrityService();
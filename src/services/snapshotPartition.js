@@ -0,0 +1,117 @@
+/**
+ * Snapshot Partitions
+ * Splits the replay of a contest across participants so that parts of it can run
+ * in parallel (see snapshotWorkerPool)
+ *
+ * Participant states only depend on the events that involve them, so every
+ * participant is owned by one partition (a hash of its key) and a partition replays
+ * every event that involves one of its participants. A hack whose hacker and defender
+ * are in different partitions is replayed by both; each keeps only its own side.
+ *
+ * The sequential replay returns participants in the order their state was created.
+ * Each partition records the position in the stream of the event that created each
+ * of its participants, and the merge orders by that position, so the merged result
+ * is identical to the sequential one.
+ */
+
+import { eventParticipantKeys, replayEvents } from './eventStream.js';
+import { getScoringRule } from './scoringRules.js';
+
+/**
+ * Get the partition that owns a participant
+ * @param {string} participantKey - Participant key
+ * @param {number} partitionCount - Number of partitions
+ * @returns {number} Partition index (0 to partitionCount - 1)
+ */
+export function partitionOf (participantKey, partitionCount) {
+	// FNV-1a: stable across processes and runs
+	let hash = 0x811c9dc5;
+	for (let i = 0; i < participantKey.length; i++) {
+		hash ^= participantKey.charCodeAt(i);
+		hash = Math.imul(hash, 0x01000193) >>> 0;
+	}
+	return hash % partitionCount;
+}
+
+/**
+ * Get the partitions an event has to be replayed in
+ * @param {Object} event - Submission or hack event
+ * @param {number} partitionCount - Number of partitions
+ * @returns {Array<number>} Partition indexes (empty if the event involves no participant)
+ */
+export function eventPartitions (event, partitionCount) {
+	const partitions = eventParticipantKeys(event).map(participantKey => partitionOf(participantKey, partitionCount));
+	return Array.from(new Set(partitions));
+}
+
+/**
+ * Create the replay of one partition
+ * @param {Object} spec - Replay settings (structured-cloneable, so it can be sent to a worker)
+ * @param {number} spec.contestId - Contest ID
+ * @param {Object} spec.contest - Contest the scoring rule is built from (getScoringRule)
+ * @param {Map} spec.problemPointsMap - problemIndex -> points (or null)
+ * @param {Map} spec.problemSubtasksMap - problemIndex -> subtasks
+ * @param {string} spec.verdictMode - Verdict mode (live or final)
+ * @param {number} partition - Partition index
+ * @param {number} partitionCount - Number of partitions
+ * @returns {Object} { replay([[position, event]]), finish() }
+ */
+export function createPartitionReplay (spec, partition, partitionCount) {
+	const stateMap = new Map();
+	const createdAt = new Map(); // participantKey -> position of the event that created it
+	const defaultPointsProblems = new Set();
+	const context = {
+		contestId: spec.contestId,
+		rule: getScoringRule(spec.contest),
+		problemPointsMap: spec.problemPointsMap,
+		problemSubtasksMap: spec.problemSubtasksMap,
+		verdictMode: spec.verdictMode,
+		onDefaultPoints: problemIndex => defaultPointsProblems.add(problemIndex)
+	};
+
+	return {
+		/**
+		 * Replay events of this partition
+		 * @param {Array} positionedEvents - [position, event] pairs in stream order
+		 */
+		replay (positionedEvents) {
+			for (const [position, event] of positionedEvents) {
+				replayEvents(stateMap, [event], context);
+				for (const participantKey of eventParticipantKeys(event)) {
+					if (!createdAt.has(participantKey) && stateMap.has(participantKey)) {
+						createdAt.set(participantKey, position);
+					}
+				}
+			}
+		},
+
+		/**
+		 * Get the states owned by this partition
+		 * @returns {Object} { participants: [[position, state]], defaultPointsProblems: [problemIndex] }
+		 */
+		finish () {
+			const participants = [];
+			for (const [participantKey, state] of stateMap) {
+				if (partitionOf(participantKey, partitionCount) === partition) {
+					participants.push([createdAt.get(participantKey), state]);
+				}
+			}
+			return { participants, defaultPointsProblems: Array.from(defaultPointsProblems) };
+		}
+	};
+}
+
+/**
+ * Merge partition results into the sequential order
+ * @param {Array} results - Results of finish() of every partition
+ * @returns {Object} { states: [state] in creation order, defaultPointsProblems: [problemIndex] }
+ */
+export function mergePartitionResults (results) {
+	const participants = results.flatMap(result => result.participants);
+	participants.sort((a, b) => a[0] - b[0]);
+	const defaultPointsProblems = new Set(results.flatMap(result => result.defaultPointsProblems));
+	return {
+		states: participants.map(([, state]) => state),
+		defaultPointsProblems: Array.from(defaultPointsProblems).sort()
+	};
+}
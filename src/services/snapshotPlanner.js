@@ -0,0 +1,178 @@
+/**
+ * Snapshot Planner
+ * Chooses snapshot timestamps from the submission timeline of a contest
+ *
+ * Fixed intervals waste deltas in quiet stretches and are too coarse during bursts
+ * (the first minutes, the last minutes before the end). The adaptive plan walks the
+ * timeline in steps of minDeltaInterval and places a delta as soon as
+ * targetChangesPerDelta participants changed since the previous snapshot, or when
+ * the oldest pending change is maxDeltaInterval old. Nothing is placed while no
+ * participant changes. A snapshot becomes a base instead of a delta when the
+ * changes replayed since the last base would exceed maxReplayChanges, which bounds
+ * the work of a worst-case standings query.
+ *
+ * Change counts are estimates: every participant with a submission or hack in the
+ * window counts once, even if the event does not change the standings.
+ */
+
+export const DEFAULT_ADAPTIVE_OPTIONS = Object.freeze({
+	minDeltaInterval: 5,
+	maxDeltaInterval: 120,
+	targetChangesPerDelta: 50,
+	maxReplayChanges: 2000
+});
+
+/**
+ * Validate adaptive planner options
+ * @param {Object} options - { minDeltaInterval, maxDeltaInterval, targetChangesPerDelta, maxReplayChanges }
+ * @returns {string|null} Error message, or null if valid
+ */
+export function validatePlannerOptions (options) {
+	for (const name of Object.keys(DEFAULT_ADAPTIVE_OPTIONS)) {
+		if (options[name] !== undefined && (!Number.isInteger(options[name]) || options[name] <= 0)) {
+			return `${name} must be a positive integer`;
+		}
+	}
+	const { minDeltaInterval, maxDeltaInterval, targetChangesPerDelta, maxReplayChanges } = { ...DEFAULT_ADAPTIVE_OPTIONS, ...options };
+	if (maxDeltaInterval < minDeltaInterval) {
+		return 'maxDeltaInterval must be >= minDeltaInterval';
+	}
+	if (maxReplayChanges < targetChangesPerDelta) {
+		return 'maxReplayChanges must be >= targetChangesPerDelta';
+	}
+	return null;
+}
+
+/**
+ * Plan snapshots at fixed intervals
+ * Bases at every multiple of baseInterval, deltas at every multiple of deltaInterval
+ * that is not a base timestamp. A startTimestamp of 0 always gets a base.
+ * @param {number} startTimestamp - First timestamp covered, relative to contest start
+ * @param {number} endTimestamp - Last timestamp covered
+ * @param {number} baseInterval - Base snapshot interval in seconds
+ * @param {number} deltaInterval - Delta snapshot interval in seconds
+ * @returns {Object} { baseTimestamps, deltaTimestamps }
+ */
+export function planFixedSnapshots (startTimestamp, endTimestamp, baseInterval, deltaInterval) {
+	const baseTimestamps = [];
+	const deltaTimestamps = [];
+
+	const firstBaseTimestamp = startTimestamp === 0 ? 0 : Math.ceil(startTimestamp / baseInterval) * baseInterval;
+	for (let t = firstBaseTimestamp; t <= endTimestamp; t += baseInterval) {
+		baseTimestamps.push(t);
+	}
+
+	const firstDeltaTimestamp = startTimestamp === 0 ? 0 : Math.ceil(startTimestamp / deltaInterval) * deltaInterval;
+	for (let t = firstDeltaTimestamp; t <= endTimestamp; t += deltaInterval) {
+		if (t % baseInterval !== 0) {
+			deltaTimestamps.push(t);
+		}
+	}
+
+	return { baseTimestamps, deltaTimestamps };
+}
+
+/**
+ * Plan adaptive snapshots
+ * @param {Array} activity - Events in time order [{ timeSeconds, participantKeys: [string] }]
+ * @param {number} startTimestamp - First snapshot (always a base), relative to contest start
+ * @param {number} endTimestamp - Last timestamp covered
+ * @param {Object} options - Planner options (see DEFAULT_ADAPTIVE_OPTIONS)
+ * @returns {Object} Plan { options, baseTimestamps, deltaTimestamps, snapshots, bursts, summary }
+ */
+export function planAdaptiveSnapshots (activity, startTimestamp, endTimestamp, options = {}) {
+	const { minDeltaInterval, maxDeltaInterval, targetChangesPerDelta, maxReplayChanges } = { ...DEFAULT_ADAPTIVE_OPTIONS, ...options };
+
+	const snapshots = [{ timestampSeconds: startTimestamp, type: 'BASE', estimatedChanges: 0, replayChanges: 0 }];
+	let eventIndex = 0;
+	while (eventIndex < activity.length && activity[eventIndex].timeSeconds <= startTimestamp) {
+		eventIndex++;
+	}
+
+	let pending = new Set();
+	let firstPendingTime = null;
+	let replayChanges = 0;
+	let timestamp = startTimestamp;
+
+	while (timestamp < endTimestamp) {
+		timestamp = Math.min(timestamp + minDeltaInterval, endTimestamp);
+		while (eventIndex < activity.length && activity[eventIndex].timeSeconds <= timestamp) {
+			const event = activity[eventIndex++];
+			if (firstPendingTime === null) {
+				firstPendingTime = event.timeSeconds;
+			}
+			for (const participantKey of event.participantKeys) {
+				pending.add(participantKey);
+			}
+		}
+
+		if (pending.size === 0) {
+			continue;
+		}
+		const due = pending.size >= targetChangesPerDelta ||
+			timestamp - firstPendingTime >= maxDeltaInterval ||
+			timestamp === endTimestamp;
+		if (!due) {
+			continue;
+		}
+
+		// A base resets the replay cost; a delta adds its changes to it
+		const isBase = replayChanges + pending.size > maxReplayChanges;
+		replayChanges = isBase ? 0 : replayChanges + pending.size;
+		snapshots.push({
+			timestampSeconds: timestamp,
+			type: isBase ? 'BASE' : 'DELTA',
+			estimatedChanges: pending.size,
+			replayChanges
+		});
+		pending = new Set();
+		firstPendingTime = null;
+	}
+
+	const deltaGaps = [];
+	for (let i = 1; i < snapshots.length; i++) {
+		if (snapshots[i].type === 'DELTA') {
+			deltaGaps.push(snapshots[i].timestampSeconds - snapshots[i - 1].timestampSeconds);
+		}
+	}
+
+	return {
+		options: { minDeltaInterval, maxDeltaInterval, targetChangesPerDelta, maxReplayChanges },
+		baseTimestamps: snapshots.filter(snapshot => snapshot.type === 'BASE').map(snapshot => snapshot.timestampSeconds),
+		deltaTimestamps: snapshots.filter(snapshot => snapshot.type === 'DELTA').map(snapshot => snapshot.timestampSeconds),
+		snapshots,
+		bursts: findBursts(snapshots, minDeltaInterval),
+		summary: {
+			baseCount: snapshots.filter(snapshot => snapshot.type === 'BASE').length,
+			deltaCount: deltaGaps.length,
+			estimatedChanges: snapshots.reduce((sum, snapshot) => sum + snapshot.estimatedChanges, 0),
+			worstCaseReplayChanges: Math.max(...snapshots.map(snapshot => snapshot.replayChanges)),
+			shortestDeltaGapSeconds: deltaGaps.length > 0 ? Math.min(...deltaGaps) : null,
+			longestDeltaGapSeconds: deltaGaps.length > 0 ? Math.max(...deltaGaps) : null
+		}
+	};
+}
+
+/**
+ * Find runs of snapshots placed at the densest spacing
+ * @param {Array} snapshots - Planned snapshots in time order
+ * @param {number} minDeltaInterval - Densest spacing
+ * @returns {Array} Bursts [{ fromTimestampSeconds, toTimestampSeconds, snapshotCount }]
+ */
+function findBursts (snapshots, minDeltaInterval) {
+	const bursts = [];
+	let current = null;
+	for (let i = 1; i < snapshots.length; i++) {
+		if (snapshots[i].timestampSeconds - snapshots[i - 1].timestampSeconds > minDeltaInterval) {
+			current = null;
+			continue;
+		}
+		if (!current) {
+			current = { fromTimestampSeconds: snapshots[i - 1].timestampSeconds, toTimestampSeconds: null, snapshotCount: 1 };
+			bursts.push(current);
+		}
+		current.toTimestampSeconds = snapshots[i].timestampSeconds;
+		current.snapshotCount++;
+	}
+	return bursts;
+}
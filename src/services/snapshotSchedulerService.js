@@ -0,0 +1,417 @@
+import { models } from '../data/models/index.js';
+import { snapshotService } from './snapshotService.js';
+import { codeforcesDataService } from './codeforcesDataService.js';
+import { codeforcesAPI } from '../helpers/codeforcesAPI.js';
+import { logger } from '../helpers/logger.js';
+
+export const SCHEDULE_STATUS = Object.freeze({
+	WAITING: 'WAITING',
+	RUNNING: 'RUNNING',
+	STOPPED: 'STOPPED',
+	FINISHED: 'FINISHED'
+});
+
+// Schedules in these states own a timer
+const ACTIVE_STATUSES = [SCHEDULE_STATUS.WAITING, SCHEDULE_STATUS.RUNNING];
+
+export const DEFAULT_BASE_INTERVAL_SECONDS = 120;
+export const DEFAULT_DELTA_INTERVAL_SECONDS = 10;
+
+const MILLISECONDS_PER_SECOND = 1000;
+const SECONDS_PER_DAY = 86400;
+
+// Contest phases of the Codeforces API
+const PHASE_BEFORE = 'BEFORE';
+const PHASE_CODING = 'CODING';
+const PHASE_FINISHED = 'FINISHED';
+
+// Contests of the contest list that get a scheduler when auto start is on
+const AUTO_START_PHASES = [PHASE_BEFORE, PHASE_CODING];
+const AUTO_START_LEAD_SECONDS = SECONDS_PER_DAY;
+
+/**
+ * Decide which snapshot is due at the current contest time
+ * Snapshots are aligned to the interval grid (as in bulk creation): a base snapshot
+ * at every multiple of the base interval, a delta at every multiple of the delta
+ * interval, but only when new submissions or hacks arrived since the last snapshot.
+ * Once the contest is over, the only snapshot left is a base snapshot at its end.
+ * @param {Object} schedule - Schedule (intervals and last snapshot timestamps)
+ * @param {number} contestTimeSeconds - Current time relative to contest start
+ * @param {boolean} hasNewEvents - New submissions or hacks were stored since the last snapshot
+ * @param {number|null} endTimestampSeconds - End of the contest (relative seconds) once it is over, null while it runs
+ * @returns {Object|null} { type: 'BASE'|'DELTA', timestampSeconds }, or null if nothing is due
+ */
+export function dueSnapshot (schedule, contestTimeSeconds, hasNewEvents, endTimestampSeconds = null) {
+	const lastSnapshotTimestamp = schedule.lastSnapshotTimestamp ?? -1;
+
+	if (endTimestampSeconds !== null) {
+		return lastSnapshotTimestamp < endTimestampSeconds ? { type: 'BASE', timestampSeconds: endTimestampSeconds } : null;
+	}
+
+	const baseTimestamp = Math.floor(contestTimeSeconds / schedule.baseIntervalSeconds) * schedule.baseIntervalSeconds;
+	if (baseTimestamp > (schedule.lastBaseTimestamp ?? -1) && baseTimestamp > lastSnapshotTimestamp) {
+		return { type: 'BASE', timestampSeconds: baseTimestamp };
+	}
+
+	const deltaTimestamp = Math.floor(contestTimeSeconds / schedule.deltaIntervalSeconds) * schedule.deltaIntervalSeconds;
+	if (hasNewEvents && deltaTimestamp > lastSnapshotTimestamp) {
+		return { type: 'DELTA', timestampSeconds: deltaTimestamp };
+	}
+
+	return null;
+}
+
+/**
+ * Snapshot Scheduler Service
+ * Creates base and delta snapshots automatically while a contest runs
+ *
+ * A schedule waits until the contest starts (its start time has passed and its phase
+ * left BEFORE), then fetches and stores the contest on every step and creates a base
+ * snapshot every baseIntervalSeconds and a delta every deltaIntervalSeconds while new
+ * submissions arrive. After the end it waits out the system tests and finishes with
+ * a base snapshot at the end of the contest once the phase is FINISHED. Schedules are stored in the
+ * SnapshotSchedules collection; active ones are resumed from their last snapshot when
+ * the server restarts, and storing the contest list can start them (auto start).
+ * Unfinished snapshot rebuilds (see snapshotService.rebuildSnapshotsFrom) are resumed
+ * when the server restarts and before a schedule creates its next snapshot.
+ */
+class SnapshotSchedulerService {
+	constructor () {
+		this.timers = new Map();
+	}
+
+	/**
+	 * Start (or restart) the scheduler of a contest
+	 * @param {number} contestId - Contest ID
+	 * @param {Object} options - Schedule options
+	 * @param {number} options.baseIntervalSeconds - Base snapshot interval (default: 120)
+	 * @param {number} options.deltaIntervalSeconds - Delta snapshot interval (default: 10)
+	 * @param {boolean} options.fileMode - Use file storage instead of MongoDB (default: false)
+	 * @returns {Promise<Object|null>} Schedule status, or null if the contest does not exist
+	 */
+	async start (contestId, options = {}) {
+		const {
+			baseIntervalSeconds = DEFAULT_BASE_INTERVAL_SECONDS,
+			deltaIntervalSeconds = DEFAULT_DELTA_INTERVAL_SECONDS,
+			fileMode = false
+		} = options;
+
+		const contest = await codeforcesDataService.getContestFromDB(contestId);
+		if (!contest) {
+			return null;
+		}
+
+		const resumePoint = await this.findResumePoint(contestId, fileMode);
+		await models.SnapshotSchedules.updateOne(
+			{ contestId },
+			{
+				$set: {
+					contestId,
+					status: SCHEDULE_STATUS.WAITING,
+					baseIntervalSeconds,
+					deltaIntervalSeconds,
+					fileMode,
+					...resumePoint,
+					lastEventCount: null,
+					lastError: null
+				}
+			},
+			{ upsert: true }
+		);
+
+		logger.info(`[SCHEDULER] Started scheduler for contest ${contestId} (base every ${baseIntervalSeconds}s, delta every ${deltaIntervalSeconds}s, fileMode=${fileMode}, last snapshot: ${resumePoint.lastSnapshotTimestamp ?? 'none'})`);
+
+		this.scheduleTick(contestId, 0);
+		return this.getStatus(contestId);
+	}
+
+	/**
+	 * Stop the scheduler of a contest
+	 * @param {number} contestId - Contest ID
+	 * @returns {Promise<Object|null>} Schedule status, or null if the contest has no schedule
+	 */
+	async stop (contestId) {
+		this.clearTimer(contestId);
+		const result = await models.SnapshotSchedules.updateOne(
+			{ contestId },
+			{ $set: { status: SCHEDULE_STATUS.STOPPED } }
+		);
+		if (result.matchedCount === 0) {
+			return null;
+		}
+
+		logger.info(`[SCHEDULER] Stopped scheduler for contest ${contestId}`);
+		return this.getStatus(contestId);
+	}
+
+	/**
+	 * Get the scheduler status of a contest
+	 * @param {number} contestId - Contest ID
+	 * @returns {Promise<Object|null>} Schedule status, or null if the contest has no schedule
+	 */
+	async getStatus (contestId) {
+		const schedule = await models.SnapshotSchedules.findOne({ contestId }).lean();
+		if (!schedule) {
+			return null;
+		}
+		return this.toStatus(schedule);
+	}
+
+	/**
+	 * List all schedules
+	 * @returns {Promise<Array>} Schedule statuses, most recently updated first
+	 */
+	async listSchedules () {
+		const schedules = await models.SnapshotSchedules.find({}).sort({ updatedAt: -1 }).lean();
+		return schedules.map(schedule => this.toStatus(schedule));
+	}
+
+	/**
+	 * Start a scheduler with the default intervals for the listed contests about to start or running
+	 * Contests that already have a schedule (stopped ones included) keep it.
+	 * @param {Array} contests - Contests of the Codeforces contest list
+	 * @returns {Promise<number>} Number of started schedulers
+	 */
+	async startForActiveContests (contests) {
+		// Upcoming contests only once they start within a day, not weeks before
+		const startsBefore = Math.floor(Date.now() / MILLISECONDS_PER_SECOND) + AUTO_START_LEAD_SECONDS;
+		const active = contests.filter(contest => AUTO_START_PHASES.includes(contest.phase) &&
+			(contest.phase === PHASE_CODING || (contest.startTimeSeconds ?? Infinity) <= startsBefore));
+		if (active.length === 0) {
+			return 0;
+		}
+
+		const schedules = await models.SnapshotSchedules.find({ contestId: { $in: active.map(contest => contest.id) } })
+			.select('contestId')
+			.lean();
+		const scheduled = new Set(schedules.map(schedule => schedule.contestId));
+
+		let started = 0;
+		for (const contest of active) {
+			if (!scheduled.has(contest.id) && await this.start(contest.id)) {
+				started++;
+			}
+		}
+		return started;
+	}
+
+	/**
+	 * Resume active schedules after a server restart
+	 * Each schedule continues from the last snapshot stored for its contest.
+	 * @returns {Promise<number>} Number of resumed schedules
+	 */
+	async resumeAll () {
+		const schedules = await models.SnapshotSchedules.find({ status: { $in: ACTIVE_STATUSES } }).lean();
+		for (const schedule of schedules) {
+			const resumePoint = await this.findResumePoint(schedule.contestId, schedule.fileMode);
+			await models.SnapshotSchedules.updateOne(
+				{ contestId: schedule.contestId },
+				{ $set: { ...resumePoint, lastEventCount: null } }
+			);
+			logger.info(`[SCHEDULER] Resuming scheduler for contest ${schedule.contestId} from t=${resumePoint.lastSnapshotTimestamp ?? 'start'}`);
+			this.scheduleTick(schedule.contestId, 0);
+		}
+		return schedules.length;
+	}
+
+	/**
+	 * Resume the unfinished snapshot rebuilds of all contests
+	 * @returns {Promise<Object>} { resumed, failed }
+	 */
+	async resumeRebuilds () {
+		const contests = await codeforcesDataService.getPendingRebuilds();
+		let resumed = 0;
+		let failed = 0;
+		for (const { contestId, pendingRebuild } of contests) {
+			try {
+				await this.runPendingRebuild(contestId, pendingRebuild);
+				resumed++;
+			} catch (error) {
+				logger.error(`[SCHEDULER] Error resuming snapshot rebuild of contest ${contestId}: ${error.message}`);
+				failed++;
+			}
+		}
+		return { resumed, failed };
+	}
+
+	/**
+	 * Resume the unfinished snapshot rebuild of a contest
+	 * A rebuild already running for the contest is awaited instead of started again.
+	 * @param {number} contestId - Contest ID
+	 * @param {Object} pendingRebuild - Unfinished rebuild (contest.pendingRebuild)
+	 * @returns {Promise<Object>} Rebuild summary
+	 */
+	runPendingRebuild (contestId, pendingRebuild) {
+		const running = snapshotService.getRunningRebuild(contestId);
+		if (running) {
+			return running;
+		}
+		logger.info(`[SCHEDULER] Resuming snapshot rebuild of contest ${contestId} from t=${pendingRebuild.fromTimestampSeconds}`);
+		return snapshotService.rebuildSnapshotsFrom(contestId, pendingRebuild.fromTimestampSeconds, pendingRebuild.fileMode);
+	}
+
+	/**
+	 * Find the last base and last snapshot timestamps stored for a contest
+	 * @param {number} contestId - Contest ID
+	 * @param {boolean} fileMode - Use file storage instead of MongoDB
+	 * @returns {Promise<Object>} { lastBaseTimestamp, lastSnapshotTimestamp }
+	 */
+	async findResumePoint (contestId, fileMode) {
+		const [lastSnapshot, lastBase] = await Promise.all([
+			snapshotService.findLastSnapshot(contestId, Number.MAX_SAFE_INTEGER, fileMode),
+			snapshotService.getBaseSnapshotAt(contestId, Number.MAX_SAFE_INTEGER, fileMode)
+		]);
+		return {
+			lastBaseTimestamp: lastBase?.timestampSeconds ?? null,
+			lastSnapshotTimestamp: lastSnapshot?.timestampSeconds ?? null
+		};
+	}
+
+	/**
+	 * Fetch the contest from Codeforces and store it, so its snapshots see the new submissions and phase
+	 * @param {number} contestId - Contest ID
+	 * @returns {Promise<Object|null>} Stored contest after the fetch
+	 */
+	async ingest (contestId) {
+		const contestData = await codeforcesAPI.getCompleteContestData(contestId);
+		await codeforcesDataService.storeCompleteContestData(contestId, contestData);
+		return codeforcesDataService.getContestFromDB(contestId);
+	}
+
+	/**
+	 * Run one scheduler step: ingest the contest and create the snapshot that is due, if any
+	 * @param {number} contestId - Contest ID
+	 * @returns {Promise<void>}
+	 */
+	async tick (contestId) {
+		this.timers.delete(contestId);
+		const schedule = await models.SnapshotSchedules.findOne({ contestId }).lean();
+		if (!schedule || !ACTIVE_STATUSES.includes(schedule.status)) {
+			return;
+		}
+
+		const update = { lastRunAt: new Date() };
+		let finished = false;
+		try {
+			let contest = await codeforcesDataService.getContestFromDB(contestId);
+			if (!contest || contest.startTimeSeconds === null || contest.startTimeSeconds === undefined) {
+				throw new Error(`Contest ${contestId} has no start time`);
+			}
+
+			// New snapshots would chain on the ones an unfinished rebuild deleted
+			if (contest.pendingRebuild) {
+				await this.runPendingRebuild(contestId, contest.pendingRebuild);
+			}
+
+			const contestTimeSeconds = Math.floor(Date.now() / MILLISECONDS_PER_SECOND) - contest.startTimeSeconds;
+			if (contestTimeSeconds >= 0) {
+				// Snapshots are built from the stored submissions, and the phase is refreshed with them
+				contest = await this.ingest(contestId);
+			}
+
+			if (contestTimeSeconds < 0 || contest.phase === PHASE_BEFORE) {
+				update.status = SCHEDULE_STATUS.WAITING;
+			} else {
+				update.status = SCHEDULE_STATUS.RUNNING;
+				// System tests change verdicts after the end, so the final snapshot waits for the FINISHED phase
+				finished = contest.phase === PHASE_FINISHED;
+
+				const summary = await codeforcesDataService.getStoredContestSummary(contestId);
+				const eventCount = (summary?.submissionsCount || 0) + (summary?.hacksCount || 0);
+				const hasNewEvents = schedule.lastEventCount === null || eventCount !== schedule.lastEventCount;
+
+				// The final snapshot is a base snapshot at the end of the contest
+				const endTimestamp = finished ? contest.durationSeconds || contestTimeSeconds : null;
+				const elapsed = contest.durationSeconds > 0 && contestTimeSeconds >= contest.durationSeconds;
+				const due = finished || !elapsed ? dueSnapshot(schedule, contestTimeSeconds, hasNewEvents, endTimestamp) : null;
+
+				if (due) {
+					if (due.type === 'BASE') {
+						await snapshotService.createBaseSnapshot(contestId, due.timestampSeconds, schedule.fileMode);
+						update.lastBaseTimestamp = due.timestampSeconds;
+						update.baseSnapshotsCreated = (schedule.baseSnapshotsCreated || 0) + 1;
+					} else {
+						await snapshotService.createDeltaSnapshot(contestId, due.timestampSeconds, schedule.fileMode);
+						update.deltaSnapshotsCreated = (schedule.deltaSnapshotsCreated || 0) + 1;
+					}
+					update.lastSnapshotTimestamp = due.timestampSeconds;
+					update.lastEventCount = eventCount;
+					logger.info(`[SCHEDULER] Contest ${contestId}: created ${due.type} snapshot at t=${due.timestampSeconds}`);
+				}
+
+				if (finished) {
+					update.status = SCHEDULE_STATUS.FINISHED;
+					logger.info(`[SCHEDULER] Contest ${contestId} is over, scheduler finished`);
+				}
+			}
+			update.lastError = null;
+		} catch (error) {
+			logger.error(`[SCHEDULER] Error in scheduler for contest ${contestId}: ${error.message}`);
+			update.lastError = error.message;
+		}
+
+		// The schedule may have been stopped while this step was running
+		const result = await models.SnapshotSchedules.updateOne(
+			{ contestId, status: { $in: ACTIVE_STATUSES } },
+			{ $set: update }
+		);
+		if (!finished && result.matchedCount > 0) {
+			this.scheduleTick(contestId, Math.min(schedule.deltaIntervalSeconds, schedule.baseIntervalSeconds) * MILLISECONDS_PER_SECOND);
+		}
+	}
+
+	/**
+	 * Schedule the next step of a contest scheduler
+	 * @param {number} contestId - Contest ID
+	 * @param {number} delayMs - Delay in milliseconds
+	 */
+	scheduleTick (contestId, delayMs) {
+		this.clearTimer(contestId);
+		const timer = setTimeout(() => {
+			this.tick(contestId).catch(error => {
+				logger.error(`[SCHEDULER] Scheduler step failed for contest ${contestId}: ${error.message}`);
+			});
+		}, delayMs);
+		// Do not keep the process alive only for the scheduler
+		timer.unref();
+		this.timers.set(contestId, timer);
+	}
+
+	/**
+	 * Cancel the pending step of a contest scheduler
+	 * @param {number} contestId - Contest ID
+	 */
+	clearTimer (contestId) {
+		const timer = this.timers.get(contestId);
+		if (timer) {
+			clearTimeout(timer);
+			this.timers.delete(contestId);
+		}
+	}
+
+	/**
+	 * Convert a stored schedule to its status (API format)
+	 * @param {Object} schedule - Stored schedule
+	 * @returns {Object} Schedule status
+	 */
+	toStatus (schedule) {
+		return {
+			contestId: schedule.contestId,
+			status: schedule.status,
+			baseIntervalSeconds: schedule.baseIntervalSeconds,
+			deltaIntervalSeconds: schedule.deltaIntervalSeconds,
+			fileMode: schedule.fileMode,
+			lastBaseTimestamp: schedule.lastBaseTimestamp,
+			lastSnapshotTimestamp: schedule.lastSnapshotTimestamp,
+			baseSnapshotsCreated: schedule.baseSnapshotsCreated || 0,
+			deltaSnapshotsCreated: schedule.deltaSnapshotsCreated || 0,
+			lastRunAt: schedule.lastRunAt,
+			lastError: schedule.lastError,
+			timerActive: this.timers.has(schedule.contestId),
+			updatedAt: schedule.updatedAt
+		};
+	}
+}
+
+// Export singleton instance
+export const snapshotSchedulerService = new SnapshotSchedulerService();
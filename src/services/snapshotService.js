@@ -1,8 +1,71 @@
 import { models } from '../data/models/index.js';
 import { getModels } from './modelProvider.js';
 import { logger } from '../helpers/logger.js';
-import { stateToPlainObject, plainObjectToState, processSubmission } from './standingsStateUpdate.js';
+import { stateToPlainObject, plainObjectToState } from './standingsStateUpdate.js';
+import { buildProblemSubtasksMap, eventParticipantKeys, mergeEventStreams, replayEvents, EVENT_TYPE } from './eventStream.js';
+import { getScoringRule } from './scoringRules.js';
 import { codeforcesDataService } from './codeforcesDataService.js';
+import { getVerdictMode } from './verdictPolicy.js';
+import { standingsStateCache } from './standingsStateCache.js';
+import { contestEventService } from './contestEventService.js';
+import { getStateKey } from '../helpers/participantKey.js';
+import { applyDeltaChanges, applyParticipantChange, diffParticipantState } from './deltaDiff.js';
+import { computeStateHash } from './stateHash.js';
+import { planAdaptiveSnapshots } from './snapshotPlanner.js';
+import { snapshotWorkerPool } from './snapshotWorkerPool.js';
+import { environmentVariablesConfig } from '../config/appConfig.js';
+
+// Events replayed per chunk while streaming
+const REPLAY_CHUNK_SIZE = 1000;
+
+/**
+ * Convert a replay state to the stored participant format
+ * @param {Object} state - Participant state (problems as Map or object)
+ * @returns {Object} Snapshot participant
+ */
+function toSnapshotParticipant (state) {
+	return {
+		participantKey: state.participantKey,
+		handle: state.handle,
+		handles: state.handles || [state.handle],
+		teamId: state.teamId ?? null,
+		teamName: state.teamName || null,
+		participantType: state.participantType || 'CONTESTANT',
+		ghost: state.ghost || false,
+		isUnofficial: state.isUnofficial || false,
+		totalPoints: state.totalPoints || 0,
+		totalPenalty: state.totalPenalty || 0,
+		solvedCount: state.solvedCount || 0,
+		lastAcTime: state.lastAcTime || null,
+		hackSuccess: state.hackSuccess || 0,
+		hackFail: state.hackFail || 0,
+		lastSubmissionTime: state.lastSubmissionTime || null,
+		// Convert problems Map to object for storage
+		problems: state.problems instanceof Map ? Object.fromEntries(state.problems.entries()) : state.problems || {}
+	};
+}
+
+/**
+ * Build the delta change of one participant
+ * @param {string} participantKey - Participant key
+ * @param {Object|undefined} lastState - State at the previous snapshot (stored format)
+ * @param {Object} currentState - Current replay state
+ * @returns {Object|null} INSERT with the full state, UPDATE with the changed fields, or null if unchanged
+ */
+function buildParticipantChange (participantKey, lastState, currentState) {
+	// Key and handle are stored on the change itself, not in its state
+	const state = toSnapshotParticipant(currentState);
+	const handle = state.handle;
+	delete state.participantKey;
+	delete state.handle;
+	if (!lastState) {
+		// New participant: full state
+		return { participantKey, handle, op: 'INSERT', state };
+	}
+	// Known participant: only the changed fields and problem entries
+	const diff = diffParticipantState(lastState, state);
+	return diff ? { participantKey, handle, op: 'UPDATE', state: diff } : null;
+}
 
 /**
  * Snapshot Service
@@ -10,6 +73,10 @@ import { codeforcesDataService } from './codeforcesDataService.js';
  * for efficient time-based standings replay
  */
 class SnapshotService {
+	constructor () {
+		this.runningRebuilds = new Map(); // contestId -> running rebuild promise
+	}
+
 	/**
 	 * Create a base snapshot (full state for all participants at specific timestamp)
 	 * Computes state by processing submissions up to timestampSeconds
@@ -27,11 +94,11 @@ class SnapshotService {
 			logger.info(`[BASE SNAPSHOT] ========================================`);
 			
 			const Models = getModels(fileMode);
-			const { codeforcesDataService } = await import('./codeforcesDataService.js');
-			const { processSubmission } = await import('./standingsStateUpdate.js');
 			
-			// Step 1: Get problems to build problem points map
+			// Step 1: Get contest scoring rule and problems to build problem points map
 			logger.info(`[BASE SNAPSHOT] Step 1: Fetching problems for contest ${contestId} to get problem points`);
+			const rule = await this.getContestScoringRule(contestId);
+			logger.info(`[BASE SNAPSHOT] Using ${rule.type} scoring rule`);
 			const problems = await codeforcesDataService.getProblemsFromDB(contestId);
 			const problemPointsMap = new Map();
 			for (const problem of problems) {
@@ -43,112 +110,58 @@ class SnapshotService {
 			}
 			logger.info(`[BASE SNAPSHOT] Loaded ${problemPointsMap.size} problems with points mapping`);
 			
-			// Step 2: Get all submissions up to timestampSeconds
-			logger.info(`[BASE SNAPSHOT] Step 2: Fetching all submissions up to timestamp ${timestampSeconds} for contest ${contestId}`);
-			const fetchSubmissionsStartTime = Date.now();
-			const allSubmissions = await codeforcesDataService.getSubmissionsFromDB(contestId, null, null);
-			
-			// Filter submissions up to timestampSeconds
-			const submissionsUpToTimestamp = allSubmissions.filter(sub => {
-				const relativeTime = sub.relativeTimeSeconds || 0;
-				return relativeTime <= timestampSeconds;
-			});
-			const fetchSubmissionsDuration = Date.now() - fetchSubmissionsStartTime;
-			logger.info(`[BASE SNAPSHOT] Filtered to ${submissionsUpToTimestamp.length} submissions up to t=${timestampSeconds} (out of ${allSubmissions.length} total, took ${fetchSubmissionsDuration}ms)`);
-			
-			// Step 3: Build state by processing submissions up to timestamp
-			logger.info(`[BASE SNAPSHOT] Step 3: Building participant state by processing submissions up to timestamp ${timestampSeconds}`);
+			// Step 2: Stream events (submissions and hacks) up to timestampSeconds and replay them in chronological order
+			logger.info(`[BASE SNAPSHOT] Step 2: Streaming and replaying submissions and hacks up to timestamp ${timestampSeconds} for contest ${contestId}`);
 			const buildStateStartTime = Date.now();
-			const stateMap = new Map(); // handle -> state
-			
-			// Sort submissions by time to process in chronological order
-			submissionsUpToTimestamp.sort((a, b) => (a.relativeTimeSeconds || 0) - (b.relativeTimeSeconds || 0));
-			
-			for (const submission of submissionsUpToTimestamp) {
-				const handle = submission.author?.members?.[0]?.handle;
-				if (!handle) continue;
-				
-				// Get or create state for this participant
-				if (!stateMap.has(handle)) {
-					stateMap.set(handle, {
-						contestId,
-						handle,
-						participantType: submission.author?.participantType || 'CONTESTANT',
-						ghost: submission.author?.ghost || false,
-						isUnofficial: submission.author?.participantType !== 'CONTESTANT',
-						problems: new Map(),
-						totalPoints: 0,
-						totalPenalty: 0,
-						solvedCount: 0,
-						lastAcTime: null,
-						hackSuccess: 0,
-						hackFail: 0,
-						lastSubmissionTime: null
-					});
-				}
-				
-				const state = stateMap.get(handle);
-				const problemIndex = submission.problem?.index || '';
-				// Get problem points from Problems collection, fallback to submission data, then 1
-				let problemPoints = problemPointsMap.get(problemIndex);
-				if (problemPoints === null || problemPoints === undefined) {
-					// Problem points not in Problems collection, try submission data
-					problemPoints = submission.problem?.points;
-					if (problemPoints === null || problemPoints === undefined) {
-						problemPoints = 1; // Default to 1 point if not available
-						if (submission.verdict === 'OK') {
-							logger.warn(`[BASE SNAPSHOT] Problem ${problemIndex} has no points in Problems collection or submission data, using default: 1`);
-						}
-					}
+			const contest = await codeforcesDataService.getContestFromDB(contestId);
+			const problemSubtasksMap = buildProblemSubtasksMap(problems);
+			const verdictMode = getVerdictMode(contest);
+			const concurrency = environmentVariablesConfig.snapshotWorkers;
+			const defaultPointsWarned = new Set();
+			const warnDefaultPoints = problemIndex => {
+				if (!defaultPointsWarned.has(problemIndex)) {
+					defaultPointsWarned.add(problemIndex);
+					logger.warn(`[BASE SNAPSHOT] Problem ${problemIndex} has no points in Problems collection or submission data, using default: 1`);
 				}
-				
-				processSubmission(state, {
-					problemIndex: problemIndex,
-					verdict: submission.verdict,
-					relativeTimeSeconds: submission.relativeTimeSeconds || 0,
-					points: problemPoints
-				});
+			};
+			
+			let states;
+			let submissionCount;
+			let hackCount;
+			if (concurrency > 1) {
+				// Participants are partitioned across worker threads; the merge keeps the sequential order
+				logger.info(`[BASE SNAPSHOT] Replaying on ${concurrency} worker threads`);
+				const replayed = await snapshotWorkerPool.replay(
+					this.streamContestEvents(contestId, null, timestampSeconds, contest),
+					{ contestId, contest, problemPointsMap, problemSubtasksMap, verdictMode },
+					concurrency
+				);
+				replayed.defaultPointsProblems.forEach(warnDefaultPoints);
+				({ states, submissionCount, hackCount } = replayed);
+			} else {
+				const stateMap = new Map(); // participantKey -> state
+				({ submissionCount, hackCount } = await this.replayEventWindow(stateMap, contestId, null, timestampSeconds, {
+					contestId,
+					rule,
+					problemPointsMap,
+					problemSubtasksMap,
+					verdictMode,
+					onDefaultPoints: warnDefaultPoints
+				}, { contest }));
+				states = Array.from(stateMap.values());
 			}
 			const buildStateDuration = Date.now() - buildStateStartTime;
-			logger.info(`[BASE SNAPSHOT] Built state for ${stateMap.size} participants (took ${buildStateDuration}ms)`);
+			logger.info(`[BASE SNAPSHOT] Built state for ${states.length} participants from ${submissionCount} submissions and ${hackCount} hacks up to t=${timestampSeconds} (took ${buildStateDuration}ms)`);
 			
-			// Step 4: Convert to snapshot format
-			logger.info(`[BASE SNAPSHOT] Step 4: Converting ${stateMap.size} participants to snapshot format`);
+			// Step 3: Convert to snapshot format
+			logger.info(`[BASE SNAPSHOT] Step 3: Converting ${states.length} participants to snapshot format`);
 			const convertStartTime = Date.now();
-			const participants = Array.from(stateMap.values()).map(state => {
-				const participant = {
-					handle: state.handle,
-					participantType: state.participantType || 'CONTESTANT',
-					ghost: state.ghost || false,
-					isUnofficial: state.isUnofficial || false,
-					totalPoints: state.totalPoints || 0,
-					totalPenalty: state.totalPenalty || 0,
-					solvedCount: state.solvedCount || 0,
-					lastAcTime: state.lastAcTime || null,
-					hackSuccess: state.hackSuccess || 0,
-					hackFail: state.hackFail || 0,
-					lastSubmissionTime: state.lastSubmissionTime || null,
-					problems: {}
-				};
-				
-				// Convert problems Map to object for storage
-				if (state.problems instanceof Map) {
-					const problemsObj = {};
-					for (const [key, value] of state.problems.entries()) {
-						problemsObj[key] = value;
-					}
-					participant.problems = problemsObj;
-				} else if (state.problems) {
-					participant.problems = state.problems;
-				}
-				
-				return participant;
-			});
+			const participants = states.map(toSnapshotParticipant);
 			const convertDuration = Date.now() - convertStartTime;
 			logger.info(`[BASE SNAPSHOT] Converted ${participants.length} participants to snapshot format (took ${convertDuration}ms)`);
 			
-			// Step 5: Create snapshot document
-			logger.info(`[BASE SNAPSHOT] Step 5: Saving base snapshot to ${storageMode}`);
+			// Step 4: Create snapshot document
+			logger.info(`[BASE SNAPSHOT] Step 4: Saving base snapshot to ${storageMode}`);
 			const saveStartTime = Date.now();
 			const snapshot = await Models.BaseSnapshots.create({
 				contestId,
@@ -156,20 +169,32 @@ class SnapshotService {
 				snapshotType: 'BASE',
 				participants,
 				participantCount: participants.length,
+				stateHash: computeStateHash(participants),
 				createdAt: new Date()
 			});
+			standingsStateCache.invalidateContest(contestId);
 			const saveDuration = Date.now() - saveStartTime;
 			
+			// Step 5: Record the contest events since the previous snapshot
+			logger.info('[BASE SNAPSHOT] Step 5: Recording contest events');
+			const eventsStartTime = Date.now();
+			// Snapshot timestamps are whole seconds: the last snapshot before this one
+			const previousSnapshot = await this.findLastSnapshot(contestId, timestampSeconds - 1, fileMode);
+			const previousStates = previousSnapshot ? (await this.loadSnapshotState(contestId, previousSnapshot, fileMode)).values() : [];
+			await contestEventService.recordSnapshotEvents(contestId, previousSnapshot?.timestampSeconds ?? null, timestampSeconds, previousStates, participants);
+			const eventsDuration = Date.now() - eventsStartTime;
+			
 			const operationDuration = Date.now() - operationStartTime;
 			logger.info(`[BASE SNAPSHOT] ========================================`);
 			logger.info(`[BASE SNAPSHOT] ✓ Completed base snapshot creation for contest ${contestId}`);
 			logger.info(`[BASE SNAPSHOT]   - Timestamp: ${timestampSeconds}`);
 			logger.info(`[BASE SNAPSHOT]   - Participants: ${participants.length}`);
-			logger.info(`[BASE SNAPSHOT]   - Submissions processed: ${submissionsUpToTimestamp.length}`);
-			logger.info(`[BASE SNAPSHOT]   - Fetch submissions: ${fetchSubmissionsDuration}ms`);
-			logger.info(`[BASE SNAPSHOT]   - Build state: ${buildStateDuration}ms`);
+			logger.info(`[BASE SNAPSHOT]   - Submissions processed: ${submissionCount}`);
+			logger.info(`[BASE SNAPSHOT]   - Hacks processed: ${hackCount}`);
+			logger.info(`[BASE SNAPSHOT]   - Stream and replay events: ${buildStateDuration}ms`);
 			logger.info(`[BASE SNAPSHOT]   - Convert: ${convertDuration}ms`);
 			logger.info(`[BASE SNAPSHOT]   - Save: ${saveDuration}ms`);
+			logger.info(`[BASE SNAPSHOT]   - Record events: ${eventsDuration}ms`);
 			logger.info(`[BASE SNAPSHOT]   - Total time: ${operationDuration}ms`);
 			logger.info(`[BASE SNAPSHOT] ========================================`);
 			
@@ -191,35 +216,37 @@ class SnapshotService {
 		try {
 			const Models = getModels(fileMode);
 			
-			// First try to find base snapshot
-			const baseSnapshot = await Models.BaseSnapshots.findOne({
-				contestId,
-				timestampSeconds: { $lte: timestampSeconds }
-			})
-			.sort({ timestampSeconds: -1 })
-			.lean();
+			// Latest base and latest delta; deltas chain on the snapshot right before them
+			const [baseSnapshot, deltaSnapshot] = await Promise.all([
+				Models.BaseSnapshots.findOne({
+					contestId,
+					timestampSeconds: { $lte: timestampSeconds }
+				})
+					.select('timestampSeconds')
+					.sort({ timestampSeconds: -1 })
+					.lean(),
+				Models.DeltaSnapshots.findOne({
+					contestId,
+					timestampSeconds: { $lte: timestampSeconds }
+				})
+					.select('timestampSeconds baseSnapshotTimestamp')
+					.sort({ timestampSeconds: -1 })
+					.lean()
+			]);
 			
-			if (baseSnapshot) {
+			if (deltaSnapshot && (!baseSnapshot || deltaSnapshot.timestampSeconds > baseSnapshot.timestampSeconds)) {
 				return {
-					timestampSeconds: baseSnapshot.timestampSeconds,
-					baseTimestamp: baseSnapshot.timestampSeconds,
-					type: 'BASE'
+					timestampSeconds: deltaSnapshot.timestampSeconds,
+					baseTimestamp: deltaSnapshot.baseSnapshotTimestamp,
+					type: 'DELTA'
 				};
 			}
 			
-			// Fallback to delta snapshot
-			const deltaSnapshot = await Models.DeltaSnapshots.findOne({
-				contestId,
-				timestampSeconds: { $lte: timestampSeconds }
-			})
-			.sort({ timestampSeconds: -1 })
-			.lean();
-			
-			if (deltaSnapshot) {
+			if (baseSnapshot) {
 				return {
-					timestampSeconds: deltaSnapshot.timestampSeconds,
-					baseTimestamp: deltaSnapshot.baseSnapshotTimestamp,
-					type: 'DELTA'
+					timestampSeconds: baseSnapshot.timestampSeconds,
+					baseTimestamp: baseSnapshot.timestampSeconds,
+					type: 'BASE'
 				};
 			}
 			
@@ -230,6 +257,74 @@ class SnapshotService {
 		}
 	}
 	
+	/**
+	 * Load the participant state at a stored snapshot
+	 * Reads the base snapshot of the snapshot and applies the deltas after it, up to the snapshot.
+	 * @param {number} contestId - Contest ID
+	 * @param {Object} lastSnapshot - Snapshot as returned by findLastSnapshot
+	 * @param {boolean} fileMode - Use file storage instead of MongoDB (default: false)
+	 * @returns {Promise<Map>} participantKey -> participant (stored format)
+	 */
+	async loadSnapshotState (contestId, lastSnapshot, fileMode = false) {
+		const Models = getModels(fileMode);
+		const fromTimestamp = lastSnapshot.timestampSeconds;
+		const lastSnapshotStateMap = new Map();
+		
+		// Get base snapshot using baseTimestamp
+		const baseTimestamp = lastSnapshot.baseTimestamp ?? lastSnapshot.timestampSeconds;
+		logger.info(`[LOAD SNAPSHOT] Loading base snapshot at timestamp ${baseTimestamp}`);
+		
+		const baseSnapshot = await Models.BaseSnapshots.findOne({
+			contestId,
+			timestampSeconds: baseTimestamp
+		}).lean();
+		
+		if (baseSnapshot && baseSnapshot.participants) {
+			for (const p of baseSnapshot.participants) {
+				lastSnapshotStateMap.set(getStateKey(p), {
+					participantKey: getStateKey(p),
+					handle: p.handle,
+					handles: p.handles?.length ? p.handles : [p.handle],
+					teamId: p.teamId ?? null,
+					teamName: p.teamName || null,
+					participantType: p.participantType || 'CONTESTANT',
+					ghost: p.ghost || false,
+					isUnofficial: p.isUnofficial || false,
+					totalPoints: p.totalPoints || 0,
+					totalPenalty: p.totalPenalty || 0,
+					solvedCount: p.solvedCount || 0,
+					lastAcTime: p.lastAcTime || null,
+					hackSuccess: p.hackSuccess || 0,
+					hackFail: p.hackFail || 0,
+					lastSubmissionTime: p.lastSubmissionTime || null,
+					problems: p.problems || {}
+				});
+			}
+			logger.info(`[LOAD SNAPSHOT] Loaded ${baseSnapshot.participants.length} participants from base snapshot at t=${baseTimestamp}`);
+		} else {
+			logger.warn(`[LOAD SNAPSHOT] Base snapshot at timestamp ${baseTimestamp} not found`);
+		}
+		
+		// Apply deltas between baseTimestamp and fromTimestamp
+		const deltasUpToFrom = await Models.DeltaSnapshots.find({
+			contestId,
+			timestampSeconds: {
+				$gt: baseTimestamp,
+				$lte: fromTimestamp
+			}
+		}).sort({ timestampSeconds: 1 }).lean();
+		
+		if (deltasUpToFrom.length > 0) {
+			logger.info(`[LOAD SNAPSHOT] Applying ${deltasUpToFrom.length} delta snapshot(s) between t=${baseTimestamp} and t=${fromTimestamp}`);
+			for (const delta of deltasUpToFrom) {
+				applyDeltaChanges(lastSnapshotStateMap, delta.changes);
+			}
+			logger.info(`[LOAD SNAPSHOT] State map now has ${lastSnapshotStateMap.size} participants after applying deltas`);
+		}
+		
+		return lastSnapshotStateMap;
+	}
+	
 	/**
 	 * Find changed participants since last snapshot
 	 * For delta snapshots, we need to compute state at toTimestamp by processing submissions
@@ -238,9 +333,30 @@ class SnapshotService {
 	 * @param {number} fromTimestamp - Start timestamp (relative to contest start)
 	 * @param {number} toTimestamp - End timestamp (relative to contest start)
 	 * @param {boolean} fileMode - Use file storage instead of MongoDB (default: false)
+	 * @param {Object} options - Optional settings
+	 * @param {Set} options.recomputeKeys - Participants to rebuild from all events up to toTimestamp
+	 *   (their earlier submissions were rejudged); those left without state are removed
 	 * @returns {Promise<Array>} Array of changed participants with their changes
 	 */
-	async findChangedParticipants(contestId, fromTimestamp, toTimestamp, fileMode = false) {
+	async findChangedParticipants(contestId, fromTimestamp, toTimestamp, fileMode = false, options = {}) {
+		const { changes } = await this.computeDeltaChanges(contestId, fromTimestamp, toTimestamp, fileMode, options);
+		return changes;
+	}
+	
+	/**
+	 * Compute the changes since the last snapshot and the resulting full state
+	 * Same as findChangedParticipants, but also returns the state at toTimestamp
+	 * (the last snapshot state with the changes applied), used for the state hash,
+	 * and the last snapshot state it started from.
+	 * @param {number} contestId - Contest ID
+	 * @param {number} fromTimestamp - Start timestamp (relative to contest start)
+	 * @param {number} toTimestamp - End timestamp (relative to contest start)
+	 * @param {boolean} fileMode - Use file storage instead of MongoDB (default: false)
+	 * @param {Object} options - Optional settings (see findChangedParticipants)
+	 * @returns {Promise<Object>} { changes, stateMap, previousStateMap }
+	 */
+	async computeDeltaChanges (contestId, fromTimestamp, toTimestamp, fileMode = false, options = {}) {
+		const recomputeKeys = options.recomputeKeys || new Set();
 		try {
 			logger.info(`[FIND CHANGES] Finding changed participants for contest ${contestId} between timestamps ${fromTimestamp} and ${toTimestamp}`);
 			const findStartTime = Date.now();
@@ -251,67 +367,13 @@ class SnapshotService {
 			logger.info(`[FIND CHANGES] Step 1: Loading last snapshot state at timestamp ${fromTimestamp}`);
 			const loadSnapshotStartTime = Date.now();
 			const lastSnapshot = await this.findLastSnapshot(contestId, fromTimestamp, fileMode);
-			const lastSnapshotStateMap = new Map();
-			
-			if (lastSnapshot) {
-				// Get base snapshot using baseTimestamp
-				const baseTimestamp = lastSnapshot.baseTimestamp || lastSnapshot.timestampSeconds;
-				logger.info(`[FIND CHANGES] Loading base snapshot at timestamp ${baseTimestamp}`);
-				
-				const baseSnapshot = await Models.BaseSnapshots.findOne({
-					contestId,
-					timestampSeconds: baseTimestamp
-				}).lean();
-				
-				if (baseSnapshot && baseSnapshot.participants) {
-					for (const p of baseSnapshot.participants) {
-						lastSnapshotStateMap.set(p.handle, {
-							participantType: p.participantType || 'CONTESTANT',
-							ghost: p.ghost || false,
-							isUnofficial: p.isUnofficial || false,
-							totalPoints: p.totalPoints || 0,
-							totalPenalty: p.totalPenalty || 0,
-							solvedCount: p.solvedCount || 0,
-							lastAcTime: p.lastAcTime || null,
-							hackSuccess: p.hackSuccess || 0,
-							hackFail: p.hackFail || 0,
-							lastSubmissionTime: p.lastSubmissionTime || null,
-							problems: p.problems || {}
-						});
-					}
-					logger.info(`[FIND CHANGES] Loaded ${baseSnapshot.participants.length} participants from base snapshot at t=${baseTimestamp}`);
-				} else {
-					logger.warn(`[FIND CHANGES] Base snapshot at timestamp ${baseTimestamp} not found`);
-				}
-				
-				// Apply deltas between baseTimestamp and fromTimestamp
-				const deltasUpToFrom = await Models.DeltaSnapshots.find({
-					contestId,
-					timestampSeconds: {
-						$gt: baseTimestamp,
-						$lte: fromTimestamp
-					}
-				}).sort({ timestampSeconds: 1 }).lean();
-				
-				if (deltasUpToFrom.length > 0) {
-					logger.info(`[FIND CHANGES] Applying ${deltasUpToFrom.length} delta snapshot(s) between t=${baseTimestamp} and t=${fromTimestamp}`);
-					for (const delta of deltasUpToFrom) {
-						if (delta.changes) {
-							for (const change of delta.changes) {
-								if (change.op === 'INSERT' || change.op === 'UPDATE') {
-									lastSnapshotStateMap.set(change.handle, change.state);
-								}
-							}
-						}
-					}
-					logger.info(`[FIND CHANGES] State map now has ${lastSnapshotStateMap.size} participants after applying deltas`);
-				}
-			}
+			const lastSnapshotStateMap = lastSnapshot ? await this.loadSnapshotState(contestId, lastSnapshot, fileMode) : new Map();
 			const loadSnapshotDuration = Date.now() - loadSnapshotStartTime;
 			logger.info(`[FIND CHANGES] Loaded ${lastSnapshotStateMap.size} participants from last snapshot (took ${loadSnapshotDuration}ms)`);
 			
-			// Step 2: Get problems to build problem points map
+			// Step 2: Get contest scoring rule and problems to build problem points map
 			logger.info(`[FIND CHANGES] Step 2: Fetching problems for contest ${contestId} to get problem points`);
+			const rule = await this.getContestScoringRule(contestId);
 			const problems = await codeforcesDataService.getProblemsFromDB(contestId);
 			const problemPointsMap = new Map();
 			for (const problem of problems) {
@@ -320,104 +382,57 @@ class SnapshotService {
 			}
 			logger.info(`[FIND CHANGES] Loaded ${problemPointsMap.size} problems with points mapping`);
 			
-			// Step 3: Get submissions between fromTimestamp and toTimestamp
-			logger.info(`[FIND CHANGES] Step 3: Fetching submissions between timestamps ${fromTimestamp} and ${toTimestamp}`);
-			const fetchSubmissionsStartTime = Date.now();
-			const allSubmissions = await codeforcesDataService.getSubmissionsFromDB(contestId, null, null);
-			
-			// Filter submissions in the time window
-			const submissionsInWindow = allSubmissions.filter(sub => {
-				const relativeTime = sub.relativeTimeSeconds || 0;
-				return relativeTime > fromTimestamp && relativeTime <= toTimestamp;
-			});
-			const fetchSubmissionsDuration = Date.now() - fetchSubmissionsStartTime;
-			logger.info(`[FIND CHANGES] Found ${submissionsInWindow.length} submissions in time window (out of ${allSubmissions.length} total, took ${fetchSubmissionsDuration}ms)`);
-			
-			if (submissionsInWindow.length === 0) {
-				logger.info(`[FIND CHANGES] No submissions in time window, no participants changed`);
-				return [];
-			}
-			
-			// Step 4: Build state at toTimestamp for participants with submissions in window
-			logger.info(`[FIND CHANGES] Step 4: Computing state at timestamp ${toTimestamp} for participants with submissions in window`);
+			// Step 3: Start from last snapshot state
 			const computeStateStartTime = Date.now();
 			const currentStateMap = new Map();
-			
-			// Start from last snapshot state
-			for (const [handle, state] of lastSnapshotStateMap.entries()) {
-				// Convert problems to Map for processing
+			for (const [participantKey, state] of lastSnapshotStateMap.entries()) {
+				// Convert problems to Map for processing; entries are copied because replay updates them in place
 				const problemsMap = new Map();
 				if (state.problems && typeof state.problems === 'object' && !(state.problems instanceof Map)) {
 					for (const [key, value] of Object.entries(state.problems)) {
-						problemsMap.set(key, value);
+						problemsMap.set(key, structuredClone(value));
 					}
 				}
 				
-				currentStateMap.set(handle, {
+				currentStateMap.set(participantKey, {
 					...state,
 					problems: problemsMap
 				});
 			}
 			
-			// Process submissions in the time window to update state
-			// Sort submissions by time to process in order
-			submissionsInWindow.sort((a, b) => (a.relativeTimeSeconds || 0) - (b.relativeTimeSeconds || 0));
+			// Step 4: Stream events (submissions and hacks) between fromTimestamp and toTimestamp and replay them
+			logger.info(`[FIND CHANGES] Step 4: Streaming and replaying submissions and hacks between timestamps ${fromTimestamp} and ${toTimestamp}`);
+			const contest = await codeforcesDataService.getContestFromDB(contestId);
+			const replayContext = {
+				contestId,
+				rule,
+				problemPointsMap,
+				problemSubtasksMap: buildProblemSubtasksMap(problems),
+				verdictMode: getVerdictMode(contest)
+			};
+			const { eventCount } = await this.replayEventWindow(currentStateMap, contestId, fromTimestamp, toTimestamp, replayContext, { contest });
+			logger.info(`[FIND CHANGES] Replayed ${eventCount} events in time window`);
 			
-			for (const submission of submissionsInWindow) {
-				const handle = submission.author?.members?.[0]?.handle;
-				if (!handle) continue;
-				
-				// Get or create state for this participant (start from last snapshot state if exists)
-				if (!currentStateMap.has(handle)) {
-					const lastState = lastSnapshotStateMap.get(handle);
-					if (lastState) {
-						// Start from last snapshot state
-						const problemsMap = new Map();
-						if (lastState.problems && typeof lastState.problems === 'object' && !(lastState.problems instanceof Map)) {
-							for (const [key, value] of Object.entries(lastState.problems)) {
-								problemsMap.set(key, value);
-							}
-						}
-						currentStateMap.set(handle, {
-							...lastState,
-							problems: problemsMap
-						});
+			if (eventCount === 0 && recomputeKeys.size === 0) {
+				logger.info(`[FIND CHANGES] No events in time window, no participants changed`);
+				return { changes: [], stateMap: lastSnapshotStateMap, previousStateMap: lastSnapshotStateMap };
+			}
+			
+			// Rejudged participants: the incremental state cannot retract earlier results, rebuild it
+			if (recomputeKeys.size > 0) {
+				logger.info(`[FIND CHANGES] Recomputing ${recomputeKeys.size} rejudged participant(s) from all events up to t=${toTimestamp}`);
+				const recomputedStateMap = new Map();
+				await this.replayEventWindow(recomputedStateMap, contestId, null, toTimestamp, replayContext, {
+					contest,
+					filter: event => eventParticipantKeys(event).some(key => recomputeKeys.has(key))
+				});
+				for (const participantKey of recomputeKeys) {
+					if (recomputedStateMap.has(participantKey)) {
+						currentStateMap.set(participantKey, recomputedStateMap.get(participantKey));
 					} else {
-						// New participant not in last snapshot
-						currentStateMap.set(handle, {
-							participantType: submission.author?.participantType || 'CONTESTANT',
-							ghost: submission.author?.ghost || false,
-							isUnofficial: submission.author?.participantType !== 'CONTESTANT',
-							totalPoints: 0,
-							totalPenalty: 0,
-							solvedCount: 0,
-							lastAcTime: null,
-							hackSuccess: 0,
-							hackFail: 0,
-							lastSubmissionTime: null,
-							problems: new Map()
-						});
+						currentStateMap.delete(participantKey);
 					}
 				}
-				
-				const state = currentStateMap.get(handle);
-				const problemIndex = submission.problem?.index || '';
-				// Get problem points from Problems collection, fallback to submission data, then 1
-				let problemPoints = problemPointsMap.get(problemIndex);
-				if (problemPoints === null || problemPoints === undefined) {
-					// Problem points not in Problems collection, try submission data
-					problemPoints = submission.problem?.points;
-					if (problemPoints === null || problemPoints === undefined) {
-						problemPoints = 1; // Default to 1 point if not available
-					}
-				}
-				
-				processSubmission(state, {
-					problemIndex: problemIndex,
-					verdict: submission.verdict,
-					relativeTimeSeconds: submission.relativeTimeSeconds || 0,
-					points: problemPoints
-				});
 			}
 			const computeStateDuration = Date.now() - computeStateStartTime;
 			logger.info(`[FIND CHANGES] Computed state for ${currentStateMap.size} participants (took ${computeStateDuration}ms)`);
@@ -427,47 +442,21 @@ class SnapshotService {
 			const compareStartTime = Date.now();
 			const changes = [];
 			
-			for (const [handle, currentState] of currentStateMap.entries()) {
-				const lastState = lastSnapshotStateMap.get(handle);
-				
-				// Convert problems to objects for comparison
-				const currentProblemsObj = currentState.problems instanceof Map 
-					? Object.fromEntries(currentState.problems.entries())
-					: currentState.problems || {};
-				const lastProblemsObj = lastState?.problems 
-					? (lastState.problems instanceof Map 
-						? Object.fromEntries(lastState.problems.entries())
-						: lastState.problems)
-					: {};
-				
-				// Check if state changed
-				const stateChanged = !lastState ||
-					currentState.totalPoints !== (lastState.totalPoints || 0) ||
-					currentState.totalPenalty !== (lastState.totalPenalty || 0) ||
-					currentState.solvedCount !== (lastState.solvedCount || 0) ||
-					currentState.hackSuccess !== (lastState.hackSuccess || 0) ||
-					currentState.hackFail !== (lastState.hackFail || 0) ||
-					JSON.stringify(currentProblemsObj) !== JSON.stringify(lastProblemsObj);
-				
-				if (stateChanged) {
-					const state = {
-						participantType: currentState.participantType || 'CONTESTANT',
-						ghost: currentState.ghost || false,
-						isUnofficial: currentState.isUnofficial || false,
-						totalPoints: currentState.totalPoints || 0,
-						totalPenalty: currentState.totalPenalty || 0,
-						solvedCount: currentState.solvedCount || 0,
-						lastAcTime: currentState.lastAcTime || null,
-						hackSuccess: currentState.hackSuccess || 0,
-						hackFail: currentState.hackFail || 0,
-						lastSubmissionTime: currentState.lastSubmissionTime || null,
-						problems: currentProblemsObj
-					};
-					
+			for (const [participantKey, currentState] of currentStateMap.entries()) {
+				const change = buildParticipantChange(participantKey, lastSnapshotStateMap.get(participantKey), currentState);
+				if (change) {
+					changes.push(change);
+				}
+			}
+			
+			// Rejudged participants left without any counted event are removed
+			for (const participantKey of recomputeKeys) {
+				const lastState = lastSnapshotStateMap.get(participantKey);
+				if (lastState && !currentStateMap.has(participantKey)) {
 					changes.push({
-						handle,
-						op: lastState ? 'UPDATE' : 'INSERT',
-						state
+						participantKey,
+						handle: lastState.handle,
+						op: 'REMOVE'
 					});
 				}
 			}
@@ -476,13 +465,13 @@ class SnapshotService {
 			const findDuration = Date.now() - findStartTime;
 			const insertCount = changes.filter(c => c.op === 'INSERT').length;
 			const updateCount = changes.filter(c => c.op === 'UPDATE').length;
-			logger.info(`[FIND CHANGES] ✓ Found ${changes.length} changed participants (${insertCount} new, ${updateCount} updated) - Total time: ${findDuration}ms`);
+			const removeCount = changes.filter(c => c.op === 'REMOVE').length;
+			logger.info(`[FIND CHANGES] ✓ Found ${changes.length} changed participants (${insertCount} new, ${updateCount} updated, ${removeCount} removed) - Total time: ${findDuration}ms`);
 			logger.info(`[FIND CHANGES]   - Load snapshot: ${loadSnapshotDuration}ms`);
-			logger.info(`[FIND CHANGES]   - Fetch submissions: ${fetchSubmissionsDuration}ms`);
-			logger.info(`[FIND CHANGES]   - Compute state: ${computeStateDuration}ms`);
+			logger.info(`[FIND CHANGES]   - Stream events and compute state: ${computeStateDuration}ms`);
 			logger.info(`[FIND CHANGES]   - Compare: ${compareDuration}ms`);
 			
-			return changes;
+			return { changes, stateMap: currentStateMap, previousStateMap: lastSnapshotStateMap };
 		} catch (error) {
 			logger.error(`[FIND CHANGES] Error finding changed participants for contest ${contestId}: ${error.message}`);
 			throw error;
@@ -494,9 +483,13 @@ class SnapshotService {
 	 * @param {number} contestId - Contest ID
 	 * @param {number} timestampSeconds - Timestamp relative to contest start (seconds)
 	 * @param {boolean} fileMode - Use file storage instead of MongoDB (default: false)
+	 * @param {Object} options - Optional settings
+	 * @param {Array} options.corrections - Verdict corrections to apply: their participants are
+	 *   recomputed and the corrections are recorded on the delta
 	 * @returns {Promise<Object>} Created snapshot document
 	 */
-	async createDeltaSnapshot(contestId, timestampSeconds, fileMode = false) {
+	async createDeltaSnapshot(contestId, timestampSeconds, fileMode = false, options = {}) {
+		const corrections = options.corrections || [];
 		try {
 			const operationStartTime = Date.now();
 			const storageMode = fileMode ? 'file' : 'MongoDB';
@@ -523,11 +516,12 @@ class SnapshotService {
 			// Find changed participants since last snapshot
 			logger.info(`[DELTA SNAPSHOT] Step 2: Finding changed participants between timestamp ${lastSnapshot.timestampSeconds} and ${timestampSeconds}`);
 			const findChangesStartTime = Date.now();
-			const changedParticipants = await this.findChangedParticipants(
+			const { changes: changedParticipants, stateMap, previousStateMap } = await this.computeDeltaChanges(
 				contestId,
 				lastSnapshot.timestampSeconds,
 				timestampSeconds,
-				fileMode
+				fileMode,
+				{ recomputeKeys: new Set(corrections.map(correction => correction.participantKey)) }
 			);
 			const findChangesDuration = Date.now() - findChangesStartTime;
 			
@@ -545,22 +539,40 @@ class SnapshotService {
 				contestId,
 				timestampSeconds,
 				snapshotType: 'DELTA',
-				baseSnapshotTimestamp: lastSnapshot.baseTimestamp || lastSnapshot.timestampSeconds,
+				baseSnapshotTimestamp: lastSnapshot.baseTimestamp ?? lastSnapshot.timestampSeconds,
+				previousSnapshotTimestamp: lastSnapshot.timestampSeconds,
 				changes: changedParticipants,
 				changeCount: changedParticipants.length,
+				stateHash: computeStateHash(stateMap),
+				corrections: corrections.map(correction => ({
+					submissionId: correction.submissionId,
+					participantKey: correction.participantKey,
+					problemIndex: correction.problemIndex,
+					relativeTimeSeconds: correction.relativeTimeSeconds,
+					oldVerdict: correction.oldVerdict,
+					newVerdict: correction.newVerdict
+				})),
 				createdAt: new Date()
 			});
+			standingsStateCache.invalidateContest(contestId);
 			const saveDuration = Date.now() - saveStartTime;
 			
+			// Step 4: Record the contest events since the last snapshot
+			logger.info('[DELTA SNAPSHOT] Step 4: Recording contest events');
+			const eventsStartTime = Date.now();
+			await contestEventService.recordSnapshotEvents(contestId, lastSnapshot.timestampSeconds, timestampSeconds, previousStateMap.values(), stateMap.values());
+			const eventsDuration = Date.now() - eventsStartTime;
+			
 			const operationDuration = Date.now() - operationStartTime;
 			logger.info(`[DELTA SNAPSHOT] ========================================`);
 			logger.info(`[DELTA SNAPSHOT] ✓ Completed delta snapshot creation for contest ${contestId}`);
 			logger.info(`[DELTA SNAPSHOT]   - Timestamp: ${timestampSeconds}`);
-			logger.info(`[DELTA SNAPSHOT]   - Base timestamp: ${lastSnapshot.baseTimestamp || lastSnapshot.timestampSeconds}`);
+			logger.info(`[DELTA SNAPSHOT]   - Base timestamp: ${lastSnapshot.baseTimestamp ?? lastSnapshot.timestampSeconds}`);
 			logger.info(`[DELTA SNAPSHOT]   - Changes: ${changedParticipants.length}`);
 			logger.info(`[DELTA SNAPSHOT]   - Find last snapshot time: ${findLastDuration}ms`);
 			logger.info(`[DELTA SNAPSHOT]   - Find changes time: ${findChangesDuration}ms`);
 			logger.info(`[DELTA SNAPSHOT]   - Save time: ${saveDuration}ms`);
+			logger.info(`[DELTA SNAPSHOT]   - Record events time: ${eventsDuration}ms`);
 			logger.info(`[DELTA SNAPSHOT]   - Total time: ${operationDuration}ms`);
 			logger.info(`[DELTA SNAPSHOT] ========================================`);
 			
@@ -610,6 +622,468 @@ class SnapshotService {
 		}
 	}
 	
+	/**
+	 * Rebuild the snapshots affected by verdict corrections (rejudges, skipped cheaters)
+	 * Snapshots before fromTimestampSeconds are kept as they are; every base and delta
+	 * snapshot at or after it is deleted and recreated at the same timestamp from the
+	 * re-ingested submissions. Corrections to submissions before fromTimestampSeconds are
+	 * carried by the first rebuilt delta, which recomputes those participants and
+	 * removes the ones left without any counted submission.
+	 * 
+	 * The rebuild is recorded on the contest (pendingRebuild) before anything is deleted
+	 * and cleared once every snapshot is recreated, so an interrupted rebuild is not lost:
+	 * the next call resumes it (the snapshot scheduler does so on startup and before its
+	 * next snapshot). Pending corrections are marked as applied only after a rebuild.
+	 * Only one rebuild of a contest runs at a time.
+	 * @param {number} contestId - Contest ID
+	 * @param {number|null} fromTimestampSeconds - First timestamp to rebuild (default: earliest pending correction or unfinished rebuild)
+	 * @param {boolean} fileMode - Use file storage instead of MongoDB (default: false)
+	 * @returns {Promise<Object>} Rebuild summary
+	 */
+	rebuildSnapshotsFrom (contestId, fromTimestampSeconds = null, fileMode = false) {
+		if (this.runningRebuilds.has(contestId)) {
+			return Promise.reject(new Error(`A snapshot rebuild of contest ${contestId} is already running`));
+		}
+		const rebuild = this.runRebuild(contestId, fromTimestampSeconds, fileMode)
+			.finally(() => this.runningRebuilds.delete(contestId));
+		this.runningRebuilds.set(contestId, rebuild);
+		return rebuild;
+	}
+	
+	/**
+	 * Get the rebuild running for a contest
+	 * @param {number} contestId - Contest ID
+	 * @returns {Promise<Object>|null} Running rebuild (resolves to its summary), or null
+	 */
+	getRunningRebuild (contestId) {
+		return this.runningRebuilds.get(contestId) || null;
+	}
+	
+	/**
+	 * Run a snapshot rebuild (see rebuildSnapshotsFrom)
+	 * @param {number} contestId - Contest ID
+	 * @param {number|null} fromTimestampSeconds - First timestamp to rebuild
+	 * @param {boolean} fileMode - Use file storage instead of MongoDB
+	 * @returns {Promise<Object>} Rebuild summary
+	 */
+	async runRebuild (contestId, fromTimestampSeconds, fileMode) {
+		const operationStartTime = Date.now();
+		const Models = getModels(fileMode);
+		
+		const [pendingCorrections, contest] = await Promise.all([
+			codeforcesDataService.getVerdictCorrections(contestId, true),
+			codeforcesDataService.getContestFromDB(contestId)
+		]);
+		// An unfinished rebuild already deleted its snapshots, so it is always resumed
+		const pendingRebuild = contest?.pendingRebuild?.fileMode === fileMode ? contest.pendingRebuild : null;
+		const requestedFrom = fromTimestampSeconds ?? (pendingCorrections.length > 0 ? pendingCorrections[0].relativeTimeSeconds : null);
+		const fromTimestamp = pendingRebuild
+			? Math.min(requestedFrom ?? pendingRebuild.fromTimestampSeconds, pendingRebuild.fromTimestampSeconds)
+			: requestedFrom;
+		if (fromTimestamp === null) {
+			logger.info(`[REBUILD SNAPSHOTS] No pending verdict corrections for contest ${contestId}, nothing to rebuild`);
+			return {
+				contestId,
+				fromTimestampSeconds: null,
+				corrections: 0,
+				baseSnapshots: 0,
+				deltaSnapshots: 0,
+				removedParticipants: 0,
+				resumed: false
+			};
+		}
+		
+		logger.info(`[REBUILD SNAPSHOTS] Rebuilding snapshots of contest ${contestId} from t=${fromTimestamp} (${pendingCorrections.length} pending correction(s)${pendingRebuild ? ', resuming an unfinished rebuild' : ''})`);
+		
+		const timestampQuery = { contestId, timestampSeconds: { $gte: fromTimestamp } };
+		const [baseSnapshots, deltaSnapshots] = await Promise.all([
+			Models.BaseSnapshots.find(timestampQuery).select('timestampSeconds').lean(),
+			Models.DeltaSnapshots.find(timestampQuery).select('timestampSeconds').lean()
+		]);
+		const scheduleByTimestamp = new Map();
+		for (const entry of (pendingRebuild?.schedule || []).filter(entry => entry.timestampSeconds >= fromTimestamp)) {
+			scheduleByTimestamp.set(entry.timestampSeconds, entry.type);
+		}
+		baseSnapshots.forEach(snapshot => scheduleByTimestamp.set(snapshot.timestampSeconds, 'BASE'));
+		deltaSnapshots.forEach(snapshot => scheduleByTimestamp.set(snapshot.timestampSeconds, 'DELTA'));
+		const schedule = Array.from(scheduleByTimestamp, ([timestampSeconds, type]) => ({ timestampSeconds, type }))
+			.sort((a, b) => a.timestampSeconds - b.timestampSeconds);
+		const baseCount = schedule.filter(entry => entry.type === 'BASE').length;
+		const deltaCount = schedule.length - baseCount;
+		
+		if (schedule.length === 0) {
+			logger.info(`[REBUILD SNAPSHOTS] Contest ${contestId} has no snapshots at or after t=${fromTimestamp}, nothing to rebuild`);
+			if (pendingRebuild) {
+				await codeforcesDataService.setPendingRebuild(contestId, null);
+			}
+			return {
+				contestId,
+				fromTimestampSeconds: fromTimestamp,
+				corrections: 0,
+				baseSnapshots: 0,
+				deltaSnapshots: 0,
+				removedParticipants: 0,
+				resumed: Boolean(pendingRebuild)
+			};
+		}
+		
+		// Record the rebuild before deleting anything, so an interruption can be resumed
+		const rebuild = {
+			fromTimestampSeconds: fromTimestamp,
+			schedule,
+			fileMode,
+			startedAt: pendingRebuild?.startedAt || new Date(),
+			lastError: pendingRebuild?.lastError || null
+		};
+		const recorded = await codeforcesDataService.setPendingRebuild(contestId, rebuild);
+		if (!recorded) {
+			logger.warn(`[REBUILD SNAPSHOTS] Contest ${contestId} is not in the Contests collection, an interrupted rebuild cannot be resumed automatically`);
+		}
+		
+		try {
+			await Promise.all([
+				Models.BaseSnapshots.deleteMany(timestampQuery),
+				Models.DeltaSnapshots.deleteMany(timestampQuery)
+			]);
+			standingsStateCache.invalidateContest(contestId);
+			logger.info(`[REBUILD SNAPSHOTS] Deleted ${baseSnapshots.length} base and ${deltaSnapshots.length} delta snapshot(s) at or after t=${fromTimestamp}`);
+			
+			// Kept history still shows the old verdicts of earlier corrected submissions. A base
+			// snapshot is rebuilt from scratch, so only a leading delta has to retract them.
+			const earlierCorrections = pendingCorrections.filter(correction => correction.relativeTimeSeconds < fromTimestamp);
+			let removedParticipants = 0;
+			
+			for (let i = 0; i < schedule.length; i++) {
+				const { timestampSeconds, type } = schedule[i];
+				if (type === 'BASE') {
+					await this.createBaseSnapshot(contestId, timestampSeconds, fileMode);
+				} else {
+					const snapshot = await this.createDeltaSnapshot(contestId, timestampSeconds, fileMode, {
+						corrections: i === 0 ? earlierCorrections : []
+					});
+					removedParticipants += (snapshot.changes || []).filter(change => change.op === 'REMOVE').length;
+				}
+			}
+			
+			await codeforcesDataService.markVerdictCorrectionsApplied(contestId);
+			await codeforcesDataService.setPendingRebuild(contestId, null);
+			
+			const operationDuration = Date.now() - operationStartTime;
+			logger.info(`[REBUILD SNAPSHOTS] ✓ Rebuilt ${baseCount} base and ${deltaCount} delta snapshot(s) for contest ${contestId}, ${removedParticipants} participant(s) removed (took ${operationDuration}ms)`);
+			
+			return {
+				contestId,
+				fromTimestampSeconds: fromTimestamp,
+				corrections: pendingCorrections.length,
+				baseSnapshots: baseCount,
+				deltaSnapshots: deltaCount,
+				removedParticipants,
+				resumed: Boolean(pendingRebuild)
+			};
+		} catch (error) {
+			logger.error(`[REBUILD SNAPSHOTS] Rebuild of contest ${contestId} from t=${fromTimestamp} failed, it stays pending: ${error.message}`);
+			if (recorded) {
+				await codeforcesDataService.setPendingRebuild(contestId, { ...rebuild, lastError: error.message }).catch(markerError => logger.error(`[REBUILD SNAPSHOTS] Error recording the failed rebuild of contest ${contestId}: ${markerError.message}`));
+			}
+			throw error;
+		}
+	}
+	
+	/**
+	 * Get the scoring rule for a contest (selected from the contest type)
+	 * @param {number} contestId - Contest ID
+	 * @returns {Promise<Object>} Scoring rule
+	 */
+	async getContestScoringRule (contestId) {
+		const contest = await codeforcesDataService.getContestFromDB(contestId);
+		return getScoringRule(contest);
+	}
+	
+	/**
+	 * Stream the events (submissions and hacks) of a contest in a time window, in chronological order
+	 * Only the submissions inside the window are read from the database.
+	 * @param {number} contestId - Contest ID
+	 * @param {number|null} fromExclusive - Start of window (relative seconds, exclusive), null for contest start
+	 * @param {number} toInclusive - End of window (relative seconds, inclusive)
+	 * @param {Object|null} contest - Contest (as returned by getContestFromDB), loaded if not given
+	 * @returns {AsyncGenerator<Object>} Events
+	 */
+	async * streamContestEvents (contestId, fromExclusive, toInclusive, contest = null) {
+		const contestInfo = contest || await codeforcesDataService.getContestFromDB(contestId);
+		const contestStartTimeSeconds = contestInfo?.startTimeSeconds ?? null;
+		
+		// Hacks are stored with absolute times; before the contest start they count as t=0
+		const hacks = contestStartTimeSeconds === null ? [] : await codeforcesDataService.getHacksInWindow(
+			contestId,
+			fromExclusive === null ? null : contestStartTimeSeconds + fromExclusive,
+			contestStartTimeSeconds + toInclusive
+		);
+		
+		yield * mergeEventStreams(
+			codeforcesDataService.iterateSubmissions(contestId, fromExclusive, toInclusive),
+			hacks,
+			contestStartTimeSeconds
+		);
+	}
+	
+	/**
+	 * Replay the events of a time window onto participant states while streaming them
+	 * @param {Map} stateMap - participantKey -> state (updated in place)
+	 * @param {number} contestId - Contest ID
+	 * @param {number|null} fromExclusive - Start of window (relative seconds, exclusive), null for contest start
+	 * @param {number} toInclusive - End of window (relative seconds, inclusive)
+	 * @param {Object} context - Replay context (see replayEvents)
+	 * @param {Object} options - Optional settings
+	 * @param {Object} options.contest - Contest (as returned by getContestFromDB), loaded if not given
+	 * @param {Function} options.filter - Only replay events for which filter(event) is true
+	 * @returns {Promise<Object>} { eventCount, submissionCount, hackCount, touched }
+	 */
+	async replayEventWindow (stateMap, contestId, fromExclusive, toInclusive, context, options = {}) {
+		const { contest = null, filter = null } = options;
+		const touched = new Set();
+		let submissionCount = 0;
+		let hackCount = 0;
+		let chunk = [];
+		
+		const flush = () => {
+			for (const participantKey of replayEvents(stateMap, chunk, context)) {
+				touched.add(participantKey);
+			}
+			chunk = [];
+		};
+		
+		for await (const event of this.streamContestEvents(contestId, fromExclusive, toInclusive, contest)) {
+			if (filter && !filter(event)) {
+				continue;
+			}
+			if (event.type === EVENT_TYPE.SUBMISSION) {
+				submissionCount++;
+			} else {
+				hackCount++;
+			}
+			chunk.push(event);
+			if (chunk.length >= REPLAY_CHUNK_SIZE) {
+				flush();
+			}
+		}
+		flush();
+		
+		return { eventCount: submissionCount + hackCount, submissionCount, hackCount, touched };
+	}
+	
+	/**
+	 * Create base and delta snapshots in one forward pass over the submissions
+	 * The submissions up to the last timestamp are streamed once and replayed; at each
+	 * timestamp the current state is saved as a base snapshot, or the participants
+	 * touched since the previous snapshot are diffed into a delta. The first delta
+	 * continues the stored chain (like createDeltaSnapshot); a delta without any
+	 * snapshot before it becomes a base. A snapshot that fails to save is reported and
+	 * its changes go into the next one. Contest events are recorded at each snapshot.
+	 * @param {number} contestId - Contest ID
+	 * @param {Array<number>} baseTimestamps - Base snapshot timestamps (relative to contest start)
+	 * @param {Array<number>} deltaTimestamps - Delta snapshot timestamps (relative to contest start)
+	 * @param {boolean} fileMode - Use file storage instead of MongoDB (default: false)
+	 * @param {Object} hooks - Optional callbacks (used by background jobs)
+	 * @param {Function} hooks.onProgress - Called after each snapshot with (done, total, timestampSeconds)
+	 * @param {Function} hooks.shouldStop - Checked before each snapshot; returning true ends the pass early
+	 * @returns {Promise<Object>} { base: [...], delta: [...], errors: [...], stopped }
+	 */
+	async createSnapshotsInPass (contestId, baseTimestamps, deltaTimestamps, fileMode = false, hooks = {}) {
+		const { onProgress = null, shouldStop = null } = hooks;
+		const operationStartTime = Date.now();
+		const Models = getModels(fileMode);
+		const baseTimestampSet = new Set(baseTimestamps);
+		const timestamps = Array.from(new Set([...baseTimestamps, ...deltaTimestamps])).sort((a, b) => a - b);
+		const created = { base: [], delta: [], errors: [], stopped: false };
+		if (timestamps.length === 0) {
+			return created;
+		}
+		
+		logger.info(`[SNAPSHOT PASS] Creating ${baseTimestamps.length} base and ${deltaTimestamps.length} delta snapshot(s) for contest ${contestId} in one pass up to t=${timestamps[timestamps.length - 1]}`);
+		
+		const [contest, problems] = await Promise.all([
+			codeforcesDataService.getContestFromDB(contestId),
+			codeforcesDataService.getProblemsFromDB(contestId)
+		]);
+		const context = {
+			contestId,
+			rule: getScoringRule(contest),
+			problemPointsMap: new Map(problems.map(problem => [problem.index, problem.points ?? null])),
+			problemSubtasksMap: buildProblemSubtasksMap(problems),
+			verdictMode: getVerdictMode(contest)
+		};
+		
+		// Stored state at the previous snapshot, which the next delta is diffed against
+		let previous = await this.findLastSnapshot(contestId, timestamps[0], fileMode);
+		const chainStateMap = previous ? await this.loadSnapshotState(contestId, previous, fileMode) : new Map();
+		const replayStateMap = new Map();
+		let touched = new Set();
+		
+		// Contest events are detected at each snapshot; the summary of one snapshot is compared with the next
+		const eventContext = { contest, rule: context.rule, problemCount: problems.length };
+		let eventSummary = null;
+		const recordEvents = async (timestampSeconds, states) => {
+			eventSummary = await contestEventService.recordSnapshotEvents(
+				contestId,
+				previous?.timestampSeconds ?? null,
+				timestampSeconds,
+				eventSummary ? null : chainStateMap.values(),
+				states,
+				{ previousSummary: eventSummary, context: eventContext }
+			);
+		};
+		
+		const takeSnapshot = async (timestampSeconds) => {
+			const isBase = baseTimestampSet.has(timestampSeconds) || !previous;
+			try {
+				if (isBase) {
+					// Copies: the replay keeps updating its problem entries in place
+					const participants = Array.from(replayStateMap.values()).map(state => structuredClone(toSnapshotParticipant(state)));
+					const snapshot = await Models.BaseSnapshots.create({
+						contestId,
+						timestampSeconds,
+						snapshotType: 'BASE',
+						participants,
+						participantCount: participants.length,
+						stateHash: computeStateHash(participants),
+						createdAt: new Date()
+					});
+					standingsStateCache.invalidateContest(contestId);
+					await recordEvents(timestampSeconds, participants);
+					chainStateMap.clear();
+					for (const participant of participants) {
+						chainStateMap.set(getStateKey(participant), participant);
+					}
+					previous = { timestampSeconds, baseTimestamp: timestampSeconds, type: 'BASE' };
+					created.base.push({
+						timestampSeconds,
+						snapshotId: snapshot._id,
+						participantCount: snapshot.participantCount,
+						createdAt: snapshot.createdAt
+					});
+				} else {
+					const changes = [];
+					const nextStates = new Map();
+					for (const participantKey of touched) {
+						const change = buildParticipantChange(participantKey, chainStateMap.get(participantKey), replayStateMap.get(participantKey));
+						if (change) {
+							changes.push(structuredClone(change));
+							nextStates.set(participantKey, applyParticipantChange(chainStateMap.get(participantKey), changes[changes.length - 1]));
+						}
+					}
+					const baseSnapshotTimestamp = previous.baseTimestamp ?? previous.timestampSeconds;
+					const stateAfter = Array.from(chainStateMap.entries())
+						.filter(([participantKey]) => !nextStates.has(participantKey))
+						.map(([, state]) => state)
+						.concat(Array.from(nextStates.values()));
+					const snapshot = await Models.DeltaSnapshots.create({
+						contestId,
+						timestampSeconds,
+						snapshotType: 'DELTA',
+						baseSnapshotTimestamp,
+						previousSnapshotTimestamp: previous.timestampSeconds,
+						changes,
+						changeCount: changes.length,
+						stateHash: computeStateHash(stateAfter),
+						corrections: [],
+						createdAt: new Date()
+					});
+					standingsStateCache.invalidateContest(contestId);
+					await recordEvents(timestampSeconds, stateAfter);
+					for (const [participantKey, state] of nextStates) {
+						chainStateMap.set(participantKey, state);
+					}
+					previous = { timestampSeconds, baseTimestamp: baseSnapshotTimestamp, type: 'DELTA' };
+					created.delta.push({
+						timestampSeconds,
+						snapshotId: snapshot._id,
+						changeCount: snapshot.changeCount,
+						baseSnapshotTimestamp,
+						createdAt: snapshot.createdAt
+					});
+				}
+				touched = new Set();
+			} catch (error) {
+				logger.error(`[SNAPSHOT PASS] Error creating ${isBase ? 'base' : 'delta'} snapshot at timestamp ${timestampSeconds}: ${error.message}`);
+				created.errors.push({
+					timestampSeconds,
+					type: isBase ? 'BASE' : 'DELTA',
+					error: error.message
+				});
+			}
+			
+			const progress = created.base.length + created.delta.length + created.errors.length;
+			if (progress % 10 === 0 || progress === timestamps.length) {
+				logger.info(`[SNAPSHOT PASS] Created snapshot at timestamp ${timestampSeconds} (${progress}/${timestamps.length})`);
+			}
+			if (onProgress) {
+				await onProgress(progress, timestamps.length, timestampSeconds);
+			}
+		};
+		const stopRequested = () => {
+			if (shouldStop && shouldStop()) {
+				created.stopped = true;
+			}
+			return created.stopped;
+		};
+		
+		let chunk = [];
+		const flush = () => {
+			for (const participantKey of replayEvents(replayStateMap, chunk, context)) {
+				touched.add(participantKey);
+			}
+			chunk = [];
+		};
+		
+		let index = 0;
+		let eventCount = 0;
+		for await (const event of this.streamContestEvents(contestId, null, timestamps[timestamps.length - 1], contest)) {
+			while (index < timestamps.length && event.relativeTimeSeconds > timestamps[index] && !stopRequested()) {
+				flush();
+				await takeSnapshot(timestamps[index++]);
+			}
+			if (created.stopped) {
+				break;
+			}
+			chunk.push(event);
+			eventCount++;
+			if (chunk.length >= REPLAY_CHUNK_SIZE) {
+				flush();
+			}
+		}
+		flush();
+		while (index < timestamps.length && !stopRequested()) {
+			await takeSnapshot(timestamps[index++]);
+		}
+		if (created.stopped) {
+			logger.info(`[SNAPSHOT PASS] Stopped before timestamp ${timestamps[index]} (${index}/${timestamps.length} snapshot(s) done)`);
+		}
+		
+		logger.info(`[SNAPSHOT PASS] ✓ Created ${created.base.length} base and ${created.delta.length} delta snapshot(s) for contest ${contestId} from ${eventCount} events, ${created.errors.length} error(s) (took ${Date.now() - operationStartTime}ms)`);
+		return created;
+	}
+	
+	/**
+	 * Plan snapshot timestamps from the submission timeline of a contest
+	 * @param {number} contestId - Contest ID
+	 * @param {number} startTimestamp - First snapshot (a base), relative to contest start
+	 * @param {number} endTimestamp - Last timestamp covered
+	 * @param {Object} options - Planner options (see DEFAULT_ADAPTIVE_OPTIONS)
+	 * @returns {Promise<Object>} Adaptive snapshot plan
+	 */
+	async planAdaptiveSnapshots (contestId, startTimestamp, endTimestamp, options = {}) {
+		const activity = [];
+		for await (const event of this.streamContestEvents(contestId, startTimestamp, endTimestamp)) {
+			activity.push({
+				timeSeconds: event.relativeTimeSeconds,
+				participantKeys: eventParticipantKeys(event)
+			});
+		}
+		const plan = planAdaptiveSnapshots(activity, startTimestamp, endTimestamp, options);
+		logger.info(`[PLAN SNAPSHOTS] Planned ${plan.summary.baseCount} base and ${plan.summary.deltaCount} delta snapshot(s) for contest ${contestId} from ${activity.length} events (worst-case replay: ${plan.summary.worstCaseReplayChanges} changes, ${plan.bursts.length} burst(s))`);
+		return plan;
+	}
+
 	/**
 	 * Get base snapshot at or before given timestamp
 	 * @param {number} contestId - Contest ID
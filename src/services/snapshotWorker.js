@@ -0,0 +1,39 @@
+/**
+ * Snapshot Worker
+ * Worker thread of snapshotWorkerPool: replays the events of one partition per session
+ *
+ * Messages: { requestId, action, sessionId, ... } with action
+ * - start: { spec, partition, partitionCount } opens a session
+ * - events: { events: [[position, event]] } replays events in the session
+ * - finish: closes the session and replies with its partition result
+ * - abort: closes the session without a result
+ * Every message is answered with { requestId, result } or { requestId, error }.
+ */
+
+import { parentPort } from 'worker_threads';
+import { createPartitionReplay } from './snapshotPartition.js';
+
+const sessions = new Map();
+
+parentPort.on('message', message => {
+	const { requestId, action, sessionId } = message;
+	try {
+		let result = null;
+		if (action === 'start') {
+			sessions.set(sessionId, createPartitionReplay(message.spec, message.partition, message.partitionCount));
+		} else if (action === 'events') {
+			sessions.get(sessionId).replay(message.events);
+		} else if (action === 'finish') {
+			result = sessions.get(sessionId).finish();
+			sessions.delete(sessionId);
+		} else if (action === 'abort') {
+			sessions.delete(sessionId);
+		} else {
+			throw new Error(`Unknown action: ${action}`);
+		}
+		parentPort.postMessage({ requestId, result });
+	} catch (error) {
+		sessions.delete(sessionId);
+		parentPort.postMessage({ requestId, error: error.message });
+	}
+});
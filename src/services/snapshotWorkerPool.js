@@ -0,0 +1,186 @@
+import { Worker } from 'worker_threads';
+import { EVENT_TYPE } from './eventStream.js';
+import { eventPartitions, mergePartitionResults } from './snapshotPartition.js';
+
+const WORKER_URL = new URL('./snapshotWorker.js', import.meta.url);
+
+// Events sent to a worker per message
+const EVENTS_PER_MESSAGE = 1000;
+
+// Messages a worker may have queued before the stream waits for it
+const MAX_MESSAGES_IN_FLIGHT = 4;
+
+/**
+ * Snapshot Worker Pool
+ * Replays the events of a contest on several worker threads
+ *
+ * The main thread streams the events and sends each one to the partitions of the
+ * participants it involves (see snapshotPartition); every worker replays one
+ * partition. The partition results are merged in the order of the sequential
+ * replay, so snapshots built from them are identical to sequentially built ones.
+ * Workers are started on first use, kept for later builds, and do not keep the
+ * process alive while idle.
+ */
+class SnapshotWorkerPool {
+	constructor () {
+		this.workers = [];
+		this.pending = new Map();
+		this.nextRequestId = 1;
+		this.nextSessionId = 1;
+		this.activeSessions = 0;
+	}
+
+	/**
+	 * Replay an event stream across worker threads
+	 * @param {AsyncIterable|Iterable} events - Events in chronological order
+	 * @param {Object} spec - Replay settings (see createPartitionReplay)
+	 * @param {number} concurrency - Number of worker threads (>= 1)
+	 * @returns {Promise<Object>} { states: [state] in creation order, submissionCount, hackCount, defaultPointsProblems }
+	 */
+	async replay (events, spec, concurrency) {
+		const workers = this.acquire(concurrency);
+		const sessionId = this.nextSessionId++;
+		const buffers = workers.map(() => []);
+		const inFlight = workers.map(() => []);
+		let failure = null;
+		let submissionCount = 0;
+		let hackCount = 0;
+
+		const send = async (partition) => {
+			const request = this.request(workers[partition], { action: 'events', sessionId, events: buffers[partition] })
+				.catch(error => {
+					failure = failure || error;
+				});
+			buffers[partition] = [];
+			inFlight[partition].push(request);
+			if (inFlight[partition].length > MAX_MESSAGES_IN_FLIGHT) {
+				await inFlight[partition].shift();
+			}
+			if (failure) {
+				throw failure;
+			}
+		};
+
+		this.activeSessions++;
+		workers.forEach(worker => worker.ref());
+		try {
+			await Promise.all(workers.map((worker, partition) => this.request(worker, {
+				action: 'start',
+				sessionId,
+				spec,
+				partition,
+				partitionCount: workers.length
+			})));
+
+			let position = 0;
+			for await (const event of events) {
+				if (event.type === EVENT_TYPE.SUBMISSION) {
+					submissionCount++;
+				} else {
+					hackCount++;
+				}
+				for (const partition of eventPartitions(event, workers.length)) {
+					buffers[partition].push([position, event]);
+					if (buffers[partition].length >= EVENTS_PER_MESSAGE) {
+						await send(partition);
+					}
+				}
+				position++;
+			}
+
+			for (let partition = 0; partition < workers.length; partition++) {
+				if (buffers[partition].length > 0) {
+					await send(partition);
+				}
+			}
+			await Promise.all(inFlight.flat());
+			if (failure) {
+				throw failure;
+			}
+
+			const results = await Promise.all(workers.map(worker => this.request(worker, { action: 'finish', sessionId })));
+			return { ...mergePartitionResults(results), submissionCount, hackCount };
+		} catch (error) {
+			await Promise.allSettled(workers.map(worker => this.request(worker, { action: 'abort', sessionId })));
+			throw error;
+		} finally {
+			this.activeSessions--;
+			if (this.activeSessions === 0) {
+				this.workers.forEach(worker => worker.unref());
+			}
+		}
+	}
+
+	/**
+	 * Get the first workers of the pool, starting missing ones
+	 * @param {number} count - Number of workers
+	 * @returns {Array<Worker>} Workers
+	 */
+	acquire (count) {
+		while (this.workers.length < count) {
+			const worker = new Worker(WORKER_URL);
+			worker.unref();
+			worker.on('message', ({ requestId, result, error }) => {
+				const request = this.pending.get(requestId);
+				if (!request) {
+					return;
+				}
+				this.pending.delete(requestId);
+				if (error) {
+					request.reject(new Error(error));
+				} else {
+					request.resolve(result);
+				}
+			});
+			worker.on('error', error => this.discard(worker, error));
+			worker.on('exit', code => this.discard(worker, new Error(`Snapshot worker exited with code ${code}`)));
+			this.workers.push(worker);
+		}
+		return this.workers.slice(0, count);
+	}
+
+	/**
+	 * Send a message to a worker and wait for its reply
+	 * @param {Worker} worker - Worker
+	 * @param {Object} message - Message ({ action, sessionId, ... })
+	 * @returns {Promise<*>} Reply result
+	 */
+	request (worker, message) {
+		if (!this.workers.includes(worker)) {
+			return Promise.reject(new Error('Snapshot worker is no longer running'));
+		}
+		const requestId = this.nextRequestId++;
+		return new Promise((resolve, reject) => {
+			this.pending.set(requestId, { resolve, reject, worker });
+			worker.postMessage({ ...message, requestId });
+		});
+	}
+
+	/**
+	 * Remove a failed worker and fail its pending requests
+	 * @param {Worker} worker - Worker
+	 * @param {Error} error - Failure
+	 */
+	discard (worker, error) {
+		this.workers = this.workers.filter(other => other !== worker);
+		for (const [requestId, request] of this.pending) {
+			if (request.worker === worker) {
+				this.pending.delete(requestId);
+				request.reject(error);
+			}
+		}
+	}
+
+	/**
+	 * Stop all workers
+	 * @returns {Promise<void>}
+	 */
+	async close () {
+		const workers = this.workers;
+		this.workers = [];
+		await Promise.all(workers.map(worker => worker.terminate()));
+	}
+}
+
+// Export singleton instance
+export const snapshotWorkerPool = new SnapshotWorkerPool();
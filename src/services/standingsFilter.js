@@ -0,0 +1,107 @@
+/**
+ * Standings Filter
+ * Selects participants of ranked standings (handle search, participant type, handle
+ * list, country and organization) and ranks them globally or within the selection
+ */
+
+import { assignSharedRanks } from './standingsStateUpdate.js';
+
+export const PARTICIPANT_TYPES = Object.freeze(['CONTESTANT', 'VIRTUAL', 'OUT_OF_COMPETITION', 'PRACTICE']);
+
+export const RANK_SCOPE = Object.freeze({
+	GLOBAL: 'global', // Ranks among all participants
+	FILTERED: 'filtered' // Ranks among the selected participants
+});
+
+/**
+ * Check whether a filter selects anything less than all participants
+ * @param {Object} filter - Standings filter
+ * @returns {boolean} True if any criterion is set
+ */
+export function hasStandingsFilter (filter = {}) {
+	return Boolean(filter.handleContains || filter.participantTypes?.length || filter.handles?.length ||
+		filter.country || filter.organization);
+}
+
+/**
+ * Check whether a filter needs participant profiles
+ * @param {Object} filter - Standings filter
+ * @returns {boolean} True if it filters by country or organization
+ */
+export function needsProfiles (filter = {}) {
+	return Boolean(filter.country || filter.organization);
+}
+
+/**
+ * Validate a standings filter
+ * @param {Object} filter - Standings filter
+ * @param {string} filter.handleContains - Handle substring (case-insensitive)
+ * @param {Array<string>} filter.participantTypes - Participant types
+ * @param {Array<string>} filter.handles - Handles (case-insensitive)
+ * @param {string} filter.country - Country of the participant profile
+ * @param {string} filter.organization - Organization of the participant profile
+ * @param {string} filter.rankScope - One of RANK_SCOPE
+ * @returns {string|null} Error message, or null if valid
+ */
+export function validateStandingsFilter (filter = {}) {
+	const invalidType = (filter.participantTypes || []).find(type => !PARTICIPANT_TYPES.includes(type));
+	if (invalidType) {
+		return `participantTypes must be among: ${PARTICIPANT_TYPES.join(', ')} (got ${invalidType})`;
+	}
+	if (filter.rankScope && !Object.values(RANK_SCOPE).includes(filter.rankScope)) {
+		return `rankScope must be one of: ${Object.values(RANK_SCOPE).join(', ')}`;
+	}
+	return null;
+}
+
+/**
+ * Build the predicate of a filter
+ * Teams match when any member matches the handle criteria or the profile criteria.
+ * @param {Object} filter - Standings filter (see validateStandingsFilter)
+ * @param {Set<string>|null} profileHandles - Lowercase handles matching the country/organization filter
+ * @returns {Function} (state) => boolean
+ */
+export function buildParticipantFilter (filter = {}, profileHandles = null) {
+	const handleContains = filter.handleContains?.toLowerCase() || null;
+	const participantTypes = filter.participantTypes?.length ? new Set(filter.participantTypes) : null;
+	const handles = filter.handles?.length ? new Set(filter.handles.map(handle => handle.toLowerCase())) : null;
+	const byProfile = needsProfiles(filter);
+
+	return (state) => {
+		const memberHandles = (state.handles?.length ? state.handles : [state.handle]).filter(Boolean).map(handle => handle.toLowerCase());
+		if (participantTypes && !participantTypes.has(state.participantType || 'CONTESTANT')) {
+			return false;
+		}
+		if (handleContains && !memberHandles.some(handle => handle.includes(handleContains)) &&
+			!(state.teamName || '').toLowerCase().includes(handleContains)) {
+			return false;
+		}
+		if (handles && !memberHandles.some(handle => handles.has(handle))) {
+			return false;
+		}
+		if (byProfile && !memberHandles.some(handle => profileHandles?.has(handle))) {
+			return false;
+		}
+		return true;
+	};
+}
+
+/**
+ * Select participants of ranked standings
+ * Returns copies with the global rank kept in globalRank/globalRankEnd; with the filtered
+ * scope, rank/rankEnd are recomputed among the selected participants (ties as in the standings).
+ * @param {Array} participants - Participants sorted and ranked (see assignSharedRanks)
+ * @param {Function} predicate - Participant filter (see buildParticipantFilter)
+ * @param {string} rankScope - One of RANK_SCOPE
+ * @param {Object} rule - Scoring rule
+ * @returns {Array} Selected participants, in standings order
+ */
+export function filterRankedParticipants (participants, predicate, rankScope, rule) {
+	const selected = participants
+		.filter(predicate)
+		.map(participant => ({ ...participant, globalRank: participant.rank, globalRankEnd: participant.rankEnd }));
+	if (rankScope === RANK_SCOPE.FILTERED) {
+		assignSharedRanks(selected, rule);
+	}
+	return selected;
+}
@@ -0,0 +1,215 @@
+import { environmentVariablesConfig } from '../config/appConfig.js';
+
+/**
+ * Standings State Cache
+ * Participant states rebuilt from snapshots, and their sorted standings, kept in memory
+ * per contest and snapshot timestamp
+ *
+ * The size of the cache is the number of participant states it holds (states plus
+ * sorted copies), bounded by STANDINGS_CACHE_MAX_PARTICIPANTS; the least recently used
+ * entries are evicted first. Cached states are shared: callers replace participants in a
+ * copy of the map and never modify the states themselves. Entries of a contest are
+ * dropped whenever snapshots of the contest are created or deleted.
+ */
+class StandingsStateCache {
+	/**
+	 * @param {number} maxParticipants - Most participant states held
+	 */
+	constructor (maxParticipants = environmentVariablesConfig.standingsCacheMaxParticipants) {
+		this.maxParticipants = maxParticipants;
+		this.entries = new Map(); // key -> entry, least recently used first
+		this.participantCount = 0;
+		this.generations = new Map(); // contestId -> invalidation count, so states loaded before an invalidation are not cached
+		this.stats = { hits: 0, misses: 0, rollForwards: 0, evictions: 0, invalidations: 0 };
+	}
+
+	/**
+	 * Build the key of an entry
+	 * @param {number} contestId - Contest ID
+	 * @param {boolean} fileMode - File storage or MongoDB
+	 * @param {number} timestampSeconds - Snapshot timestamp
+	 * @returns {string} Key
+	 */
+	key (contestId, fileMode, timestampSeconds) {
+		return `${fileMode ? 'file' : 'db'}:${contestId}:${timestampSeconds}`;
+	}
+
+	/**
+	 * Get the state at a snapshot
+	 * @param {number} contestId - Contest ID
+	 * @param {boolean} fileMode - File storage or MongoDB
+	 * @param {number} timestampSeconds - Snapshot timestamp
+	 * @returns {Object|null} Entry { contestId, fileMode, timestampSeconds, state, sorted }, or null on a miss
+	 */
+	get (contestId, fileMode, timestampSeconds) {
+		const key = this.key(contestId, fileMode, timestampSeconds);
+		const entry = this.entries.get(key);
+		if (!entry) {
+			this.stats.misses++;
+			return null;
+		}
+		this.stats.hits++;
+		this.entries.delete(key);
+		this.entries.set(key, entry);
+		return entry;
+	}
+
+	/**
+	 * Find the latest cached state a later snapshot can roll forward from
+	 * @param {number} contestId - Contest ID
+	 * @param {boolean} fileMode - File storage or MongoDB
+	 * @param {number} fromTimestamp - Earliest usable snapshot (the base snapshot of the target, inclusive)
+	 * @param {number} toTimestamp - Target snapshot (exclusive)
+	 * @returns {Object|null} Entry, or null if none is cached in the range
+	 */
+	findLatestBefore (contestId, fileMode, fromTimestamp, toTimestamp) {
+		let latest = null;
+		for (const entry of this.entries.values()) {
+			if (entry.contestId === contestId && entry.fileMode === fileMode &&
+				entry.timestampSeconds >= fromTimestamp && entry.timestampSeconds < toTimestamp &&
+				(!latest || entry.timestampSeconds > latest.timestampSeconds)) {
+				latest = entry;
+			}
+		}
+		if (latest) {
+			this.stats.rollForwards++;
+		}
+		return latest;
+	}
+
+	/**
+	 * Get the invalidation generation of a contest
+	 * Read before loading a state and pass it to set().
+	 * @param {number} contestId - Contest ID
+	 * @returns {number} Generation
+	 */
+	getGeneration (contestId) {
+		return this.generations.get(contestId) || 0;
+	}
+
+	/**
+	 * Cache the state at a snapshot
+	 * States larger than the whole cache, or loaded before the contest was invalidated,
+	 * are returned without being cached.
+	 * @param {number} contestId - Contest ID
+	 * @param {boolean} fileMode - File storage or MongoDB
+	 * @param {number} timestampSeconds - Snapshot timestamp
+	 * @param {Map} state - participantKey -> participant state (owned by the cache from now on)
+	 * @param {number} generation - Generation of the contest when loading started (see getGeneration)
+	 * @returns {Object} Entry
+	 */
+	set (contestId, fileMode, timestampSeconds, state, generation) {
+		const key = this.key(contestId, fileMode, timestampSeconds);
+		const entry = { contestId, fileMode, timestampSeconds, state, sorted: new Map(), size: state.size, cached: false };
+		if (entry.size <= this.maxParticipants && generation === this.getGeneration(contestId)) {
+			this.remove(key);
+			entry.cached = true;
+			this.entries.set(key, entry);
+			this.participantCount += entry.size;
+			this.evict(key);
+		}
+		return entry;
+	}
+
+	/**
+	 * Get a sorted variant of an entry, building it on first use
+	 * @param {Object} entry - Entry
+	 * @param {string} variant - Variant name (e.g. official or all participants)
+	 * @param {Function} build - Returns the sorted participants (copies, ranks assigned)
+	 * @returns {Array} Sorted participants (shared: do not modify)
+	 */
+	getSorted (entry, variant, build) {
+		let sorted = entry.sorted.get(variant);
+		if (!sorted) {
+			sorted = build();
+			entry.sorted.set(variant, sorted);
+			entry.size += sorted.length;
+			if (entry.cached) {
+				this.participantCount += sorted.length;
+				this.evict(this.key(entry.contestId, entry.fileMode, entry.timestampSeconds));
+			}
+		}
+		return sorted;
+	}
+
+	/**
+	 * Evict least recently used entries until the cache fits
+	 * @param {string} keepKey - Entry that is in use and stays
+	 */
+	evict (keepKey) {
+		for (const key of this.entries.keys()) {
+			if (this.participantCount <= this.maxParticipants) {
+				break;
+			}
+			if (key !== keepKey) {
+				this.remove(key);
+				this.stats.evictions++;
+			}
+		}
+	}
+
+	/**
+	 * Remove an entry
+	 * @param {string} key - Key
+	 */
+	remove (key) {
+		const entry = this.entries.get(key);
+		if (entry) {
+			this.entries.delete(key);
+			entry.cached = false;
+			this.participantCount -= entry.size;
+		}
+	}
+
+	/**
+	 * Drop every entry of a contest (both storage modes)
+	 * @param {number} contestId - Contest ID
+	 */
+	invalidateContest (contestId) {
+		this.generations.set(contestId, this.getGeneration(contestId) + 1);
+		let removed = 0;
+		for (const [key, entry] of this.entries) {
+			if (entry.contestId === contestId) {
+				this.remove(key);
+				removed++;
+			}
+		}
+		if (removed > 0) {
+			this.stats.invalidations++;
+		}
+	}
+
+	/**
+	 * Drop every entry
+	 */
+	clear () {
+		this.entries.clear();
+		this.participantCount = 0;
+	}
+
+	/**
+	 * Get cache statistics
+	 * @param {number|null} contestId - Also list the cached snapshot timestamps of this contest
+	 * @returns {Object} { hits, misses, hitRate, rollForwards, evictions, invalidations, entries, participants, maxParticipants, contestTimestamps }
+	 */
+	getStats (contestId = null) {
+		const lookups = this.stats.hits + this.stats.misses;
+		const stats = {
+			...this.stats,
+			hitRate: lookups > 0 ? this.stats.hits / lookups : null,
+			entries: this.entries.size,
+			participants: this.participantCount,
+			maxParticipants: this.maxParticipants
+		};
+		if (contestId !== null) {
+			stats.contestTimestamps = Array.from(this.entries.values())
+				.filter(entry => entry.contestId === contestId)
+				.map(entry => entry.timestampSeconds)
+				.sort((a, b) => a - b);
+		}
+		return stats;
+	}
+}
+
+// Export singleton instance
+export const standingsStateCache = new StandingsStateCache();
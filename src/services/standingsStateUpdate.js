@@ -4,21 +4,36 @@
  * 
  * This module provides deterministic state update functions that process
  * submissions and hacks to maintain participant standings state.
+ * Contest-type specific scoring (CF, ICPC, IOI) is delegated to a scoring rule
+ * (see scoringRules.js); functions default to the Codeforces rule.
  */
 
+import { DEFAULT_SCORING_RULE, scorePartialSubmission } from './scoringRules.js';
+import { isCountedVerdict, PENDING_VERDICT } from './verdictPolicy.js';
+
 /**
  * Process a submission event and update participant state
  * @param {Object} state - Current participant state
  * @param {Object} submission - Submission event
  * @param {string} submission.problemIndex - Problem index (e.g., "A", "B")
- * @param {string} submission.verdict - Verdict ("OK", "WRONG_ANSWER", etc.)
+ * @param {string} submission.verdict - Verdict ("OK", "WRONG_ANSWER", etc.); compile errors and skipped submissions are ignored,
+ *   PENDING_VERDICT counts the submission as waiting for system tests
  * @param {number} submission.relativeTimeSeconds - Time relative to contest start (seconds)
  * @param {number} submission.points - Points awarded for this problem (if solved)
+ * @param {number|null} submission.score - Points reported for this submission (partial scoring)
+ * @param {number|null} submission.passedTestCount - Number of passed tests (partial scoring, first test rejections), null if unknown
+ * @param {Array} submission.subtasks - Problem subtasks [{ testCount, points }] (partial scoring)
+ * @param {Object} rule - Scoring rule (default: Codeforces rule)
  * @returns {Object} Updated state
  */
-export function processSubmission(state, submission) {
+export function processSubmission(state, submission, rule = DEFAULT_SCORING_RULE) {
 	const { problemIndex, verdict, relativeTimeSeconds, points } = submission;
 	
+	// Compile errors, skipped and not yet judged submissions are not attempts
+	if (!isCountedVerdict(verdict)) {
+		return state;
+	}
+	
 	// Ensure problems is a Map (convert from object if needed)
 	if (!(state.problems instanceof Map)) {
 		state.problems = new Map(
@@ -30,28 +45,37 @@ export function processSubmission(state, submission) {
 	const problem = state.problems.get(problemIndex) || {
 		solved: false,
 		points: 0,
+		penalty: 0,
 		rejectCount: 0,
 		solveTime: null,
 		firstAttemptTime: relativeTimeSeconds
 	};
 	
-	if (verdict === 'OK' && !problem.solved) {
-		// First accepted submission
+	if (verdict === PENDING_VERDICT) {
+		// Accepted on pretests, waiting for system tests: neither an attempt nor a solve yet
+		if (!problem.solved) {
+			problem.pendingSystemTestCount = (problem.pendingSystemTestCount || 0) + 1;
+			state.problems.set(problemIndex, problem);
+		}
+	} else if (rule.partialScoring) {
+		processPartialSubmission(state, problem, submission, rule);
+		state.problems.set(problemIndex, problem);
+	} else if (verdict === 'OK' && !problem.solved) {
+		// First accepted submission - points and penalty depend on the contest rules
+		problem.points = rule.scoreSolve(problem, { ...submission, points: points || 0 });
+		problem.penalty = rule.penaltyForSolve(problem, relativeTimeSeconds);
 		problem.solved = true;
-		problem.points = points || 0;
 		problem.solveTime = relativeTimeSeconds;
 		
 		// Update totals
 		state.totalPoints += problem.points;
-		// Penalty calculation: rejected attempts * 20 minutes + submission time in minutes
-		// Codeforces uses 20 minutes penalty per failed attempt
-		state.totalPenalty += problem.rejectCount * 20 + Math.floor(relativeTimeSeconds / 60);
+		state.totalPenalty += problem.penalty;
 		state.solvedCount += 1;
 		state.lastAcTime = Math.max(state.lastAcTime || 0, relativeTimeSeconds);
 		
 		state.problems.set(problemIndex, problem);
-	} else if (verdict !== 'OK' && !problem.solved) {
-		// Failed attempt (only count if not already solved)
+	} else if (verdict !== 'OK' && !problem.solved && rule.countsRejection(submission)) {
+		// Failed attempt (only count if not already solved, and if the rule counts it)
 		problem.rejectCount += 1;
 		// Update firstAttemptTime if this is the first attempt
 		if (problem.firstAttemptTime === null || problem.firstAttemptTime === undefined) {
@@ -67,52 +91,267 @@ export function processSubmission(state, submission) {
 }
 
 /**
- * Process a hack event and update participant state
+ * Apply a submission to a problem under partial scoring
+ * The problem keeps the best score per subtask (or overall without subtasks),
+ * and the participant total is the sum of the problem bests.
  * @param {Object} state - Current participant state
+ * @param {Object} problem - Problem state (updated in place)
+ * @param {Object} submission - Submission event (see processSubmission)
+ * @param {Object} rule - Scoring rule
+ */
+function processPartialSubmission (state, problem, submission, rule) {
+	const { verdict, relativeTimeSeconds, points } = submission;
+	const { score, subtaskScores } = scorePartialSubmission(submission);
+
+	let bestScore = Math.max(problem.points || 0, score);
+	if (subtaskScores.length > 0) {
+		const previous = problem.subtaskScores || [];
+		problem.subtaskScores = subtaskScores.map((subtaskScore, i) => Math.max(previous[i] || 0, subtaskScore));
+		bestScore = problem.subtaskScores.reduce((sum, subtaskScore) => sum + subtaskScore, 0);
+	}
+
+	problem.bestPassedTestCount = Math.max(problem.bestPassedTestCount || 0, submission.passedTestCount || 0);
+
+	if (bestScore > (problem.points || 0)) {
+		state.totalPoints += bestScore - (problem.points || 0);
+		problem.points = bestScore;
+		problem.bestScoreTime = relativeTimeSeconds;
+	}
+
+	if (problem.solved) {
+		return;
+	}
+
+	// Full score (or an accepted verdict) marks the problem as solved
+	if (verdict === 'OK' || (points > 0 && bestScore >= points)) {
+		problem.penalty = rule.penaltyForSolve(problem, relativeTimeSeconds);
+		problem.solved = true;
+		problem.solveTime = relativeTimeSeconds;
+
+		state.totalPenalty += problem.penalty;
+		state.solvedCount += 1;
+		state.lastAcTime = Math.max(state.lastAcTime || 0, relativeTimeSeconds);
+	} else {
+		problem.rejectCount += 1;
+	}
+}
+
+/**
+ * Hack verdicts as stored from the Codeforces API ("HACK_SUCCESSFUL") and
+ * in their short form ("SUCCESSFUL")
+ */
+const SUCCESSFUL_HACK_VERDICTS = new Set(['HACK_SUCCESSFUL', 'SUCCESSFUL']);
+const UNSUCCESSFUL_HACK_VERDICTS = new Set(['HACK_UNSUCCESSFUL', 'UNSUCCESSFUL']);
+
+/**
+ * Check if a hack verdict is successful
+ * @param {string} verdict - Hack verdict
+ * @returns {boolean} True if the hack succeeded
+ */
+export function isSuccessfulHack (verdict) {
+	return SUCCESSFUL_HACK_VERDICTS.has(verdict);
+}
+
+/**
+ * Process a hack event for the hacker and update participant state
+ * Other verdicts (INVALID_INPUT, GENERATOR_CRASHED, ...) are ignored.
+ * @param {Object} state - Current participant state (hacker)
  * @param {Object} hack - Hack event
- * @param {string} hack.verdict - Hack verdict ("SUCCESSFUL", "UNSUCCESSFUL", etc.)
+ * @param {string} hack.verdict - Hack verdict ("HACK_SUCCESSFUL", "HACK_UNSUCCESSFUL", etc.)
+ * @param {Object} rule - Scoring rule (default: Codeforces rule)
  * @returns {Object} Updated state
  */
-export function processHack(state, hack) {
-	if (hack.verdict === 'SUCCESSFUL') {
+export function processHack (state, hack, rule = DEFAULT_SCORING_RULE) {
+	const hackPoints = rule.hackPoints || { successful: 0, unsuccessful: 0 };
+	if (isSuccessfulHack(hack.verdict)) {
 		state.hackSuccess += 1;
-		// Note: Codeforces-style contests may award points for successful hacks
-		// +100 points per successful hack, -50 per failed hack
-		// Uncomment if your contest rules include hack points:
-		// state.totalPoints += 100;
-	} else if (hack.verdict === 'UNSUCCESSFUL') {
+		state.totalPoints += hackPoints.successful;
+	} else if (UNSUCCESSFUL_HACK_VERDICTS.has(hack.verdict)) {
 		state.hackFail += 1;
-		// Uncomment if your contest rules include hack penalties:
-		// state.totalPoints = Math.max(0, state.totalPoints - 50);
+		state.totalPoints += hackPoints.unsuccessful;
+	}
+	return state;
+}
+
+/**
+ * Process a successful hack for the defender and update participant state
+ * The hacked solution no longer counts as accepted: its points and penalty are
+ * removed and it becomes a rejected attempt.
+ * @param {Object} state - Current participant state (defender)
+ * @param {Object} hack - Hack event
+ * @param {string} hack.verdict - Hack verdict
+ * @param {Object} hack.problem - Hacked problem ({ index })
+ * @returns {Object} Updated state
+ */
+export function processHackedSolution (state, hack) {
+	if (!isSuccessfulHack(hack.verdict)) {
+		return state;
+	}
+
+	if (!(state.problems instanceof Map)) {
+		state.problems = new Map(
+			state.problems ? Object.entries(state.problems) : []
+		);
 	}
+
+	const problemIndex = hack.problem?.index || '';
+	const problem = state.problems.get(problemIndex);
+	if (!problem || !problem.solved) {
+		return state;
+	}
+
+	state.totalPoints -= problem.points || 0;
+	state.totalPenalty -= problem.penalty || 0;
+	state.solvedCount -= 1;
+
+	problem.solved = false;
+	problem.points = 0;
+	problem.penalty = 0;
+	problem.solveTime = null;
+	problem.rejectCount += 1;
+	state.problems.set(problemIndex, problem);
+
+	// Last accepted time is now the latest remaining solve
+	let lastAcTime = null;
+	for (const other of state.problems.values()) {
+		if (other.solved && other.solveTime !== null && other.solveTime !== undefined) {
+			lastAcTime = Math.max(lastAcTime || 0, other.solveTime);
+		}
+	}
+	state.lastAcTime = lastAcTime;
+
 	return state;
 }
 
 /**
- * Compare two participants for ranking (Codeforces-style)
+ * Compare two participants for ranking
+ * Delegates to the scoring rule (Codeforces rule by default):
  * Primary: totalPoints (descending)
  * Secondary: totalPenalty (ascending - lower is better)
  * Tertiary: lastAcTime (ascending - earlier is better)
  * 
  * @param {Object} a - First participant state
  * @param {Object} b - Second participant state
+ * @param {Object} rule - Scoring rule (default: Codeforces rule)
  * @returns {number} Comparison result: negative if a < b, positive if a > b, 0 if equal
  */
-export function compareParticipants(a, b) {
-	// Primary: totalPoints (descending)
-	if (b.totalPoints !== a.totalPoints) {
-		return b.totalPoints - a.totalPoints;
+export function compareParticipants(a, b, rule = DEFAULT_SCORING_RULE) {
+	return rule.compareParticipants(a, b);
+}
+
+/**
+ * Assign shared ranks to participants sorted by compareParticipants
+ * Tied participants (as decided by the rule) share the rank of the first of them,
+ * and the next participant's rank skips past the group, like Codeforces standings.
+ * Sets `rank` (first place of the group) and `rankEnd` (last place of the group).
+ * @param {Array} participants - Participant states, already sorted
+ * @param {Object} rule - Scoring rule (default: Codeforces rule)
+ * @returns {Array} The same participants, with ranks assigned
+ */
+export function assignSharedRanks (participants, rule = DEFAULT_SCORING_RULE) {
+	let groupStart = 0;
+	for (let i = 1; i <= participants.length; i++) {
+		if (i === participants.length || !rule.isTied(participants[groupStart], participants[i])) {
+			for (let j = groupStart; j < i; j++) {
+				participants[j].rank = groupStart + 1;
+				participants[j].rankEnd = i;
+			}
+			groupStart = i;
+		}
 	}
-	
-	// Secondary: totalPenalty (ascending - lower penalty is better)
-	if (a.totalPenalty !== b.totalPenalty) {
-		return a.totalPenalty - b.totalPenalty;
+	return participants;
+}
+
+/**
+ * Format a shared rank as a range ("3-5"), or a single rank ("3") when not tied
+ * @param {number} rank - First place of the tie group
+ * @param {number} rankEnd - Last place of the tie group
+ * @returns {string} Rank range
+ */
+export function formatRankRange (rank, rankEnd) {
+	return rankEnd && rankEnd > rank ? `${rank}-${rankEnd}` : `${rank}`;
+}
+
+/**
+ * Select participants whose places overlap the rank range [rankFrom, rankTo]
+ * Tie groups are never split: a group crossing either bound is returned whole.
+ * @param {Array} participants - Participants with assigned ranks (see assignSharedRanks)
+ * @param {number} rankFrom - First rank (1-indexed)
+ * @param {number|null} rankTo - Last rank (inclusive), null for no limit
+ * @returns {Array} Participants in the rank range
+ */
+export function paginateByRank (participants, rankFrom, rankTo = null) {
+	return participants.filter(participant =>
+		participant.rankEnd >= rankFrom && (rankTo === null || participant.rank <= rankTo)
+	);
+}
+
+/**
+ * Count the judged attempts on a problem (rejections plus the accepted submission)
+ * @param {Object|undefined} problem - Problem state
+ * @returns {number} Attempt count
+ */
+function countAttempts (problem) {
+	if (!problem) {
+		return 0;
 	}
-	
-	// Tertiary: lastAcTime (ascending - earlier acceptance is better)
-	const aLastAc = a.lastAcTime || Infinity;
-	const bLastAc = b.lastAcTime || Infinity;
-	return aLastAc - bLastAc;
+	return (problem.rejectCount || 0) + (problem.solved ? 1 : 0);
+}
+
+/**
+ * Build the public (frozen) state of a participant
+ * Results are those at the freeze time. Attempts made after the freeze on problems
+ * that were not solved at the freeze time are counted in `pendingCount`, with their
+ * verdicts hidden.
+ * @param {Object|undefined} frozenState - Participant state at the freeze time (plain object problems)
+ * @param {Object} currentState - Participant state at the query time (plain object problems)
+ * @returns {Object} Public participant state
+ */
+export function freezeParticipantState (frozenState, currentState) {
+	const base = frozenState || {
+		participantKey: currentState.participantKey,
+		handle: currentState.handle,
+		handles: currentState.handles,
+		teamId: currentState.teamId,
+		teamName: currentState.teamName,
+		participantType: currentState.participantType,
+		ghost: currentState.ghost,
+		isUnofficial: currentState.isUnofficial,
+		totalPoints: 0,
+		totalPenalty: 0,
+		solvedCount: 0,
+		lastAcTime: null,
+		hackSuccess: 0,
+		hackFail: 0,
+		lastSubmissionTime: null,
+		problems: {}
+	};
+
+	const toObject = problems => (problems instanceof Map ? Object.fromEntries(problems.entries()) : problems || {});
+	const frozenProblems = toObject(base.problems);
+	const problems = { ...frozenProblems };
+
+	for (const [problemIndex, currentProblem] of Object.entries(toObject(currentState.problems))) {
+		const frozenProblem = frozenProblems[problemIndex];
+		if (frozenProblem?.solved) {
+			continue;
+		}
+		const pendingCount = countAttempts(currentProblem) - countAttempts(frozenProblem);
+		if (pendingCount > 0) {
+			problems[problemIndex] = {
+				solved: false,
+				points: 0,
+				penalty: 0,
+				rejectCount: 0,
+				solveTime: null,
+				firstAttemptTime: currentProblem.firstAttemptTime ?? null,
+				...frozenProblem,
+				pendingCount
+			};
+		}
+	}
+
+	return { ...base, problems };
 }
 
 /**
@@ -120,6 +359,10 @@ export function compareParticipants(a, b) {
  * @param {string} handle - Participant handle
  * @param {number} contestId - Contest ID
  * @param {Object} metadata - Participant metadata
+ * @param {string} metadata.participantKey - Stable participant key (default: handle)
+ * @param {Array<string>} metadata.handles - All member handles (default: [handle])
+ * @param {number|null} metadata.teamId - Team ID
+ * @param {string|null} metadata.teamName - Team name
  * @param {string} metadata.participantType - Participant type
  * @param {boolean} metadata.ghost - Is ghost participant
  * @param {boolean} metadata.isUnofficial - Is unofficial participant
@@ -128,7 +371,11 @@ export function compareParticipants(a, b) {
 export function createInitialState(handle, contestId, metadata = {}) {
 	return {
 		contestId,
+		participantKey: metadata.participantKey || handle,
 		handle,
+		handles: metadata.handles || [handle],
+		teamId: metadata.teamId ?? null,
+		teamName: metadata.teamName || null,
 		participantType: metadata.participantType || 'CONTESTANT',
 		ghost: metadata.ghost || false,
 		isUnofficial: metadata.isUnofficial || false,
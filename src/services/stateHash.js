@@ -0,0 +1,80 @@
+/**
+ * State Hash
+ * Content hash of the standings state reconstructed at a snapshot
+ *
+ * Each base and delta snapshot stores the hash of the full participant state at its
+ * timestamp. Participants are normalized (defaults filled in, problems as a plain
+ * object) and serialized with sorted keys, so the same standings always hash the
+ * same whether they come from a replay, a base snapshot or base + deltas.
+ */
+
+import { createHash } from 'crypto';
+import { getStateKey } from '../helpers/participantKey.js';
+
+/**
+ * Serialize a value with object keys in sorted order
+ * @param {*} value - Value
+ * @returns {string} Canonical JSON
+ */
+function canonicalJson (value) {
+	if (value instanceof Map) {
+		return canonicalJson(Object.fromEntries(value.entries()));
+	}
+	if (Array.isArray(value)) {
+		return `[${value.map(item => canonicalJson(item ?? null)).join(',')}]`;
+	}
+	if (value && typeof value === 'object') {
+		const entries = Object.keys(value)
+			.filter(key => value[key] !== undefined)
+			.sort()
+			.map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`);
+		return `{${entries.join(',')}}`;
+	}
+	return JSON.stringify(value ?? null);
+}
+
+/**
+ * Normalize a participant state for hashing
+ * @param {Object} state - Participant state (replay state, snapshot participant or applied delta state)
+ * @returns {Object} Normalized state
+ */
+function normalizeParticipant (state) {
+	return {
+		participantKey: getStateKey(state),
+		handle: state.handle,
+		handles: state.handles?.length ? state.handles : [state.handle],
+		teamId: state.teamId ?? null,
+		teamName: state.teamName || null,
+		participantType: state.participantType || 'CONTESTANT',
+		ghost: state.ghost || false,
+		isUnofficial: state.isUnofficial || false,
+		totalPoints: state.totalPoints || 0,
+		totalPenalty: state.totalPenalty || 0,
+		solvedCount: state.solvedCount || 0,
+		lastAcTime: state.lastAcTime || null,
+		hackSuccess: state.hackSuccess || 0,
+		hackFail: state.hackFail || 0,
+		lastSubmissionTime: state.lastSubmissionTime || null,
+		problems: state.problems || {}
+	};
+}
+
+/**
+ * Compute the content hash of a standings state
+ * @param {Map|Array} participants - participantKey -> state map, or array of participant states
+ * @returns {string} SHA-256 hex digest
+ */
+export function computeStateHash (participants) {
+	const states = participants instanceof Map ? Array.from(participants.values()) : participants;
+	const lines = states
+		.map(state => normalizeParticipant(state))
+		.sort((a, b) => (a.participantKey < b.participantKey ? -1 : a.participantKey > b.participantKey ? 1 : 0))
+		.map(state => canonicalJson(state));
+
+	const hash = createHash('sha256');
+	for (const line of lines) {
+		hash.update(line);
+		hash.update('\n');
+	}
+	return hash.digest('hex');
+}
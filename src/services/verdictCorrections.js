@@ -0,0 +1,78 @@
+/**
+ * Verdict Corrections
+ * Detects what a re-ingest changed in already stored submissions
+ *
+ * A rejudge changes the verdict (or test results) of existing submissions, and
+ * skipping cheaters turns their submissions into SKIPPED or drops them entirely.
+ * Each difference becomes a correction record; snapshots taken at or after the
+ * submission time are stale until they are rebuilt.
+ */
+
+import { getParticipantKey } from '../helpers/participantKey.js';
+
+export const CORRECTION_TYPE = Object.freeze({
+	VERDICT: 'VERDICT',
+	REMOVED: 'REMOVED'
+});
+
+// Stored submission fields that change the standings when they change
+const JUDGED_FIELDS = ['verdict', 'testset', 'passedTestCount', 'points'];
+
+/**
+ * Get the participant key of a stored submission
+ * @param {Object} submission - Stored submission (BatchedContestData item)
+ * @returns {string} Participant key
+ */
+function storedSubmissionKey (submission) {
+	return getParticipantKey({
+		teamId: submission.teamId ?? null,
+		handles: submission.handles?.length ? submission.handles : [submission.handle],
+		participantType: submission.participantType
+	});
+}
+
+/**
+ * Compare previously stored submissions with re-ingested ones
+ * Submissions that are new in the re-ingest are not corrections. A stored submission
+ * missing from the re-ingest is only a removal when the re-ingest holds every submission
+ * of the contest for its participant type; a partial one (single page, single handle,
+ * contestants only) says nothing about it. The stored submissions are streamed, so only
+ * the re-ingested ones are held in memory.
+ * @param {Iterable|AsyncIterable} previousSubmissions - Stored submissions before the re-ingest
+ * @param {Array} currentSubmissions - Submissions being stored
+ * @param {Object} options - Optional settings
+ * @param {boolean} options.complete - The re-ingest holds every submission of the contest (default: false)
+ * @param {Array|null} options.participantTypes - Participant types the complete re-ingest covers, null for every type (default: null)
+ * @returns {Promise<Array>} Corrections [{ submissionId, participantKey, handle, problemIndex, relativeTimeSeconds, type, oldVerdict, newVerdict, oldTestset, newTestset }]
+ */
+export async function findVerdictCorrections (previousSubmissions, currentSubmissions, options = {}) {
+	const { complete = false, participantTypes = null } = options;
+	const currentById = new Map(currentSubmissions.map(submission => [submission.submissionId, submission]));
+	const covered = previous => complete && (!participantTypes || participantTypes.includes(previous.participantType || 'CONTESTANT'));
+	const corrections = [];
+
+	for await (const previous of previousSubmissions) {
+		const current = currentById.get(previous.submissionId);
+		if (!current && !covered(previous)) {
+			continue;
+		}
+		if (current && JUDGED_FIELDS.every(field => (previous[field] ?? null) === (current[field] ?? null))) {
+			continue;
+		}
+
+		corrections.push({
+			submissionId: previous.submissionId,
+			participantKey: storedSubmissionKey(previous),
+			handle: previous.handle,
+			problemIndex: previous.problemIndex,
+			relativeTimeSeconds: previous.relativeTimeSeconds || 0,
+			type: current ? CORRECTION_TYPE.VERDICT : CORRECTION_TYPE.REMOVED,
+			oldVerdict: previous.verdict ?? null,
+			newVerdict: current ? current.verdict ?? null : null,
+			oldTestset: previous.testset ?? null,
+			newTestset: current ? current.testset ?? null : null
+		});
+	}
+
+	return corrections.sort((a, b) => a.relativeTimeSeconds - b.relativeTimeSeconds);
+}
@@ -0,0 +1,117 @@
+/**
+ * Verdict Policy
+ * Decides how a submission verdict counts in the standings
+ *
+ * Compile errors and skipped submissions never count, and submissions still being
+ * judged are left out until they have a verdict. On contests with system testing
+ * (pretests during the round, full tests afterwards) the `testset` field tells which
+ * phase produced the verdict, and a contest can be replayed in one of two modes:
+ * - LIVE: as seen during the round. An accepted verdict on pretests counts, and an
+ *   in-contest solution that passed pretests shows as accepted even if it was later
+ *   hacked (until the hack reverts it) or failed system tests.
+ * - FINAL: as finalized by system testing. Only system test verdicts decide a solve;
+ *   an accepted verdict on pretests alone is pending until system tests judge it.
+ * Contests without an explicit mode are replayed live until they are finished.
+ */
+
+export const VERDICT_MODE = Object.freeze({
+	LIVE: 'live',
+	FINAL: 'final'
+});
+
+// Mode when nothing is known about the contest (assumed finished)
+export const DEFAULT_VERDICT_MODE = VERDICT_MODE.FINAL;
+
+// Verdicts that are never an attempt: no penalty, no solve
+const IGNORED_VERDICTS = new Set(['COMPILATION_ERROR', 'SKIPPED']);
+
+// Submission still being judged
+const TESTING_VERDICT = 'TESTING';
+
+// Solution passed pretests and was then successfully hacked
+const CHALLENGED_VERDICT = 'CHALLENGED';
+
+const PRETESTS_TESTSET = 'PRETESTS';
+const TESTS_TESTSET = 'TESTS';
+
+// Outcome of a submission accepted on pretests and waiting for system tests (FINAL mode):
+// neither an attempt nor a solve, counted as pending
+export const PENDING_VERDICT = 'PENDING_SYSTEM_TEST';
+
+// Contest phase once system testing is over
+const FINISHED_PHASE = 'FINISHED';
+
+// Participants judged on pretests during the round (not practice or virtual)
+const IN_CONTEST_PARTICIPANT_TYPES = new Set(['CONTESTANT', 'OUT_OF_COMPETITION']);
+
+/**
+ * Check whether a verdict counts as an attempt at all
+ * @param {string} verdict - Submission verdict
+ * @returns {boolean} False for compile errors, skipped and not yet judged submissions
+ */
+export function isCountedVerdict (verdict) {
+	return Boolean(verdict) && verdict !== TESTING_VERDICT && !IGNORED_VERDICTS.has(verdict);
+}
+
+/**
+ * Check whether a verdict mode is known
+ * @param {string} mode - Verdict mode
+ * @returns {boolean} True for "live" and "final"
+ */
+export function isValidVerdictMode (mode) {
+	return Object.values(VERDICT_MODE).includes(mode);
+}
+
+/**
+ * Get the verdict mode a contest is replayed with
+ * Without an explicit mode, a contest is replayed live until its phase is FINISHED
+ * (its pretest verdicts are all there is until system testing ends) and final afterwards.
+ * @param {Object|null} contest - Contest (as returned by codeforcesDataService.getContestFromDB)
+ * @returns {string} Verdict mode
+ */
+export function getVerdictMode (contest) {
+	if (isValidVerdictMode(contest?.verdictMode)) {
+		return contest.verdictMode;
+	}
+	if (contest?.phase && contest.phase !== FINISHED_PHASE) {
+		return VERDICT_MODE.LIVE;
+	}
+	return DEFAULT_VERDICT_MODE;
+}
+
+/**
+ * Resolve the verdict a submission counts with
+ * @param {Object} submission - Submission ({ verdict, testset, author: { participantType } })
+ * @param {string} mode - Verdict mode (live or final)
+ * @param {boolean} systemTesting - The contest judges pretests during the round and full tests afterwards
+ * @returns {string|null} Effective verdict ("OK", a rejection or PENDING_VERDICT), or null if the submission does not count
+ */
+export function resolveVerdict (submission, mode = DEFAULT_VERDICT_MODE, systemTesting = false) {
+	const verdict = submission.verdict;
+	if (!verdict || verdict === TESTING_VERDICT || IGNORED_VERDICTS.has(verdict)) {
+		return null;
+	}
+	if (!systemTesting) {
+		return verdict;
+	}
+
+	if (mode === VERDICT_MODE.LIVE) {
+		const inContest = IN_CONTEST_PARTICIPANT_TYPES.has(submission.author?.participantType);
+		if (verdict === CHALLENGED_VERDICT && inContest) {
+			// Passed pretests and was hacked later; the hack event reverts it
+			return 'OK';
+		}
+		if (verdict !== 'OK' && inContest && submission.testset === TESTS_TESTSET) {
+			// Only solutions that passed pretests are judged on system tests: the board
+			// showed it as accepted during the round
+			return 'OK';
+		}
+		return verdict;
+	}
+
+	if (verdict === 'OK' && submission.testset === PRETESTS_TESTSET) {
+		// Not finalized by system testing yet
+		return PENDING_VERDICT;
+	}
+	return verdict;
+}
@@ -0,0 +1,101 @@
+import {
+	BUNDLE_FORMAT,
+	RECORD_TYPE,
+	createBundleHeader,
+	importBundleRecords,
+	parseBundleLine,
+	toBundleDocument,
+	validateBundleFooter,
+	validateBundleHeader
+} from '../src/services/contestBundle.js';
+
+describe('contestBundle', () => {
+
+	test('Should accept its own header and reject unknown formats and schema versions', () => {
+		const header = createBundleHeader(1234, false);
+
+		expect(validateBundleHeader(header)).toBeNull();
+		expect(validateBundleHeader(JSON.parse(JSON.stringify(header)))).toBeNull();
+		expect(validateBundleHeader(null)).toMatch('header');
+		expect(validateBundleHeader({ ...header, format: 'other' })).toMatch('unknown bundle format');
+		expect(validateBundleHeader({ ...header, schemaVersion: 99 })).toMatch('unsupported bundle schema version 99');
+		expect(validateBundleHeader({ ...header, contestId: '1234' })).toMatch('contestId');
+		expect(header.format).toBe(BUNDLE_FORMAT);
+	});
+
+	test('Should parse records of the bundle contest only', () => {
+		const header = createBundleHeader(1234, false);
+		const line = record => JSON.stringify(record);
+
+		expect(parseBundleLine(line({ type: RECORD_TYPE.PROBLEM, doc: { contestId: 1234, index: 'A' } }), header).record.doc.index).toBe('A');
+		expect(parseBundleLine(line({ type: 'footer', counts: {} }), header).record.type).toBe('footer');
+		expect(parseBundleLine('{"type":', header).error).toMatch('invalid JSON');
+		expect(parseBundleLine(line({ type: 'submission', doc: { contestId: 1234 } }), header).error).toMatch('unknown record type');
+		expect(parseBundleLine(line({ type: RECORD_TYPE.PROBLEM }), header).error).toMatch('no document');
+		expect(parseBundleLine(line({ type: RECORD_TYPE.PROBLEM, doc: { contestId: 99 } }), header).error).toMatch('contest 99');
+	});
+
+	test('Should detect a missing footer or mismatching counts', () => {
+		const counts = { [RECORD_TYPE.CONTEST]: 1, [RECORD_TYPE.BASE_SNAPSHOT]: 2 };
+
+		expect(validateBundleFooter({ type: 'footer', counts }, counts)).toBeNull();
+		expect(validateBundleFooter(null, counts)).toMatch('no footer');
+		expect(validateBundleFooter({ type: 'footer', counts }, { ...counts, [RECORD_TYPE.BASE_SNAPSHOT]: 1 })).toMatch('2 baseSnapshot');
+		expect(validateBundleFooter({ type: 'footer', counts }, { ...counts, [RECORD_TYPE.DELTA_SNAPSHOT]: 1 })).toMatch('deltaSnapshot');
+	});
+
+	describe('importBundleRecords', () => {
+		const header = createBundleHeader(1234, false);
+		const records = [
+			{ type: RECORD_TYPE.CONTEST, doc: { contestId: 1234, name: 'New' } },
+			{ type: RECORD_TYPE.PROBLEM, doc: { contestId: 1234, index: 'A' } },
+			{ type: RECORD_TYPE.PROBLEM, doc: { contestId: 1234, index: 'B' } }
+		];
+		const footer = { type: 'footer', counts: { [RECORD_TYPE.CONTEST]: 1, [RECORD_TYPE.PROBLEM]: 2 } };
+		const bundleLines = lines => lines.map(line => JSON.stringify(line));
+
+		// In-memory target holding the records already stored for contest 1234
+		const memoryTarget = () => {
+			const target = {
+				stored: [{ type: RECORD_TYPE.CONTEST, doc: { contestId: 1234, name: 'Old' } }],
+				staged: [],
+				contestExists: async () => target.stored.length > 0,
+				stageRecord: async record => { target.staged.push(record); },
+				replaceContest: async () => { target.stored = target.staged; }
+			};
+			return target;
+		};
+
+		test('Should replace the contest once the whole bundle is read', async () => {
+			const target = memoryTarget();
+			const result = await importBundleRecords(bundleLines([header, ...records, footer]), target, true);
+
+			expect(result.counts).toEqual(footer.counts);
+			expect(target.stored).toEqual(records);
+		});
+
+		test('Should leave the existing contest untouched when an overwrite import is truncated', async () => {
+			const target = memoryTarget();
+			const result = await importBundleRecords(bundleLines([header, ...records.slice(0, 2)]), target, true);
+
+			expect(result.error).toMatch('no footer');
+			expect(target.stored).toEqual([{ type: RECORD_TYPE.CONTEST, doc: { contestId: 1234, name: 'Old' } }]);
+
+			const corrupt = await importBundleRecords([...bundleLines([header, ...records]).slice(0, 3), '{"type":'], target, true);
+			expect(corrupt.error).toMatch('line 4: invalid JSON');
+			expect(target.stored[0].doc.name).toBe('Old');
+		});
+
+		test('Should refuse an existing contest without overwrite before staging records', async () => {
+			const target = memoryTarget();
+			const result = await importBundleRecords(bundleLines([header, ...records, footer]), target);
+
+			expect(result.error).toMatch('already exists');
+			expect(target.staged).toEqual([]);
+		});
+	});
+
+	test('Should strip storage fields from exported documents', () => {
+		expect(toBundleDocument({ _id: 'x', __v: 0, contestId: 1234, timestampSeconds: 60 })).toEqual({ contestId: 1234, timestampSeconds: 60 });
+	});
+});
@@ -0,0 +1,85 @@
+import { detectContestEvents, summarizeStandings, CONTEST_EVENT_TYPE } from '../src/services/contestEvents.js';
+import { toHackEvent } from '../src/services/eventStream.js';
+import { getScoringRule } from '../src/services/scoringRules.js';
+import { solvingState } from './helpers/participantState.js';
+
+const rule = getScoringRule({ type: 'ICPC' });
+
+const detect = (previousStates, states, context = {}) => detectContestEvents(
+	summarizeStandings(previousStates, rule, { problemCount: 2 }),
+	states,
+	{ rule, problemCount: 2, timestampSeconds: 600, ...context }
+).events;
+
+const summarize = events => events.map(event => [event.type, event.timestampSeconds, event.participantKey]);
+
+describe('contestEvents', () => {
+
+	test('Should report the earliest official solve of an unsolved problem, ties included', () => {
+		const events = detect([solvingState('a', { A: 100 })], [
+			solvingState('a', { A: 100, B: 400 }),
+			solvingState('b', { B: 400 }),
+			solvingState('c', { B: 500 }),
+			solvingState('v', { B: 300 }, { participantKey: 'VIRTUAL:v', isUnofficial: true })
+		]).filter(event => event.type === CONTEST_EVENT_TYPE.FIRST_SOLVE);
+
+		expect(summarize(events)).toEqual([
+			['FIRST_SOLVE', 400, 'CONTESTANT:a'],
+			['FIRST_SOLVE', 400, 'CONTESTANT:b']
+		]);
+		expect(events[0].problemIndex).toBe('B');
+	});
+
+	test('Should report all problems solved at the last solve', () => {
+		const events = detect([solvingState('a', { A: 100 })], [solvingState('a', { A: 100, B: 450 })]);
+
+		expect(summarize(events.filter(event => event.type === CONTEST_EVENT_TYPE.ALL_SOLVED))).toEqual([
+			['ALL_SOLVED', 450, 'CONTESTANT:a']
+		]);
+		expect(detect([solvingState('a', { A: 100, B: 450 })], [solvingState('a', { A: 100, B: 450 })])).toEqual([]);
+	});
+
+	test('Should report lead changes and top N moves at the snapshot', () => {
+		const previous = [solvingState('a', { A: 100 }), solvingState('b', { A: 200 }), solvingState('c')];
+		const events = detect(previous, [solvingState('a', { A: 100 }), solvingState('b', { A: 200, B: 300 }), solvingState('c', { A: 250 })], { topN: 2 });
+
+		expect(summarize(events)).toEqual([
+			['FIRST_SOLVE', 300, 'CONTESTANT:b'],
+			['ALL_SOLVED', 300, 'CONTESTANT:b'],
+			['LEAD_CHANGE', 600, 'CONTESTANT:b']
+		]);
+		expect(events[2]).toMatchObject({ leaders: ['CONTESTANT:b'], previousLeaders: ['CONTESTANT:a'] });
+
+		const moves = detect(previous, [solvingState('a', { A: 100 }), solvingState('b', { A: 200 }), solvingState('c', { A: 150 })], { topN: 2 });
+		expect(moves.map(event => [event.type, event.participantKey, event.rank, event.previousRank])).toEqual([
+			['TOP_N_EXIT', 'CONTESTANT:b', 3, 2],
+			['TOP_N_ENTRY', 'CONTESTANT:c', 2, null]
+		]);
+	});
+
+	test('Should not report participants without a score as leaders', () => {
+		expect(detect([], [solvingState('a'), solvingState('b')])).toEqual([]);
+	});
+
+	test('Should report successful hacks at their time', () => {
+		const hack = verdict => toHackEvent({
+			id: 7,
+			creationTimeSeconds: 1000 + 420,
+			verdict,
+			problem: { index: 'A' },
+			hacker: { members: [{ handle: 'a' }], participantType: 'CONTESTANT' },
+			defender: { members: [{ handle: 'b' }], participantType: 'CONTESTANT' }
+		}, 1000);
+		const events = detect([], [], { hackEvents: [hack('HACK_SUCCESSFUL'), hack('HACK_UNSUCCESSFUL')] });
+
+		expect(events).toHaveLength(1);
+		expect(events[0]).toMatchObject({
+			type: CONTEST_EVENT_TYPE.SUCCESSFUL_HACK,
+			timestampSeconds: 420,
+			participantKey: 'CONTESTANT:a',
+			defenderKey: 'CONTESTANT:b',
+			problemIndex: 'A',
+			hackId: 7
+		});
+	});
+});
@@ -0,0 +1,83 @@
+import { applyDeltaChanges, diffParticipantState } from '../src/services/deltaDiff.js';
+import { getStateKey } from '../src/helpers/participantKey.js';
+
+const participant = (totalPoints, problems) => ({
+	participantKey: 'CONTESTANT:alice',
+	handle: 'alice',
+	handles: ['alice'],
+	teamId: null,
+	teamName: null,
+	participantType: 'CONTESTANT',
+	ghost: false,
+	isUnofficial: false,
+	totalPoints,
+	totalPenalty: 0,
+	solvedCount: Object.values(problems).filter(problem => problem.solved).length,
+	lastAcTime: null,
+	hackSuccess: 0,
+	hackFail: 0,
+	lastSubmissionTime: 300,
+	problems
+});
+
+describe('deltaDiff', () => {
+
+	test('Should only keep changed fields and problem entries', () => {
+		const previous = participant(500, {
+			A: { solved: true, points: 500, rejectCount: 0 },
+			B: { solved: false, points: 0, rejectCount: 1 }
+		});
+		const current = participant(500, {
+			A: { solved: true, points: 500, rejectCount: 0 },
+			B: { solved: false, points: 0, rejectCount: 2 }
+		});
+
+		expect(diffParticipantState(previous, current)).toEqual({
+			problems: { B: { solved: false, points: 0, rejectCount: 2 } }
+		});
+		expect(diffParticipantState(current, current)).toBeNull();
+	});
+
+	test('Should replay diffs to the same state as full states', () => {
+		const states = [
+			participant(0, { A: { solved: false, points: 0, rejectCount: 1 } }),
+			participant(480, { A: { solved: true, points: 480, rejectCount: 1 } }),
+			participant(1180, { A: { solved: true, points: 480, rejectCount: 1 }, C: { solved: true, points: 700, rejectCount: 0 } }),
+			// Rejudge: problem A no longer has any counted submission
+			participant(700, { C: { solved: true, points: 700, rejectCount: 0 } })
+		];
+
+		const stateMap = new Map();
+		applyDeltaChanges(stateMap, [{ participantKey: 'CONTESTANT:alice', handle: 'alice', op: 'INSERT', state: states[0] }]);
+		for (let i = 1; i < states.length; i++) {
+			const diff = diffParticipantState(states[i - 1], states[i]);
+			applyDeltaChanges(stateMap, [{ participantKey: 'CONTESTANT:alice', handle: 'alice', op: 'UPDATE', state: diff }]);
+			expect(stateMap.get('CONTESTANT:alice')).toEqual(states[i]);
+		}
+
+		expect(diffParticipantState(states[2], states[3]).removedProblems).toEqual(['A']);
+
+		applyDeltaChanges(stateMap, [{ participantKey: 'CONTESTANT:alice', handle: 'alice', op: 'REMOVE' }]);
+		expect(stateMap.size).toBe(0);
+	});
+
+	test('Should keep one state per participant when a legacy base is followed by a keyed delta', () => {
+		// Base snapshot stored before participant keys: one state per handle, no participantKey
+		const legacyBase = [
+			{ handle: 'alice', participantType: 'CONTESTANT', totalPoints: 0, problems: {} },
+			{ handle: 'bob', participantType: 'VIRTUAL', totalPoints: 0, problems: {} }
+		];
+		const stateMap = new Map(legacyBase.map(p => [getStateKey(p), { ...p, participantKey: getStateKey(p) }]));
+
+		applyDeltaChanges(stateMap, [
+			{ participantKey: 'CONTESTANT:alice', handle: 'alice', op: 'UPDATE', state: { totalPoints: 500, problems: { A: { solved: true, points: 500 } } } },
+			{ participantKey: 'VIRTUAL:bob', handle: 'bob', op: 'UPDATE', state: { totalPoints: 250 } }
+		]);
+		// Legacy delta change (handle only) on top of the keyed states
+		applyDeltaChanges(stateMap, [{ handle: 'alice', op: 'UPDATE', state: { participantType: 'CONTESTANT', totalPoints: 700 } }]);
+
+		expect(Array.from(stateMap.keys())).toEqual(['CONTESTANT:alice', 'VIRTUAL:bob']);
+		expect(stateMap.get('CONTESTANT:alice')).toMatchObject({ totalPoints: 700, problems: { A: { solved: true } } });
+		expect(stateMap.get('VIRTUAL:bob').totalPoints).toBe(250);
+	});
+});
@@ -0,0 +1,177 @@
+import { buildEventStream, eventsInWindow, mergeEventStreams, replayEvents, EVENT_TYPE } from '../src/services/eventStream.js';
+import { getScoringRule } from '../src/services/scoringRules.js';
+import { getVerdictMode } from '../src/services/verdictPolicy.js';
+import { getPartyKey } from '../src/helpers/participantKey.js';
+
+const CONTEST_START = 1000;
+
+const submission = (handle, index, verdict, relativeTimeSeconds) => ({
+	creationTimeSeconds: CONTEST_START + relativeTimeSeconds,
+	relativeTimeSeconds,
+	problem: { index },
+	author: { members: [{ handle }], participantType: 'CONTESTANT' },
+	verdict
+});
+
+const hack = (hacker, defender, index, verdict, relativeTimeSeconds) => ({
+	creationTimeSeconds: CONTEST_START + relativeTimeSeconds,
+	problem: { index },
+	hacker: { members: [{ handle: hacker }], participantType: 'CONTESTANT' },
+	defender: { members: [{ handle: defender }], participantType: 'CONTESTANT' },
+	verdict
+});
+
+const replay = (rule, submissions, hacks) => {
+	const stateMap = new Map();
+	const events = buildEventStream(submissions, hacks, CONTEST_START);
+	replayEvents(stateMap, events, { contestId: 1, rule, problemPointsMap: new Map([['A', 500], ['B', 1000]]) });
+	return stateMap;
+};
+
+describe('eventStream', () => {
+
+	test('Should merge submissions and hacks in chronological order', () => {
+		const events = buildEventStream(
+			[submission('a', 'A', 'OK', 600), submission('b', 'A', 'OK', 60)],
+			[hack('a', 'b', 'A', 'HACK_SUCCESSFUL', 600)],
+			CONTEST_START
+		);
+
+		expect(events.map(e => [e.type, e.relativeTimeSeconds])).toEqual([
+			[EVENT_TYPE.SUBMISSION, 60],
+			[EVENT_TYPE.SUBMISSION, 600],
+			[EVENT_TYPE.HACK, 600]
+		]);
+		expect(eventsInWindow(events, 60, 600)).toHaveLength(2);
+	});
+
+	test('Should merge a submission stream with hacks in the same order as buildEventStream', async () => {
+		const submissions = [submission('b', 'A', 'OK', 60), submission('a', 'A', 'OK', 600), submission('c', 'B', 'OK', 900)];
+		const hacks = [hack('c', 'a', 'A', 'HACK_SUCCESSFUL', 700), hack('a', 'b', 'A', 'HACK_SUCCESSFUL', 600), hack('c', 'b', 'A', 'HACK_SUCCESSFUL', 1000)];
+		async function * stream () {
+			yield * submissions;
+		}
+
+		const merged = [];
+		for await (const event of mergeEventStreams(stream(), hacks, CONTEST_START)) {
+			merged.push(event);
+		}
+
+		expect(merged).toEqual(buildEventStream(submissions, hacks, CONTEST_START));
+		expect(merged.map(e => [e.type, e.relativeTimeSeconds])).toEqual([
+			[EVENT_TYPE.SUBMISSION, 60],
+			[EVENT_TYPE.SUBMISSION, 600],
+			[EVENT_TYPE.HACK, 600],
+			[EVENT_TYPE.HACK, 700],
+			[EVENT_TYPE.SUBMISSION, 900],
+			[EVENT_TYPE.HACK, 1000]
+		]);
+	});
+
+	test('Should ignore hacks without a contest start time', () => {
+		const events = buildEventStream([], [hack('a', 'b', 'A', 'HACK_SUCCESSFUL', 600)], null);
+		expect(events).toHaveLength(0);
+	});
+
+	test('Should score hacks and revert the hacked solution on CF', () => {
+		const states = replay(getScoringRule('CF'), [
+			submission('defender', 'A', 'OK', 300),
+			submission('defender', 'B', 'OK', 900)
+		], [
+			hack('hacker', 'defender', 'B', 'HACK_SUCCESSFUL', 1200),
+			hack('hacker', 'defender', 'A', 'HACK_UNSUCCESSFUL', 1500)
+		]);
+
+		const hacker = states.get('CONTESTANT:hacker');
+		expect(hacker.totalPoints).toBe(100 - 50);
+		expect(hacker.hackSuccess).toBe(1);
+		expect(hacker.hackFail).toBe(1);
+
+		const defender = states.get('CONTESTANT:defender');
+		expect(defender.totalPoints).toBe(500);
+		expect(defender.solvedCount).toBe(1);
+		expect(defender.lastAcTime).toBe(300);
+		expect(defender.problems.get('B')).toMatchObject({ solved: false, points: 0, rejectCount: 1 });
+	});
+
+	test('Should count hacks without points on ICPC', () => {
+		const states = replay(getScoringRule('ICPC'), [
+			submission('defender', 'A', 'OK', 300)
+		], [
+			hack('hacker', 'defender', 'A', 'SUCCESSFUL', 600)
+		]);
+
+		expect(states.get('CONTESTANT:hacker')).toMatchObject({ totalPoints: 0, hackSuccess: 1 });
+		expect(states.get('CONTESTANT:defender')).toMatchObject({ totalPoints: 0, totalPenalty: 0, solvedCount: 0, lastAcTime: null });
+	});
+
+	test('Should key team submissions by team and keep every member', () => {
+		const teamSubmission = (handles, index, verdict, relativeTimeSeconds) => ({
+			...submission(handles[0], index, verdict, relativeTimeSeconds),
+			author: { teamId: 42, teamName: 'Team', members: handles.map(handle => ({ handle })), participantType: 'CONTESTANT' }
+		});
+		const states = replay(getScoringRule('ICPC'), [
+			teamSubmission(['alice', 'bob'], 'A', 'OK', 300),
+			teamSubmission(['bob', 'alice'], 'B', 'OK', 600),
+			submission('alice', 'A', 'OK', 900)
+		], []);
+
+		expect(states.size).toBe(2);
+		expect(states.get('CONTESTANT:team:42')).toMatchObject({ handles: ['alice', 'bob'], teamId: 42, teamName: 'Team', solvedCount: 2 });
+		expect(states.get('CONTESTANT:alice')).toMatchObject({ teamId: null, solvedCount: 1 });
+	});
+
+	describe('Verdict policy', () => {
+		const judged = (verdict, testset, relativeTimeSeconds, participantType = 'CONTESTANT') => {
+			const judgedSubmission = { ...submission('a', 'A', verdict, relativeTimeSeconds), testset };
+			judgedSubmission.author = { ...judgedSubmission.author, participantType };
+			return judgedSubmission;
+		};
+		const submissions = [
+			judged('COMPILATION_ERROR', 'PRETESTS', 60),
+			judged('WRONG_ANSWER', 'PRETESTS', 120),
+			judged('SKIPPED', 'PRETESTS', 300),
+			judged('OK', 'PRETESTS', 600)
+		];
+		const replayMode = (verdictMode, replayed = submissions) => {
+			const stateMap = new Map();
+			const rule = getScoringRule({ type: 'CF' });
+			replayEvents(stateMap, buildEventStream(replayed, [], CONTEST_START), { contestId: 1, rule, problemPointsMap: new Map([['A', 500]]), verdictMode });
+			return stateMap.get(getPartyKey(replayed[0].author)).problems.get('A');
+		};
+
+		test('Should ignore compile errors and skipped submissions and use system test verdicts', () => {
+			expect(replayMode('final')).toMatchObject({ solved: false, rejectCount: 1, pendingSystemTestCount: 1 });
+		});
+
+		test('Should count a submission that passed pretests and failed system tests by mode', () => {
+			const failedSystemTests = [judged('WRONG_ANSWER', 'TESTS', 600)];
+
+			expect(replayMode('final', failedSystemTests)).toMatchObject({ solved: false, rejectCount: 1 });
+			expect(replayMode('live', failedSystemTests)).toMatchObject({ solved: true, rejectCount: 0, solveTime: 600 });
+			expect(replayMode('final', [judged('OK', 'PRETESTS', 600)])).toMatchObject({ solved: false, rejectCount: 0, pendingSystemTestCount: 1 });
+		});
+
+		test('Should show submissions accepted on pretests when replaying live', () => {
+			expect(replayMode('live')).toMatchObject({ solved: true, rejectCount: 1, solveTime: 600, points: 500 });
+		});
+
+		test('Should replay unfinished contests live by default', () => {
+			expect(replayMode(getVerdictMode({ type: 'CF', phase: 'CODING' }))).toMatchObject({ solved: true, solveTime: 600 });
+			expect(replayMode(getVerdictMode({ type: 'CF', phase: 'FINISHED' }))).toMatchObject({ solved: false });
+			expect(getVerdictMode({ type: 'CF', phase: 'CODING', verdictMode: 'final' })).toBe('final');
+		});
+
+		test('Should only show in-contest pretest passes as accepted when replaying live', () => {
+			expect(replayMode('live', [judged('CHALLENGED', 'PRETESTS', 600)])).toMatchObject({ solved: true });
+			expect(replayMode('live', [judged('CHALLENGED', 'TESTS', 600, 'PRACTICE')])).toMatchObject({ solved: false, rejectCount: 1 });
+			expect(replayMode('live', [judged('WRONG_ANSWER', 'TESTS', 600, 'PRACTICE')])).toMatchObject({ solved: false, rejectCount: 1 });
+		});
+
+		test('Should not treat testset as pretests on contests without system testing', () => {
+			const stateMap = new Map();
+			replayEvents(stateMap, buildEventStream(submissions, [], CONTEST_START), { contestId: 1, rule: getScoringRule('ICPC'), problemPointsMap: new Map(), verdictMode: 'final' });
+			expect(stateMap.get('CONTESTANT:a').problems.get('A')).toMatchObject({ solved: true, rejectCount: 1 });
+		});
+	});
+});
@@ -0,0 +1,127 @@
+/**
+ * In-Memory Model
+ * A Mongoose model stand-in that keeps its documents in memory, for the tests of the
+ * services that store their state in a collection (queries by equality and $in,
+ * updates with $set, $inc and $push with $each / $slice)
+ */
+
+import mongoose from 'mongoose';
+
+/**
+ * Copy a document so callers never share nested values with the stored one
+ * @param {Object} doc - Document
+ * @returns {Object} Copy
+ */
+function copy (doc) {
+	return Object.fromEntries(Object.entries(doc).map(([key, value]) => [key, key === '_id' ? value : structuredClone(value)]));
+}
+
+/**
+ * Check a document against a query
+ * @param {Object} doc - Document
+ * @param {Object} query - Field -> value or { $in: [values] }
+ * @returns {boolean} True if every field matches
+ */
+function matches (doc, query) {
+	return Object.entries(query).every(([field, condition]) => {
+		const value = field === '_id' ? String(doc._id) : doc[field];
+		if (condition && typeof condition === 'object' && Array.isArray(condition.$in)) {
+			return condition.$in.includes(value);
+		}
+		return value === (field === '_id' ? String(condition) : condition);
+	});
+}
+
+/**
+ * Apply an update to a stored document
+ * @param {Object} doc - Stored document
+ * @param {Object} update - { $set, $inc, $push }
+ */
+function applyUpdate (doc, update) {
+	Object.assign(doc, structuredClone(update.$set || {}));
+	for (const [field, amount] of Object.entries(update.$inc || {})) {
+		doc[field] = (doc[field] || 0) + amount;
+	}
+	for (const [field, push] of Object.entries(update.$push || {})) {
+		const items = [...(doc[field] || []), ...structuredClone(push.$each || [push])];
+		doc[field] = push.$slice !== undefined ? items.slice(push.$slice) : items;
+	}
+	doc.updatedAt = new Date();
+}
+
+/**
+ * Wrap a result in a query that resolves with .lean() or when awaited
+ * @param {Function} resolve - Returns the result
+ * @returns {Object} Query
+ */
+function query (resolve) {
+	const chain = {
+		select: () => chain,
+		sort: () => chain,
+		limit: () => chain,
+		lean: async () => resolve(),
+		then: (onFulfilled, onRejected) => Promise.resolve().then(resolve).then(onFulfilled, onRejected)
+	};
+	return chain;
+}
+
+/**
+ * Create an in-memory model
+ * @param {Object} defaults - Field defaults of the schema
+ * @returns {Object} Model with create, findById, findOne, find, updateOne, findOneAndUpdate, insert and reset
+ */
+export function createMemoryModel (defaults = {}) {
+	let docs = [];
+	const find = filter => docs.find(doc => matches(doc, filter));
+
+	return {
+		get docs () {
+			return docs;
+		},
+		reset () {
+			docs = [];
+		},
+		insert (fields) {
+			const now = new Date();
+			const doc = { _id: new mongoose.Types.ObjectId(), ...structuredClone(defaults), createdAt: now, updatedAt: now, ...fields };
+			docs.push(doc);
+			return doc;
+		},
+		async create (fields) {
+			const doc = copy(this.insert(fields));
+			return { ...doc, toObject: () => copy(doc) };
+		},
+		findById (id) {
+			return query(() => {
+				const doc = find({ _id: id });
+				return doc ? copy(doc) : null;
+			});
+		},
+		findOne (filter) {
+			return query(() => {
+				const doc = find(filter);
+				return doc ? copy(doc) : null;
+			});
+		},
+		find (filter = {}) {
+			return query(() => docs.filter(doc => matches(doc, filter)).map(copy));
+		},
+		async updateOne (filter, update) {
+			const doc = find(filter);
+			if (doc) {
+				applyUpdate(doc, update);
+			}
+			return { matchedCount: doc ? 1 : 0, modifiedCount: doc ? 1 : 0 };
+		},
+		findOneAndUpdate (filter, update) {
+			return query(() => {
+				const doc = find(filter);
+				if (!doc) {
+					return null;
+				}
+				applyUpdate(doc, update);
+				return copy(doc);
+			});
+		}
+	};
+}
@@ -0,0 +1,59 @@
+/**
+ * Participant State Fixtures
+ * Participant states shaped like the standings state and snapshots, for the tests of
+ * the modules that rank, filter and compare them
+ */
+
+/**
+ * Participant state without any solve
+ * @param {string|string[]} handles - Member handle(s); the participant key is built from the type and handles
+ * @param {Object} fields - Fields set on top of the empty state (participantType, isUnofficial, teamName, ...)
+ * @returns {Object} Participant state
+ */
+export function participantState (handles, fields = {}) {
+	const memberHandles = Array.isArray(handles) ? handles : [handles];
+	const participantType = fields.participantType || 'CONTESTANT';
+	return {
+		participantKey: `${participantType}:${memberHandles.join(',')}`,
+		handle: memberHandles[0],
+		handles: memberHandles,
+		participantType,
+		totalPoints: 0,
+		solvedCount: 0,
+		totalPenalty: 0,
+		problems: {},
+		...fields
+	};
+}
+
+/**
+ * ICPC participant state with one point per solved problem
+ * @param {string|string[]} handles - Member handle(s)
+ * @param {number} solvedCount - Solved problems
+ * @param {number} totalPenalty - Penalty minutes
+ * @param {Object} fields - Other fields
+ * @returns {Object} Participant state
+ */
+export function icpcState (handles, solvedCount, totalPenalty, fields = {}) {
+	return participantState(handles, { totalPoints: solvedCount, solvedCount, totalPenalty, ...fields });
+}
+
+/**
+ * ICPC participant state solving the given problems at the given times, without rejections
+ * @param {string|string[]} handles - Member handle(s)
+ * @param {Object} solves - Problem index -> solve time (relative seconds)
+ * @param {Object} fields - Other fields
+ * @returns {Object} Participant state
+ */
+export function solvingState (handles, solves = {}, fields = {}) {
+	const solveTimes = Object.values(solves);
+	const problems = Object.fromEntries(Object.entries(solves).map(([problemIndex, solveTime]) => [
+		problemIndex,
+		{ solved: true, solveTime, points: 1, penalty: solveTime / 60 }
+	]));
+	return icpcState(handles, solveTimes.length, solveTimes.reduce((sum, time) => sum + time / 60, 0), {
+		lastAcTime: solveTimes.length > 0 ? Math.max(...solveTimes) : null,
+		problems,
+		...fields
+	});
+}
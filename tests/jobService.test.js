@@ -0,0 +1,226 @@
+import { jest } from '@jest/globals';
+import { createMemoryModel } from './helpers/memoryModel.js';
+
+const CONTEST_ID = 1234;
+
+// Planned by planFixedSnapshots: bases at 0, 30, 60 and deltas in between
+const BULK_PARAMS = { contestId: CONTEST_ID, mode: 'fixed', baseInterval: 30, deltaInterval: 10, startTimestamp: 0, endTimestamp: 60, fileMode: false };
+const PLANNED_TIMESTAMPS = [0, 10, 20, 30, 40, 50, 60];
+
+const Jobs = createMemoryModel({
+	status: 'QUEUED',
+	contestId: null,
+	params: {},
+	progress: 0,
+	progressMessage: null,
+	progressDetails: null,
+	logs: [],
+	result: null,
+	error: null,
+	attempts: 0,
+	cancelRequested: false,
+	startedAt: null,
+	finishedAt: null
+});
+
+// Snapshots stored by the fake snapshot pass, in creation order
+let createdSnapshots = [];
+// Called before each snapshot of the fake pass; tests use it to pause or fail a job
+let beforeSnapshot = async () => {};
+
+jest.unstable_mockModule('../src/helpers/logger.js', () => ({
+	logger: { info: () => {}, warn: () => {}, error: () => {}, debug: () => {} }
+}));
+jest.unstable_mockModule('../src/data/models/index.js', () => ({
+	models: { Jobs }
+}));
+jest.unstable_mockModule('../src/helpers/codeforcesAPI.js', () => ({
+	codeforcesAPI: {}
+}));
+jest.unstable_mockModule('../src/services/snapshotSchedulerService.js', () => ({
+	snapshotSchedulerService: {}
+}));
+jest.unstable_mockModule('../src/services/codeforcesDataService.js', () => ({
+	codeforcesDataService: {
+		getContestFromDB: async contestId => ({ contestId, name: 'Test Round', durationSeconds: 60 })
+	}
+}));
+jest.unstable_mockModule('../src/services/snapshotService.js', () => ({
+	snapshotService: {
+		planAdaptiveSnapshots: async () => ({ baseTimestamps: [0, 60], deltaTimestamps: [20], bursts: [], summary: { snapshotCount: 3 } }),
+		findLastSnapshot: async (contestId, timestampSeconds) => {
+			const timestamps = createdSnapshots.map(snapshot => snapshot.timestampSeconds).filter(t => t <= timestampSeconds);
+			return timestamps.length > 0 ? { timestampSeconds: Math.max(...timestamps) } : null;
+		},
+		createSnapshotsInPass: async (contestId, baseTimestamps, deltaTimestamps, fileMode, options) => {
+			const planned = [
+				...baseTimestamps.map(timestampSeconds => ({ type: 'BASE', timestampSeconds })),
+				...deltaTimestamps.map(timestampSeconds => ({ type: 'DELTA', timestampSeconds }))
+			].sort((a, b) => a.timestampSeconds - b.timestampSeconds);
+			const created = { base: [], delta: [], errors: [] };
+			for (const [index, snapshot] of planned.entries()) {
+				if (options.shouldStop()) {
+					break;
+				}
+				await beforeSnapshot(snapshot);
+				createdSnapshots.push(snapshot);
+				(snapshot.type === 'BASE' ? created.base : created.delta).push(snapshot);
+				await options.onProgress(index + 1, planned.length, snapshot.timestampSeconds);
+			}
+			return created;
+		}
+	}
+}));
+
+let jobService;
+let JOB_STATUS;
+let JOB_TYPE;
+
+/**
+ * Promise with its resolve function, to hold a job until the test releases it
+ * @returns {Object} { promise, resolve }
+ */
+function deferred () {
+	let resolve;
+	const promise = new Promise(done => {
+		resolve = done;
+	});
+	return { promise, resolve };
+}
+
+/**
+ * Wait until a job reaches a status
+ * @param {string} jobId - Job ID
+ * @param {string} status - Expected status
+ * @returns {Promise<Object>} Job status
+ */
+async function waitForStatus (jobId, status) {
+	for (let i = 0; i < 200; i++) {
+		const job = await jobService.getJob(jobId);
+		if (job.status === status) {
+			return job;
+		}
+		await new Promise(resolve => setImmediate(resolve));
+	}
+	throw new Error(`Job ${jobId} did not reach ${status}`);
+}
+
+describe('jobService', () => {
+
+	beforeAll(async () => {
+		({ jobService, JOB_STATUS, JOB_TYPE } = await import('../src/services/jobService.js'));
+	});
+
+	beforeEach(() => {
+		Jobs.reset();
+		createdSnapshots = [];
+		beforeSnapshot = async () => {};
+	});
+
+	test('Should keep a queued job waiting while another one runs', async () => {
+		const release = deferred();
+		beforeSnapshot = () => release.promise;
+
+		const first = await jobService.enqueue(JOB_TYPE.BULK_SNAPSHOTS, BULK_PARAMS, { contestId: CONTEST_ID });
+		await waitForStatus(first.jobId, JOB_STATUS.RUNNING);
+		const second = await jobService.enqueue(JOB_TYPE.BULK_SNAPSHOTS, { ...BULK_PARAMS, startTimestamp: 30 }, { contestId: CONTEST_ID });
+		await new Promise(resolve => setImmediate(resolve));
+
+		expect(jobService.running.size).toBe(1);
+		expect((await jobService.getJob(second.jobId)).status).toBe(JOB_STATUS.QUEUED);
+
+		release.resolve();
+		const firstDone = await waitForStatus(first.jobId, JOB_STATUS.SUCCEEDED);
+		const secondDone = await waitForStatus(second.jobId, JOB_STATUS.SUCCEEDED);
+
+		expect(firstDone.finishedAt.getTime()).toBeLessThanOrEqual(secondDone.startedAt.getTime());
+		expect(firstDone).toMatchObject({ progress: 100, result: { createdSnapshots: { totalCount: 7, skippedCount: 0 } } });
+	});
+
+	test('Should stop a running job at its next step when it is cancelled', async () => {
+		const paused = deferred();
+		const release = deferred();
+		beforeSnapshot = async snapshot => {
+			if (snapshot.timestampSeconds === 20) {
+				paused.resolve();
+				await release.promise;
+			}
+		};
+
+		const job = await jobService.enqueue(JOB_TYPE.BULK_SNAPSHOTS, BULK_PARAMS, { contestId: CONTEST_ID });
+		await paused.promise;
+		const cancelling = await jobService.cancel(job.jobId);
+		release.resolve();
+		const cancelled = await waitForStatus(job.jobId, JOB_STATUS.CANCELLED);
+
+		expect(cancelling).toMatchObject({ status: JOB_STATUS.RUNNING, cancelRequested: true });
+		expect(createdSnapshots.map(snapshot => snapshot.timestampSeconds)).toEqual([0, 10, 20]);
+		expect(cancelled.result.createdSnapshots.totalCount).toBe(3);
+	});
+
+	test('Should cancel a queued job before it starts', async () => {
+		const release = deferred();
+		beforeSnapshot = () => release.promise;
+
+		const running = await jobService.enqueue(JOB_TYPE.BULK_SNAPSHOTS, BULK_PARAMS, { contestId: CONTEST_ID });
+		const queued = await jobService.enqueue(JOB_TYPE.BULK_SNAPSHOTS, BULK_PARAMS, { contestId: CONTEST_ID });
+		await waitForStatus(running.jobId, JOB_STATUS.RUNNING);
+
+		expect((await jobService.cancel(queued.jobId)).status).toBe(JOB_STATUS.CANCELLED);
+		release.resolve();
+		await waitForStatus(running.jobId, JOB_STATUS.SUCCEEDED);
+		expect((await jobService.getJob(queued.jobId)).attempts).toBe(0);
+	});
+
+	test('Should continue a retried bulk job after its last snapshot without creating any twice', async () => {
+		beforeSnapshot = async snapshot => {
+			if (snapshot.timestampSeconds === 40) {
+				throw new Error('Database unavailable');
+			}
+		};
+
+		const job = await jobService.enqueue(JOB_TYPE.BULK_SNAPSHOTS, BULK_PARAMS, { contestId: CONTEST_ID });
+		const failed = await waitForStatus(job.jobId, JOB_STATUS.FAILED);
+		expect(failed.error).toBe('Database unavailable');
+
+		beforeSnapshot = async () => {};
+		await jobService.retry(job.jobId);
+		const retried = await waitForStatus(job.jobId, JOB_STATUS.SUCCEEDED);
+
+		expect(createdSnapshots.map(snapshot => snapshot.timestampSeconds)).toEqual(PLANNED_TIMESTAMPS);
+		expect(retried).toMatchObject({ attempts: 2, error: null, result: { createdSnapshots: { totalCount: 3, skippedCount: 4 } } });
+	});
+
+	test('Should queue interrupted jobs again after a restart and fail the ones that cannot resume', async () => {
+		createdSnapshots = [{ type: 'BASE', timestampSeconds: 0 }, { type: 'DELTA', timestampSeconds: 10 }];
+		const interrupted = Jobs.insert({ type: JOB_TYPE.BULK_SNAPSHOTS, status: 'RUNNING', params: BULK_PARAMS, attempts: 1 });
+		const cancelling = Jobs.insert({ type: JOB_TYPE.BULK_SNAPSHOTS, status: 'RUNNING', params: BULK_PARAMS, attempts: 1, cancelRequested: true });
+		const unknown = Jobs.insert({ type: 'REMOVED_TYPE', status: 'RUNNING', attempts: 1 });
+
+		expect(await jobService.resumeAll()).toEqual({ resumed: 1, failed: 1 });
+		const resumed = await waitForStatus(String(interrupted._id), JOB_STATUS.SUCCEEDED);
+
+		expect(resumed).toMatchObject({ attempts: 2, result: { createdSnapshots: { skippedCount: 2, totalCount: 5 } } });
+		expect(createdSnapshots.map(snapshot => snapshot.timestampSeconds)).toEqual(PLANNED_TIMESTAMPS);
+		expect((await jobService.getJob(String(cancelling._id))).status).toBe(JOB_STATUS.CANCELLED);
+		expect(await jobService.getJob(String(unknown._id))).toMatchObject({ status: JOB_STATUS.FAILED, error: 'Interrupted by a server restart' });
+	});
+
+	test('Should report the adaptive plan while the snapshots are being created', async () => {
+		const paused = deferred();
+		const release = deferred();
+		beforeSnapshot = async () => {
+			paused.resolve();
+			await release.promise;
+		};
+
+		const job = await jobService.enqueue(JOB_TYPE.BULK_SNAPSHOTS, { ...BULK_PARAMS, mode: 'adaptive', plannerOptions: {} }, { contestId: CONTEST_ID });
+		await paused.promise;
+		const running = await jobService.getJob(job.jobId);
+		release.resolve();
+		await waitForStatus(job.jobId, JOB_STATUS.SUCCEEDED);
+
+		expect(running.status).toBe(JOB_STATUS.RUNNING);
+		expect(running.progressDetails.plan).toMatchObject({ baseTimestamps: [0, 60], deltaTimestamps: [20] });
+	});
+});
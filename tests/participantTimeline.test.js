@@ -0,0 +1,96 @@
+import { buildEventStream, replayEvents } from '../src/services/eventStream.js';
+import { findParticipantMoments, rankParticipant, toTimelinePoint, MOMENT_TYPE } from '../src/services/participantTimeline.js';
+import { getScoringRule } from '../src/services/scoringRules.js';
+import { icpcState } from './helpers/participantState.js';
+
+const CONTEST_START = 1000;
+const PROBLEM_POINTS = new Map([['A', 500], ['B', 1000]]);
+
+const party = handle => ({ members: [{ handle }], participantType: 'CONTESTANT' });
+
+const submission = (id, handle, index, verdict, relativeTimeSeconds) => ({
+	id,
+	creationTimeSeconds: CONTEST_START + relativeTimeSeconds,
+	relativeTimeSeconds,
+	problem: { index },
+	author: party(handle),
+	verdict
+});
+
+const hack = (id, hacker, defender, index, verdict, relativeTimeSeconds) => ({
+	id,
+	creationTimeSeconds: CONTEST_START + relativeTimeSeconds,
+	problem: { index },
+	hacker: party(hacker),
+	defender: party(defender),
+	verdict
+});
+
+const context = rule => ({ contestId: 1, rule, problemPointsMap: PROBLEM_POINTS, problemSubtasksMap: new Map() });
+
+describe('participantTimeline', () => {
+
+	test('Should rank a participant with the ties of the standings', () => {
+		const rule = getScoringRule({ type: 'ICPC' });
+		const stateMap = new Map();
+		replayEvents(stateMap, buildEventStream([
+			submission(1, 'a', 'A', 'OK', 60),
+			submission(2, 'a', 'B', 'OK', 120),
+			submission(3, 'b', 'A', 'OK', 60),
+			submission(4, 'c', 'A', 'OK', 60),
+			submission(5, 'd', 'A', 'WRONG_ANSWER', 30)
+		], [], CONTEST_START), context(rule));
+
+		expect(rankParticipant(stateMap.values(), 'CONTESTANT:a', rule)).toMatchObject({ rank: 1, rankEnd: 1, participantCount: 4 });
+		expect(rankParticipant(stateMap.values(), 'CONTESTANT:c', rule)).toMatchObject({ rank: 2, rankEnd: 3 });
+		expect(rankParticipant(stateMap.values(), 'CONTESTANT:d', rule)).toMatchObject({ rank: 4, rankEnd: 4 });
+		expect(rankParticipant(stateMap.values(), 'CONTESTANT:e', rule)).toBeNull();
+
+		expect(toTimelinePoint(300, rankParticipant(stateMap.values(), 'CONTESTANT:b', rule))).toEqual({
+			timestampSeconds: 300,
+			rank: 2,
+			rankRange: '2-3',
+			points: 1,
+			penalty: 1,
+			solvedCount: 1,
+			participantCount: 4
+		});
+		expect(toTimelinePoint(300, null)).toMatchObject({ rank: null, points: 0, solvedCount: 0 });
+	});
+
+	test('Should rank unofficial participants only when asked to', () => {
+		const rule = getScoringRule({ type: 'ICPC' });
+		const states = [icpcState('v', 2, 10, { participantType: 'VIRTUAL', isUnofficial: true }), icpcState('a', 1, 10)];
+
+		expect(rankParticipant(states, 'CONTESTANT:a', rule)).toMatchObject({ rank: 1, participantCount: 1 });
+		expect(rankParticipant(states, 'CONTESTANT:a', rule, true)).toMatchObject({ rank: 2, participantCount: 2 });
+		expect(rankParticipant(states, 'VIRTUAL:v', rule)).toBeNull();
+	});
+
+	test('Should find the exact moments of solves, rejections and hacks', () => {
+		const rule = getScoringRule({ type: 'CF' });
+		const events = buildEventStream([
+			submission(1, 'a', 'A', 'WRONG_ANSWER', 60),
+			submission(2, 'a', 'A', 'OK', 300),
+			submission(3, 'a', 'A', 'OK', 400),
+			submission(4, 'a', 'B', 'COMPILATION_ERROR', 500),
+			submission(5, 'b', 'B', 'OK', 600)
+		], [
+			hack(10, 'a', 'b', 'B', 'HACK_SUCCESSFUL', 900),
+			hack(11, 'b', 'a', 'A', 'HACK_SUCCESSFUL', 1200)
+		], CONTEST_START);
+
+		const moments = findParticipantMoments(events, 'CONTESTANT:a', context(rule));
+
+		expect(moments.map(({ timeSeconds, type, problemIndex }) => [timeSeconds, type, problemIndex])).toEqual([
+			[60, MOMENT_TYPE.REJECTION, 'A'],
+			[300, MOMENT_TYPE.SOLVE, 'A'],
+			[900, MOMENT_TYPE.HACK, 'B'],
+			[1200, MOMENT_TYPE.HACKED, 'A']
+		]);
+		expect(moments[1]).toMatchObject({ submissionId: 2 });
+		expect(moments[1].points).toBeGreaterThan(0);
+		expect(moments[2]).toMatchObject({ hackId: 10, successful: true });
+		expect(moments[3].points).toBe(-moments[1].points);
+	});
+});
@@ -0,0 +1,59 @@
+import { computeProblemStats, resolveBucketSeconds, MAX_STAT_BUCKETS } from '../src/services/problemStats.js';
+import { participantState } from './helpers/participantState.js';
+
+const solved = (solveTime, rejectCount = 0) => ({ solved: true, solveTime, rejectCount, points: 500 });
+const rejected = rejectCount => ({ solved: false, solveTime: null, rejectCount, points: 0 });
+
+const problems = [{ index: 'A', name: 'Easy', points: 500 }, { index: 'B', name: 'Hard', points: 1000 }, { index: 'C', name: 'Unseen', points: 1500 }];
+
+const states = [
+	participantState('a', { problems: { A: solved(300, 1), B: rejected(2) } }),
+	participantState('b', { problems: new Map([['A', solved(300)]]) }),
+	participantState('c', { problems: { A: solved(900), B: solved(1500, 1) } }),
+	participantState('v', { participantType: 'VIRTUAL', isUnofficial: true, problems: { A: solved(60) } })
+];
+
+describe('problemStats', () => {
+
+	test('Should count solves, attempts and first solvers of official participants', () => {
+		const [a, b, c] = computeProblemStats(states, problems, { timestampSeconds: 1800, bucketSeconds: 600 });
+
+		expect(a).toMatchObject({
+			problemIndex: 'A',
+			name: 'Easy',
+			solveCount: 3,
+			triedCount: 3,
+			attemptCount: 4,
+			acceptanceRate: 0.75,
+			firstSolveTimeSeconds: 300,
+			averageSolveTimeSeconds: 500
+		});
+		expect(a.firstSolvers.map(solver => solver.participantKey)).toEqual(['CONTESTANT:a', 'CONTESTANT:b']);
+		expect(b).toMatchObject({ solveCount: 1, triedCount: 2, attemptCount: 4, acceptanceRate: 0.25, firstSolveTimeSeconds: 1500 });
+		expect(c).toMatchObject({ solveCount: 0, attemptCount: 0, acceptanceRate: null, firstSolveTimeSeconds: null, averageSolveTimeSeconds: null, firstSolvers: [] });
+	});
+
+	test('Should bucket solves into a cumulative solve curve', () => {
+		const [a, b] = computeProblemStats(states, problems, { timestampSeconds: 1500, bucketSeconds: 600 });
+
+		expect(a.series).toEqual([
+			{ timestampSeconds: 600, solveCount: 2, cumulativeSolveCount: 2 },
+			{ timestampSeconds: 1200, solveCount: 1, cumulativeSolveCount: 3 },
+			{ timestampSeconds: 1500, solveCount: 0, cumulativeSolveCount: 3 }
+		]);
+		expect(b.series.map(point => point.solveCount)).toEqual([0, 0, 1]);
+	});
+
+	test('Should count unofficial participants on request', () => {
+		const [a] = computeProblemStats(states, problems, { timestampSeconds: 1800, bucketSeconds: 600, showUnofficial: true });
+
+		expect(a).toMatchObject({ solveCount: 4, firstSolveTimeSeconds: 60 });
+		expect(a.firstSolvers).toEqual([{ participantKey: 'VIRTUAL:v', handles: ['v'] }]);
+	});
+
+	test('Should raise small buckets to fit', () => {
+		expect(resolveBucketSeconds(7200)).toBe(300);
+		expect(resolveBucketSeconds(7200, 60)).toBe(60);
+		expect(resolveBucketSeconds(MAX_STAT_BUCKETS * 10, 1)).toBe(10);
+	});
+});
@@ -0,0 +1,54 @@
+import { buildRankMovement, findLeaders, rankStates, MOVEMENT_SORT } from '../src/services/rankMovement.js';
+import { getScoringRule } from '../src/services/scoringRules.js';
+import { icpcState } from './helpers/participantState.js';
+
+const rule = getScoringRule({ type: 'ICPC' });
+
+const before = [icpcState('a', 2, 50), icpcState('b', 1, 10), icpcState('c', 1, 20), icpcState('d', 0, 0)];
+const after = [icpcState('a', 2, 50), icpcState('b', 1, 10), icpcState('c', 3, 90), icpcState('d', 1, 10), icpcState('e', 1, 5)];
+
+describe('rankMovement', () => {
+
+	test('Should rank states with shared ranks without modifying them', () => {
+		const states = [icpcState('a', 1, 10), icpcState('b', 1, 10), icpcState('c', 0, 0)];
+		const ranking = rankStates(states, rule);
+
+		expect(ranking.get('CONTESTANT:a')).toMatchObject({ rank: 1, rankEnd: 2, points: 1 });
+		expect(ranking.get('CONTESTANT:c')).toMatchObject({ rank: 3, rankEnd: 3 });
+		expect(states[0].rank).toBeUndefined();
+	});
+
+	test('Should sort climbers and fallers by rank change', () => {
+		const rows = buildRankMovement(rankStates(before, rule), rankStates(after, rule));
+
+		expect(rows.map(row => [row.participantKey, row.rankChange])).toEqual([
+			['CONTESTANT:c', 2],
+			['CONTESTANT:d', 0],
+			['CONTESTANT:a', -1],
+			['CONTESTANT:b', -2],
+			['CONTESTANT:e', null]
+		]);
+		expect(rows[0]).toMatchObject({ rankBefore: 3, rankAfter: 1, pointsBefore: 1, pointsAfter: 3, pointsChange: 2 });
+
+		const fallers = buildRankMovement(rankStates(before, rule), rankStates(after, rule), { sortBy: MOVEMENT_SORT.FALL, limit: 2 });
+		expect(fallers.map(row => row.participantKey)).toEqual(['CONTESTANT:b', 'CONTESTANT:a']);
+	});
+
+	test('Should filter to the top N at the end time', () => {
+		const rows = buildRankMovement(rankStates(before, rule), rankStates(after, rule), { sortBy: MOVEMENT_SORT.RANK, topN: 3 });
+
+		expect(rows.map(row => [row.participantKey, row.rankAfter])).toEqual([
+			['CONTESTANT:c', 1],
+			['CONTESTANT:a', 2],
+			['CONTESTANT:e', 3]
+		]);
+	});
+
+	test('Should find tied leaders among official participants', () => {
+		const states = [icpcState('a', 2, 50), icpcState('b', 2, 50), icpcState('v', 5, 10, { isUnofficial: true })];
+
+		expect(findLeaders(states, rule)).toEqual(['CONTESTANT:a', 'CONTESTANT:b']);
+		expect(findLeaders(states, rule, true)).toEqual(['CONTESTANT:v']);
+		expect(findLeaders([], rule)).toEqual([]);
+	});
+});
@@ -0,0 +1,109 @@
+import { jest } from '@jest/globals';
+import { icpcState } from './helpers/participantState.js';
+
+const FREEZE_TIME = 3600;
+const FINAL_TIME = 7200;
+
+const solvedProblem = (solveTime, rejectCount = 0) => ({ solved: true, solveTime, rejectCount, points: 1, penalty: Math.floor(solveTime / 60) + 20 * rejectCount });
+const rejectedProblem = rejectCount => ({ solved: false, solveTime: null, rejectCount, points: 0, penalty: 0 });
+
+// a solved A before the freeze and B after it; b and c only submitted after the freeze
+const frozenStates = [
+	icpcState('a', 1, 10, { lastAcTime: 600, problems: { A: solvedProblem(600) } })
+];
+const finalStates = [
+	icpcState('a', 2, 76, { lastAcTime: 4000, problems: { A: solvedProblem(600), B: solvedProblem(4000) } }),
+	icpcState('b', 1, 60, { lastAcTime: 3650, problems: { A: rejectedProblem(1), B: solvedProblem(3650) } }),
+	icpcState('c', 1, 83, { lastAcTime: 5000, problems: { A: solvedProblem(5000) } })
+];
+
+// Loaded states are shared between sessions, like the states of the standings state cache
+const toStateMap = states => new Map(states.map(state => [state.participantKey, state]));
+const stateMaps = new Map([[FREEZE_TIME, toStateMap(frozenStates)], [FINAL_TIME, toStateMap(finalStates)]]);
+
+jest.unstable_mockModule('../src/helpers/logger.js', () => ({
+	logger: { info: () => {}, warn: () => {}, error: () => {}, debug: () => {} }
+}));
+jest.unstable_mockModule('../src/services/incrementalSimulationService.js', () => ({
+	incrementalSimulationService: {
+		loadStateAt: async (contestId, timestampSeconds) => stateMaps.get(timestampSeconds) || null,
+		buildStandingsRow: (contestId, participant) => ({ participantKey: participant.participantKey, rank: participant.rank, points: participant.totalPoints })
+	}
+}));
+
+let resolverService;
+
+const contest = { id: 1, type: 'ICPC' };
+const createSession = async () => {
+	const { sessionId } = await resolverService.createSession(contest, { freezeTimeSeconds: FREEZE_TIME, timestampSeconds: FINAL_TIME });
+	return resolverService.getSession(sessionId, contest.id);
+};
+
+describe('resolverService', () => {
+
+	beforeAll(async () => {
+		({ resolverService } = await import('../src/services/resolverService.js'));
+	});
+
+	beforeEach(() => {
+		resolverService.sessions.clear();
+	});
+
+	test('Should reveal the lowest-ranked pending row first, one problem at a time', async () => {
+		const session = await createSession();
+
+		expect(resolverService.getSteps(session).map(step => [step.participantKey, step.problemIndex, step.solved, step.rankBefore, step.rankAfter])).toEqual([
+			['CONTESTANT:c', 'A', true, 2, 2],
+			['CONTESTANT:b', 'A', false, 3, 3],
+			['CONTESTANT:b', 'B', true, 3, 2],
+			['CONTESTANT:a', 'B', true, 1, 1]
+		]);
+		expect(resolverService.getStandingsAtStep(session, 0).rows.map(row => [row.participantKey, row.rank])).toEqual([
+			['CONTESTANT:a', 1],
+			['CONTESTANT:b', 2],
+			['CONTESTANT:c', 2]
+		]);
+	});
+
+	test('Should compute the same steps on every run without ranking the loaded states', async () => {
+		const first = resolverService.getSteps(await createSession());
+		const second = resolverService.getSteps(await createSession());
+
+		expect(second).toEqual(first);
+		for (const state of [...frozenStates, ...finalStates]) {
+			expect(state.rank).toBeUndefined();
+		}
+	});
+
+	test('Should step forward and back through a session', async () => {
+		const session = await createSession();
+		const ranks = view => view.rows.map(row => [row.participantKey, row.rank]);
+
+		expect(resolverService.move(session, -1).step).toBe(0);
+		for (let step = 1; step <= 4; step++) {
+			expect(ranks(resolverService.move(session, 1))).toEqual(ranks(resolverService.getStandingsAtStep(session, step)));
+		}
+		expect(resolverService.move(session, 1)).toMatchObject({ step: 4, lastStep: { step: 4, participantKey: 'CONTESTANT:a' } });
+		expect(ranks(resolverService.move(session, 1))).toEqual([
+			['CONTESTANT:a', 1],
+			['CONTESTANT:b', 2],
+			['CONTESTANT:c', 3]
+		]);
+
+		const back = resolverService.move(session, -1);
+		expect(back).toMatchObject({ step: 3, lastStep: { participantKey: 'CONTESTANT:b', problemIndex: 'B' } });
+		expect(back.rows.find(row => row.participantKey === 'CONTESTANT:a').points).toBe(1);
+	});
+
+	test('Should drop the oldest session beyond 20 sessions', async () => {
+		const sessions = [];
+		for (let i = 0; i < 21; i++) {
+			sessions.push(await createSession());
+		}
+
+		expect(resolverService.sessions.size).toBe(20);
+		expect(resolverService.getSession(sessions[0].sessionId, contest.id)).toBeNull();
+		expect(resolverService.getSession(sessions[1].sessionId, contest.id)).toBe(sessions[1]);
+		expect(resolverService.getSession(sessions[20].sessionId, contest.id)).toBe(sessions[20]);
+	});
+});
@@ -0,0 +1,205 @@
+import { getScoringRule, codeforcesDynamicScore, DEFAULT_SCORING_RULE } from '../src/services/scoringRules.js';
+import { createInitialState, processSubmission, assignSharedRanks, formatRankRange, paginateByRank, freezeParticipantState, stateToPlainObject } from '../src/services/standingsStateUpdate.js';
+
+const replay = (rule, submissions) => {
+	const state = createInitialState('tourist', 1);
+	submissions.forEach(submission => processSubmission(state, submission, rule));
+	return state;
+};
+
+describe('scoringRules', () => {
+
+	describe('getScoringRule', () => {
+		test('Should select the rule from the contest type', () => {
+			expect(getScoringRule({ type: 'ICPC' }).type).toBe('ICPC');
+			expect(getScoringRule({ type: 'IOI' }).type).toBe('IOI');
+			expect(getScoringRule('cf').type).toBe('CF');
+		});
+
+		test('Should fall back to the Codeforces rule for unknown types', () => {
+			expect(getScoringRule()).toBe(DEFAULT_SCORING_RULE);
+			expect(getScoringRule({ type: 'FOO' }).type).toBe('CF');
+		});
+	});
+
+	describe('CF rule', () => {
+		const rule = getScoringRule({ type: 'CF', durationSeconds: 7200 });
+
+		test('Should decay points per minute and per rejected attempt', () => {
+			const state = replay(rule, [
+				{ problemIndex: 'A', verdict: 'OK', relativeTimeSeconds: 659, points: 500 },
+				{ problemIndex: 'B', verdict: 'WRONG_ANSWER', relativeTimeSeconds: 1200, points: 1000 },
+				{ problemIndex: 'B', verdict: 'OK', relativeTimeSeconds: 1800, points: 1000 }
+			]);
+
+			expect(state.problems.get('A').points).toBe(480);
+			expect(state.problems.get('B').points).toBe(1000 - 120 - 50);
+			expect(state.totalPoints).toBe(480 + 830);
+			expect(state.totalPenalty).toBe(0);
+		});
+
+		test('Should not count rejections on the first test or compile errors', () => {
+			const state = replay(rule, [
+				{ problemIndex: 'A', verdict: 'COMPILATION_ERROR', relativeTimeSeconds: 60, points: 500, passedTestCount: 0 },
+				{ problemIndex: 'A', verdict: 'WRONG_ANSWER', relativeTimeSeconds: 120, points: 500, passedTestCount: 0 },
+				{ problemIndex: 'A', verdict: 'TIME_LIMIT_EXCEEDED', relativeTimeSeconds: 180, points: 500, passedTestCount: 3 },
+				{ problemIndex: 'A', verdict: 'OK', relativeTimeSeconds: 659, points: 500, passedTestCount: 10 }
+			]);
+
+			expect(state.problems.get('A').rejectCount).toBe(1);
+			expect(state.problems.get('A').points).toBe(480 - 50);
+
+			const unknownState = replay(rule, [
+				{ problemIndex: 'A', verdict: 'WRONG_ANSWER', relativeTimeSeconds: 120, points: 500, passedTestCount: null },
+				{ problemIndex: 'A', verdict: 'OK', relativeTimeSeconds: 659, points: 500, passedTestCount: 10 }
+			]);
+			expect(unknownState.problems.get('A').rejectCount).toBe(1);
+
+			const icpcState = replay(getScoringRule('ICPC'), [
+				{ problemIndex: 'A', verdict: 'WRONG_ANSWER', relativeTimeSeconds: 120, points: 1, passedTestCount: 0 }
+			]);
+			expect(icpcState.problems.get('A').rejectCount).toBe(1);
+		});
+
+		test('Should never drop below 30% of the problem value', () => {
+			expect(codeforcesDynamicScore(500, 7200, 10, 120)).toBe(150);
+			expect(codeforcesDynamicScore(555, 7200, 10, 120)).toBe(166);
+		});
+
+		test('Should scale the decay with the contest duration', () => {
+			expect(codeforcesDynamicScore(500, 3600, 0, 120)).toBe(380);
+			expect(codeforcesDynamicScore(500, 3600, 0, 240)).toBe(440);
+		});
+
+		test('Should use full points and time penalty without a contest duration', () => {
+			const state = replay(DEFAULT_SCORING_RULE, [
+				{ problemIndex: 'A', verdict: 'OK', relativeTimeSeconds: 600, points: 500 }
+			]);
+
+			expect(state.totalPoints).toBe(500);
+			expect(state.totalPenalty).toBe(10);
+		});
+	});
+
+	describe('ICPC rule', () => {
+		const rule = getScoringRule('ICPC');
+
+		test('Should score one point per solved problem with penalty minutes', () => {
+			const state = replay(rule, [
+				{ problemIndex: 'A', verdict: 'WRONG_ANSWER', relativeTimeSeconds: 300, points: 500 },
+				{ problemIndex: 'A', verdict: 'OK', relativeTimeSeconds: 600, points: 500 },
+				{ problemIndex: 'B', verdict: 'OK', relativeTimeSeconds: 1250, points: 1000 }
+			]);
+
+			expect(state.totalPoints).toBe(2);
+			expect(state.solvedCount).toBe(2);
+			expect(state.totalPenalty).toBe(20 + 10 + 20);
+			expect(state.problems.get('A').penalty).toBe(30);
+		});
+
+		test('Should rank by solved count, then penalty, then last accepted time', () => {
+			const more = { solvedCount: 3, totalPenalty: 500, lastAcTime: 100 };
+			const less = { solvedCount: 2, totalPenalty: 10, lastAcTime: 100 };
+			const earlier = { solvedCount: 2, totalPenalty: 10, lastAcTime: 50 };
+
+			expect([less, more, earlier].sort(rule.compareParticipants)).toEqual([more, earlier, less]);
+		});
+	});
+
+	describe('IOI rule', () => {
+		test('Should not add time penalty', () => {
+			const state = replay(getScoringRule('IOI'), [
+				{ problemIndex: 'A', verdict: 'WRONG_ANSWER', relativeTimeSeconds: 300, points: 100 },
+				{ problemIndex: 'A', verdict: 'OK', relativeTimeSeconds: 600, points: 100 }
+			]);
+
+			expect(state.totalPoints).toBe(100);
+			expect(state.totalPenalty).toBe(0);
+		});
+
+		test('Should keep the best partial score per problem', () => {
+			const state = replay(getScoringRule('IOI'), [
+				{ problemIndex: 'A', verdict: 'WRONG_ANSWER', relativeTimeSeconds: 300, points: 100, score: 40, passedTestCount: 8 },
+				{ problemIndex: 'A', verdict: 'WRONG_ANSWER', relativeTimeSeconds: 600, points: 100, score: 20, passedTestCount: 3 },
+				{ problemIndex: 'B', verdict: 'WRONG_ANSWER', relativeTimeSeconds: 900, points: 100, score: 70, passedTestCount: 12 }
+			]);
+
+			expect(state.problems.get('A')).toMatchObject({ points: 40, bestPassedTestCount: 8, bestScoreTime: 300, solved: false });
+			expect(state.totalPoints).toBe(110);
+			expect(state.solvedCount).toBe(0);
+		});
+
+		test('Should sum the best score of each subtask', () => {
+			const subtasks = [{ testCount: 5, points: 30 }, { testCount: 5, points: 30 }, { testCount: 5, points: 40 }];
+			const state = replay(getScoringRule('IOI'), [
+				{ problemIndex: 'A', verdict: 'WRONG_ANSWER', relativeTimeSeconds: 300, points: 100, passedTestCount: 11, subtasks },
+				{ problemIndex: 'A', verdict: 'WRONG_ANSWER', relativeTimeSeconds: 600, points: 100, passedTestCount: 4, subtasks },
+				{ problemIndex: 'A', verdict: 'OK', relativeTimeSeconds: 900, points: 100, passedTestCount: 15, subtasks }
+			]);
+
+			expect(state.problems.get('A')).toMatchObject({ subtaskScores: [30, 30, 40], points: 100, solved: true, solveTime: 900 });
+			expect(state.totalPoints).toBe(100);
+			expect(state.solvedCount).toBe(1);
+		});
+	});
+
+	describe('Shared ranks', () => {
+		const rule = getScoringRule('CF');
+		const ranked = () => assignSharedRanks([
+			{ handle: 'a', totalPoints: 1000, totalPenalty: 0, lastAcTime: 100 },
+			{ handle: 'b', totalPoints: 500, totalPenalty: 0, lastAcTime: 100 },
+			{ handle: 'c', totalPoints: 500, totalPenalty: 0, lastAcTime: 200 },
+			{ handle: 'd', totalPoints: 500, totalPenalty: 0, lastAcTime: 300 },
+			{ handle: 'e', totalPoints: 100, totalPenalty: 0, lastAcTime: 100 }
+		], rule);
+
+		test('Should share a rank between participants with equal points and penalty', () => {
+			const participants = ranked();
+
+			expect(participants.map(p => p.rank)).toEqual([1, 2, 2, 2, 5]);
+			expect(participants.map(p => formatRankRange(p.rank, p.rankEnd))).toEqual(['1', '2-4', '2-4', '2-4', '5']);
+		});
+
+		test('Should not split tie groups when paginating by rank', () => {
+			const participants = ranked();
+
+			expect(paginateByRank(participants, 3, 3).map(p => p.handle)).toEqual(['b', 'c', 'd']);
+			expect(paginateByRank(participants, 1, 2).map(p => p.handle)).toEqual(['a', 'b', 'c', 'd']);
+			expect(paginateByRank(participants, 5, null).map(p => p.handle)).toEqual(['e']);
+		});
+	});
+
+	describe('Scoreboard freeze', () => {
+		const rule = getScoringRule('ICPC');
+		const beforeFreeze = [
+			{ problemIndex: 'A', verdict: 'OK', relativeTimeSeconds: 600 },
+			{ problemIndex: 'B', verdict: 'WRONG_ANSWER', relativeTimeSeconds: 900 }
+		];
+		const afterFreeze = [
+			{ problemIndex: 'B', verdict: 'WRONG_ANSWER', relativeTimeSeconds: 4000 },
+			{ problemIndex: 'B', verdict: 'OK', relativeTimeSeconds: 4200 },
+			{ problemIndex: 'C', verdict: 'WRONG_ANSWER', relativeTimeSeconds: 4300 },
+			{ problemIndex: 'A', verdict: 'WRONG_ANSWER', relativeTimeSeconds: 4400 }
+		];
+
+		test('Should hide results after the freeze and count them as pending', () => {
+			const frozen = stateToPlainObject(replay(rule, beforeFreeze));
+			const current = stateToPlainObject(replay(rule, [...beforeFreeze, ...afterFreeze]));
+			const view = freezeParticipantState(frozen, current);
+
+			expect(view.solvedCount).toBe(1);
+			expect(view.totalPenalty).toBe(10);
+			expect(view.problems.A.pendingCount).toBeUndefined();
+			expect(view.problems.B).toMatchObject({ solved: false, rejectCount: 1, pendingCount: 2 });
+			expect(view.problems.C).toMatchObject({ solved: false, rejectCount: 0, pendingCount: 1 });
+		});
+
+		test('Should show participants who first submit after the freeze with pending attempts only', () => {
+			const current = stateToPlainObject(replay(rule, afterFreeze));
+			const view = freezeParticipantState(undefined, current);
+
+			expect(view).toMatchObject({ handle: 'tourist', totalPoints: 0, solvedCount: 0 });
+			expect(Object.values(view.problems).map(p => p.pendingCount)).toEqual([2, 1, 1]);
+		});
+	});
+});
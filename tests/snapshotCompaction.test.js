@@ -0,0 +1,87 @@
+import { mergeDeltaChanges, planCompaction, selectRetentionRule, DEFAULT_RETENTION_POLICY } from '../src/services/snapshotCompaction.js';
+
+const change = (handle, op, totalPoints) => ({
+	participantKey: `CONTESTANT:${handle}`,
+	handle,
+	op,
+	state: op === 'REMOVE' ? undefined : { totalPoints }
+});
+
+const delta = (timestampSeconds, baseSnapshotTimestamp, changes) => ({
+	timestampSeconds,
+	baseSnapshotTimestamp,
+	changes,
+	corrections: []
+});
+
+describe('snapshotCompaction', () => {
+
+	test('Should compose the changes of each participant when merging deltas', () => {
+		const merged = mergeDeltaChanges([
+			[
+				{ ...change('alice', 'INSERT'), state: { totalPoints: 0, problems: { A: { solved: false } } } },
+				change('bob', 'UPDATE', 1),
+				{ ...change('carol', 'UPDATE'), state: { problems: { A: { solved: true } } } }
+			],
+			[
+				{ ...change('alice', 'UPDATE'), state: { totalPoints: 500, problems: { A: { solved: true } } } },
+				change('bob', 'REMOVE'),
+				{ ...change('carol', 'UPDATE'), state: { totalPoints: 500, problems: { B: { solved: true } } } }
+			]
+		]);
+
+		expect(merged).toEqual([
+			{ ...change('alice', 'INSERT'), state: { totalPoints: 500, problems: { A: { solved: true } } } },
+			change('bob', 'REMOVE'),
+			{ ...change('carol', 'UPDATE'), state: { totalPoints: 500, problems: { A: { solved: true }, B: { solved: true } } } }
+		]);
+	});
+
+	test('Should thin deltas to the interval and move dropped changes forward', () => {
+		const deltas = [
+			delta(10, 0, [change('alice', 'INSERT', 1)]),
+			delta(20, 0, [change('bob', 'INSERT', 1)]),
+			delta(30, 0, [change('alice', 'UPDATE', 2)]),
+			delta(40, 0, [change('carol', 'INSERT', 1)]),
+			delta(130, 120, [change('alice', 'UPDATE', 3)]),
+			delta(140, 120, [change('bob', 'UPDATE', 2)])
+		];
+
+		const plan = planCompaction([0, 120], deltas, { deltaIntervalSeconds: 30 });
+
+		// 40 is dropped (a base follows), 140 is kept as the last delta of the contest
+		expect(plan.removed).toEqual([10, 20, 40, 130]);
+		expect(plan.folded).toEqual([]);
+		expect(plan.rewritten.map(rewritten => rewritten.timestampSeconds)).toEqual([30, 140]);
+		expect(plan.rewritten[0].changes).toEqual([
+			{ ...change('alice', 'INSERT'), state: { totalPoints: 2, problems: {} } },
+			change('bob', 'INSERT', 1)
+		]);
+		expect(plan.rewritten[1].changes).toEqual([change('alice', 'UPDATE', 3), change('bob', 'UPDATE', 2)]);
+	});
+
+	test('Should fold every Nth delta into a base and re-point the deltas after it', () => {
+		const deltas = [10, 20, 30, 40, 50].map(timestamp => delta(timestamp, 0, [change('alice', 'UPDATE', timestamp)]));
+
+		const plan = planCompaction([0], deltas, { foldDeltaRunLength: 2 });
+
+		expect(plan.removed).toEqual([]);
+		expect(plan.folded).toEqual([20, 40]);
+		expect(plan.rewritten.map(rewritten => [rewritten.timestampSeconds, rewritten.baseSnapshotTimestamp])).toEqual([[30, 20], [50, 40]]);
+	});
+
+	test('Should select the retention rule by contest age', () => {
+		const policy = {
+			rules: [
+				{ afterDays: 30, deltaIntervalSeconds: 0 },
+				{ afterDays: 7, deltaIntervalSeconds: 60 }
+			]
+		};
+		const day = 86400;
+
+		expect(selectRetentionRule(policy, 2 * day)).toBeNull();
+		expect(selectRetentionRule(policy, 10 * day)).toEqual({ afterDays: 7, deltaIntervalSeconds: 60 });
+		expect(selectRetentionRule(policy, 40 * day)).toEqual({ afterDays: 30, deltaIntervalSeconds: 0 });
+		expect(selectRetentionRule(DEFAULT_RETENTION_POLICY, 8 * day).deltaIntervalSeconds).toBe(60);
+	});
+});
@@ -0,0 +1,97 @@
+import { buildEventStream, replayEvents } from '../src/services/eventStream.js';
+import { getScoringRule } from '../src/services/scoringRules.js';
+import { createPartitionReplay, eventPartitions, mergePartitionResults, partitionOf } from '../src/services/snapshotPartition.js';
+import { snapshotWorkerPool } from '../src/services/snapshotWorkerPool.js';
+
+const CONTEST_START = 1000;
+const CONTEST = { type: 'CF', durationSeconds: 7200 };
+const PROBLEM_POINTS = new Map([['A', 500], ['B', 1000], ['C', null]]);
+
+const party = handle => ({ members: [{ handle }], participantType: handle.startsWith('v') ? 'VIRTUAL' : 'CONTESTANT' });
+
+// Deterministic contest: 40 participants, submissions on three problems and hacks between them
+function buildContestEvents () {
+	let seed = 7;
+	const next = (max) => {
+		seed = (seed * 1103515245 + 12345) % 2147483648;
+		return Math.floor(seed / 65536) % max;
+	};
+	const handles = Array.from({ length: 40 }, (_, i) => (i % 10 === 9 ? `v${i}` : `u${i}`));
+	const submissions = [];
+	const hacks = [];
+	for (let i = 0; i < 400; i++) {
+		const relativeTimeSeconds = next(7200);
+		submissions.push({
+			creationTimeSeconds: CONTEST_START + relativeTimeSeconds,
+			relativeTimeSeconds,
+			problem: { index: ['A', 'B', 'C'][next(3)] },
+			author: party(handles[next(handles.length)]),
+			verdict: next(3) === 0 ? 'OK' : 'WRONG_ANSWER'
+		});
+	}
+	for (let i = 0; i < 60; i++) {
+		const relativeTimeSeconds = next(7200);
+		hacks.push({
+			creationTimeSeconds: CONTEST_START + relativeTimeSeconds,
+			problem: { index: ['A', 'B'][next(2)] },
+			hacker: party(handles[next(handles.length)]),
+			defender: party(handles[next(handles.length)]),
+			verdict: next(2) === 0 ? 'HACK_SUCCESSFUL' : 'HACK_UNSUCCESSFUL'
+		});
+	}
+	return buildEventStream(submissions, hacks, CONTEST_START);
+}
+
+// Serialized like a snapshot (problems as plain objects, no wall-clock updatedAt), to compare byte for byte
+const serialize = states => JSON.stringify(states.map(({ updatedAt, ...state }) => ({ ...state, problems: Object.fromEntries(state.problems) })));
+
+const spec = { contestId: 1, contest: CONTEST, problemPointsMap: PROBLEM_POINTS, problemSubtasksMap: new Map(), verdictMode: 'final' };
+
+function replaySequentially (events) {
+	const stateMap = new Map();
+	replayEvents(stateMap, events, { contestId: 1, rule: getScoringRule(CONTEST), problemPointsMap: PROBLEM_POINTS, problemSubtasksMap: new Map(), verdictMode: 'final' });
+	return Array.from(stateMap.values());
+}
+
+describe('snapshotPartition', () => {
+
+	afterAll(() => snapshotWorkerPool.close());
+
+	test('Should assign every participant to one stable partition', () => {
+		expect(partitionOf('CONTESTANT:tourist', 4)).toBe(partitionOf('CONTESTANT:tourist', 4));
+		expect(partitionOf('CONTESTANT:tourist', 1)).toBe(0);
+
+		const hackEvent = buildContestEvents().find(event => event.hack);
+		expect(eventPartitions(hackEvent, 1)).toEqual([0]);
+	});
+
+	test('Should merge partitions in the same order and state as the sequential replay', () => {
+		const events = buildContestEvents();
+		const expected = serialize(replaySequentially(events));
+
+		for (const partitionCount of [1, 2, 3, 5]) {
+			const replays = Array.from({ length: partitionCount }, (_, partition) => createPartitionReplay(spec, partition, partitionCount));
+			events.forEach((event, position) => {
+				for (const partition of eventPartitions(event, partitionCount)) {
+					replays[partition].replay([[position, event]]);
+				}
+			});
+
+			const merged = mergePartitionResults(replays.map(replay => replay.finish()));
+			expect(serialize(merged.states)).toBe(expected);
+			expect(merged.defaultPointsProblems).toEqual(['C']);
+		}
+	});
+
+	test('Should build identical states on worker threads', async () => {
+		const events = buildContestEvents();
+		async function * stream () {
+			yield * events;
+		}
+
+		const replayed = await snapshotWorkerPool.replay(stream(), spec, 3);
+
+		expect(serialize(replayed.states)).toBe(serialize(replaySequentially(events)));
+		expect(replayed.submissionCount + replayed.hackCount).toBe(events.length);
+	});
+});
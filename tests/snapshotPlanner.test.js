@@ -0,0 +1,61 @@
+import { planAdaptiveSnapshots, planFixedSnapshots, validatePlannerOptions } from '../src/services/snapshotPlanner.js';
+
+// One event per participant at each given time
+const burst = (timeSeconds, count, prefix = 'p') => Array.from({ length: count }, (_, i) => ({
+	timeSeconds,
+	participantKeys: [`CONTESTANT:${prefix}${i}`]
+}));
+
+describe('snapshotPlanner', () => {
+
+	test('Should place deltas densely in bursts and sparsely in quiet stretches', () => {
+		const activity = [
+			...burst(3, 20),
+			...burst(8, 20),
+			...burst(400, 1, 'q'),
+			...burst(1000, 1, 'r'),
+			...burst(1195, 20, 's'),
+			...burst(1200, 20, 't')
+		];
+
+		const plan = planAdaptiveSnapshots(activity, 0, 1200, { minDeltaInterval: 5, maxDeltaInterval: 120, targetChangesPerDelta: 20, maxReplayChanges: 1000 });
+
+		expect(plan.baseTimestamps).toEqual([0]);
+		// Bursts get a delta per step; single submissions wait up to maxDeltaInterval
+		expect(plan.deltaTimestamps).toEqual([5, 10, 520, 1120, 1195, 1200]);
+		expect(plan.bursts).toEqual([
+			{ fromTimestampSeconds: 0, toTimestampSeconds: 10, snapshotCount: 3 },
+			{ fromTimestampSeconds: 1195, toTimestampSeconds: 1200, snapshotCount: 2 }
+		]);
+		expect(plan.summary.shortestDeltaGapSeconds).toBe(5);
+	});
+
+	test('Should place a base when the replayed changes would exceed the bound', () => {
+		const activity = [10, 20, 30, 40, 50].flatMap(timeSeconds => burst(timeSeconds, 10));
+
+		const plan = planAdaptiveSnapshots(activity, 0, 60, { minDeltaInterval: 10, targetChangesPerDelta: 10, maxReplayChanges: 25 });
+
+		expect(plan.snapshots.map(snapshot => [snapshot.timestampSeconds, snapshot.type])).toEqual([
+			[0, 'BASE'], [10, 'DELTA'], [20, 'DELTA'], [30, 'BASE'], [40, 'DELTA'], [50, 'DELTA']
+		]);
+		expect(plan.summary.worstCaseReplayChanges).toBeLessThanOrEqual(25);
+	});
+
+	test('Should always capture the final changes and skip quiet contests', () => {
+		expect(planAdaptiveSnapshots(burst(55, 1), 0, 60, { minDeltaInterval: 10 }).deltaTimestamps).toEqual([60]);
+		expect(planAdaptiveSnapshots([], 0, 60).snapshots).toHaveLength(1);
+	});
+
+	test('Should place fixed-interval deltas only between base timestamps', () => {
+		expect(planFixedSnapshots(0, 60, 30, 10)).toEqual({ baseTimestamps: [0, 30, 60], deltaTimestamps: [10, 20, 40, 50] });
+		// A later start begins at the next multiple of each interval
+		expect(planFixedSnapshots(25, 60, 30, 10)).toEqual({ baseTimestamps: [30, 60], deltaTimestamps: [40, 50] });
+	});
+
+	test('Should validate planner options', () => {
+		expect(validatePlannerOptions({})).toBeNull();
+		expect(validatePlannerOptions({ minDeltaInterval: 0 })).toMatch('minDeltaInterval');
+		expect(validatePlannerOptions({ minDeltaInterval: 60, maxDeltaInterval: 30 })).toMatch('maxDeltaInterval');
+		expect(validatePlannerOptions({ targetChangesPerDelta: 100, maxReplayChanges: 50 })).toMatch('maxReplayChanges');
+	});
+});
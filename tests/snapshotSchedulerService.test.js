@@ -0,0 +1,202 @@
+import { jest } from '@jest/globals';
+
+const CONTEST_ID = 1234;
+const DURATION = 7200;
+
+const calls = [];
+let storedContest;
+let storedSchedule;
+let scheduledContestIds = [];
+
+const nowSeconds = () => Math.floor(Date.now() / 1000);
+
+jest.unstable_mockModule('../src/helpers/logger.js', () => ({
+	logger: { info: () => {}, warn: () => {}, error: () => {}, debug: () => {} }
+}));
+jest.unstable_mockModule('../src/data/models/index.js', () => ({
+	models: {
+		SnapshotSchedules: {
+			findOne: () => ({ lean: async () => storedSchedule }),
+			find: () => ({ select: () => ({ lean: async () => scheduledContestIds.map(contestId => ({ contestId })) }) }),
+			updateOne: async (filter, update) => {
+				calls.push(['updateSchedule', update.$set]);
+				return { matchedCount: 1 };
+			}
+		}
+	}
+}));
+jest.unstable_mockModule('../src/helpers/codeforcesAPI.js', () => ({
+	codeforcesAPI: {
+		getCompleteContestData: async contestId => {
+			calls.push(['fetch', contestId]);
+			return { contest: storedContest };
+		}
+	}
+}));
+jest.unstable_mockModule('../src/services/codeforcesDataService.js', () => ({
+	codeforcesDataService: {
+		getContestFromDB: async () => ({ ...storedContest }),
+		storeCompleteContestData: async contestId => {
+			calls.push(['store', contestId]);
+		},
+		getStoredContestSummary: async () => ({ submissionsCount: 5, hacksCount: 0 })
+	}
+}));
+jest.unstable_mockModule('../src/services/snapshotService.js', () => ({
+	snapshotService: {
+		getRunningRebuild: () => null,
+		createBaseSnapshot: async (contestId, timestampSeconds) => {
+			calls.push(['BASE', timestampSeconds]);
+		},
+		createDeltaSnapshot: async (contestId, timestampSeconds) => {
+			calls.push(['DELTA', timestampSeconds]);
+		}
+	}
+}));
+
+let snapshotSchedulerService;
+let dueSnapshot;
+let SCHEDULE_STATUS;
+
+const schedule = (fields = {}) => ({
+	contestId: CONTEST_ID,
+	status: 'RUNNING',
+	baseIntervalSeconds: 120,
+	deltaIntervalSeconds: 10,
+	fileMode: false,
+	lastBaseTimestamp: null,
+	lastSnapshotTimestamp: null,
+	lastEventCount: null,
+	...fields
+});
+
+// Contest started `contestTimeSeconds` ago
+const contestAt = (contestTimeSeconds, phase) => ({
+	contestId: CONTEST_ID,
+	phase,
+	durationSeconds: DURATION,
+	startTimeSeconds: nowSeconds() - contestTimeSeconds
+});
+
+const lastScheduleUpdate = () => calls.filter(([name]) => name === 'updateSchedule').pop()[1];
+
+describe('snapshotSchedulerService', () => {
+
+	beforeAll(async () => {
+		({ snapshotSchedulerService, dueSnapshot, SCHEDULE_STATUS } = await import('../src/services/snapshotSchedulerService.js'));
+	});
+
+	beforeEach(() => {
+		calls.length = 0;
+		scheduledContestIds = [];
+	});
+
+	afterEach(() => {
+		snapshotSchedulerService.clearTimer(CONTEST_ID);
+		jest.restoreAllMocks();
+	});
+
+	describe('dueSnapshot', () => {
+
+		test('Should create a base snapshot once the contest time reaches the next base interval', () => {
+			const afterDelta = schedule({ lastBaseTimestamp: 0, lastSnapshotTimestamp: 110 });
+
+			expect(dueSnapshot(afterDelta, 119, true)).toBeNull();
+			expect(dueSnapshot(afterDelta, 120, true)).toEqual({ type: 'BASE', timestampSeconds: 120 });
+			expect(dueSnapshot(afterDelta, 120, false)).toEqual({ type: 'BASE', timestampSeconds: 120 });
+		});
+
+		test('Should create a delta on the delta grid only when new events arrived', () => {
+			const afterBase = schedule({ lastBaseTimestamp: 120, lastSnapshotTimestamp: 120 });
+
+			expect(dueSnapshot(afterBase, 129, true)).toBeNull();
+			expect(dueSnapshot(afterBase, 135, true)).toEqual({ type: 'DELTA', timestampSeconds: 130 });
+			expect(dueSnapshot(afterBase, 135, false)).toBeNull();
+		});
+
+		test('Should not create a snapshot that was already created', () => {
+			expect(dueSnapshot(schedule({ lastBaseTimestamp: 0, lastSnapshotTimestamp: 130 }), 125, true)).toBeNull();
+			expect(dueSnapshot(schedule({ lastBaseTimestamp: 240, lastSnapshotTimestamp: 240 }), 245, true)).toBeNull();
+		});
+
+		test('Should only create the final base snapshot at the end of the contest', () => {
+			expect(dueSnapshot(schedule({ lastBaseTimestamp: 7080, lastSnapshotTimestamp: 7190 }), 9000, true, DURATION))
+				.toEqual({ type: 'BASE', timestampSeconds: DURATION });
+			expect(dueSnapshot(schedule({ lastBaseTimestamp: DURATION, lastSnapshotTimestamp: DURATION }), 9000, true, DURATION)).toBeNull();
+		});
+	});
+
+	describe('tick', () => {
+
+		test('Should ingest the contest before creating the due snapshot', async () => {
+			storedContest = contestAt(125, 'CODING');
+			storedSchedule = schedule({ lastBaseTimestamp: 0, lastSnapshotTimestamp: 110, lastEventCount: 4 });
+
+			await snapshotSchedulerService.tick(CONTEST_ID);
+
+			expect(calls.slice(0, 3)).toEqual([['fetch', CONTEST_ID], ['store', CONTEST_ID], ['BASE', 120]]);
+			expect(lastScheduleUpdate()).toMatchObject({ status: SCHEDULE_STATUS.RUNNING, lastSnapshotTimestamp: 120, lastEventCount: 5, lastError: null });
+			expect(snapshotSchedulerService.timers.has(CONTEST_ID)).toBe(true);
+		});
+
+		test('Should wait without ingesting before the start time and while the phase is BEFORE', async () => {
+			storedSchedule = schedule({ status: 'WAITING' });
+
+			storedContest = contestAt(-60, 'BEFORE');
+			await snapshotSchedulerService.tick(CONTEST_ID);
+			expect(calls.map(([name]) => name)).toEqual(['updateSchedule']);
+
+			// A delayed start: the start time passed but the contest did not start yet
+			storedContest = contestAt(30, 'BEFORE');
+			await snapshotSchedulerService.tick(CONTEST_ID);
+			expect(calls.map(([name]) => name)).toEqual(['updateSchedule', 'fetch', 'store', 'updateSchedule']);
+			expect(lastScheduleUpdate().status).toBe(SCHEDULE_STATUS.WAITING);
+		});
+
+		test('Should wait out the system tests and finish with a base snapshot at the end', async () => {
+			storedSchedule = schedule({ lastBaseTimestamp: 7080, lastSnapshotTimestamp: 7190, lastEventCount: 4 });
+
+			storedContest = contestAt(DURATION + 600, 'SYSTEM_TEST');
+			await snapshotSchedulerService.tick(CONTEST_ID);
+			expect(calls.some(([name]) => name === 'BASE' || name === 'DELTA')).toBe(false);
+			expect(lastScheduleUpdate().status).toBe(SCHEDULE_STATUS.RUNNING);
+
+			storedContest = contestAt(DURATION + 1200, 'FINISHED');
+			await snapshotSchedulerService.tick(CONTEST_ID);
+			expect(calls.filter(([name]) => name === 'BASE' || name === 'DELTA')).toEqual([['BASE', DURATION]]);
+			expect(lastScheduleUpdate()).toMatchObject({ status: SCHEDULE_STATUS.FINISHED, lastSnapshotTimestamp: DURATION });
+			expect(snapshotSchedulerService.timers.has(CONTEST_ID)).toBe(false);
+		});
+
+		test('Should keep the schedule active and report a failed fetch', async () => {
+			storedContest = contestAt(125, 'CODING');
+			storedSchedule = schedule({ lastBaseTimestamp: 0, lastSnapshotTimestamp: 110 });
+			jest.spyOn(snapshotSchedulerService, 'ingest').mockRejectedValue(new Error('Codeforces is down'));
+
+			await snapshotSchedulerService.tick(CONTEST_ID);
+
+			expect(calls.some(([name]) => name === 'BASE')).toBe(false);
+			expect(lastScheduleUpdate().lastError).toBe('Codeforces is down');
+			expect(snapshotSchedulerService.timers.has(CONTEST_ID)).toBe(true);
+		});
+	});
+
+	describe('startForActiveContests', () => {
+
+		test('Should start schedulers for running contests and contests starting within a day', async () => {
+			const start = jest.spyOn(snapshotSchedulerService, 'start').mockResolvedValue({});
+			scheduledContestIds = [4];
+
+			const started = await snapshotSchedulerService.startForActiveContests([
+				{ id: 1, phase: 'CODING', startTimeSeconds: nowSeconds() - 600 },
+				{ id: 2, phase: 'BEFORE', startTimeSeconds: nowSeconds() + 3600 },
+				{ id: 3, phase: 'BEFORE', startTimeSeconds: nowSeconds() + 7 * 86400 },
+				{ id: 4, phase: 'CODING', startTimeSeconds: nowSeconds() - 600 },
+				{ id: 5, phase: 'FINISHED', startTimeSeconds: nowSeconds() - 86400 }
+			]);
+
+			expect(started).toBe(2);
+			expect(start.mock.calls.map(([contestId]) => contestId)).toEqual([1, 2]);
+		});
+	});
+});
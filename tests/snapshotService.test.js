@@ -0,0 +1,148 @@
+import { jest } from '@jest/globals';
+import { partitionOf } from '../src/services/snapshotPartition.js';
+import { snapshotWorkerPool } from '../src/services/snapshotWorkerPool.js';
+import { getScoringRule } from '../src/services/scoringRules.js';
+import { rankStates } from '../src/services/rankMovement.js';
+
+const CONTEST_ID = 1;
+const CONTEST_START = 1000;
+const CONTEST = { contestId: CONTEST_ID, type: 'CF', phase: 'FINISHED', durationSeconds: 7200, startTimeSeconds: CONTEST_START };
+const PROBLEMS = [{ index: 'A', points: 500 }, { index: 'B', points: 1000 }, { index: 'C', points: null }];
+
+const config = { snapshotWorkers: 0 };
+const storedSnapshots = [];
+
+const party = handle => ({ members: [{ handle, name: null }], participantType: handle.startsWith('v') ? 'VIRTUAL' : 'CONTESTANT', teamId: null });
+const handles = Array.from({ length: 40 }, (_, i) => (i % 10 === 9 ? `v${i}` : `u${i}`));
+
+// Two contestants in different partitions when replaying on two workers
+const hacker = handles.find(handle => !handle.startsWith('v') && partitionOf(`CONTESTANT:${handle}`, 2) === 0);
+const defender = handles.find(handle => !handle.startsWith('v') && partitionOf(`CONTESTANT:${handle}`, 2) === 1);
+
+// Deterministic contest: 40 participants, submissions on three problems, hacks between them,
+// and a successful hack from one partition to the other on an accepted solution
+function buildContest () {
+	let seed = 11;
+	const next = (max) => {
+		seed = (seed * 1103515245 + 12345) % 2147483648;
+		return Math.floor(seed / 65536) % max;
+	};
+	const submission = (id, relativeTimeSeconds, index, handle, verdict) => ({
+		id,
+		contestId: CONTEST_ID,
+		creationTimeSeconds: CONTEST_START + relativeTimeSeconds,
+		relativeTimeSeconds,
+		problem: { contestId: CONTEST_ID, index, points: PROBLEMS.find(problem => problem.index === index).points },
+		author: party(handle),
+		verdict,
+		testset: 'TESTS',
+		passedTestCount: 10,
+		points: null
+	});
+	const hack = (id, relativeTimeSeconds, index, hackerHandle, defenderHandle, verdict) => ({
+		id,
+		contestId: CONTEST_ID,
+		creationTimeSeconds: CONTEST_START + relativeTimeSeconds,
+		problem: { contestId: CONTEST_ID, index },
+		hacker: party(hackerHandle),
+		defender: party(defenderHandle),
+		verdict
+	});
+
+	const submissions = [submission(1, 300, 'A', defender, 'OK')];
+	const hacks = [hack(1, 900, 'A', hacker, defender, 'HACK_SUCCESSFUL')];
+	for (let i = 0; i < 400; i++) {
+		submissions.push(submission(i + 2, next(7200), ['A', 'B', 'C'][next(3)], handles[next(handles.length)], next(3) === 0 ? 'OK' : 'WRONG_ANSWER'));
+	}
+	for (let i = 0; i < 60; i++) {
+		hacks.push(hack(i + 2, next(7200), ['A', 'B'][next(2)], handles[next(handles.length)], handles[next(handles.length)], next(2) === 0 ? 'HACK_SUCCESSFUL' : 'HACK_UNSUCCESSFUL'));
+	}
+	submissions.sort((a, b) => a.relativeTimeSeconds - b.relativeTimeSeconds || a.id - b.id);
+	return { submissions, hacks };
+}
+
+const { submissions, hacks } = buildContest();
+
+jest.unstable_mockModule('../src/helpers/logger.js', () => ({
+	logger: { info: () => {}, warn: () => {}, error: () => {}, debug: () => {} }
+}));
+jest.unstable_mockModule('../src/config/appConfig.js', () => ({
+	environmentVariablesConfig: config
+}));
+jest.unstable_mockModule('../src/data/models/index.js', () => ({
+	models: {}
+}));
+jest.unstable_mockModule('../src/services/modelProvider.js', () => ({
+	getModels: () => ({
+		BaseSnapshots: {
+			create: async snapshot => {
+				storedSnapshots.push(snapshot);
+				return snapshot;
+			}
+		}
+	})
+}));
+jest.unstable_mockModule('../src/services/codeforcesDataService.js', () => ({
+	codeforcesDataService: {
+		getContestFromDB: async () => ({ ...CONTEST }),
+		getProblemsFromDB: async () => PROBLEMS,
+		iterateSubmissions: async function * (contestId, fromExclusive, toInclusive) {
+			yield * submissions.filter(sub => (fromExclusive === null || sub.relativeTimeSeconds > fromExclusive) && sub.relativeTimeSeconds <= toInclusive);
+		},
+		getHacksInWindow: async (contestId, fromExclusive, toInclusive) =>
+			hacks.filter(item => (fromExclusive === null || item.creationTimeSeconds > fromExclusive) && item.creationTimeSeconds <= toInclusive)
+	}
+}));
+jest.unstable_mockModule('../src/services/standingsStateCache.js', () => ({
+	standingsStateCache: { invalidateContest: () => {} }
+}));
+jest.unstable_mockModule('../src/services/contestEventService.js', () => ({
+	contestEventService: { recordSnapshotEvents: async () => {} }
+}));
+
+let snapshotService;
+
+/**
+ * Create the base snapshot at the end of the contest with the given number of worker threads
+ * @param {number} snapshotWorkers - SNAPSHOT_WORKERS setting
+ * @returns {Promise<Object>} Stored snapshot
+ */
+async function createBaseSnapshot (snapshotWorkers) {
+	config.snapshotWorkers = snapshotWorkers;
+	await snapshotService.createBaseSnapshot(CONTEST_ID, CONTEST.durationSeconds);
+	return storedSnapshots[storedSnapshots.length - 1];
+}
+
+// Worker results are deserialized outside the test realm, where `instanceof Map` fails,
+// so their problems reach the snapshot as a Map; compare them as plain objects
+const plainParticipants = snapshot => snapshot.participants.map(participant => ({
+	...participant,
+	problems: typeof participant.problems.entries === 'function' ? Object.fromEntries(participant.problems.entries()) : participant.problems
+}));
+const ranks = snapshot => Array.from(rankStates(plainParticipants(snapshot), getScoringRule(CONTEST), true).entries());
+
+describe('snapshotService', () => {
+
+	beforeAll(async () => {
+		({ snapshotService } = await import('../src/services/snapshotService.js'));
+		jest.spyOn(snapshotService, 'findLastSnapshot').mockResolvedValue(null);
+	});
+
+	afterAll(() => snapshotWorkerPool.close());
+
+	test('Should build the same base snapshot on one thread and on worker threads', async () => {
+		const sequential = await createBaseSnapshot(1);
+
+		const defenderState = sequential.participants.find(participant => participant.participantKey === `CONTESTANT:${defender}`);
+		const hackerState = sequential.participants.find(participant => participant.participantKey === `CONTESTANT:${hacker}`);
+		expect(defenderState.problems.A.solved).toBe(false);
+		expect(hackerState.hackSuccess).toBeGreaterThan(0);
+
+		for (const snapshotWorkers of [2, 3]) {
+			const parallel = await createBaseSnapshot(snapshotWorkers);
+
+			expect(JSON.stringify(plainParticipants(parallel))).toBe(JSON.stringify(plainParticipants(sequential)));
+			expect(ranks(parallel)).toEqual(ranks(sequential));
+		}
+	});
+});
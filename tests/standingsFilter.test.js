@@ -0,0 +1,69 @@
+import { buildParticipantFilter, filterRankedParticipants, hasStandingsFilter, validateStandingsFilter, RANK_SCOPE } from '../src/services/standingsFilter.js';
+import { assignSharedRanks, compareParticipants } from '../src/services/standingsStateUpdate.js';
+import { getScoringRule } from '../src/services/scoringRules.js';
+import { icpcState } from './helpers/participantState.js';
+
+const rule = getScoringRule({ type: 'ICPC' });
+
+// Ranked standings: tourist 1, Petr and Um_nik tied 2-3, ecnerwala 4, virtual participant 5
+function rankedStandings () {
+	const participants = [
+		icpcState('tourist', 5, 100),
+		icpcState('Petr', 4, 90),
+		icpcState('Um_nik', 4, 90),
+		icpcState('ecnerwala', 3, 50),
+		icpcState('jiangly', 1, 10, { participantType: 'VIRTUAL' }),
+		icpcState(['alice', 'bob'], 0, 0, { teamName: 'Team Rocket' })
+	].sort((a, b) => compareParticipants(a, b, rule));
+	return assignSharedRanks(participants, rule);
+}
+
+const select = (filter, profileHandles = null) => filterRankedParticipants(
+	rankedStandings(),
+	buildParticipantFilter(filter, profileHandles),
+	filter.rankScope || RANK_SCOPE.GLOBAL,
+	rule
+);
+
+describe('standingsFilter', () => {
+
+	test('Should validate participant types and rank scopes', () => {
+		expect(validateStandingsFilter({ participantTypes: ['CONTESTANT', 'VIRTUAL'], rankScope: 'filtered' })).toBeNull();
+		expect(validateStandingsFilter({ participantTypes: ['GHOST'] })).toMatch(/participantTypes/);
+		expect(validateStandingsFilter({ rankScope: 'country' })).toMatch(/rankScope/);
+		expect(hasStandingsFilter({ rankScope: 'filtered' })).toBe(false);
+		expect(hasStandingsFilter({ handles: ['tourist'] })).toBe(true);
+	});
+
+	test('Should match handle substrings, handle lists and participant types', () => {
+		expect(select({ handleContains: 'NI' }).map(p => p.handle)).toEqual(['Um_nik']);
+		expect(select({ handleContains: 'rocket' }).map(p => p.handle)).toEqual(['alice']);
+		expect(select({ handles: ['PETR', 'bob'] }).map(p => p.handle)).toEqual(['Petr', 'alice']);
+		expect(select({ participantTypes: ['VIRTUAL'] }).map(p => p.handle)).toEqual(['jiangly']);
+	});
+
+	test('Should keep global ranks or rank within the selection', () => {
+		const profileHandles = new Set(['um_nik', 'ecnerwala', 'bob']);
+
+		const global = select({ country: 'Russia' }, profileHandles);
+		expect(global.map(p => [p.handle, p.rank, p.rankEnd, p.globalRank])).toEqual([
+			['Um_nik', 2, 3, 2],
+			['ecnerwala', 4, 4, 4],
+			['alice', 6, 6, 6]
+		]);
+
+		const scoped = select({ country: 'Russia', rankScope: RANK_SCOPE.FILTERED }, profileHandles);
+		expect(scoped.map(p => [p.handle, p.rank, p.rankEnd, p.globalRank, p.globalRankEnd])).toEqual([
+			['Um_nik', 1, 1, 2, 3],
+			['ecnerwala', 2, 2, 4, 4],
+			['alice', 3, 3, 6, 6]
+		]);
+	});
+
+	test('Should leave the ranked standings untouched', () => {
+		const standings = rankedStandings();
+		filterRankedParticipants(standings, buildParticipantFilter({ handles: ['ecnerwala'] }), RANK_SCOPE.FILTERED, rule);
+
+		expect(standings.find(p => p.handle === 'ecnerwala').rank).toBe(4);
+	});
+});
@@ -0,0 +1,60 @@
+import { standingsStateCache } from '../src/services/standingsStateCache.js';
+import { participantState } from './helpers/participantState.js';
+
+const stateOf = size => new Map(Array.from({ length: size }, (_, i) => participantState(`u${i}`)).map(state => [state.participantKey, state]));
+
+describe('standingsStateCache', () => {
+
+	beforeEach(() => {
+		standingsStateCache.clear();
+		standingsStateCache.maxParticipants = 10;
+	});
+
+	test('Should count hits and misses per snapshot', () => {
+		const generation = standingsStateCache.getGeneration(1);
+		expect(standingsStateCache.get(1, false, 60)).toBeNull();
+		standingsStateCache.set(1, false, 60, stateOf(3), generation);
+
+		expect(standingsStateCache.get(1, false, 60).state.size).toBe(3);
+		expect(standingsStateCache.get(1, true, 60)).toBeNull();
+		expect(standingsStateCache.getStats(1)).toMatchObject({ entries: 1, participants: 3, contestTimestamps: [60] });
+	});
+
+	test('Should find the latest state to roll forward from', () => {
+		const generation = standingsStateCache.getGeneration(1);
+		standingsStateCache.set(1, false, 60, stateOf(1), generation);
+		standingsStateCache.set(1, false, 120, stateOf(1), generation);
+		standingsStateCache.set(2, false, 150, stateOf(1), standingsStateCache.getGeneration(2));
+
+		expect(standingsStateCache.findLatestBefore(1, false, 0, 180).timestampSeconds).toBe(120);
+		expect(standingsStateCache.findLatestBefore(1, false, 0, 120).timestampSeconds).toBe(60);
+		expect(standingsStateCache.findLatestBefore(1, false, 90, 120)).toBeNull();
+	});
+
+	test('Should evict least recently used states, sorted copies included', () => {
+		const generation = standingsStateCache.getGeneration(1);
+		standingsStateCache.set(1, false, 60, stateOf(4), generation);
+		standingsStateCache.set(1, false, 120, stateOf(4), generation);
+		standingsStateCache.get(1, false, 60);
+
+		const entry = standingsStateCache.set(1, false, 180, stateOf(2), generation);
+		standingsStateCache.getSorted(entry, 'official', () => Array.from(entry.state.values()));
+
+		expect(standingsStateCache.getStats(1).contestTimestamps).toEqual([60, 180]);
+		expect(standingsStateCache.getStats().participants).toBe(8);
+		expect(standingsStateCache.set(1, false, 240, stateOf(11), generation).state.size).toBe(11);
+		expect(standingsStateCache.get(1, false, 240)).toBeNull();
+	});
+
+	test('Should drop a contest and ignore states loaded before the invalidation', () => {
+		const generation = standingsStateCache.getGeneration(1);
+		standingsStateCache.set(1, false, 60, stateOf(1), generation);
+		standingsStateCache.set(2, false, 60, stateOf(1), standingsStateCache.getGeneration(2));
+
+		standingsStateCache.invalidateContest(1);
+		standingsStateCache.set(1, false, 120, stateOf(1), generation);
+
+		expect(standingsStateCache.getStats(1).contestTimestamps).toEqual([]);
+		expect(standingsStateCache.getStats(2).contestTimestamps).toEqual([60]);
+	});
+});
@@ -0,0 +1,41 @@
+import { computeStateHash } from '../src/services/stateHash.js';
+import { applyDeltaChanges } from '../src/services/deltaDiff.js';
+
+describe('stateHash', () => {
+
+	test('Should hash the same standings the same way regardless of representation', () => {
+		const replayState = new Map([
+			['CONTESTANT:bob', { participantKey: 'CONTESTANT:bob', handle: 'bob', totalPoints: 0, problems: new Map() }],
+			['CONTESTANT:alice', {
+				participantKey: 'CONTESTANT:alice',
+				handle: 'alice',
+				handles: ['alice'],
+				totalPoints: 500,
+				solvedCount: 1,
+				problems: new Map([['A', { solved: true, points: 500, rejectCount: 0 }]])
+			}]
+		]);
+		const snapshotParticipants = [
+			{ participantKey: 'CONTESTANT:alice', handle: 'alice', solvedCount: 1, totalPoints: 500, problems: { A: { rejectCount: 0, points: 500, solved: true } } },
+			{ participantKey: 'CONTESTANT:bob', handle: 'bob', handles: ['bob'], teamId: null, problems: {} }
+		];
+
+		expect(computeStateHash(snapshotParticipants)).toBe(computeStateHash(replayState));
+		expect(computeStateHash(snapshotParticipants)).toMatch(/^[0-9a-f]{64}$/);
+	});
+
+	test('Should detect a missing delta in the chain', () => {
+		const base = [{ participantKey: 'CONTESTANT:alice', handle: 'alice', totalPoints: 0, problems: {} }];
+		const deltas = [
+			[{ participantKey: 'CONTESTANT:alice', handle: 'alice', op: 'UPDATE', state: { totalPoints: 500, problems: { A: { solved: true } } } }],
+			[{ participantKey: 'CONTESTANT:bob', handle: 'bob', op: 'INSERT', state: { totalPoints: 0, problems: {} } }]
+		];
+
+		const complete = new Map(base.map(participant => [participant.participantKey, participant]));
+		deltas.forEach(changes => applyDeltaChanges(complete, changes));
+		const withGap = new Map(base.map(participant => [participant.participantKey, participant]));
+		applyDeltaChanges(withGap, deltas[1]);
+
+		expect(computeStateHash(withGap)).not.toBe(computeStateHash(complete));
+	});
+});
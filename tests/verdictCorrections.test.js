@@ -0,0 +1,83 @@
+import { findVerdictCorrections, CORRECTION_TYPE } from '../src/services/verdictCorrections.js';
+
+const stored = (submissionId, handle, verdict, relativeTimeSeconds, extra = {}) => ({
+	submissionId,
+	handle,
+	handles: [handle],
+	teamId: null,
+	participantType: 'CONTESTANT',
+	problemIndex: 'A',
+	relativeTimeSeconds,
+	verdict,
+	testset: 'TESTS',
+	passedTestCount: 10,
+	points: null,
+	...extra
+});
+
+describe('verdictCorrections', () => {
+
+	test('Should record rejudged and removed submissions in submission order', async () => {
+		const previous = [
+			stored(3, 'cheater', 'OK', 900),
+			stored(1, 'alice', 'WRONG_ANSWER', 300),
+			stored(2, 'bob', 'OK', 600)
+		];
+		const current = [
+			stored(1, 'alice', 'OK', 300),
+			stored(2, 'bob', 'OK', 600),
+			stored(4, 'carol', 'OK', 1200)
+		];
+
+		expect(await findVerdictCorrections(previous, current, { complete: true })).toEqual([
+			expect.objectContaining({ submissionId: 1, participantKey: 'CONTESTANT:alice', type: CORRECTION_TYPE.VERDICT, oldVerdict: 'WRONG_ANSWER', newVerdict: 'OK' }),
+			expect.objectContaining({ submissionId: 3, participantKey: 'CONTESTANT:cheater', type: CORRECTION_TYPE.REMOVED, oldVerdict: 'OK', newVerdict: null })
+		]);
+	});
+
+	test('Should not record missing submissions as removed after a partial re-ingest', async () => {
+		const corrections = await findVerdictCorrections(
+			[stored(1, 'alice', 'WRONG_ANSWER', 300), stored(2, 'bob', 'OK', 600)],
+			[stored(1, 'alice', 'OK', 300)]
+		);
+
+		expect(corrections.map(correction => [correction.submissionId, correction.type])).toEqual([[1, CORRECTION_TYPE.VERDICT]]);
+	});
+
+	test('Should record changed test results with the same verdict', async () => {
+		const corrections = await findVerdictCorrections(
+			[stored(1, 'alice', 'OK', 300, { testset: 'PRETESTS' })],
+			[stored(1, 'alice', 'OK', 300)]
+		);
+
+		expect(corrections).toHaveLength(1);
+		expect(corrections[0]).toMatchObject({ oldTestset: 'PRETESTS', newTestset: 'TESTS' });
+	});
+
+	test('Should only record removals among the participant types the re-ingest covers', async () => {
+		const previous = [
+			stored(1, 'alice', 'OK', 300),
+			stored(2, 'bob', 'OK', 600, { participantType: 'PRACTICE' }),
+			stored(3, 'cheater', 'OK', 900)
+		];
+		const current = [stored(1, 'alice', 'OK', 300)];
+
+		const corrections = await findVerdictCorrections(previous, current, { complete: true, participantTypes: ['CONTESTANT'] });
+
+		expect(corrections.map(correction => [correction.submissionId, correction.type])).toEqual([[3, CORRECTION_TYPE.REMOVED]]);
+	});
+
+	test('Should compare streamed stored submissions', async () => {
+		async function * stream () {
+			yield stored(1, 'alice', 'WRONG_ANSWER', 300);
+			yield stored(2, 'bob', 'OK', 600);
+		}
+
+		const corrections = await findVerdictCorrections(stream(), [stored(1, 'alice', 'OK', 300)], { complete: true });
+
+		expect(corrections.map(correction => [correction.submissionId, correction.type])).toEqual([
+			[1, CORRECTION_TYPE.VERDICT],
+			[2, CORRECTION_TYPE.REMOVED]
+		]);
+	});
+});